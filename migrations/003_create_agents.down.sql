@@ -0,0 +1 @@
+DROP TABLE IF EXISTS agents;
\ No newline at end of file
@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS agents (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    tenant_id BIGINT UNSIGNED NOT NULL,
+    assistant_id VARCHAR(64) NULL COMMENT 'OpenAI assistant, NULL for providers without one',
+    vector_store_id VARCHAR(64) NULL COMMENT 'OpenAI vector store, NULL for providers without one',
+    name VARCHAR(50) NOT NULL,
+    instructions TEXT NOT NULL,
+    description VARCHAR(512) NULL,
+    provider VARCHAR(30) NOT NULL DEFAULT 'assistants' COMMENT 'assistants or chat_completions',
+    model VARCHAR(100) NOT NULL,
+    temperature DECIMAL(3,2) NULL,
+    top_p DECIMAL(3,2) NULL,
+    response_format TEXT NULL COMMENT 'JSON, "auto" or { type, json_schema }',
+    tools TEXT NULL COMMENT 'JSON array of enabled local tool names',
+    monthly_token_budget INT UNSIGNED NULL,
+    monthly_cost_budget DECIMAL(10,2) NULL COMMENT 'USD',
+    version INT UNSIGNED NULL COMMENT 'Current version, see agent_versions',
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    PRIMARY KEY (id),
+    KEY idx_agents_tenant_id (tenant_id),
+    CONSTRAINT fk_agents_tenant FOREIGN KEY (tenant_id) REFERENCES tenants (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
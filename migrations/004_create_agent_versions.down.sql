@@ -0,0 +1 @@
+DROP TABLE IF EXISTS agent_versions;
\ No newline at end of file
@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS agent_versions (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    tenant_id BIGINT UNSIGNED NOT NULL,
+    agent_id BIGINT UNSIGNED NOT NULL,
+    version INT UNSIGNED NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    instructions TEXT NOT NULL,
+    config TEXT NOT NULL COMMENT 'JSON: description, model, temperature, top_p, response_format, tools',
+    changed_by VARCHAR(150) NULL COMMENT 'Name and prefix of the API key',
+    restored_from INT UNSIGNED NULL COMMENT 'Version a rollback restored',
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_agent_versions_agent_version (agent_id, version),
+    CONSTRAINT fk_agent_versions_agent FOREIGN KEY (agent_id) REFERENCES agents (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS agent_files (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    agent_id BIGINT UNSIGNED NOT NULL,
+    file_id VARCHAR(64) NOT NULL COMMENT 'OpenAI file',
+    filename VARCHAR(255) NOT NULL,
+    bytes INT UNSIGNED NOT NULL,
+    status VARCHAR(20) NULL COMMENT 'Status of the file in the vector store',
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    PRIMARY KEY (id),
+    KEY idx_agent_files_agent_id (agent_id),
+    CONSTRAINT fk_agent_files_agent FOREIGN KEY (agent_id) REFERENCES agents (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
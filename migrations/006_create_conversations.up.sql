@@ -0,0 +1,15 @@
+-- conversations, messages and usage are kept when their agent is deleted, so agent_id has no foreign key
+CREATE TABLE IF NOT EXISTS conversations (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    tenant_id BIGINT UNSIGNED NOT NULL,
+    agent_id BIGINT UNSIGNED NOT NULL,
+    user_id VARCHAR(100) NOT NULL COMMENT 'External end user or session ID',
+    thread_id VARCHAR(64) NOT NULL COMMENT 'OpenAI thread, or a local ID for providers without threads',
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    PRIMARY KEY (id),
+    KEY idx_conversations_tenant_id (tenant_id),
+    KEY idx_conversations_agent_user (agent_id, user_id),
+    KEY idx_conversations_thread_id (thread_id),
+    CONSTRAINT fk_conversations_tenant FOREIGN KEY (tenant_id) REFERENCES tenants (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
@@ -0,0 +1,21 @@
+CREATE TABLE IF NOT EXISTS messages (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    tenant_id BIGINT UNSIGNED NOT NULL,
+    agent_id BIGINT UNSIGNED NOT NULL,
+    conversation_id BIGINT UNSIGNED NOT NULL,
+    role VARCHAR(20) NOT NULL COMMENT 'user or assistant',
+    content MEDIUMTEXT NOT NULL,
+    run_id VARCHAR(64) NULL,
+    agent_version INT UNSIGNED NULL,
+    prompt_tokens INT UNSIGNED NULL,
+    completion_tokens INT UNSIGNED NULL,
+    total_tokens INT UNSIGNED NULL,
+    latency_ms INT UNSIGNED NULL,
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (id),
+    KEY idx_messages_tenant_id (tenant_id),
+    KEY idx_messages_conversation_id (conversation_id),
+    KEY idx_messages_run_id (run_id),
+    KEY idx_messages_created_at (created_at),
+    FULLTEXT KEY ft_messages_content (content)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS agent_usage;
\ No newline at end of file
@@ -0,0 +1,17 @@
+CREATE TABLE IF NOT EXISTS agent_usage (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    tenant_id BIGINT UNSIGNED NOT NULL,
+    agent_id BIGINT UNSIGNED NOT NULL,
+    conversation_id BIGINT UNSIGNED NOT NULL,
+    run_id VARCHAR(64) NOT NULL,
+    agent_version INT UNSIGNED NULL,
+    model VARCHAR(100) NOT NULL,
+    prompt_tokens INT UNSIGNED NOT NULL DEFAULT 0,
+    completion_tokens INT UNSIGNED NOT NULL DEFAULT 0,
+    total_tokens INT UNSIGNED NOT NULL DEFAULT 0,
+    cost DECIMAL(12,6) NULL COMMENT 'USD, NULL for models without a price',
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_agent_usage_run_id (run_id),
+    KEY idx_agent_usage_agent_created (agent_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS agent_operations;
\ No newline at end of file
@@ -0,0 +1,16 @@
+CREATE TABLE IF NOT EXISTS agent_operations (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    tenant_id BIGINT UNSIGNED NOT NULL,
+    agent_id BIGINT UNSIGNED NULL,
+    type VARCHAR(30) NOT NULL COMMENT 'create_agent or delete_agent',
+    status VARCHAR(20) NOT NULL COMMENT 'running, completed, rolled_back, retrying or failed',
+    steps TEXT NOT NULL COMMENT 'JSON array of { resource, id, removed }, in the order they were created',
+    attempts INT UNSIGNED NOT NULL DEFAULT 0,
+    last_error VARCHAR(1000) NULL,
+    next_attempt_at DATETIME NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    PRIMARY KEY (id),
+    KEY idx_agent_operations_status (status, next_attempt_at),
+    KEY idx_agent_operations_agent_id (agent_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
@@ -0,0 +1,7 @@
+ALTER TABLE conversations
+    DROP KEY idx_conversations_deleted_at,
+    DROP COLUMN deleted_at;
+
+ALTER TABLE agents
+    DROP KEY idx_agents_deleted_at,
+    DROP COLUMN deleted_at;
\ No newline at end of file
@@ -0,0 +1,8 @@
+-- soft deletes, rows with deleted_at set are in the trash until the purge removes them
+ALTER TABLE agents
+    ADD COLUMN deleted_at DATETIME NULL COMMENT 'Moved to the trash at, NULL while active',
+    ADD KEY idx_agents_deleted_at (deleted_at);
+
+ALTER TABLE conversations
+    ADD COLUMN deleted_at DATETIME NULL COMMENT 'Moved to the trash at, NULL while active',
+    ADD KEY idx_conversations_deleted_at (deleted_at);
\ No newline at end of file
@@ -0,0 +1,2 @@
+ALTER TABLE agents
+    DROP COLUMN purging_at;
\ No newline at end of file
@@ -0,0 +1,3 @@
+-- set by the purge when it takes a trashed agent, such an agent can no longer be restored
+ALTER TABLE agents
+    ADD COLUMN purging_at DATETIME NULL COMMENT 'Taken by the trash purge at, NULL while restorable';
\ No newline at end of file
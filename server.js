@@ -1,17 +1,44 @@
-import dotenv from 'dotenv'
+import 'dotenv/config'
 import http from 'http'
 import app from './src/app.js'
 
-dotenv.config()
+import { OPENAI_MOCK, OPENAI_MOCK_PORT } from './src/configs/constants.js'
+import { startMockOpenAIServer } from './src/mock/openaiMockServer.js'
+import { logger, scheduleLogRetention } from './src/services/logger.js'
+import { handleShutdownSignals } from './src/services/lifecycle.js'
+import { scheduleAgentOperationRetries } from './src/services/agentOperations.js'
+import { scheduleTrashPurge } from './src/services/trash.js'
 
 const port = process.env.APP_PORT
 
 // Create HTTP server and attach Express app
 const server = http.createServer(app)
 
+// Closed once the server has stopped, before the database pool
+const onClose = []
+
+// Start the mock OpenAI server when running offline
+if (OPENAI_MOCK) {
+    const { mock, url } = await startMockOpenAIServer(OPENAI_MOCK_PORT)
+    logger.info('mock OpenAI server listening', { url })
+    onClose.push(() => mock.close())
+}
+
+// Finish requests in flight and close the database pool on SIGTERM and SIGINT
+handleShutdownSignals(server, onClose)
+
+// Remove old log files now and every day
+scheduleLogRetention()
+
+// Retry removals left by failed agent creations and deletions
+scheduleAgentOperationRetries()
+
+// Delete agents and conversations for good once they are past their time in the trash
+scheduleTrashPurge()
+
 // Start the HTTP server
 server.listen(port, () => {
-    console.log(`Server is listening on port http://localhost:${port}`)
+    logger.info('server listening', { url: `http://localhost:${port}` })
   });
   
   export default server
@@ -9,15 +9,33 @@ import express from 'express'
 // routers
 import agentRouter from './routers/agentRouter.js'
 import conversationRouter from './routers/conversationRouter.js'
+import messageRouter from './routers/messageRouter.js'
+import trashRouter from './routers/trashRouter.js'
+import adminRouter from './routers/adminRouter.js'
+import healthRouter from './routers/healthRouter.js'
+
+// middlewares
+import { requestContextMiddleware } from './middlewares/requestContext.js'
+import { authenticate, requireAdmin } from './middlewares/auth.js'
+import { notFoundHandler, errorHandler } from './middlewares/errorHandler.js'
+
+// services
+import { drainConnections } from './services/lifecycle.js'
 
 const app = express()
 
+app.use(requestContextMiddleware)
+app.use(drainConnections)
+
 app.use(cors())
 
 app.use(express.json({
     limit: '50mb',
 }))
 
+// liveness and readiness probes, no API key needed
+app.use(healthRouter)
+
 app.get('/', (req, res) => {
     res.send('Sample chat...')
 })
@@ -41,7 +59,14 @@ app.get('/robots.txt', (req, res) => {
     });
 });
 
-app.use('/v1/agents', agentRouter)
-app.use('/v1/conversations', conversationRouter)
+app.use('/v1/agents', authenticate, agentRouter)
+app.use('/v1/conversations', authenticate, conversationRouter)
+app.use('/v1/messages', authenticate, messageRouter)
+app.use('/v1/trash', authenticate, trashRouter)
+app.use('/v1/admin', requireAdmin, adminRouter)
+
+// unknown routes and every error of a request, keep these last
+app.use(notFoundHandler)
+app.use(errorHandler)
 
 export default app
\ No newline at end of file
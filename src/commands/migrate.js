@@ -0,0 +1,61 @@
+/**
+ * Migrate Command
+ * Applies, rolls back and lists the database migrations, with the pool settings of db.js.
+ *
+ * node src/commands/migrate.js up             # apply every pending migration
+ * node src/commands/migrate.js down [steps]   # roll back the latest migration, or the latest `steps`
+ * node src/commands/migrate.js status         # list migrations and whether they are applied
+ */
+
+import db from '../configs/db.js'
+
+import { migrate, rollback, getMigrationStatus } from '../services/migrations.js'
+
+const commands = {
+    async up() {
+        const applied = await migrate()
+        if (applied.length === 0) {
+            console.log('Database is up to date')
+        }
+        applied.forEach((version) => console.log(`Applied ${version}`))
+    },
+
+    async down(steps = '1') {
+        if (!/^[1-9][0-9]*$/.test(steps)) {
+            throw new Error(`Steps must be a positive number, got "${steps}"`)
+        }
+
+        const rolledBack = await rollback(Number(steps))
+        if (rolledBack.length === 0) {
+            console.log('No migration to roll back')
+        }
+        rolledBack.forEach((version) => console.log(`Rolled back ${version}`))
+    },
+
+    async status() {
+        const migrations = await getMigrationStatus()
+        if (migrations.length === 0) {
+            console.log('No migrations found')
+        }
+        migrations.forEach(({ version, status, applied_at }) => {
+            console.log(`${status.padEnd(9)} ${version}${applied_at ? `  (${applied_at})` : ''}`)
+        })
+    }
+}
+
+const [command, ...args] = process.argv.slice(2)
+
+if (!commands[command]) {
+    console.error('Usage: node src/commands/migrate.js <up|down [steps]|status>')
+    process.exit(1)
+}
+
+commands[command](...args)
+    .then(() => {
+        db.end()
+    })
+    .catch((error) => {
+        console.error(error.message)
+        db.end()
+        process.exitCode = 1
+    })
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Reconcile Command
+ * Compares the agents table with the assistants and vector stores of OpenAI and prints the report as JSON.
+ *
+ * node src/commands/reconcile.js         # dry run, reports missing, orphaned and drifted resources
+ * node src/commands/reconcile.js --fix   # repairs them as well
+ */
+
+import db from '../configs/db.js'
+
+import { reconcile } from '../services/reconciliation.js'
+
+const args = process.argv.slice(2)
+const unknown = args.filter((arg) => arg !== '--fix')
+
+if (unknown.length > 0) {
+    console.error('Usage: node src/commands/reconcile.js [--fix]')
+    process.exit(1)
+}
+
+reconcile({ fix: args.includes('--fix') })
+    .then((report) => {
+        console.log(JSON.stringify(report, null, 2))
+        db.end()
+    })
+    .catch((error) => {
+        console.error(error.message)
+        db.end()
+        process.exitCode = 1
+    })
\ No newline at end of file
@@ -1,12 +1,145 @@
+import dotenv from 'dotenv';
+
+// .env is loaded here, before any setting below is read, as every module imports its settings from this file
+dotenv.config();
+
+/**
+ * Mock Configuration
+ * OPENAI_MOCK: Use the bundled mock OpenAI server instead of the real API (OPENAI_MOCK=true)
+ * OPENAI_MOCK_PORT: Port the mock server listens on
+ */
+export const OPENAI_MOCK = process.env.OPENAI_MOCK === 'true';
+export const OPENAI_MOCK_PORT = Number(process.env.OPENAI_MOCK_PORT) || 4010;
+
 /**
  * OpenAI API Configuration
- * OPENAI_KEY: Your OpenAI API key from environment variables
+ * OPENAI_KEY: Your OpenAI API key from environment variables, not needed with the mock server
  * OPENAI_URL: Base URL for OpenAI's API endpoints
  */
-export const OPENAI_KEY = process.env.OPENAI_API_KEY;
-export const OPENAI_URL = 'https://api.openai.com';
+export const OPENAI_KEY = process.env.OPENAI_API_KEY || (OPENAI_MOCK ? 'mock-key' : undefined);
+export const OPENAI_URL = OPENAI_MOCK
+    ? `http://127.0.0.1:${OPENAI_MOCK_PORT}`
+    : (process.env.OPENAI_URL || 'https://api.openai.com');
 
 if (!OPENAI_KEY) {
     throw new Error('Missing required OPENAI_API_KEY environment variable.');
 }
 
+/**
+ * Run Configuration
+ * OPENAI_RUN_TIMEOUT: Maximum time (ms) to wait for a run before giving up on a blocking request
+ * OPENAI_RUN_POLL_INTERVAL: Time (ms) between run status checks
+ */
+export const OPENAI_RUN_TIMEOUT = Number(process.env.OPENAI_RUN_TIMEOUT) || 120000;
+export const OPENAI_RUN_POLL_INTERVAL = Number(process.env.OPENAI_RUN_POLL_INTERVAL) || 5000;
+
+/**
+ * HTTP Client Configuration, applies to every request to OpenAI and the Chat Completions API
+ * OPENAI_RETRY_MAX: Number of times a failed request is retried, 0 disables retries,
+ *   0 or more, anything else uses the default
+ * OPENAI_RETRY_BASE_DELAY: First retry delay (ms), doubled on every attempt with random jitter
+ * OPENAI_RETRY_MAX_DELAY: Longest delay (ms) between attempts, a longer Retry-After is not waited for,
+ *   0 or more, anything else uses the default
+ * OPENAI_CIRCUIT_THRESHOLD: Consecutive failures after which requests to a host fail fast
+ * OPENAI_CIRCUIT_COOLDOWN: Time (ms) requests fail fast before one is let through again
+ */
+const openaiRetryMax = Number(process.env.OPENAI_RETRY_MAX || NaN);
+export const OPENAI_RETRY_MAX = Number.isInteger(openaiRetryMax) && openaiRetryMax >= 0 ? openaiRetryMax : 3;
+export const OPENAI_RETRY_BASE_DELAY = Number(process.env.OPENAI_RETRY_BASE_DELAY) || 500;
+const openaiRetryMaxDelay = Number(process.env.OPENAI_RETRY_MAX_DELAY || NaN);
+export const OPENAI_RETRY_MAX_DELAY = Number.isInteger(openaiRetryMaxDelay) && openaiRetryMaxDelay >= 0 ? openaiRetryMaxDelay : 20000;
+export const OPENAI_CIRCUIT_THRESHOLD = Number(process.env.OPENAI_CIRCUIT_THRESHOLD) || 5;
+export const OPENAI_CIRCUIT_COOLDOWN = Number(process.env.OPENAI_CIRCUIT_COOLDOWN) || 30000;
+
+/**
+ * Provider Configuration
+ * DEFAULT_PROVIDER: Provider used by agents created without one
+ * DEFAULT_MODEL: Model used by agents created without one
+ * CHAT_COMPLETIONS_URL: Base URL of the Chat Completions API, any OpenAI-compatible server
+ *   (llama.cpp, vLLM, Ollama...) can be used, e.g. http://localhost:11434
+ * CHAT_COMPLETIONS_KEY: API key sent to the Chat Completions API, defaults to OPENAI_KEY
+ * CHAT_HISTORY_LIMIT: Number of previous messages sent with each Chat Completions request
+ */
+export const DEFAULT_PROVIDER = process.env.DEFAULT_PROVIDER || 'assistants';
+export const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'gpt-4o';
+export const CHAT_COMPLETIONS_URL = process.env.CHAT_COMPLETIONS_URL || OPENAI_URL;
+export const CHAT_COMPLETIONS_KEY = process.env.CHAT_COMPLETIONS_API_KEY || OPENAI_KEY;
+export const CHAT_HISTORY_LIMIT = Number(process.env.CHAT_HISTORY_LIMIT) || 50;
+
+/**
+ * Structured Output Configuration
+ * STRUCTURED_OUTPUT_RETRIES: Number of times an agent with a JSON schema is asked again
+ *   when its reply does not match the schema, 0 or more, anything else uses the default
+ */
+const structuredOutputRetries = Number(process.env.STRUCTURED_OUTPUT_RETRIES || NaN);
+export const STRUCTURED_OUTPUT_RETRIES = Number.isInteger(structuredOutputRetries) && structuredOutputRetries >= 0
+    ? structuredOutputRetries
+    : 2;
+
+/**
+ * Auth Configuration
+ * ADMIN_API_KEY: Key required by the admin endpoints that manage tenants and API keys,
+ *   the admin endpoints are disabled when it is not set
+ */
+export const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
+/**
+ * Logging Configuration
+ * LOG_LEVEL: Lowest level written: debug, info, warn or error
+ * LOG_OUTPUT: Where logs are written: stdout, or file for one JSON lines file per day in LOG_DIR
+ * LOG_DIR: Directory of the log files
+ * LOG_RETENTION_DAYS: Number of days log files are kept
+ */
+export const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+export const LOG_OUTPUT = process.env.LOG_OUTPUT === 'file' ? 'file' : 'stdout';
+export const LOG_DIR = process.env.LOG_DIR || 'logs';
+export const LOG_RETENTION_DAYS = Number(process.env.LOG_RETENTION_DAYS) || 5;
+
+/**
+ * Lifecycle Configuration
+ * SHUTDOWN_TIMEOUT: Time (ms) requests in flight get to finish on SIGTERM or SIGINT,
+ *   keep it below the grace period of the orchestrator
+ * SHUTDOWN_DRAIN_DELAY: Time (ms) the server keeps accepting connections with /readyz answering 503
+ *   before it stops listening, so the orchestrator sees it and routes traffic elsewhere, part of SHUTDOWN_TIMEOUT
+ * READYZ_CHECK_OPENAI: Also check that OpenAI can be reached in /readyz (READYZ_CHECK_OPENAI=true)
+ * READYZ_CHECK_TIMEOUT: Time (ms) after which a check of /readyz counts as failed
+ */
+export const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT) || 25000;
+const shutdownDrainDelay = Number(process.env.SHUTDOWN_DRAIN_DELAY || NaN);
+export const SHUTDOWN_DRAIN_DELAY = Number.isFinite(shutdownDrainDelay) && shutdownDrainDelay >= 0 ? shutdownDrainDelay : 5000;
+export const READYZ_CHECK_OPENAI = process.env.READYZ_CHECK_OPENAI === 'true';
+export const READYZ_CHECK_TIMEOUT = Number(process.env.READYZ_CHECK_TIMEOUT) || 3000;
+
+/**
+ * Agent Operation Configuration
+ * OPERATION_RETRY_INTERVAL: How often (ms) removals left by failed agent creations and deletions are retried,
+ *   the delay doubles with every failed attempt of an operation
+ * OPERATION_MAX_ATTEMPTS: Attempts before an operation is marked failed and left for reconciliation
+ * OPERATION_STALE_AFTER: Time (ms) after which a running operation is considered abandoned by a stopped process
+ */
+export const OPERATION_RETRY_INTERVAL = Number(process.env.OPERATION_RETRY_INTERVAL) || 60000;
+export const OPERATION_MAX_ATTEMPTS = Number(process.env.OPERATION_MAX_ATTEMPTS) || 8;
+export const OPERATION_STALE_AFTER = Number(process.env.OPERATION_STALE_AFTER) || 15 * 60 * 1000;
+
+/**
+ * Reconciliation Configuration
+ * RECONCILE_ORPHAN_MIN_AGE: Time (ms) an assistant or vector store without an agent must exist
+ *   before a reconciliation deletes it, so resources of agents being created are left alone
+ * RESOURCE_TAG: Metadata { app, env } set on every assistant and vector store created here, from APP_NAME
+ *   and APP_ENV. A reconciliation only deletes orphans carrying it, so deployments sharing an
+ *   organisation (e.g. staging and production) and other tools never delete each other's resources
+ */
+export const RECONCILE_ORPHAN_MIN_AGE = Number(process.env.RECONCILE_ORPHAN_MIN_AGE) || 60 * 60 * 1000;
+export const RESOURCE_TAG = Object.freeze({
+    app: process.env.APP_NAME || 'simple-chat-ai',
+    env: process.env.APP_ENV || 'development'
+});
+
+/**
+ * Trash Configuration
+ * TRASH_RETENTION_DAYS: Number of days deleted agents and conversations stay in the trash and can be restored,
+ *   after that their OpenAI assistant, vector store, files and threads are deleted for good
+ * TRASH_PURGE_INTERVAL: How often (ms) the trash is checked for items past their retention
+ */
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+export const TRASH_PURGE_INTERVAL = Number(process.env.TRASH_PURGE_INTERVAL) || 60 * 60 * 1000;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import mysql from 'mysql'
 import dotenv from 'dotenv'
 
+import { logger } from '../services/logger.js'
+
 dotenv.config()
 
 if (!process.env.DB_HOST || !process.env.DB_USER || !process.env.DB_NAME) {
@@ -27,20 +29,12 @@ const conn = mysql.createPool({
 
 conn.on('connection', (connection) => {
     connection.ping((err) => {
-        if (err) console.error('Ping error:', err);
+        if (err) logger.error('database ping failed', { error: err });
     });
 });
 
 conn.on('error', (err) => {
-    console.error('Database connection error:', err);
-});
-
-process.on('SIGINT', () => {
-    conn.end((err) => {
-        if (err) console.error('Error closing the database connection pool:', err);
-        else console.log('Database connection pool closed');
-        process.exit(0);
-    });
+    logger.error('database connection error', { error: err });
 });
 
 export default conn
\ No newline at end of file
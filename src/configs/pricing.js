@@ -0,0 +1,51 @@
+/**
+ * Model Pricing
+ * Price in USD per 1M tokens for each model, used to calculate the cost of a run.
+ * Dated model snapshots (e.g. gpt-4o-2024-08-06) use the price of their base model.
+ * Runs of models that are not listed are recorded without a cost.
+ */
+export const MODEL_PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'o1': { input: 15, output: 60 },
+    'o3-mini': { input: 1.1, output: 4.4 },
+};
+
+/**
+ * Finds the price of a model, the longest matching name wins so gpt-4o-mini is not priced as gpt-4o
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } or null if the model has no price
+ */
+export function getModelPrice(model) {
+    if (!model) {
+        return null;
+    }
+
+    const name = Object.keys(MODEL_PRICES)
+        .filter((key) => model === key || model.startsWith(`${key}-`))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return name ? MODEL_PRICES[name] : null;
+}
+
+/**
+ * Calculates the cost of a run in USD
+ * @param {string} model - Model the run used
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {number|null} Cost or null if the model has no price
+ */
+export function calculateCost(model, usage) {
+    const price = getModelPrice(model);
+    if (!price || !usage) {
+        return null;
+    }
+
+    const cost = ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1000000;
+
+    return Number(cost.toFixed(6));
+}
\ No newline at end of file
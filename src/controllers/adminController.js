@@ -0,0 +1,199 @@
+/**
+ * Admin Controller
+ *
+ * This controller handles the administration of tenants and their API keys, including:
+ * - Creating and listing tenants
+ * - Issuing API keys, the plain key is only returned once
+ * - Listing and revoking API keys
+ * - Reconciling the agents table with the OpenAI organisation
+ */
+
+import db from '../configs/db.js'
+
+// models
+import * as modelTenant from '../models/tenant.js'
+import * as modelApiKey from '../models/apiKey.js'
+
+// services
+import { reconcile } from '../services/reconciliation.js'
+
+// utils
+import { response, responseWithoutData } from '../utils/response.js'
+import { validate } from '../utils/validation.js'
+import { generateApiKey } from '../utils/apiKey.js'
+import { logError } from '../services/logError.js'
+
+/**
+ * Creates a new tenant
+ *
+ * @param {Object} req - Express request object containing the tenant name in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function createTenant(req, res, next) {
+    try {
+        const data = req.body
+
+        const error = validate(data, ["name"])
+        if (error) {
+            return res.status(400).json(responseWithoutData(400, error))
+        }
+
+        const insertData = {
+            name: String(data.name).trim(),
+            created_at: new Date(),
+            updated_at: new Date(),
+        }
+
+        const result = await modelTenant.createTenant(db, insertData)
+        res.status(200).json(response(200, "Tenant created successfully", {
+            id: result.insertId,
+            name: insertData.name
+        }))
+    } catch (error) {
+        logError(error, 'adminController', 'createTenant')
+        next(error)
+    }
+}
+
+/**
+ * Retrieves all tenants
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getAllTenants(req, res, next) {
+    try {
+        const result = await modelTenant.getAllTenants(db)
+        res.status(200).json(response(200, "Tenants fetched successfully", result))
+    } catch (error) {
+        logError(error, 'adminController', 'getAllTenants')
+        next(error)
+    }
+}
+
+/**
+ * Issues a new API key for a tenant
+ *
+ * Process:
+ * 1. Verifies the tenant exists
+ * 2. Generates a random key and stores its hash
+ * 3. Returns the plain key, it cannot be retrieved again
+ *
+ * @param {Object} req - Express request object with tenant ID in params and an optional key name in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function createApiKey(req, res, next) {
+    try {
+        const tenantId = req.params.id
+
+        const tenant = await modelTenant.getTenantById(db, tenantId)
+        if (tenant.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Tenant not found"))
+        }
+
+        const { key, prefix, hash } = generateApiKey()
+
+        const insertData = {
+            tenant_id: tenant[0].id,
+            name: req.body?.name ? String(req.body.name).trim() : null,
+            key_prefix: prefix,
+            key_hash: hash,
+            created_at: new Date(),
+        }
+
+        const result = await modelApiKey.createApiKey(db, insertData)
+        res.status(200).json(response(200, "API key created successfully, store it now as it will not be shown again", {
+            id: result.insertId,
+            tenant_id: insertData.tenant_id,
+            name: insertData.name,
+            key_prefix: prefix,
+            key,
+        }))
+    } catch (error) {
+        logError(error, 'adminController', 'createApiKey')
+        next(error)
+    }
+}
+
+/**
+ * Retrieves the API keys of a tenant, without the keys themselves
+ *
+ * @param {Object} req - Express request object with tenant ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getApiKeys(req, res, next) {
+    try {
+        const tenantId = req.params.id
+
+        const tenant = await modelTenant.getTenantById(db, tenantId)
+        if (tenant.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Tenant not found"))
+        }
+
+        const result = await modelApiKey.getApiKeysByTenantId(db, tenantId)
+        res.status(200).json(response(200, "API keys fetched successfully", result))
+    } catch (error) {
+        logError(error, 'adminController', 'getApiKeys')
+        next(error)
+    }
+}
+
+/**
+ * Revokes an API key, requests made with it are rejected from then on
+ *
+ * @param {Object} req - Express request object with API key ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function revokeApiKey(req, res, next) {
+    try {
+        const id = req.params.keyId
+
+        const apiKey = await modelApiKey.getApiKeyById(db, id)
+        if (apiKey.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "API key not found"))
+        }
+
+        if (apiKey[0].revoked_at) {
+            return res.status(409).json(responseWithoutData(409, "API key is already revoked"))
+        }
+
+        await modelApiKey.revokeApiKeyById(db, id)
+        res.status(200).json(responseWithoutData(200, "API key revoked successfully"))
+    } catch (error) {
+        logError(error, 'adminController', 'revokeApiKey')
+        next(error)
+    }
+}
+
+/**
+ * Compares the agents table with the assistants and vector stores of OpenAI
+ *
+ * Process:
+ * 1. Validates the optional fix flag, a dry run by default
+ * 2. Reports missing, orphaned and drifted resources
+ * 3. In fix mode, repairs them and reports the result of each fix
+ *
+ * @param {Object} req - Express request object with an optional fix flag in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function reconcileAgents(req, res, next) {
+    try {
+        const fix = req.body?.fix
+
+        if (fix !== undefined && typeof fix !== 'boolean') {
+            return res.status(400).json(responseWithoutData(400, "Field fix must be a boolean"))
+        }
+
+        const report = await reconcile({ fix: fix === true })
+        res.status(200).json(response(200, fix ? "Reconciliation completed" : "Reconciliation dry run completed", report))
+    } catch (error) {
+        logError(error, 'adminController', 'reconcileAgents')
+        next(error)
+    }
+}
\ No newline at end of file
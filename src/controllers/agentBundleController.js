@@ -0,0 +1,193 @@
+/**
+ * Agent Bundle Controller
+ *
+ * This controller copies agents within and between environments, including:
+ * - Exporting an agent and its knowledge-base files as a portable bundle
+ * - Importing a bundle as a new agent with its own assistant and vector store
+ * - Cloning an agent within the same environment
+ */
+
+import db from '../configs/db.js'
+
+// models
+import * as modelAgent from '../models/agent.js'
+
+// third party
+import sanitize from 'sanitize-filename'
+import sanitizeHtml from 'sanitize-html'
+
+// services
+import { exportAgentBundle, validateAgentBundle, createAgentFromBundle } from '../services/agentBundles.js'
+
+// middlewares
+import { describeApiKey } from '../middlewares/auth.js'
+
+// utils
+import { response, responseWithoutData } from '../utils/response.js'
+import { logError } from '../services/logError.js'
+
+// agent names are limited to 40 characters by the schemas, the [TEST] prefix comes on top
+const MAX_NAME_LENGTH = 40
+const NAME_PREFIX = /^\[test\] /i
+const COPY_SUFFIX = '-copy'
+
+/**
+ * Exports an agent as a bundle file
+ *
+ * Process:
+ * 1. Verifies the agent exists
+ * 2. Builds the manifest from the agent's configuration
+ * 3. Downloads its knowledge-base files from the vector store, unless `files=false`
+ * 4. Sends the bundle as a JSON attachment, it can be sent as is to the import endpoint
+ *
+ * @param {Object} req - Express request object with agent ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function exportAgent(req, res, next) {
+    try {
+        const id = req.params.id
+
+        if (!id) {
+            return res.status(400).json(responseWithoutData(400, "ID is required"))
+        }
+
+        // Verify agent exists
+        const agent = await modelAgent.getAgentById(db, id, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        const bundle = await exportAgentBundle(agent[0], { includeFiles: req.query.files !== 'false' })
+
+        res.set('Content-Disposition', `attachment; filename="agent-${agent[0].id}.json"`)
+        res.status(200).json(bundle)
+    } catch (error) {
+        logError(error, 'agentBundleController', 'exportAgent')
+        next(error)
+    }
+}
+
+/**
+ * Imports a bundle as a new agent
+ *
+ * Process:
+ * 1. Validates the bundle, its provider, model settings and tools
+ * 2. Sanitizes the name and instructions, the name can be replaced with `name` in query,
+ *    a bundle name longer than 40 characters is refused
+ * 3. Creates the assistant and vector store, uploads the files and stores the agent
+ *
+ * @param {Object} req - Express request object with the bundle in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function importAgent(req, res, next) {
+    try {
+        const bundle = req.body
+
+        const error = validateAgentBundle(bundle)
+        if (error) {
+            return res.status(400).json(responseWithoutData(400, error))
+        }
+
+        const name = req.query.name ? formatAgentName(req.query.name) : sanitize(bundle.agent.name)
+        if (name.replace(NAME_PREFIX, '').length > MAX_NAME_LENGTH) {
+            return res.status(400).json(responseWithoutData(400, `Bundle agent name must be at most ${MAX_NAME_LENGTH} characters, give another one with name in query`))
+        }
+
+        const result = await createAgentFromBundle(req.tenant.id, withAgent(bundle, name), {
+            changedBy: describeApiKey(req)
+        })
+
+        res.status(200).json(response(200, "Agent imported successfully", formatResult(result)))
+    } catch (error) {
+        logError(error, 'agentBundleController', 'importAgent')
+        next(error)
+    }
+}
+
+/**
+ * Clones an agent within this environment
+ * The clone gets its own assistant, vector store and copies of the files
+ *
+ * @param {Object} req - Express request object with agent ID in params and an optional name in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function cloneAgent(req, res, next) {
+    try {
+        const id = req.params.id
+
+        if (!id) {
+            return res.status(400).json(responseWithoutData(400, "ID is required"))
+        }
+
+        if (req.body?.name !== undefined && (typeof req.body.name !== 'string' || !req.body.name.trim())) {
+            return res.status(400).json(responseWithoutData(400, "Field name must be a non-empty string"))
+        }
+
+        // Verify agent exists
+        const agent = await modelAgent.getAgentById(db, id, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        const bundle = await exportAgentBundle(agent[0])
+        const name = req.body?.name ? formatAgentName(req.body.name) : getCopyName(agent[0].name)
+
+        const result = await createAgentFromBundle(req.tenant.id, withAgent(bundle, name), {
+            changedBy: describeApiKey(req)
+        })
+
+        // Files the source could not give back are missing from the clone too
+        result.skipped_files.push(...bundle.skipped_files)
+
+        res.status(200).json(response(200, "Agent cloned successfully", formatResult(result)))
+    } catch (error) {
+        logError(error, 'agentBundleController', 'cloneAgent')
+        next(error)
+    }
+}
+
+/**
+ * Formats a name given by the client the same way as when an agent is created
+ * @param {string} name
+ * @returns {string}
+ */
+function formatAgentName(name) {
+    return `[TEST] ${sanitize(String(name).replace(/ /g, '-')).toLowerCase()}`
+}
+
+/**
+ * Name of a clone when the client gives none, the source name is shortened to leave room for the suffix
+ * @param {string} name - Name of the source agent
+ * @returns {string}
+ */
+function getCopyName(name) {
+    const base = String(name).replace(NAME_PREFIX, '').slice(0, MAX_NAME_LENGTH - COPY_SUFFIX.length)
+    return formatAgentName(`${base}${COPY_SUFFIX}`)
+}
+
+/**
+ * Copies a bundle with the new agent's name and sanitized instructions
+ */
+function withAgent(bundle, name) {
+    return {
+        ...bundle,
+        agent: {
+            ...bundle.agent,
+            name,
+            instructions: sanitizeHtml(bundle.agent.instructions)
+        }
+    }
+}
+
+function formatResult(result) {
+    return {
+        id: result.agent.id,
+        name: result.agent.name,
+        version: result.agent.version,
+        files: result.files,
+        skipped_files: result.skipped_files
+    }
+}
\ No newline at end of file
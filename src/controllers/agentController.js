@@ -2,7 +2,7 @@
  * Agent Controller
  * 
  * This controller handles all operations related to AI agents including:
- * - Creating new agents with OpenAI assistants
+ * - Creating new agents on their provider (OpenAI assistants or Chat Completions)
  * - Managing agent metadata and configurations
  * - Handling CRUD operations for agents
  * - Integrating with OpenAI's API for assistant and vector store management
@@ -12,33 +12,52 @@ import db from '../configs/db.js'
 
 // models
 import * as model from '../models/agent.js'
+import * as modelUsage from '../models/usage.js'
 
 // third party
 import sanitize from 'sanitize-filename'
 import sanitizeHtml from 'sanitize-html';
 
 // services
-import OpenAIService from '../services/openaiService.js'
+import { createAgentVersion, ensureAgentVersion, hasVersionedChanges } from '../services/agentVersions.js'
+import { provisionAgent } from '../services/agents.js'
+import { getPurgeDate, moveAgentToTrash } from '../services/trash.js'
+
+// middlewares
+import { describeApiKey } from '../middlewares/auth.js'
+
+// providers
+import { getProvider, getProviderNames, isProvider } from '../providers/index.js'
+
+// tools
+import { validateToolNames, parseAgentTools } from '../tools/index.js'
+
+// configs
+import { DEFAULT_MODEL, DEFAULT_PROVIDER } from '../configs/constants.js'
 
 // utils
 import { response, responseWithoutData } from '../utils/response.js'
 import { validate } from '../utils/validation.js'
+import { validateAgentConfig, getAgentConfig, getAgentSettings, serializeResponseFormat } from '../utils/agentConfig.js'
 import { logError } from '../services/logError.js';
 
 /**
- * Creates a new agent with associated OpenAI assistant and vector store
+ * Creates a new agent on its provider
  * 
  * Process:
- * 1. Validates required input fields (name, instructions)
+ * 1. Validates required input fields (name, instructions), enabled tools, provider,
+ *    model settings (model, description, temperature, top_p, response_format) and budgets
  * 2. Sanitizes the agent name and instructions for security
- * 3. Creates a vector store for the agent
- * 4. Creates an OpenAI assistant with specified configuration
- * 5. Stores agent metadata in the database
+ * 3. Creates the agent's resources on its provider, for the assistants provider
+ *    a vector store and an OpenAI assistant
+ * 4. Stores agent metadata in the database
+ * 5. Stores the initial configuration as version 1
  * 
  * @param {Object} req - Express request object containing agent data in body
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-export async function createAgent(req, res) {
+export async function createAgent(req, res, next) {
     try {
         const data = req.body
 
@@ -48,75 +67,77 @@ export async function createAgent(req, res) {
             return res.status(400).json(responseWithoutData(400, error))
         }
 
-        // Initialize OpenAI service for API operations
-        const openAIService = new OpenAIService()
+        // Validate the local tools the agent may call
+        const toolsError = validateToolNames(data.tools ?? [])
+        if (toolsError) {
+            return res.status(400).json(responseWithoutData(400, toolsError))
+        }
+        const toolNames = [...new Set(data.tools ?? [])]
+
+        // Validate the provider and model the agent runs on
+        const providerName = data.provider ?? DEFAULT_PROVIDER
+        if (!isProvider(providerName)) {
+            return res.status(400).json(responseWithoutData(400, `Unknown provider: ${providerName}. Available providers: ${getProviderNames().join(', ')}`))
+        }
+
+        // Validate the model settings
+        const configError = validateAgentConfig(data)
+        if (configError) {
+            return res.status(400).json(responseWithoutData(400, configError))
+        }
+        const modelName = data.model ?? DEFAULT_MODEL
+
+        const budgetError = validateBudgets(data)
+        if (budgetError) {
+            return res.status(400).json(responseWithoutData(400, budgetError))
+        }
 
         // Sanitize and format agent name for system use
         const sanitizedName = sanitize(data.name.replace(/ /g, '-')).toLowerCase()
         const assistantName = `[TEST] ${sanitizedName}`
 
-        // Create vector store for document search capabilities
-        const vectorStore = await openAIService.createStoreVector(assistantName)
-
         // Sanitize instructions to prevent XSS and other injection attacks
         const sanitizedInstructions = sanitizeHtml(data.instructions)
 
-        // configure assistant data
-        // name: this is the name of the assistant
-        // instructions: 
-        // model: this is the model that the assistant will use to search for documents
-        // tools: this is the tool that the assistant will use to search for documents
-        // tool_resources: this is the vector store id that the assistant will use to search for documents
-        // file_search: this is the vector store id that the assistant will use to search for documents
-        // response_format: default is text, can be json_object, json_schema, or text
-        // temperature: default is 0.7, can be 0.0 to 1.0. 0.0 is the most deterministic, 1.0 is the most random.
-        const assistantDataOpenAI = {
-            name: assistantName,
-            instructions: sanitizedInstructions,
-            model: 'gpt-4o',
-            tools: [{ "type": "file_search" }],
-            tool_resources: { "file_search": { "vector_store_ids": [vectorStore?.id] } },
-            // temperature: 1, 
-            // response_format: { type: "json_object" } // or "text", or { type: "json_schema", schema: { ... } }
-        };
-
-        // Create the OpenAI assistant
-        const openAIAssistant = await openAIService.createAssistant(assistantDataOpenAI)
-
-        // Prepare data for database insertion
-        const inserData = {
+        // Create the agent's resources on its provider and store the agent with its first version
+        const agent = await provisionAgent(req.tenant.id, {
             name: assistantName,
             instructions: sanitizedInstructions,
-            assistant_id: openAIAssistant?.id,
-            vector_store_id: vectorStore?.id,
-            created_at: new Date(),
-            updated_at: new Date(),
-        }
+            provider: providerName,
+            description: data.description,
+            model: modelName,
+            temperature: data.temperature,
+            top_p: data.top_p,
+            response_format: data.response_format,
+            tools: toolNames,
+            monthly_token_budget: data.monthly_token_budget,
+            monthly_cost_budget: data.monthly_cost_budget
+        }, { changedBy: describeApiKey(req) })
 
-        // Store agent data in database
-        const result = await model.createAgent(db, inserData)
         res.status(200).json(response(200, "Agent created successfully", {
-            id: result.insertId,
+            id: agent.id,
+            version: agent.version
         }))
     } catch (error) {
         logError(error, 'agentController', 'createAgent')
-        res.status(500).json(response(500, "Internal server error", error))
+        next(error)
     }
 }
 
 /**
- * Retrieves all agents from the database
+ * Retrieves all agents of the caller's tenant from the database
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-export async function getAllAgents(req, res) {
+export async function getAllAgents(req, res, next) {
     try {
-        const result = await model.getAllAgents(db)
+        const result = await model.getAllAgents(db, req.tenant.id)
         res.status(200).json(response(200, "Agents fetched successfully", result))
     } catch (error) {
         logError(error, 'agentController', 'getAllAgents')
-        res.status(500).json(response(500, "Internal server error", error))
+        next(error)
     }
 }
 
@@ -127,11 +148,13 @@ export async function getAllAgents(req, res) {
  * 1. Validates the presence of ID parameter
  * 2. Queries database for agent with matching ID
  * 3. Returns 404 if agent not found
+ * 4. Adds the effective configuration, the agent's settings merged over the defaults
  * 
  * @param {Object} req - Express request object with agent ID in params
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-export async function getAgentById(req, res) {
+export async function getAgentById(req, res, next) {
     try {
         // Validate ID parameter
         const id = req.params.id
@@ -140,16 +163,19 @@ export async function getAgentById(req, res) {
         }
 
         // Retrieve agent from database
-        const result = await model.getAgentById(db, id)
+        const result = await model.getAgentById(db, id, req.tenant.id)
 
         if (result.length === 0) {
             return res.status(404).json(responseWithoutData(404, "Agent not found"))
         }
 
-        res.status(201).json(response(200, "Agent fetched successfully", result[0]))
+        res.status(201).json(response(200, "Agent fetched successfully", {
+            ...result[0],
+            config: getAgentConfig(result[0])
+        }))
     } catch (error) {
         logError(error, 'agentController', 'getAgentById')
-        res.status(500).json(response(500, "Internal server error", error))
+        next(error)
     }
 }
 
@@ -159,13 +185,14 @@ export async function getAgentById(req, res) {
  * Process:
  * 1. Validates ID and required fields
  * 2. Retrieves existing agent
- * 3. Updates OpenAI assistant if name or instructions changed
- * 4. Updates database record
+ * 3. Syncs the agent's provider if name, instructions, tools or model settings changed
+ * 4. Updates database record, together with the new configuration stored as the next version of the agent
  * 
  * @param {Object} req - Express request object with agent ID in params and update data in body
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-export async function updateAgentById(req, res) {
+export async function updateAgentById(req, res, next) {
     try {
         const id = req.params.id
 
@@ -181,14 +208,41 @@ export async function updateAgentById(req, res) {
             return res.status(400).json(responseWithoutData(400, error))
         }
 
+        // Validate the local tools the agent may call, if they are changed
+        if (data.tools !== undefined) {
+            const toolsError = validateToolNames(data.tools)
+            if (toolsError) {
+                return res.status(400).json(responseWithoutData(400, toolsError))
+            }
+        }
+
+        // Validate the model settings, if they are changed
+        const configError = validateAgentConfig(data)
+        if (configError) {
+            return res.status(400).json(responseWithoutData(400, configError))
+        }
+
+        const budgetError = validateBudgets(data)
+        if (budgetError) {
+            return res.status(400).json(responseWithoutData(400, budgetError))
+        }
+
         // Retrieve existing agent
-        let agent = await model.getAgentById(db, id)
+        let agent = await model.getAgentById(db, id, req.tenant.id)
         if (agent.length === 0) {
             return res.status(404).json(responseWithoutData(404, "Agent not found"))
         }
 
         agent = agent[0]
 
+        // Agents created before versioning get their current state stored as version 1 first
+        await ensureAgentVersion(agent)
+
+        // Moving an agent to another provider would lose its resources and history
+        if (data.provider !== undefined && data.provider !== (agent.provider || DEFAULT_PROVIDER)) {
+            return res.status(400).json(responseWithoutData(400, "The provider of an agent cannot be changed"))
+        }
+
         let updateName = agent.name
         let updateInstructions = agent.instructions
 
@@ -205,44 +259,88 @@ export async function updateAgentById(req, res) {
             updateInstructions = sanitizeHtml(data.instructions)
         }
 
-        // Update OpenAI assistant if changes detected
-        if ((updateName !== agent.name) || (updateInstructions !== agent.instructions)) {
-            const openAIService = new OpenAIService()
-            await openAIService.updateAssistant(agent.assistant_id, {
+        // Process tools update if changed
+        const currentTools = parseAgentTools(agent)
+        const updateTools = data.tools !== undefined ? [...new Set(data.tools)] : currentTools
+        const toolsChanged = JSON.stringify(updateTools) !== JSON.stringify(currentTools)
+
+        // Process model settings update if changed, null resets a setting to its default
+        const currentSettings = getAgentSettings(agent)
+        const settingChanges = {}
+        for (const field of SETTING_FIELDS) {
+            if (data[field] !== undefined && JSON.stringify(data[field]) !== JSON.stringify(currentSettings[field])) {
+                settingChanges[field] = data[field]
+            }
+        }
+        const settingsChanged = Object.keys(settingChanges).length > 0
+
+        // Sync the provider if changes detected
+        if ((updateName !== agent.name) || (updateInstructions !== agent.instructions) || toolsChanged || settingsChanged) {
+            const changes = {
                 name: updateName,
-                instructions: updateInstructions
-            })
+                instructions: updateInstructions,
+                ...settingChanges
+            }
+
+            if (toolsChanged) {
+                changes.tools = updateTools
+            }
+
+            const provider = getProvider(agent)
+            await provider.updateAgent(agent, changes)
         }
 
         // Update database record
         const updateData = {
             name: updateName,
-            instructions: updateInstructions
+            instructions: updateInstructions,
+            model: currentSettings.model,
+            tools: JSON.stringify(updateTools),
+            ...settingChanges
         }
 
-        await model.updateAgentById(db, updateData, id)
-        res.status(200).json(responseWithoutData(200, "Agent updated successfully"))
+        if ('response_format' in settingChanges) {
+            updateData.response_format = serializeResponseFormat(settingChanges.response_format)
+        }
+
+        // Budgets are only local, null removes a budget
+        for (const field of BUDGET_FIELDS) {
+            if (data[field] !== undefined) {
+                updateData[field] = data[field]
+            }
+        }
+
+        // Keep a snapshot of the change together with it, budgets alone are not versioned
+        let version = agent.version
+        if (hasVersionedChanges(agent, { ...agent, ...updateData })) {
+            version = await createAgentVersion(agent, { changes: updateData, changedBy: describeApiKey(req) })
+        } else {
+            await model.updateAgentById(db, updateData, id, req.tenant.id)
+        }
+
+        res.status(200).json(response(200, "Agent updated successfully", { version }))
 
     } catch (error) {
         logError(error, 'agentController', 'updateAgentById')
-        res.status(500).json(response(500, "Internal server error", error))
+        next(error)
     }
 }
 
 /**
- * Deletes an agent by ID
+ * Moves an agent to the trash
  * 
  * Process:
  * 1. Validates ID parameter
  * 2. Retrieves agent to ensure it exists
- * 3. Deletes associated vector store
- * 4. Deletes associated OpenAI assistant
- * 5. Removes database record
+ * 3. Sets deleted_at, the agent leaves every lookup but keeps its assistant, vector store and files,
+ *    its active conversations are moved to the trash with it
+ * 4. Answers with the date the agent is purged, until then it can be restored from the trash
  * 
  * @param {Object} req - Express request object with agent ID in params
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-export async function deleteAgentById(req, res) {
+export async function deleteAgentById(req, res, next) {
     try {
         const id = req.params.id
 
@@ -251,39 +349,131 @@ export async function deleteAgentById(req, res) {
         }
         
         // Verify agent exists
-        let agent = await model.getAgentById(db, id)
+        const agent = await model.getAgentById(db, id, req.tenant.id)
         if (agent.length === 0) {
             return res.status(404).json(responseWithoutData(404, "Agent not found"))
         }
 
-        agent = agent[0]
+        // The resources are deleted by the trash purge
+        const deletedAt = await moveAgentToTrash(agent[0])
+
+        res.status(200).json(response(200, "Agent moved to the trash", {
+            id: agent[0].id,
+            deleted_at: deletedAt,
+            purge_at: getPurgeDate(deletedAt)
+        }))
+    } catch (error) {
+        logError(error, 'agentController', 'deleteAgentById')
+        next(error)
+    }
+}
+
+/**
+ * Retrieves the daily token usage and cost of an agent
+ * 
+ * Process:
+ * 1. Validates agent ID and the optional from and to dates
+ * 2. Verifies the agent exists
+ * 3. Sums the usage of the agent's runs per day
+ * 
+ * @param {Object} req - Express request object with agent ID in params, from and to in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getAgentUsage(req, res, next) {
+    try {
+        const id = req.params.id
+
+        if (!id) {
+            return res.status(400).json(responseWithoutData(400, "ID is required"))
+        }
 
-        // Initialize OpenAI service
-        const openAIService = new OpenAIService()
+        const { from, to } = req.query
 
-        // Delete vector store if exists
-        if(agent.vector_store_id) {
-            try {
-                await openAIService.deleteStoreVector(agent.vector_store_id)
-            } catch (error) {
-                logError(error, 'agentController', 'deleteAgentById')
-            }
+        // Dates are inclusive, a plain date in `to` covers the whole day
+        const fromDate = from ? new Date(from) : null
+        const toDate = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999` : to) : null
+
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return res.status(400).json(responseWithoutData(400, "From and to must be valid dates"))
         }
 
-        // Delete OpenAI assistant if exists
-        if(agent.assistant_id) {
-            try {
-                await openAIService.deleteAssistant(agent.assistant_id)
-            } catch (error) {
-                logError(error, 'agentController', 'deleteAgentById')
-            }
+        // Verify agent exists
+        const agent = await model.getAgentById(db, id, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
         }
 
-        // Remove database record
-        await model.deleteAgentById(db, id)
-        res.status(200).json(responseWithoutData(200, "Agent deleted successfully"))
+        const rows = await modelUsage.getDailyUsageByAgentId(db, id, { from: fromDate, to: toDate }, req.tenant.id)
+
+        const days = rows.map((row) => ({
+            date: row.date instanceof Date ? formatDate(row.date) : String(row.date),
+            runs: Number(row.runs),
+            prompt_tokens: Number(row.prompt_tokens),
+            completion_tokens: Number(row.completion_tokens),
+            total_tokens: Number(row.total_tokens),
+            cost: row.cost === null ? null : Number(row.cost),
+        }))
+
+        const total = days.reduce((sum, day) => ({
+            runs: sum.runs + day.runs,
+            prompt_tokens: sum.prompt_tokens + day.prompt_tokens,
+            completion_tokens: sum.completion_tokens + day.completion_tokens,
+            total_tokens: sum.total_tokens + day.total_tokens,
+            cost: Number((sum.cost + (day.cost || 0)).toFixed(6)),
+        }), { runs: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 })
+
+        res.status(200).json(response(200, "Usage fetched successfully", {
+            agent_id: agent[0].id,
+            monthly_token_budget: agent[0].monthly_token_budget,
+            monthly_cost_budget: agent[0].monthly_cost_budget === null ? null : Number(agent[0].monthly_cost_budget),
+            days,
+            total
+        }))
     } catch (error) {
-        logError(error, 'agentController', 'deleteAgentById')
-        res.status(500).json(response(500, "Internal server error", error))
+        logError(error, 'agentController', 'getAgentUsage')
+        next(error)
+    }
+}
+
+// model settings that can be changed on update
+const SETTING_FIELDS = ['model', 'description', 'temperature', 'top_p', 'response_format']
+
+// monthly budgets an agent can have, null or missing means no budget
+const BUDGET_FIELDS = ['monthly_token_budget', 'monthly_cost_budget']
+
+/**
+ * Validates the optional monthly budgets of an agent
+ * @param {Object} data - Request body
+ * @returns {string|null} Error message or null if valid
+ */
+function validateBudgets(data) {
+    for (const field of BUDGET_FIELDS) {
+        const value = data[field]
+        if (value === undefined || value === null) {
+            continue
+        }
+
+        if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+            return `Field ${field} must be a non-negative number or null`
+        }
+
+        if (field === 'monthly_token_budget' && !Number.isInteger(value)) {
+            return `Field ${field} must be an integer`
+        }
     }
+
+    return null
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time, as returned by DATE() in MySQL
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+    const year = date.getFullYear()
+    const month = String(date.getMonth() + 1).padStart(2, '0')
+    const day = String(date.getDate()).padStart(2, '0')
+    return `${year}-${month}-${day}`
 }
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Agent File Controller
+ *
+ * This controller manages the knowledge-base documents of an agent, including:
+ * - Uploading documents to OpenAI and attaching them to the agent's vector store
+ * - Listing the documents tracked for an agent
+ * - Removing documents from the vector store and OpenAI storage
+ */
+
+import db from '../configs/db.js'
+
+// models
+import * as model from '../models/agentFile.js'
+import * as modelAgent from '../models/agent.js'
+
+// services
+import { addAgentFile, removeAgentFile } from '../services/agents.js'
+
+// middlewares
+import { removeUploadedFile } from '../middlewares/upload.js'
+
+// utils
+import { response, responseWithoutData } from '../utils/response.js'
+import { logError } from '../services/logError.js'
+
+/**
+ * Uploads a document and attaches it to the agent's vector store
+ *
+ * Process:
+ * 1. Validates agent ID and uploaded file
+ * 2. Verifies the agent exists and has a vector store
+ * 3. Uploads the file to OpenAI
+ * 4. Attaches the file to the agent's vector store
+ * 5. Stores the file metadata in the database
+ *
+ * @param {Object} req - Express request object with agent ID in params and the file from multer
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function uploadAgentFile(req, res, next) {
+    const file = req.file
+
+    try {
+        const agentId = req.params.id
+
+        if (!agentId) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID is required"))
+        }
+
+        if (!file) {
+            return res.status(400).json(responseWithoutData(400, "Missing required field: file"))
+        }
+
+        // Verify agent exists
+        let agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+        agent = agent[0]
+
+        if (!agent.vector_store_id) {
+            return res.status(400).json(responseWithoutData(400, "Agent has no vector store"))
+        }
+
+        // Upload file to OpenAI, attach it to the vector store and store its metadata
+        const agentFile = await addAgentFile(agent, file.path, file.originalname, file.size)
+
+        res.status(200).json(response(200, "File uploaded successfully", agentFile))
+    } catch (error) {
+        logError(error, 'agentFileController', 'uploadAgentFile')
+        next(error)
+    } finally {
+        // The file now lives in OpenAI, the local copy is no longer needed
+        removeUploadedFile(file?.path)
+    }
+}
+
+/**
+ * Retrieves all documents tracked for an agent
+ *
+ * @param {Object} req - Express request object with agent ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getAgentFiles(req, res, next) {
+    try {
+        const agentId = req.params.id
+
+        if (!agentId) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID is required"))
+        }
+
+        // Verify agent exists
+        const agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        const result = await model.getAgentFilesByAgentId(db, agentId)
+        res.status(200).json(response(200, "Files fetched successfully", result))
+    } catch (error) {
+        logError(error, 'agentFileController', 'getAgentFiles')
+        next(error)
+    }
+}
+
+/**
+ * Removes a document from an agent
+ *
+ * Process:
+ * 1. Validates agent ID and file ID
+ * 2. Verifies the file belongs to the agent
+ * 3. Detaches the file from the agent's vector store and deletes it from OpenAI storage
+ *    through a delete_file operation
+ * 4. Removes database record once OpenAI has deleted the file, otherwise the operation
+ *    retries in the background and the answer is 202
+ *
+ * @param {Object} req - Express request object with agent ID and file ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function deleteAgentFile(req, res, next) {
+    try {
+        const agentId = req.params.id
+        const fileId = req.params.fileId
+
+        if (!agentId || !fileId) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID and file ID are required"))
+        }
+
+        // Verify agent exists
+        let agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+        agent = agent[0]
+
+        // Verify file belongs to the agent
+        let agentFile = await model.getAgentFileById(db, agentId, fileId)
+        if (agentFile.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "File not found"))
+        }
+        agentFile = agentFile[0]
+
+        // Detach and delete the file, the record goes once OpenAI has deleted it
+        const operation = await removeAgentFile(agent, agentFile)
+        if (operation.status !== 'completed') {
+            return res.status(202).json(response(202, "File deletion queued for retry", {
+                operation_id: operation.id,
+                status: operation.status
+            }))
+        }
+
+        res.status(200).json(responseWithoutData(200, "File deleted successfully"))
+    } catch (error) {
+        logError(error, 'agentFileController', 'deleteAgentFile')
+        next(error)
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * Agent Version Controller
+ *
+ * This controller manages the configuration history of an agent, including:
+ * - Listing the stored versions of an agent
+ * - Comparing two versions
+ * - Rolling an agent back to an earlier version and syncing its provider
+ */
+
+import db from '../configs/db.js'
+
+// models
+import * as model from '../models/agentVersion.js'
+import * as modelAgent from '../models/agent.js'
+
+// services
+import { createAgentVersion, ensureAgentVersion, formatAgentVersion, diffSnapshots, snapshotToAgentFields } from '../services/agentVersions.js'
+
+// providers
+import { getProvider } from '../providers/index.js'
+
+// middlewares
+import { describeApiKey } from '../middlewares/auth.js'
+
+// utils
+import { response, responseWithoutData } from '../utils/response.js'
+import { getAgentSettings } from '../utils/agentConfig.js'
+import { diffLines } from '../utils/diff.js'
+import { logError } from '../services/logError.js'
+
+/**
+ * Retrieves all versions of an agent, newest first
+ *
+ * @param {Object} req - Express request object with agent ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getAgentVersions(req, res, next) {
+    try {
+        const agentId = req.params.id
+
+        if (!agentId) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID is required"))
+        }
+
+        // Verify agent exists
+        const agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        const versions = await model.getAgentVersionsByAgentId(db, agentId, req.tenant.id)
+
+        res.status(200).json(response(200, "Versions fetched successfully", {
+            current_version: agent[0].version,
+            versions: versions.map(formatAgentVersion)
+        }))
+    } catch (error) {
+        logError(error, 'agentVersionController', 'getAgentVersions')
+        next(error)
+    }
+}
+
+/**
+ * Retrieves a single version of an agent
+ *
+ * @param {Object} req - Express request object with agent ID and version in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getAgentVersion(req, res, next) {
+    try {
+        const { id: agentId, version } = req.params
+
+        if (!agentId || !version) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID and version are required"))
+        }
+
+        if (isNaN(version)) {
+            return res.status(400).json(responseWithoutData(400, "Version must be a number"))
+        }
+
+        const result = await model.getAgentVersion(db, agentId, version, req.tenant.id)
+        if (result.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Version not found"))
+        }
+
+        res.status(200).json(response(200, "Version fetched successfully", formatAgentVersion(result[0])))
+    } catch (error) {
+        logError(error, 'agentVersionController', 'getAgentVersion')
+        next(error)
+    }
+}
+
+/**
+ * Compares two versions of an agent
+ *
+ * Process:
+ * 1. Validates the from and to versions, to defaults to the current version
+ * 2. Retrieves both versions
+ * 3. Lists the changed fields, with a line diff of the instructions
+ *
+ * @param {Object} req - Express request object with agent ID in params, from and to in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function diffAgentVersions(req, res, next) {
+    try {
+        const agentId = req.params.id
+        const { from, to } = req.query
+
+        if (!agentId) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID is required"))
+        }
+
+        if (!from || isNaN(from) || (to !== undefined && isNaN(to))) {
+            return res.status(400).json(responseWithoutData(400, "From must be a version number, to is optional"))
+        }
+
+        // Verify agent exists
+        const agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        const toVersion = to ?? agent[0].version
+
+        const [fromResult, toResult] = await Promise.all([
+            model.getAgentVersion(db, agentId, from, req.tenant.id),
+            toVersion ? model.getAgentVersion(db, agentId, toVersion, req.tenant.id) : []
+        ])
+
+        if (fromResult.length === 0 || toResult.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Version not found"))
+        }
+
+        const fromVersion = formatAgentVersion(fromResult[0])
+        const targetVersion = formatAgentVersion(toResult[0])
+        const changes = diffSnapshots(fromVersion, targetVersion)
+
+        res.status(200).json(response(200, "Versions compared successfully", {
+            from: fromVersion.version,
+            to: targetVersion.version,
+            changes,
+            instructions_diff: changes.some((change) => change.field === 'instructions')
+                ? diffLines(fromVersion.instructions, targetVersion.instructions)
+                : []
+        }))
+    } catch (error) {
+        logError(error, 'agentVersionController', 'diffAgentVersions')
+        next(error)
+    }
+}
+
+/**
+ * Rolls an agent back to an earlier version
+ *
+ * Process:
+ * 1. Retrieves the agent and the version to restore
+ * 2. Syncs the restored configuration to the agent's provider
+ * 3. Updates database record and stores the restored configuration as a new version in one transaction,
+ *    the history is never rewritten
+ *
+ * @param {Object} req - Express request object with agent ID and version in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function rollbackAgentVersion(req, res, next) {
+    try {
+        const { id: agentId, version } = req.params
+
+        if (!agentId || !version) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID and version are required"))
+        }
+
+        if (isNaN(version)) {
+            return res.status(400).json(responseWithoutData(400, "Version must be a number"))
+        }
+
+        // Verify agent exists
+        let agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+        agent = agent[0]
+
+        const target = await model.getAgentVersion(db, agentId, version, req.tenant.id)
+        if (target.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Version not found"))
+        }
+
+        await ensureAgentVersion(agent)
+
+        if (Number(version) === agent.version) {
+            return res.status(409).json(responseWithoutData(409, "Agent is already at this version"))
+        }
+
+        const snapshot = formatAgentVersion(target[0])
+        const updateData = snapshotToAgentFields(snapshot)
+
+        // Sync the provider with the whole restored configuration
+        const restored = { ...agent, ...updateData }
+        const settings = getAgentSettings(restored)
+        const provider = getProvider(agent)
+        await provider.updateAgent(agent, {
+            name: restored.name,
+            instructions: restored.instructions,
+            description: settings.description,
+            model: settings.model,
+            temperature: settings.temperature,
+            top_p: settings.top_p,
+            response_format: settings.response_format,
+            tools: settings.tools
+        })
+
+        // Update database record and store the restored state as a new version
+        const newVersion = await createAgentVersion(agent, {
+            changes: updateData,
+            changedBy: describeApiKey(req),
+            restoredFrom: snapshot.version
+        })
+
+        res.status(200).json(response(200, "Agent rolled back successfully", {
+            version: newVersion,
+            restored_from: snapshot.version
+        }))
+    } catch (error) {
+        logError(error, 'agentVersionController', 'rollbackAgentVersion')
+        next(error)
+    }
+}
\ No newline at end of file
@@ -15,35 +15,60 @@ import * as modelAgent from '../models/agent.js'
 
 // services
 import OpenAIService from '../services/openaiService.js'
+import { saveUserMessage, saveAssistantMessage, listLocalMessages } from '../services/transcript.js'
+import { recordRunUsage, getExceededBudget } from '../services/usage.js'
+import { lockThread, withThreadLock } from '../services/threadLock.js'
+import { trackInFlight } from '../services/lifecycle.js'
+import { getPurgeDate } from '../services/trash.js'
+
+// providers
+import { getProvider } from '../providers/index.js'
+
+// tools
+import { createToolRunner } from '../tools/index.js'
+
+// configs
+import { STRUCTURED_OUTPUT_RETRIES, OPENAI_RUN_TIMEOUT } from '../configs/constants.js'
 
 // utils
 import { response, responseWithoutData } from '../utils/response.js'
 import { validate } from '../utils/validation.js'
-import { removeCitations } from '../utils/textFormat.js'
+import { removeCitations, createCitationStripper } from '../utils/textFormat.js'
+import { parsePagination, paginationMeta } from '../utils/pagination.js'
+import { getOutputSchema } from '../utils/agentConfig.js'
+import { validateStructuredReply, buildRepairPrompt } from '../utils/structuredOutput.js'
+import { RunError, toAppError } from '../utils/errors.js'
 import { logError } from '../services/logError.js'
 
 /**
- * Retrieves or creates a conversation thread for a specific agent
+ * Retrieves or creates the conversation of an end user with a specific agent
  * 
  * Process:
- * 1. Validates agent ID
+ * 1. Validates agent ID and user ID
  * 2. Retrieves agent information
- * 3. Fetches existing conversation or creates new thread
+ * 3. Fetches the user's latest conversation or creates a new thread
  * 4. Returns conversation metadata with agent details
  * 
- * @param {Object} req - Express request object with agent ID in params
+ * @param {Object} req - Express request object with agent ID in params and user ID in query
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-export async function getConversationByAgentId(req, res) {
+export async function getConversationByAgentId(req, res, next) {
     try {
         const agentId = req.params.id
+        const userId = req.query.user_id
 
         if (!agentId) {
             return res.status(400).json(responseWithoutData(400, "Agent ID is required"))
         }
 
+        // Every end user gets their own thread, so context is never shared between users
+        if (!userId) {
+            return res.status(400).json(responseWithoutData(400, "User ID is required"))
+        }
+
         // Verify agent exists and get details
-        let agent = await modelAgent.getAgentById(db, agentId)
+        let agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
 
         if (agent.length === 0) {
             return res.status(404).json(responseWithoutData(404, "Agent not found"))
@@ -52,39 +77,171 @@ export async function getConversationByAgentId(req, res) {
         agent = agent[0]
 
         // Get existing conversation or prepare for new one
-        let result = await model.getConversationByAgentId(db, agentId)
+        let result = await model.getConversationByAgentIdAndUserId(db, agentId, userId, req.tenant.id)
 
-        let threadId = null
+        let conversation = result[0]
 
         // Create new thread if no conversation exists
-        if (result.length === 0) {
-            const openAIService = new OpenAIService()
-            threadId = await openAIService.createThread()
-            threadId = threadId.id
-
-            // Store new conversation thread in database
-            await model.createConversation(db, {
-                agent_id: agentId,
-                thread_id: threadId,
-                created_at: new Date(),
-                updated_at: new Date()
-            })
-        } else {
-            threadId = result[0].thread_id
+        if (!conversation) {
+            conversation = await startConversation(agent, userId)
         }
 
-        result = result[0]
-
         // Prepare response with thread and agent information
         const showResult = {
-            thread_id: threadId,
+            id: conversation.id,
+            thread_id: conversation.thread_id,
+            user_id: conversation.user_id,
             agent: agent
         }
 
         res.status(200).json(response(200, "Conversations fetched successfully", showResult))
     } catch (error) {
         logError(error, 'conversationController', 'getConversationByAgentId')
-        res.status(500).json(response(500, "Internal server error", error))
+        next(error)
+    }
+}
+
+/**
+ * Creates a new conversation thread for an end user with a specific agent
+ * 
+ * @param {Object} req - Express request object with agent ID in params and user ID in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function createConversation(req, res, next) {
+    try {
+        const agentId = req.params.id
+        const data = req.body
+
+        if (!agentId) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID is required"))
+        }
+
+        const validationError = validate(data, ['user_id'])
+        if (validationError) {
+            return res.status(400).json(responseWithoutData(400, validationError))
+        }
+
+        // Verify agent exists
+        const agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        const conversation = await startConversation(agent[0], String(data.user_id))
+
+        res.status(200).json(response(200, "Conversation created successfully", conversation))
+    } catch (error) {
+        logError(error, 'conversationController', 'createConversation')
+        next(error)
+    }
+}
+
+/**
+ * Lists the conversations of an agent, newest first
+ * 
+ * @param {Object} req - Express request object with agent_id, optional user_id, page and limit in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getConversations(req, res, next) {
+    try {
+        const agentId = req.query.agent_id
+        const userId = req.query.user_id
+
+        if (!agentId) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID is required"))
+        }
+
+        // Verify agent exists
+        const agent = await modelAgent.getAgentById(db, agentId, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        const { page, limit, offset } = parsePagination(req.query)
+
+        const [items, total] = await Promise.all([
+            model.getConversationsByAgentId(db, agentId, { userId, limit, offset }, req.tenant.id),
+            model.countConversationsByAgentId(db, agentId, { userId }, req.tenant.id)
+        ])
+
+        res.status(200).json(response(200, "Conversations fetched successfully", {
+            items,
+            pagination: paginationMeta(page, limit, total)
+        }))
+    } catch (error) {
+        logError(error, 'conversationController', 'getConversations')
+        next(error)
+    }
+}
+
+/**
+ * Retrieves a conversation by ID
+ * 
+ * @param {Object} req - Express request object with conversation ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getConversationById(req, res, next) {
+    try {
+        const id = req.params.id
+
+        if (!id) {
+            return res.status(400).json(responseWithoutData(400, "ID is required"))
+        }
+
+        const result = await model.getConversationById(db, id, req.tenant.id)
+        if (result.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Conversation not found"))
+        }
+
+        res.status(200).json(response(200, "Conversation fetched successfully", result[0]))
+    } catch (error) {
+        logError(error, 'conversationController', 'getConversationById')
+        next(error)
+    }
+}
+
+/**
+ * Moves a conversation to the trash
+ * 
+ * Process:
+ * 1. Validates ID parameter
+ * 2. Retrieves conversation to ensure it exists
+ * 3. Sets deleted_at, the conversation leaves every lookup but keeps its thread
+ * 4. Answers with the date the conversation is purged, until then it can be restored from the trash
+ * 
+ * @param {Object} req - Express request object with conversation ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function deleteConversationById(req, res, next) {
+    try {
+        const id = req.params.id
+
+        if (!id) {
+            return res.status(400).json(responseWithoutData(400, "ID is required"))
+        }
+
+        // Verify conversation exists
+        const conversation = await model.getConversationById(db, id, req.tenant.id)
+        if (conversation.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Conversation not found"))
+        }
+
+        // The thread is deleted by the trash purge
+        const deletedAt = new Date()
+        await model.updateConversationById(db, { deleted_at: deletedAt }, id, req.tenant.id)
+
+        res.status(200).json(response(200, "Conversation moved to the trash", {
+            id: conversation[0].id,
+            deleted_at: deletedAt,
+            purge_at: getPurgeDate(deletedAt)
+        }))
+    } catch (error) {
+        logError(error, 'conversationController', 'deleteConversationById')
+        next(error)
     }
 }
 
@@ -94,12 +251,15 @@ export async function getConversationByAgentId(req, res) {
  * Process:
  * 1. Validates thread ID
  * 2. Verifies conversation exists
- * 3. Retrieves messages from OpenAI
+ * 3. Retrieves a page of messages using the limit, order, after and before cursors,
+ *    from the agent's provider or from the local transcript with `source=local`
+ * 4. Simplifies each message to its ID, role, text and timestamp
  * 
- * @param {Object} req - Express request object with thread ID in params
+ * @param {Object} req - Express request object with thread ID in params and cursors in query
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-export async function getMessageHistoryByThreadId(req, res) {
+export async function getMessageHistoryByThreadId(req, res, next) {
     try {
         const threadId = req.params.id
 
@@ -108,7 +268,7 @@ export async function getMessageHistoryByThreadId(req, res) {
         }
 
         // Verify conversation exists in database
-        let conversation = await model.getConversationByThreadId(db, threadId)
+        let conversation = await model.getConversationByThreadId(db, threadId, req.tenant.id)
 
         if (conversation.length === 0) {
             return res.status(404).json(responseWithoutData(404, "Conversation not found"))
@@ -116,15 +276,57 @@ export async function getMessageHistoryByThreadId(req, res) {
 
         conversation = conversation[0]
 
-        // Retrieve message history from OpenAI
-        const openAIService = new OpenAIService()
-        const result = await openAIService.retrieveThreadMessages(threadId)
+        // Validate cursor parameters
+        const { limit, order, after, before } = req.query
+
+        const parsedLimit = limit === undefined ? 10 : parseInt(limit, 10)
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+            return res.status(400).json(responseWithoutData(400, "Limit must be a number between 1 and 100"))
+        }
+
+        const parsedOrder = order === undefined ? 'asc' : order
+        if (!['asc', 'desc'].includes(parsedOrder)) {
+            return res.status(400).json(responseWithoutData(400, "Order must be asc or desc"))
+        }
+
+        if (after && before) {
+            return res.status(400).json(responseWithoutData(400, "Use either after or before, not both"))
+        }
+
+        // The local transcript is faster, but only holds messages sent through this server
+        if (req.query.source === 'local') {
+            if ((after && isNaN(after)) || (before && isNaN(before))) {
+                return res.status(400).json(responseWithoutData(400, "Local cursors must be message IDs from the local store"))
+            }
+
+            const result = await listLocalMessages(conversation, {
+                limit: parsedLimit,
+                order: parsedOrder,
+                after,
+                before
+            })
+
+            return res.status(200).json(response(200, "Message history fetched successfully", result))
+        }
+
+        // Retrieve message history from the agent's provider
+        const provider = await getConversationProvider(conversation)
+        if (!provider) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        const result = await provider.listMessages(conversation, {
+            limit: parsedLimit,
+            order: parsedOrder,
+            after,
+            before
+        })
 
         res.status(200).json(response(200, "Message history fetched successfully", result))
 
     } catch (error) {
         logError(error, 'conversationController', 'getMessageHistoryByThreadId')
-        res.status(500).json(response(500, "Internal server error", error))
+        next(error)
     }
 }
 
@@ -134,14 +336,30 @@ export async function getMessageHistoryByThreadId(req, res) {
  * Process:
  * 1. Validates required fields (agent_id, thread_id, message)
  * 2. Verifies agent and conversation exist
- * 3. Updates conversation timestamp
- * 4. Sends message to OpenAI and processes response
- * 5. Removes citations if present in response
+ * 3. Rejects the message with 429 if a monthly budget of the agent is used up
+ * 4. Locks the thread, see below
+ * 5. Updates conversation timestamp
+ * 6. Sends message to the agent's provider and processes response
+ * 7. Removes citations if present in response
+ * 8. Stores the message, the reply and the usage of the run
+ * 
+ * A thread answers one message at a time, across all server processes (see services/threadLock.js).
+ * When it is busy with another message or a run, the message is refused with 409 and the active run,
+ * or with `on_conflict: "wait"` in the body it waits up to OPENAI_RUN_TIMEOUT for its turn.
+ * 
+ * Agents with a JSON schema (`response_format: json_schema`) reply with JSON, the reply
+ * is validated against the schema and returned as `data`, see sendStructuredMessageToAgent.
+ * 
+ * The reply is returned as JSON by default. When the client sends
+ * `Accept: text/event-stream` (or `stream: true` in the body) it is streamed instead,
+ * see streamMessageToAgent. With `async: true` in the body the run is only started and
+ * its ID returned, the result is read later with getRunByThreadId.
  * 
  * @param {Object} req - Express request object with message data in body
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-export async function sendMessageToAgent(req, res) {
+export async function sendMessageToAgent(req, res, next) {
     try {
         const data = req.body
 
@@ -153,14 +371,14 @@ export async function sendMessageToAgent(req, res) {
         }
 
         // Verify agent exists
-        let agent = await modelAgent.getAgentById(db, data.agent_id)
+        let agent = await modelAgent.getAgentById(db, data.agent_id, req.tenant.id)
         if (agent.length === 0) {
             return res.status(404).json(responseWithoutData(404, "Agent not found"))
         }
         agent = agent[0]
 
         // Verify conversation exists
-        let conversation = await model.getConversationByThreadId(db, data.thread_id)
+        let conversation = await model.getConversationByThreadId(db, data.thread_id, req.tenant.id)
         if (conversation.length === 0) {
             return res.status(404).json(responseWithoutData(404, "Conversation not found"))
         }
@@ -168,27 +386,538 @@ export async function sendMessageToAgent(req, res) {
         const now = new Date()
         conversation = conversation[0]
 
-        // Update conversation timestamp
-        await model.updateConversationById(db, {
-            id: conversation.id,
-            updated_at: now
-        }, conversation.id)
+        // A thread only belongs to one agent
+        if (String(conversation.agent_id) !== String(agent.id)) {
+            return res.status(400).json(responseWithoutData(400, "Conversation does not belong to this agent"))
+        }
+
+        // Do not call the provider once the agent has used up its budget for the month
+        const exceededBudget = await getExceededBudget(agent)
+        if (exceededBudget) {
+            return res.status(429).json(response(429, `Monthly ${exceededBudget.type} budget of the agent is used up`, exceededBudget))
+        }
+
+        const provider = getProvider(agent)
+
+        // A thread answers one message at a time, the next one waits or is refused
+        const lock = await lockThread(conversation, provider, data.on_conflict === 'wait' ? OPENAI_RUN_TIMEOUT : 0)
+        if (!lock.acquired) {
+            return res.status(409).json(response(409, "Thread is busy with another message", {
+                thread_id: conversation.thread_id,
+                run_id: lock.activeRun?.id || null,
+                status: lock.activeRun?.status || null
+            }))
+        }
+
+        // a shutdown waits for the message to be answered
+        const done = trackInFlight('sendMessage')
+
+        try {
+            // Update conversation timestamp
+            await model.updateConversationById(db, {
+                id: conversation.id,
+                updated_at: now
+            }, conversation.id, req.tenant.id)
+
+            // Only start the run if the client will poll for the result
+            if (data.async === true) {
+                if (!provider.supportsRuns) {
+                    return res.status(400).json(responseWithoutData(400, "Async mode is not supported by the agent's provider"))
+                }
+
+                const run = await provider.sendMessageAsync(agent, conversation, data.message)
+
+                await saveUserMessage(conversation, data.message, run.id, now, agent.version)
+
+                return res.status(202).json(response(202, "Message has been sent, run started", formatRun(run)))
+            }
+
+            const schema = getOutputSchema(agent)
+
+            // Stream the reply if the client asked for Server-Sent Events
+            const acceptHeader = req.headers.accept || ''
+            if (acceptHeader.includes('text/event-stream') || data.stream === true) {
+                return await streamMessageToAgent(req, res, data, agent, conversation, schema)
+            }
+
+            // JSON replies are validated instead of cleaned up
+            if (schema) {
+                return await sendStructuredMessageToAgent(res, data, agent, conversation, schema, now)
+            }
+
+            // Send message to the agent's provider and get response
+            let result
+
+            try {
+                result = await provider.sendMessage(agent, conversation, data.message, { toolRunner: createToolRunner(agent) });
+            } catch (error) {
+                await saveUserMessage(conversation, data.message, error.run?.id, now, agent.version)
+                await recordRunUsage(conversation, error.run, agent)
+                throw error
+            }
+
+            // Process response - remove citations if present
+            const openAIResponse = await removeCitations(result.message)
+
+            // Keep a local copy of the exchange
+            await saveUserMessage(conversation, data.message, result.run.id, now, agent.version)
+            await saveAssistantMessage(conversation, openAIResponse, result.run, Date.now() - now.getTime(), agent.version)
+            await recordRunUsage(conversation, result.run, agent)
+
+            return res.send(response('success', 'Message has been sent and replied!', {
+                message: openAIResponse
+            }));
+        } finally {
+            await lock.release()
+            done()
+        }
+    } catch (error) {
+        // The run ended without a reply, let the client know how it ended
+        if (error instanceof RunError) {
+            return sendRunError(res, error)
+        }
+
+        logError(error, 'conversationController', 'sendMessageToAgent')
+        next(error)
+    }
+}
+
+/**
+ * Retrieves the status of a run and its reply once completed
+ * 
+ * Process:
+ * 1. Validates thread ID and run ID
+ * 2. Verifies conversation exists
+ * 3. Retrieves the run from OpenAI
+ * 4. Answers pending function tool calls, holding the thread lock so polling clients never answer twice
+ * 5. Retrieves and cleans the assistant's reply if the run is completed,
+ *    replies of agents with a JSON schema are validated and returned as `data` instead
+ * 6. Records the usage of the run once it has ended
+ * 
+ * @param {Object} req - Express request object with thread ID and run ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getRunByThreadId(req, res, next) {
+    try {
+        const { id: threadId, runId } = req.params
+
+        if (!threadId || !runId) {
+            return res.status(400).json(responseWithoutData(400, "Thread ID and run ID are required"))
+        }
+
+        // Verify conversation exists in database
+        const conversation = await model.getConversationByThreadId(db, threadId, req.tenant.id)
+        if (conversation.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Conversation not found"))
+        }
+
+        // Runs only exist on the assistants provider
+        const agent = await modelAgent.getAgentById(db, conversation[0].agent_id, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        if (!getProvider(agent[0]).supportsRuns) {
+            return res.status(400).json(responseWithoutData(400, "Runs are not supported by the agent's provider"))
+        }
 
-        // Send message to OpenAI and get response
         const openAIService = new OpenAIService()
-        let openAIResponse = await openAIService.sendMessage(data.message, data.thread_id, agent.assistant_id);
+        let run = await openAIService.retrieveRun(threadId, runId)
+
+        // Nobody waits on an async run, so answer its tool calls here when it asks for them
+        if (isWaitingForToolOutputs(run)) {
+            run = await answerToolCalls(run, agent[0], openAIService)
+        }
+
+        const result = formatRun(run)
 
-        // Process response - remove citations if present
-        openAIResponse = await removeCitations(openAIResponse)
+        // Attach the reply once the run is done
+        if (run.status === 'completed') {
+            const reply = await openAIService.retrieveRunMessage(threadId, runId)
+            const schema = getOutputSchema(agent[0])
 
-        console.log('openAIResponse', openAIResponse)
+            if (schema) {
+                // Nobody waits on an async run, so an invalid reply is reported instead of asked again
+                const validation = validateStructuredReply(reply, schema)
+                result.message = reply
+                result.data = validation.valid ? validation.data : null
+                result.errors = validation.errors
+            } else {
+                result.message = await removeCitations(reply)
+            }
 
-        return res.send(response('success', 'Message has been sent and replied!', {
-            message: openAIResponse
-        }));
+            await saveAssistantMessage(conversation[0], result.message, run, undefined, agent[0].version)
+        }
+
+        // Usage is only reported once the run has ended
+        await recordRunUsage(conversation[0], run, agent[0])
 
+        res.status(200).json(response(200, "Run fetched successfully", result))
     } catch (error) {
-        logError(error, 'conversationController', 'sendMessageToAgent')
-        res.status(500).json(response(500, "Internal server error", error))
+        if (error.code === 'UPSTREAM_NOT_FOUND') {
+            return res.status(404).json(responseWithoutData(404, "Run not found"))
+        }
+
+        logError(error, 'conversationController', 'getRunByThreadId')
+        next(error)
+    }
+}
+
+/**
+ * Cancels a run that is queued or in progress
+ * 
+ * @param {Object} req - Express request object with thread ID and run ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function cancelRunByThreadId(req, res, next) {
+    try {
+        const { id: threadId, runId } = req.params
+
+        if (!threadId || !runId) {
+            return res.status(400).json(responseWithoutData(400, "Thread ID and run ID are required"))
+        }
+
+        // Verify conversation exists in database
+        const conversation = await model.getConversationByThreadId(db, threadId, req.tenant.id)
+        if (conversation.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Conversation not found"))
+        }
+
+        // Runs only exist on the assistants provider
+        const agent = await modelAgent.getAgentById(db, conversation[0].agent_id, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found"))
+        }
+
+        if (!getProvider(agent[0]).supportsRuns) {
+            return res.status(400).json(responseWithoutData(400, "Runs are not supported by the agent's provider"))
+        }
+
+        const openAIService = new OpenAIService()
+
+        // Only queued or running runs can be cancelled
+        const run = await openAIService.retrieveRun(threadId, runId)
+        if (!['queued', 'in_progress', 'requires_action'].includes(run.status)) {
+            return res.status(409).json(response(409, `Run cannot be cancelled, status is ${run.status}`, formatRun(run)))
+        }
+
+        const cancelledRun = await openAIService.cancelRun(threadId, runId)
+
+        res.status(200).json(response(200, "Run cancellation requested", formatRun(cancelledRun)))
+    } catch (error) {
+        if (error.code === 'UPSTREAM_NOT_FOUND') {
+            return res.status(404).json(responseWithoutData(404, "Run not found"))
+        }
+
+        logError(error, 'conversationController', 'cancelRunByThreadId')
+        next(error)
+    }
+}
+
+/**
+ * Creates a thread on the agent's provider and stores it as a new conversation
+ * @param {Object} agent - Agent the conversation is with
+ * @param {string} userId - External ID of the end user or session
+ * @returns {Promise<Object>} Created conversation
+ */
+async function startConversation(agent, userId) {
+    const provider = getProvider(agent)
+    const thread = await provider.createThread()
+
+    const now = new Date()
+    const conversation = {
+        tenant_id: agent.tenant_id,
+        agent_id: agent.id,
+        user_id: userId,
+        thread_id: thread.id,
+        created_at: now,
+        updated_at: now
+    }
+
+    // Store new conversation thread in database
+    const result = await model.createConversation(db, conversation)
+
+    return { id: result.insertId, ...conversation }
+}
+
+/**
+ * Resolves the provider of the agent a conversation belongs to
+ * @param {Object} conversation - Conversation row
+ * @returns {Promise<Provider|null>} null when the agent is deleted, the default provider would be a guess
+ */
+async function getConversationProvider(conversation) {
+    const agent = await modelAgent.getAgentById(db, conversation.agent_id, conversation.tenant_id)
+    return agent.length > 0 ? getProvider(agent[0]) : null
+}
+
+/**
+ * Answers the tool calls of a polled run holding the lock of its thread
+ * The run is read again once locked, another request may have answered it already,
+ * and a thread locked by a send is left to that send
+ * @param {Object} run - Run waiting for tool outputs
+ * @param {Object} agent - Agent of the run
+ * @param {OpenAIService} openAIService - OpenAI client
+ * @returns {Promise<Object>} The run after the tool outputs were submitted, or as it is
+ */
+function answerToolCalls(run, agent, openAIService) {
+    return withThreadLock(run.thread_id, async () => {
+        const current = await openAIService.retrieveRun(run.thread_id, run.id)
+        if (!isWaitingForToolOutputs(current)) {
+            return current
+        }
+
+        const toolRunner = createToolRunner(agent)
+        const toolOutputs = await toolRunner(current.required_action.submit_tool_outputs.tool_calls, current)
+        return openAIService.submitToolOutputs(run.thread_id, run.id, toolOutputs)
+    }, () => run)
+}
+
+function isWaitingForToolOutputs(run) {
+    return run.status === 'requires_action' && run.required_action?.type === 'submit_tool_outputs'
+}
+
+/**
+ * Picks the fields of a run that are returned to the client
+ * @param {Object} run - Run data from OpenAI
+ * @returns {Object} Run summary
+ */
+function formatRun(run) {
+    return {
+        run_id: run?.id,
+        thread_id: run?.thread_id,
+        status: run?.status,
+        error: run?.last_error || null,
+        incomplete_details: run?.incomplete_details || null,
+    }
+}
+
+/**
+ * Responds with the final status of a run that ended without a reply
+ * A timed out run is still going, so the client gets its ID to poll for the result
+ * @param {Object} res - Express response object
+ * @param {RunError} error - The run error
+ */
+function sendRunError(res, error) {
+    const status = error.statusCode
+    const message = error.status === 'timeout'
+        ? 'Run is still in progress, poll the run for the result'
+        : `Run ended with status: ${error.status}`
+
+    return res.status(status).json(response(status, message, formatRun(error.run)))
+}
+
+/**
+ * Sends a message to an agent with a JSON schema and validates its reply
+ * 
+ * Process:
+ * 1. Sends the message to the agent's provider
+ * 2. Parses the reply and validates it against the schema, citations are not removed
+ *    as they would also remove JSON arrays
+ * 3. If the reply does not match, asks again with the validation errors,
+ *    up to STRUCTURED_OUTPUT_RETRIES times
+ * 4. Responds with the parsed reply as `data`, or 502 with the errors of the last reply
+ * 
+ * Every attempt is stored in the local transcript with its usage.
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} data - Validated message data
+ * @param {Object} agent - Agent the message is sent to
+ * @param {Object} conversation - Conversation the message belongs to
+ * @param {Object} schema - JSON schema the reply must match
+ * @param {Date} startedAt - When the message was received
+ */
+async function sendStructuredMessageToAgent(res, data, agent, conversation, schema, startedAt) {
+    const provider = getProvider(agent)
+    const toolRunner = createToolRunner(agent)
+
+    let message = data.message
+    let sentAt = startedAt
+    let result
+    let validation
+
+    for (let attempt = 0; attempt <= STRUCTURED_OUTPUT_RETRIES; attempt++) {
+        try {
+            result = await provider.sendMessage(agent, conversation, message, { toolRunner })
+        } catch (error) {
+            await saveUserMessage(conversation, message, error.run?.id, sentAt, agent.version)
+            await recordRunUsage(conversation, error.run, agent)
+            throw error
+        }
+
+        // Keep a local copy of the exchange
+        await saveUserMessage(conversation, message, result.run.id, sentAt, agent.version)
+        await saveAssistantMessage(conversation, result.message, result.run, Date.now() - sentAt.getTime(), agent.version)
+        await recordRunUsage(conversation, result.run, agent)
+
+        validation = validateStructuredReply(result.message, schema)
+        if (validation.valid) {
+            return res.send(response('success', 'Message has been sent and replied!', {
+                data: validation.data
+            }))
+        }
+
+        // Ask again with what was wrong
+        message = buildRepairPrompt(validation.errors)
+        sentAt = new Date()
+    }
+
+    return res.status(502).json(response(502, "Reply does not match the agent's JSON schema", {
+        message: result.message,
+        errors: validation.errors
+    }))
+}
+
+/**
+ * Streams the agent's reply as Server-Sent Events
+ * 
+ * Events sent to the client:
+ * - status: run status changes ({ run_id, status })
+ * - delta: a piece of the reply text, with citations removed ({ value })
+ * - completed: the full reply once the run is done ({ message }), or the parsed reply
+ *   for agents with a JSON schema ({ data })
+ * - retry: the reply does not match the agent's JSON schema and is asked again,
+ *   the deltas received so far should be discarded ({ errors })
+ * - error: the run failed after the stream had started ({ message }), or the reply
+ *   still does not match the schema after the last retry ({ message, errors })
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} data - Validated message data
+ * @param {Object} agent - Agent the message is sent to
+ * @param {Object} conversation - Conversation the message belongs to
+ * @param {Object|null} schema - JSON schema the reply must match, null for text replies
+ */
+async function streamMessageToAgent(req, res, data, agent, conversation, schema) {
+    res.status(200)
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+
+    // Stop the OpenAI stream when the client goes away
+    const abortController = new AbortController()
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort()
+        }
+    })
+
+    const maxAttempts = schema ? STRUCTURED_OUTPUT_RETRIES + 1 : 1
+    let message = data.message
+    let startedAt = new Date()
+    let runId = null
+    let userMessageSaved = false
+
+    try {
+        const provider = getProvider(agent)
+        const toolRunner = createToolRunner(agent)
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            // JSON replies are sent as they are, removing citations would also remove arrays
+            const citationStripper = schema ? null : createCitationStripper()
+            runId = null
+            userMessageSaved = false
+
+            const result = await provider.sendMessageStream(agent, conversation, message, (type, eventData) => {
+                if (type === 'status') {
+                    runId = eventData.run_id
+                }
+
+                if (type === 'delta' && citationStripper) {
+                    const value = citationStripper.push(eventData.value)
+                    if (value) {
+                        writeEvent(res, 'delta', { value })
+                    }
+                    return
+                }
+
+                writeEvent(res, type, eventData)
+            }, {
+                signal: abortController.signal,
+                toolRunner
+            })
+
+            if (!schema) {
+                const remaining = citationStripper.flush()
+                if (remaining) {
+                    writeEvent(res, 'delta', { value: remaining })
+                }
+
+                const openAIResponse = await removeCitations(result.message)
+
+                // Keep a local copy of the exchange, completed is the last event
+                await saveUserMessage(conversation, message, result.run.id, startedAt, agent.version)
+                userMessageSaved = true
+                await saveAssistantMessage(conversation, openAIResponse, result.run, Date.now() - startedAt.getTime(), agent.version)
+                await recordRunUsage(conversation, result.run, agent)
+
+                writeEvent(res, 'completed', {
+                    message: openAIResponse
+                })
+                return
+            }
+
+            // Keep a local copy of the exchange
+            await saveUserMessage(conversation, message, result.run.id, startedAt, agent.version)
+            userMessageSaved = true
+            await saveAssistantMessage(conversation, result.message, result.run, Date.now() - startedAt.getTime(), agent.version)
+            await recordRunUsage(conversation, result.run, agent)
+
+            const validation = validateStructuredReply(result.message, schema)
+            if (validation.valid) {
+                writeEvent(res, 'completed', { data: validation.data })
+                return
+            }
+
+            if (attempt === maxAttempts) {
+                writeEvent(res, 'error', { message: "Reply does not match the agent's JSON schema", errors: validation.errors })
+                return
+            }
+
+            // Ask again with what was wrong
+            writeEvent(res, 'retry', { errors: validation.errors })
+            message = buildRepairPrompt(validation.errors)
+            startedAt = new Date()
+        }
+    } catch (error) {
+        // The headers are sent, a failure here must not keep the error event from the client
+        try {
+            if (!userMessageSaved) {
+                await saveUserMessage(conversation, message, runId, startedAt, agent.version)
+            }
+            await recordRunUsage(conversation, error.run, agent)
+        } catch (saveError) {
+            logError(saveError, 'conversationController', 'streamMessageToAgent')
+        }
+
+        if (error instanceof RunError) {
+            writeEvent(res, 'error', { message: `Run ended with status: ${error.status}`, ...formatRun(error.run) })
+        } else if (!abortController.signal.aborted) {
+            logError(error, 'conversationController', 'streamMessageToAgent')
+
+            const appError = toAppError(error)
+            writeEvent(res, 'error', { code: appError.code, message: appError.message })
+        }
+    } finally {
+        res.end()
+    }
+}
+
+/**
+ * Writes a single Server-Sent Event to the response
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, sent as JSON
+ */
+function writeEvent(res, event, data) {
+    if (res.writableEnded) {
+        return
     }
+
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
 }
\ No newline at end of file
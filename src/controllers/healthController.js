@@ -0,0 +1,91 @@
+/**
+ * Health Controller
+ *
+ * Probes for the orchestrator, they need no API key:
+ * - Liveness: the process is up and answers
+ * - Readiness: the process can serve traffic, its dependencies answer and it is not shutting down
+ */
+
+import db from '../configs/db.js'
+import { READYZ_CHECK_OPENAI, READYZ_CHECK_TIMEOUT } from '../configs/constants.js'
+
+// models
+import { pingDatabase } from '../models/health.js'
+
+// services
+import OpenAIService from '../services/openaiService.js'
+import { isShuttingDown } from '../services/lifecycle.js'
+import { logError } from '../services/logError.js'
+
+/**
+ * Answers as long as the process is up
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export function getHealth(req, res) {
+    res.status(200).json({
+        status: 'ok',
+        uptime_s: Math.round(process.uptime())
+    })
+}
+
+/**
+ * Checks the process can serve traffic
+ *
+ * Process:
+ * 1. Answers 503 at once when a shutdown has started
+ * 2. Checks the database pool answers a query
+ * 3. Checks OpenAI can be reached, when READYZ_CHECK_OPENAI is set
+ * 4. Answers 200 when every check passed, 503 otherwise, with the result of each check
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getReadiness(req, res) {
+    if (isShuttingDown()) {
+        return res.status(503).json({ status: 'shutting_down' })
+    }
+
+    const checks = {
+        database: await runCheck('database', () => pingDatabase(db))
+    }
+
+    if (READYZ_CHECK_OPENAI) {
+        checks.openai = await runCheck('openai', () => new OpenAIService().ping())
+    }
+
+    const ready = Object.values(checks).every((check) => check.status === 'ok')
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        checks
+    })
+}
+
+/**
+ * Runs a check and reports its status and duration, the reason of a failure is only logged
+ * A check that has not answered within READYZ_CHECK_TIMEOUT ms fails, e.g. a pool waiting for a connection
+ * @param {string} name - Name of the check
+ * @param {Function} check - Resolves when the dependency answers
+ * @returns {Promise<Object>} { status, duration_ms }
+ */
+async function runCheck(name, check) {
+    const startedAt = Date.now()
+    let timer
+
+    try {
+        await Promise.race([
+            check(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`${name} check timed out after ${READYZ_CHECK_TIMEOUT}ms`)), READYZ_CHECK_TIMEOUT)
+            })
+        ])
+        return { status: 'ok', duration_ms: Date.now() - startedAt }
+    } catch (error) {
+        logError(error, 'healthController', name)
+        return { status: 'error', duration_ms: Date.now() - startedAt }
+    } finally {
+        clearTimeout(timer)
+    }
+}
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Message Controller
+ * 
+ * This controller works on the local transcript of all conversations, including:
+ * - Full-text search of stored messages across conversations
+ */
+
+import db from '../configs/db.js'
+
+// models
+import * as model from '../models/message.js'
+
+// utils
+import { response, responseWithoutData } from '../utils/response.js'
+import { parsePagination, paginationMeta } from '../utils/pagination.js'
+import { logError } from '../services/logError.js'
+
+/**
+ * Searches stored messages by keyword
+ * 
+ * Process:
+ * 1. Validates the search query and filters (agent_id, from, to)
+ * 2. Runs a full-text search on the tenant's messages
+ * 3. Returns matching messages ordered by relevance, paginated
+ * 
+ * @param {Object} req - Express request object with q, agent_id, from, to, page and limit in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function searchMessages(req, res, next) {
+    try {
+        const { q, agent_id: agentId, from, to } = req.query
+
+        if (!q || !String(q).trim()) {
+            return res.status(400).json(responseWithoutData(400, "Search query is required"))
+        }
+
+        if (agentId && isNaN(agentId)) {
+            return res.status(400).json(responseWithoutData(400, "Agent ID must be a number"))
+        }
+
+        // Dates are inclusive, a plain date in `to` covers the whole day
+        const fromDate = from ? new Date(from) : null
+        const toDate = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999` : to) : null
+
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return res.status(400).json(responseWithoutData(400, "From and to must be valid dates"))
+        }
+
+        const { page, limit, offset } = parsePagination(req.query)
+
+        const filter = {
+            q: String(q).trim(),
+            agentId,
+            from: fromDate,
+            to: toDate
+        }
+
+        const [items, total] = await Promise.all([
+            model.searchMessages(db, { ...filter, limit, offset }, req.tenant.id),
+            model.countSearchMessages(db, filter, req.tenant.id)
+        ])
+
+        res.status(200).json(response(200, "Messages fetched successfully", {
+            items,
+            pagination: paginationMeta(page, limit, total)
+        }))
+    } catch (error) {
+        logError(error, 'messageController', 'searchMessages')
+        next(error)
+    }
+}
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Trash Controller
+ *
+ * This controller manages the deleted agents and conversations of a tenant, including:
+ * - Listing the items in the trash with the date each one is purged
+ * - Restoring agents and conversations before they are purged
+ *
+ * The purge itself runs in the background, see services/trash.js
+ */
+
+import db from '../configs/db.js'
+
+// models
+import * as model from '../models/trash.js'
+import * as modelAgent from '../models/agent.js'
+import * as modelConversation from '../models/conversation.js'
+import * as modelAgentOperation from '../models/agentOperation.js'
+
+// services
+import { getPurgeDate, restoreAgentFromTrash } from '../services/trash.js'
+
+// utils
+import { response, responseWithoutData } from '../utils/response.js'
+import { parsePagination, paginationMeta } from '../utils/pagination.js'
+import { getAgentConfig } from '../utils/agentConfig.js'
+import { logError } from '../services/logError.js'
+
+/**
+ * Lists the agents and conversations in the trash, most recently deleted first
+ *
+ * Process:
+ * 1. Reads the optional type filter (agent or conversation) and the page
+ * 2. Retrieves the deleted items of the tenant
+ * 3. Adds the date each item is purged
+ *
+ * @param {Object} req - Express request object with type, page and limit in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function getTrash(req, res, next) {
+    try {
+        const type = req.query.type
+        const { page, limit, offset } = parsePagination(req.query)
+
+        const [items, total] = await Promise.all([
+            model.getTrashItems(db, { type, limit, offset }, req.tenant.id),
+            model.countTrashItems(db, { type }, req.tenant.id)
+        ])
+
+        res.status(200).json(response(200, "Trash fetched successfully", {
+            items: items.map((item) => ({ ...item, purge_at: getPurgeDate(item.deleted_at) })),
+            pagination: paginationMeta(page, limit, total)
+        }))
+    } catch (error) {
+        logError(error, 'trashController', 'getTrash')
+        next(error)
+    }
+}
+
+/**
+ * Restores an agent from the trash
+ *
+ * Process:
+ * 1. Validates ID parameter
+ * 2. Retrieves the agent from the trash
+ * 3. Refuses agents the purge has taken or a delete operation has worked on, even a failed one
+ * 4. Clears deleted_at unless the purge took the agent meanwhile,
+ *    the agent is back in every lookup with the conversations trashed along with it
+ *
+ * @param {Object} req - Express request object with agent ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function restoreAgent(req, res, next) {
+    try {
+        const id = req.params.id
+
+        if (!id) {
+            return res.status(400).json(responseWithoutData(400, "ID is required"))
+        }
+
+        // Verify agent is in the trash
+        const agent = await modelAgent.getDeletedAgentById(db, id, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Agent not found in the trash"))
+        }
+
+        // Its resources may be partly removed already
+        const operations = await modelAgentOperation.getAgentOperationsByAgentId(db, id, 'delete_agent')
+        if (agent[0].purging_at || operations.length > 0) {
+            return res.status(409).json(responseWithoutData(409, "Agent is being purged and can no longer be restored"))
+        }
+
+        if (!(await restoreAgentFromTrash(agent[0]))) {
+            return res.status(409).json(responseWithoutData(409, "Agent is being purged and can no longer be restored"))
+        }
+
+        const result = await modelAgent.getAgentById(db, id, req.tenant.id)
+        res.status(200).json(response(200, "Agent restored successfully", {
+            ...result[0],
+            config: getAgentConfig(result[0])
+        }))
+    } catch (error) {
+        logError(error, 'trashController', 'restoreAgent')
+        next(error)
+    }
+}
+
+/**
+ * Restores a conversation from the trash
+ *
+ * Process:
+ * 1. Validates ID parameter
+ * 2. Retrieves the conversation from the trash
+ * 3. Verifies its agent is not deleted, the agent is restored first
+ * 4. Clears deleted_at, the conversation is back in every lookup
+ *
+ * @param {Object} req - Express request object with conversation ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export async function restoreConversation(req, res, next) {
+    try {
+        const id = req.params.id
+
+        if (!id) {
+            return res.status(400).json(responseWithoutData(400, "ID is required"))
+        }
+
+        // Verify conversation is in the trash
+        const conversation = await modelConversation.getDeletedConversationById(db, id, req.tenant.id)
+        if (conversation.length === 0) {
+            return res.status(404).json(responseWithoutData(404, "Conversation not found in the trash"))
+        }
+
+        const agent = await modelAgent.getAgentById(db, conversation[0].agent_id, req.tenant.id)
+        if (agent.length === 0) {
+            return res.status(409).json(responseWithoutData(409, "The agent of this conversation is deleted, restore the agent first"))
+        }
+
+        await modelConversation.updateConversationById(db, { deleted_at: null }, id, req.tenant.id)
+
+        const result = await modelConversation.getConversationById(db, id, req.tenant.id)
+        res.status(200).json(response(200, "Conversation restored successfully", result[0]))
+    } catch (error) {
+        logError(error, 'trashController', 'restoreConversation')
+        next(error)
+    }
+}
\ No newline at end of file
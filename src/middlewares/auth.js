@@ -0,0 +1,103 @@
+/**
+ * Auth Middleware
+ * Resolves the tenant of a request from its `Authorization: Bearer <key>` header.
+ * API keys are looked up by their SHA-256 hash, the plain key is never stored.
+ */
+
+import db from '../configs/db.js'
+import { ADMIN_API_KEY } from '../configs/constants.js'
+
+import * as modelApiKey from '../models/apiKey.js'
+
+import { responseWithoutData } from '../utils/response.js'
+import { hashApiKey, safeEqual } from '../utils/apiKey.js'
+import { logError } from '../services/logError.js'
+
+/**
+ * Reads the bearer token of a request
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+    const header = req.get('authorization') || ''
+    const [scheme, token] = header.split(' ')
+
+    if (scheme?.toLowerCase() !== 'bearer' || !token) {
+        return null
+    }
+
+    return token.trim()
+}
+
+/**
+ * Requires a valid, non revoked API key and sets req.tenant to its owner and req.apiKey to the key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export async function authenticate(req, res, next) {
+    try {
+        const token = getBearerToken(req)
+        if (!token) {
+            return res.status(401).json(responseWithoutData(401, "Missing API key"))
+        }
+
+        const apiKey = await modelApiKey.getActiveApiKeyByHash(db, hashApiKey(token))
+        if (apiKey.length === 0) {
+            return res.status(401).json(responseWithoutData(401, "Invalid API key"))
+        }
+
+        req.tenant = {
+            id: apiKey[0].tenant_id,
+            name: apiKey[0].tenant_name
+        }
+
+        req.apiKey = {
+            id: apiKey[0].id,
+            name: apiKey[0].name,
+            prefix: apiKey[0].key_prefix
+        }
+
+        // last usage is informative only, do not hold the request for it
+        modelApiKey.touchApiKey(db, apiKey[0].id).catch((error) => {
+            logError(error, 'auth', 'authenticate')
+        })
+
+        next()
+    } catch (error) {
+        logError(error, 'auth', 'authenticate')
+        next(error)
+    }
+}
+
+/**
+ * Requires the admin key configured in ADMIN_API_KEY
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(403).json(responseWithoutData(403, "Admin API is disabled"))
+    }
+
+    const token = getBearerToken(req)
+    if (!token || !safeEqual(token, ADMIN_API_KEY)) {
+        return res.status(401).json(responseWithoutData(401, "Invalid admin key"))
+    }
+
+    next()
+}
+
+/**
+ * Describes the API key of an authenticated request, e.g. for audit fields
+ * @param {Object} req - Express request object, after authenticate
+ * @returns {string|null} Key name and prefix, e.g. "production (sk_1a2b3c4d)"
+ */
+export function describeApiKey(req) {
+    if (!req.apiKey) {
+        return null
+    }
+
+    return req.apiKey.name ? `${req.apiKey.name} (${req.apiKey.prefix})` : req.apiKey.prefix
+}
\ No newline at end of file
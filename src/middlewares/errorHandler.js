@@ -0,0 +1,51 @@
+/**
+ * Error Middleware
+ * The last middleware of the app, every error of a request ends here.
+ * Errors are mapped to the catalogue in utils/errors.js and answered as
+ * { status, code, message, data? } without stacks, queries, headers or keys.
+ */
+
+import { toAppError } from '../utils/errors.js'
+
+/**
+ * Answers unknown routes with ROUTE_NOT_FOUND
+ */
+export function notFoundHandler(req, res) {
+    res.status(404).json({
+        status: 404,
+        code: 'ROUTE_NOT_FOUND',
+        message: `Route not found: ${req.method} ${req.path}`
+    })
+}
+
+/**
+ * Answers an error with its HTTP status, code and safe message
+ */
+export function errorHandler(err, req, res, next) {
+    const error = toAppError(err)
+
+    // a stream already started, the client only sees the connection end
+    if (res.headersSent) {
+        return res.end()
+    }
+
+    if (error.details?.retry_after) {
+        res.set('Retry-After', String(error.details.retry_after))
+    }
+
+    res.status(error.statusCode).json(errorBody(error))
+}
+
+/**
+ * Builds the response body of an error
+ * @param {AppError} error - Typed error
+ * @returns {Object}
+ */
+export function errorBody(error) {
+    return {
+        status: error.statusCode,
+        code: error.code,
+        message: error.message,
+        ...(error.details && { data: error.details })
+    }
+}
\ No newline at end of file
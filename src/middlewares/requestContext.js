@@ -0,0 +1,41 @@
+/**
+ * Request Context Middleware
+ * Gives every request an ID, returned in the X-Request-Id header and added to every log line
+ * written while the request is handled (see services/logger.js), and logs the request once answered.
+ * A client or proxy can send its own X-Request-Id to follow a request across services.
+ */
+
+import { randomUUID } from 'crypto'
+
+import { logger, requestContext } from '../services/logger.js'
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/
+
+// orchestrator probes, only logged at debug level
+const PROBE_PATHS = ['/healthz', '/readyz']
+
+export function requestContextMiddleware(req, res, next) {
+    const incomingId = req.get('X-Request-Id')
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : randomUUID()
+    const startedAt = process.hrtime.bigint()
+
+    req.id = requestId
+    res.set('X-Request-Id', requestId)
+
+    // the query string is left out, it can hold search terms and user IDs
+    res.once('close', () => {
+        const log = PROBE_PATHS.includes(req.path) ? logger.debug : logger.info
+
+        log('request completed', {
+            request_id: requestId,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+            tenant_id: req.tenant?.id,
+            aborted: !res.writableFinished || undefined
+        })
+    })
+
+    requestContext.run({ requestId }, next)
+}
\ No newline at end of file
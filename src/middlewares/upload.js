@@ -0,0 +1,91 @@
+/**
+ * Upload Middleware
+ * Handles multipart uploads of knowledge-base documents before they are sent to OpenAI.
+ * Files are written to the local uploads directory and removed once the controller is done.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import multer from 'multer'
+import sanitize from 'sanitize-filename'
+
+import { responseWithoutData } from '../utils/response.js'
+
+const UPLOAD_DIR = path.join(process.cwd(), 'uploads')
+const MAX_FILE_SIZE = 20 * 1024 * 1024 // 20MB
+
+// extensions supported by OpenAI file_search
+const ALLOWED_EXTENSIONS = [
+    '.c', '.cpp', '.cs', '.css', '.doc', '.docx', '.go', '.html', '.java', '.js',
+    '.json', '.md', '.pdf', '.php', '.pptx', '.py', '.rb', '.sh', '.tex', '.ts', '.txt'
+]
+
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        // Create uploads directory if it doesn't exist
+        if (!fs.existsSync(UPLOAD_DIR)) {
+            fs.mkdirSync(UPLOAD_DIR, { recursive: true })
+        }
+        cb(null, UPLOAD_DIR)
+    },
+    filename: (req, file, cb) => {
+        // keep the original name so OpenAI shows something meaningful, prefixed to avoid collisions
+        const sanitizedName = sanitize(file.originalname.replace(/ /g, '-')) || 'file'
+        cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}-${sanitizedName}`)
+    }
+})
+
+const upload = multer({
+    storage,
+    limits: { fileSize: MAX_FILE_SIZE },
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase()
+        if (!ALLOWED_EXTENSIONS.includes(extension)) {
+            req.fileValidationError = `Unsupported file type: ${extension || 'unknown'}`
+            return cb(null, false)
+        }
+        cb(null, true)
+    }
+})
+
+/**
+ * Accepts a single file in the given multipart field
+ * Multer errors are returned as 400 responses instead of reaching the default Express handler
+ * @param {string} fieldName - Name of the multipart field holding the file
+ */
+export function uploadSingle(fieldName) {
+    const handler = upload.single(fieldName)
+
+    return (req, res, next) => {
+        handler(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                const message = err.code === 'LIMIT_FILE_SIZE'
+                    ? `File is too large, maximum size is ${MAX_FILE_SIZE / (1024 * 1024)}MB`
+                    : err.message
+                return res.status(400).json(responseWithoutData(400, message))
+            }
+
+            if (req.fileValidationError) {
+                return res.status(400).json(responseWithoutData(400, req.fileValidationError))
+            }
+
+            if (err) {
+                return next(err)
+            }
+
+            next()
+        })
+    }
+}
+
+/**
+ * Removes a temporary upload from disk, ignoring files that are already gone
+ * @param {string} filePath - Path of the uploaded file
+ */
+export function removeUploadedFile(filePath) {
+    if (!filePath) {
+        return
+    }
+
+    fs.promises.unlink(filePath).catch(() => {})
+}
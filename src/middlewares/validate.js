@@ -0,0 +1,108 @@
+/**
+ * Validation Middleware
+ * Checks the params, query and body of a request against the JSON schemas declared for its route
+ * (see src/schemas) before the controller runs.
+ *
+ * Invalid params or query answer 400, a well-formed body with invalid fields answers 422.
+ * Either way the response lists every failing field:
+ * { status, code, message, errors: [{ location, field, message }] }
+ */
+
+import Ajv from 'ajv'
+
+import { responseWithErrors } from '../utils/response.js'
+import { ERROR_CODES } from '../utils/errors.js'
+
+// params and query are always strings, they are coerced to the declared types before checking
+const ajvBody = new Ajv({ allErrors: true, strict: false, verbose: true })
+const ajvQuery = new Ajv({ allErrors: true, strict: false, verbose: true, coerceTypes: true })
+
+const LOCATIONS = ['params', 'query', 'body']
+
+/**
+ * Builds a middleware that validates a request against the given schemas
+ * @param {Object} schemas - { params, query, body }, each a JSON schema, all optional
+ * @returns {Function} Express middleware
+ */
+export function validateRequest(schemas) {
+    const validators = LOCATIONS
+        .filter((location) => schemas[location])
+        .map((location) => ({
+            location,
+            validate: (location === 'body' ? ajvBody : ajvQuery).compile(schemas[location])
+        }))
+
+    return (req, res, next) => {
+        const errors = []
+
+        for (const { location, validate } of validators) {
+            // validate a copy, coercion must not change what the controller reads
+            const value = location === 'body' ? (req.body ?? {}) : { ...req[location] }
+
+            if (!validate(value)) {
+                errors.push(...formatErrors(location, validate.errors))
+            }
+        }
+
+        if (errors.length === 0) {
+            return next()
+        }
+
+        const code = errors.some((error) => error.location !== 'body') ? 'INVALID_PARAMETERS' : 'VALIDATION_FAILED'
+        const { status, message } = ERROR_CODES[code]
+
+        res.status(status).json(responseWithErrors(status, code, message, errors))
+    }
+}
+
+/**
+ * Turns the Ajv errors of a location into one { location, field, message } per failing field
+ * A schema can replace the messages of its field, and of everything nested in it, with its own
+ * `errorMessage`, either a string or an object keyed by the failing keyword
+ */
+function formatErrors(location, ajvErrors) {
+    const errors = ajvErrors.map((error) => ({ path: error.instancePath, ...formatError(location, error) }))
+
+    // a custom message covers all other errors at or below its path, e.g. the branches of a oneOf
+    const customPaths = errors.filter((error) => error.custom).map((error) => error.path)
+    const isCovered = (error) => !error.custom && customPaths.some((path) => error.path === path || error.path.startsWith(`${path}/`))
+
+    const byField = new Map()
+    for (const error of errors) {
+        if (isCovered(error) || byField.has(error.field)) {
+            continue
+        }
+        byField.set(error.field, { location, field: error.field, message: error.message })
+    }
+
+    return [...byField.values()]
+}
+
+function formatError(location, error) {
+    let field = error.instancePath
+        .split('/')
+        .slice(1)
+        .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .join('.')
+
+    const errorMessage = error.parentSchema?.errorMessage
+    const customMessage = typeof errorMessage === 'object' ? errorMessage[error.keyword] : errorMessage
+
+    let message = customMessage || error.message
+
+    if (error.keyword === 'required') {
+        field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty
+        message = 'is required'
+    } else if (error.keyword === 'additionalProperties') {
+        field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty
+        message = 'is not allowed'
+    } else if (error.keyword === 'enum' && !customMessage) {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`
+    }
+
+    return {
+        field: field || null,
+        message,
+        custom: Boolean(customMessage)
+    }
+}
\ No newline at end of file
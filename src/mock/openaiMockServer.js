@@ -0,0 +1,785 @@
+/**
+ * Mock OpenAI Server
+ * An in-memory fake of the OpenAI endpoints used by OpenAIService and the Chat Completions provider:
+ * models, assistants, threads, messages, runs, vector_stores, files and chat/completions.
+ *
+ * Enable it with OPENAI_MOCK=true, server.js then starts it on OPENAI_MOCK_PORT and
+ * OPENAI_URL points to it, so nothing leaves the machine and no API key is needed.
+ * It can also be run on its own with `npm run mock:openai`.
+ *
+ * Replies are scriptable, either through queueReply() or POST /__mock/replies.
+ * Each run or chat completion takes the next queued script, or echoes the user's message:
+ * {
+ *   reply: "text of the assistant's reply",
+ *   status: "completed" | "failed" | "expired" | "cancelled" | "incomplete",
+ *   tool_calls: [{ name, arguments }],   // the run first stops at requires_action
+ *   polls: 0,                            // number of status checks the run stays in_progress
+ *   usage: { prompt_tokens, completion_tokens, total_tokens },
+ *   last_error: { code, message }        // for failed runs
+ * }
+ */
+
+import http from 'http'
+import { randomBytes } from 'crypto'
+import { pathToFileURL } from 'url'
+
+import express from 'express'
+import multer from 'multer'
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'expired', 'cancelled', 'incomplete']
+
+class MockOpenAIServer {
+
+    constructor() {
+        this.reset()
+        this.app = this.createApp()
+        this.server = null
+    }
+
+    /**
+     * Clears all stored objects and queued replies
+     */
+    reset() {
+        this.assistants = new Map()
+        this.threads = new Map()
+        this.runs = new Map()
+        this.vectorStores = new Map()
+        this.files = new Map()
+        this.fileContents = new Map()
+        this.replies = []
+        this.failures = []
+    }
+
+    /**
+     * Queues the script of the next run or chat completion
+     * @param {Object|string} script - Reply script, or just the reply text
+     */
+    queueReply(script) {
+        this.replies.push(typeof script === 'string' ? { reply: script } : script)
+    }
+
+    /**
+     * Answers the next requests matching method and path with an error instead of handling them
+     * @param {string} method - HTTP method, e.g. DELETE
+     * @param {string|RegExp} path - Path, or a pattern of paths, e.g. /^\/v1\/files\//
+     * @param {Object} [options] - { status, times }, a 500 for the next request by default
+     */
+    failNext(method, path, { status = 500, times = 1 } = {}) {
+        this.failures.push({ method: method.toUpperCase(), path, status, times })
+    }
+
+    /**
+     * Starts listening for requests
+     * @param {number} [port=0] - Port to listen on, 0 picks a free one
+     * @returns {Promise<string>} Base URL of the server
+     */
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer(this.app)
+            this.server.once('error', reject)
+            this.server.listen(port, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${this.server.address().port}`)
+            })
+        })
+    }
+
+    /**
+     * Stops listening for requests
+     */
+    close() {
+        return new Promise((resolve) => {
+            if (!this.server) {
+                return resolve()
+            }
+            this.server.close(() => resolve())
+            this.server = null
+        })
+    }
+
+    createApp() {
+        const app = express()
+        const upload = multer({ storage: multer.memoryStorage() })
+
+        app.use(express.json({ limit: '50mb' }))
+
+        // scripted failures, see failNext
+        app.use((req, res, next) => {
+            const failure = this.failures.find(({ method, path }) => method === req.method
+                && (typeof path === 'string' ? path === req.path : path.test(req.path)))
+            if (!failure) {
+                return next()
+            }
+
+            if (--failure.times <= 0) {
+                this.failures = this.failures.filter((other) => other !== failure)
+            }
+            sendError(res, failure.status, 'server_error', 'The mock server was asked to fail this request.')
+        })
+
+        //===============================================
+        /* Scripting */
+        //===============================================
+        app.post('/__mock/replies', (req, res) => {
+            const scripts = Array.isArray(req.body) ? req.body : [req.body]
+            scripts.forEach((script) => this.queueReply(script))
+            res.json({ queued: this.replies.length })
+        })
+
+        app.post('/__mock/reset', (req, res) => {
+            this.reset()
+            res.json({ reset: true })
+        })
+
+        app.get('/__mock/state', (req, res) => {
+            res.json({
+                assistants: [...this.assistants.values()],
+                threads: [...this.threads.values()].map(({ messages, ...thread }) => ({ ...thread, messages: messages.length })),
+                runs: [...this.runs.values()].map(({ script, ...run }) => run),
+                vector_stores: [...this.vectorStores.values()],
+                files: [...this.files.values()],
+                queued_replies: this.replies.length
+            })
+        })
+
+        //===============================================
+        /* Models */
+        //===============================================
+        app.get('/v1/models', (req, res) => {
+            res.json({
+                object: 'list',
+                data: ['gpt-4o', 'gpt-4o-mini'].map((id) => ({ id, object: 'model', created: 0, owned_by: 'mock' }))
+            })
+        })
+
+        //===============================================
+        /* Assistants */
+        //===============================================
+        app.post('/v1/assistants', (req, res) => {
+            const assistant = {
+                id: createId('asst'),
+                object: 'assistant',
+                created_at: now(),
+                description: null,
+                metadata: {},
+                ...req.body
+            }
+            this.assistants.set(assistant.id, assistant)
+            res.json(assistant)
+        })
+
+        app.get('/v1/assistants', (req, res) => {
+            res.json(listPage([...this.assistants.values()], req.query))
+        })
+
+        app.get('/v1/assistants/:id', (req, res) => {
+            const assistant = this.assistants.get(req.params.id)
+            if (!assistant) {
+                return notFound(res, 'assistant', req.params.id)
+            }
+            res.json(assistant)
+        })
+
+        app.post('/v1/assistants/:id', (req, res) => {
+            const assistant = this.assistants.get(req.params.id)
+            if (!assistant) {
+                return notFound(res, 'assistant', req.params.id)
+            }
+            Object.assign(assistant, req.body)
+            res.json(assistant)
+        })
+
+        app.delete('/v1/assistants/:id', (req, res) => {
+            if (!this.assistants.delete(req.params.id)) {
+                return notFound(res, 'assistant', req.params.id)
+            }
+            res.json({ id: req.params.id, object: 'assistant.deleted', deleted: true })
+        })
+
+        //===============================================
+        /* Threads and messages */
+        //===============================================
+        app.post('/v1/threads', (req, res) => {
+            const thread = {
+                id: createId('thread'),
+                object: 'thread',
+                created_at: now(),
+                metadata: {},
+                messages: []
+            }
+            this.threads.set(thread.id, thread)
+            res.json(publicThread(thread))
+        })
+
+        app.delete('/v1/threads/:id', (req, res) => {
+            if (!this.threads.delete(req.params.id)) {
+                return notFound(res, 'thread', req.params.id)
+            }
+            res.json({ id: req.params.id, object: 'thread.deleted', deleted: true })
+        })
+
+        app.post('/v1/threads/:id/messages', (req, res) => {
+            const thread = this.threads.get(req.params.id)
+            if (!thread) {
+                return notFound(res, 'thread', req.params.id)
+            }
+
+            if (this.getActiveRun(thread.id)) {
+                return sendError(res, 400, 'invalid_request_error', `Can't add messages to ${thread.id} while a run is active.`)
+            }
+
+            res.json(addMessage(thread, 'user', req.body.content))
+        })
+
+        app.get('/v1/threads/:id/messages', (req, res) => {
+            const thread = this.threads.get(req.params.id)
+            if (!thread) {
+                return notFound(res, 'thread', req.params.id)
+            }
+
+            const limit = Math.min(Number(req.query.limit) || 20, 100)
+            const order = req.query.order === 'asc' ? 'asc' : 'desc'
+
+            let messages = thread.messages.filter((message) => !req.query.run_id || message.run_id === req.query.run_id)
+            if (order === 'desc') {
+                messages = [...messages].reverse()
+            }
+
+            // cursors are message IDs, the page starts after `after` or ends before `before`
+            let start = 0
+            let end = messages.length
+
+            if (req.query.after) {
+                start = messages.findIndex((message) => message.id === req.query.after) + 1
+            }
+
+            if (req.query.before) {
+                end = messages.findIndex((message) => message.id === req.query.before)
+                start = Math.max(start, end - limit)
+            }
+
+            const page = messages.slice(start, Math.min(end, start + limit))
+
+            res.json({
+                object: 'list',
+                data: page,
+                first_id: page[0]?.id || null,
+                last_id: page[page.length - 1]?.id || null,
+                has_more: start + limit < end
+            })
+        })
+
+        //===============================================
+        /* Runs */
+        //===============================================
+        app.post('/v1/threads/:id/runs', (req, res) => {
+            const thread = this.threads.get(req.params.id)
+            if (!thread) {
+                return notFound(res, 'thread', req.params.id)
+            }
+
+            if (!this.assistants.has(req.body.assistant_id)) {
+                return notFound(res, 'assistant', req.body.assistant_id)
+            }
+
+            const activeRun = this.getActiveRun(thread.id)
+            if (activeRun) {
+                return sendError(res, 400, 'invalid_request_error', `Thread ${thread.id} already has an active run ${activeRun.id}.`)
+            }
+
+            const lastUserMessage = thread.messages.filter((message) => message.role === 'user').pop()
+            const script = this.replies.shift() || { reply: `Mock reply to: ${messageText(lastUserMessage)}` }
+
+            const run = {
+                id: createId('run'),
+                object: 'thread.run',
+                created_at: now(),
+                thread_id: thread.id,
+                assistant_id: req.body.assistant_id,
+                status: 'queued',
+                required_action: null,
+                last_error: null,
+                started_at: null,
+                completed_at: null,
+                cancelled_at: null,
+                failed_at: null,
+                incomplete_details: null,
+                usage: null,
+                script,
+                pendingPolls: script.polls || 0,
+                toolCallsAnswered: !script.tool_calls?.length
+            }
+            this.runs.set(run.id, run)
+
+            if (req.body.stream) {
+                return this.streamRun(res, run)
+            }
+
+            res.json(publicRun(run))
+        })
+
+        app.get('/v1/threads/:id/runs', (req, res) => {
+            if (!this.threads.has(req.params.id)) {
+                return notFound(res, 'thread', req.params.id)
+            }
+
+            const limit = Math.min(Number(req.query.limit) || 20, 100)
+            let runs = [...this.runs.values()].filter((run) => run.thread_id === req.params.id)
+            if (req.query.order !== 'asc') {
+                runs = runs.reverse()
+            }
+
+            // like a status check, listing moves the runs forward, so waiting on them ends
+            runs.forEach((run) => this.advanceRun(run))
+
+            const page = runs.slice(0, limit).map(publicRun)
+
+            res.json({
+                object: 'list',
+                data: page,
+                first_id: page[0]?.id || null,
+                last_id: page[page.length - 1]?.id || null,
+                has_more: runs.length > limit
+            })
+        })
+
+        app.get('/v1/threads/:id/runs/:runId', (req, res) => {
+            const run = this.runs.get(req.params.runId)
+            if (!run || run.thread_id !== req.params.id) {
+                return notFound(res, 'run', req.params.runId)
+            }
+
+            // a status check moves the run forward
+            this.advanceRun(run)
+
+            res.json(publicRun(run))
+        })
+
+        app.post('/v1/threads/:id/runs/:runId/cancel', (req, res) => {
+            const run = this.runs.get(req.params.runId)
+            if (!run || run.thread_id !== req.params.id) {
+                return notFound(res, 'run', req.params.runId)
+            }
+
+            if (TERMINAL_STATUSES.includes(run.status)) {
+                return sendError(res, 400, 'invalid_request_error', `Cannot cancel run with status '${run.status}'.`)
+            }
+
+            run.status = 'cancelled'
+            run.cancelled_at = now()
+            run.required_action = null
+
+            res.json(publicRun(run))
+        })
+
+        app.post('/v1/threads/:id/runs/:runId/submit_tool_outputs', (req, res) => {
+            const run = this.runs.get(req.params.runId)
+            if (!run || run.thread_id !== req.params.id) {
+                return notFound(res, 'run', req.params.runId)
+            }
+
+            if (run.status !== 'requires_action') {
+                return sendError(res, 400, 'invalid_request_error', `Runs in status "${run.status}" do not accept tool outputs.`)
+            }
+
+            run.toolOutputs = req.body.tool_outputs || []
+            run.toolCallsAnswered = true
+            run.required_action = null
+            run.status = 'in_progress'
+
+            if (req.body.stream) {
+                return this.streamRun(res, run)
+            }
+
+            res.json(publicRun(run))
+        })
+
+        //===============================================
+        /* Vector stores */
+        //===============================================
+        app.post('/v1/vector_stores', (req, res) => {
+            const vectorStore = {
+                id: createId('vs'),
+                object: 'vector_store',
+                created_at: now(),
+                name: req.body.name,
+                metadata: req.body.metadata || {},
+                status: 'completed',
+                file_ids: []
+            }
+            this.vectorStores.set(vectorStore.id, vectorStore)
+            res.json(vectorStore)
+        })
+
+        app.get('/v1/vector_stores', (req, res) => {
+            res.json(listPage([...this.vectorStores.values()], req.query))
+        })
+
+        app.delete('/v1/vector_stores/:id', (req, res) => {
+            if (!this.vectorStores.delete(req.params.id)) {
+                return notFound(res, 'vector store', req.params.id)
+            }
+            res.json({ id: req.params.id, object: 'vector_store.deleted', deleted: true })
+        })
+
+        app.post('/v1/vector_stores/:id/files', (req, res) => {
+            const vectorStore = this.vectorStores.get(req.params.id)
+            if (!vectorStore) {
+                return notFound(res, 'vector store', req.params.id)
+            }
+
+            if (!this.files.has(req.body.file_id)) {
+                return notFound(res, 'file', req.body.file_id)
+            }
+
+            vectorStore.file_ids.push(req.body.file_id)
+
+            res.json({
+                id: req.body.file_id,
+                object: 'vector_store.file',
+                created_at: now(),
+                vector_store_id: vectorStore.id,
+                status: 'completed',
+                last_error: null
+            })
+        })
+
+        app.get('/v1/vector_stores/:id/files', (req, res) => {
+            const vectorStore = this.vectorStores.get(req.params.id)
+            if (!vectorStore) {
+                return notFound(res, 'vector store', req.params.id)
+            }
+
+            const data = vectorStore.file_ids.map((fileId) => ({
+                id: fileId,
+                object: 'vector_store.file',
+                vector_store_id: vectorStore.id,
+                status: 'completed',
+                last_error: null
+            }))
+
+            res.json({ object: 'list', data, first_id: data[0]?.id || null, last_id: data[data.length - 1]?.id || null, has_more: false })
+        })
+
+        app.delete('/v1/vector_stores/:id/files/:fileId', (req, res) => {
+            const vectorStore = this.vectorStores.get(req.params.id)
+            if (!vectorStore || !vectorStore.file_ids.includes(req.params.fileId)) {
+                return notFound(res, 'vector store file', req.params.fileId)
+            }
+
+            vectorStore.file_ids = vectorStore.file_ids.filter((fileId) => fileId !== req.params.fileId)
+            res.json({ id: req.params.fileId, object: 'vector_store.file.deleted', deleted: true })
+        })
+
+        //===============================================
+        /* Files */
+        //===============================================
+        app.post('/v1/files', upload.single('file'), (req, res) => {
+            if (!req.file) {
+                return sendError(res, 400, 'invalid_request_error', "Missing required parameter: 'file'.")
+            }
+
+            const file = {
+                id: createId('file'),
+                object: 'file',
+                bytes: req.file.size,
+                created_at: now(),
+                filename: req.file.originalname,
+                purpose: req.body.purpose
+            }
+            this.files.set(file.id, file)
+            this.fileContents.set(file.id, req.file.buffer)
+            res.json(file)
+        })
+
+        app.get('/v1/files/:id', (req, res) => {
+            const file = this.files.get(req.params.id)
+            if (!file) {
+                return notFound(res, 'file', req.params.id)
+            }
+            res.json(file)
+        })
+
+        // unlike OpenAI, files of purpose assistants can be downloaded too
+        app.get('/v1/files/:id/content', (req, res) => {
+            if (!this.files.has(req.params.id)) {
+                return notFound(res, 'file', req.params.id)
+            }
+            res.type('application/octet-stream').send(this.fileContents.get(req.params.id))
+        })
+
+        app.delete('/v1/files/:id', (req, res) => {
+            if (!this.files.delete(req.params.id)) {
+                return notFound(res, 'file', req.params.id)
+            }
+            this.fileContents.delete(req.params.id)
+            res.json({ id: req.params.id, object: 'file', deleted: true })
+        })
+
+        //===============================================
+        /* Chat completions */
+        //===============================================
+        app.post('/v1/chat/completions', (req, res) => {
+            const messages = req.body.messages || []
+            const answeredTools = messages[messages.length - 1]?.role === 'tool'
+            const lastUserMessage = messages.filter((message) => message.role === 'user').pop()
+
+            // tool outputs are answers to the previous script, keep using it
+            const script = answeredTools && this.lastChatScript
+                ? { ...this.lastChatScript, tool_calls: [] }
+                : this.replies.shift() || { reply: `Mock reply to: ${lastUserMessage?.content || ''}` }
+            this.lastChatScript = script
+
+            const id = createId('chatcmpl')
+            const usage = script.usage || { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+            const toolCalls = (script.tool_calls || []).map((toolCall) => ({
+                id: createId('call'),
+                type: 'function',
+                function: {
+                    name: toolCall.name,
+                    arguments: JSON.stringify(toolCall.arguments || {})
+                }
+            }))
+
+            if (script.status && script.status !== 'completed') {
+                return sendError(res, 500, 'server_error', script.last_error?.message || 'The mock completion failed.')
+            }
+
+            if (req.body.stream) {
+                res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+
+                const chunk = (delta, finishReason = null) => ({
+                    id,
+                    object: 'chat.completion.chunk',
+                    created: now(),
+                    model: req.body.model,
+                    choices: [{ index: 0, delta, finish_reason: finishReason }]
+                })
+
+                if (toolCalls.length > 0) {
+                    writeData(res, chunk({ tool_calls: toolCalls.map((toolCall, index) => ({ index, ...toolCall })) }, 'tool_calls'))
+                } else {
+                    splitReply(script.reply || '').forEach((value) => writeData(res, chunk({ content: value })))
+                    writeData(res, chunk({}, 'stop'))
+                }
+
+                writeData(res, { id, object: 'chat.completion.chunk', choices: [], usage })
+                res.write('data: [DONE]\n\n')
+                return res.end()
+            }
+
+            res.json({
+                id,
+                object: 'chat.completion',
+                created: now(),
+                model: req.body.model,
+                choices: [{
+                    index: 0,
+                    message: toolCalls.length > 0
+                        ? { role: 'assistant', content: null, tool_calls: toolCalls }
+                        : { role: 'assistant', content: script.reply || '' },
+                    finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+                }],
+                usage
+            })
+        })
+
+        app.use((req, res) => {
+            sendError(res, 404, 'invalid_request_error', `Mock OpenAI server has no route ${req.method} ${req.path}`)
+        })
+
+        return app
+    }
+
+    getActiveRun(threadId) {
+        return [...this.runs.values()].find((run) => run.thread_id === threadId && !TERMINAL_STATUSES.includes(run.status))
+    }
+
+    /**
+     * Moves a run one step through its script:
+     * queued -> in_progress (for `polls` checks) -> requires_action (if tool_calls) -> final status
+     */
+    advanceRun(run) {
+        if (TERMINAL_STATUSES.includes(run.status) || run.status === 'requires_action') {
+            return
+        }
+
+        if (run.status === 'queued') {
+            run.status = 'in_progress'
+            run.started_at = now()
+        }
+
+        if (run.pendingPolls > 0) {
+            run.pendingPolls--
+            return
+        }
+
+        const script = run.script
+
+        if (!run.toolCallsAnswered) {
+            run.status = 'requires_action'
+            run.required_action = {
+                type: 'submit_tool_outputs',
+                submit_tool_outputs: {
+                    tool_calls: script.tool_calls.map((toolCall) => ({
+                        id: createId('call'),
+                        type: 'function',
+                        function: {
+                            name: toolCall.name,
+                            arguments: JSON.stringify(toolCall.arguments || {})
+                        }
+                    }))
+                }
+            }
+            return
+        }
+
+        run.status = script.status || 'completed'
+        run.usage = script.usage || { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+
+        if (run.status === 'completed') {
+            run.completed_at = now()
+            addMessage(this.threads.get(run.thread_id), 'assistant', script.reply || '', run)
+        } else if (run.status === 'failed') {
+            run.failed_at = now()
+            run.last_error = script.last_error || { code: 'server_error', message: 'The mock run failed.' }
+        } else if (run.status === 'cancelled') {
+            run.cancelled_at = now()
+        } else if (run.status === 'incomplete') {
+            run.incomplete_details = { reason: 'max_completion_tokens' }
+        }
+    }
+
+    /**
+     * Answers a streaming run request with the same events as OpenAI
+     * The stream ends at requires_action, submitting tool outputs opens a new one
+     */
+    streamRun(res, run) {
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+
+        if (run.status === 'queued') {
+            writeEvent(res, 'thread.run.created', publicRun(run))
+        }
+
+        // a stream does not wait for status checks
+        run.pendingPolls = 0
+
+        if (run.status === 'queued') {
+            run.status = 'in_progress'
+            run.started_at = now()
+            writeEvent(res, 'thread.run.in_progress', publicRun(run))
+        }
+
+        this.advanceRun(run)
+
+        if (run.status === 'completed') {
+            const message = this.threads.get(run.thread_id).messages.filter((message) => message.run_id === run.id).pop()
+
+            splitReply(run.script.reply || '').forEach((value) => {
+                writeEvent(res, 'thread.message.delta', {
+                    id: message.id,
+                    object: 'thread.message.delta',
+                    delta: { content: [{ index: 0, type: 'text', text: { value } }] }
+                })
+            })
+        }
+
+        writeEvent(res, `thread.run.${run.status}`, publicRun(run))
+        res.write('event: done\ndata: [DONE]\n\n')
+        res.end()
+    }
+}
+
+function createId(prefix) {
+    return `${prefix}_${randomBytes(12).toString('hex')}`
+}
+
+function now() {
+    return Math.floor(Date.now() / 1000)
+}
+
+function addMessage(thread, role, content, run = null) {
+    const message = {
+        id: createId('msg'),
+        object: 'thread.message',
+        created_at: now(),
+        thread_id: thread.id,
+        role,
+        content: [{ type: 'text', text: { value: typeof content === 'string' ? content : JSON.stringify(content), annotations: [] } }],
+        assistant_id: run?.assistant_id || null,
+        run_id: run?.id || null,
+        attachments: [],
+        metadata: {}
+    }
+    thread.messages.push(message)
+    return message
+}
+
+function messageText(message) {
+    return message?.content?.[0]?.text?.value || ''
+}
+
+function publicThread({ messages, ...thread }) {
+    return thread
+}
+
+function publicRun({ script, pendingPolls, toolCallsAnswered, toolOutputs, ...run }) {
+    return run
+}
+
+// splits a reply into a few deltas so streaming clients see more than one chunk
+function splitReply(reply) {
+    return reply.match(/\S+\s*|\s+/g) || []
+}
+
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+function writeData(res, data) {
+    res.write(`data: ${JSON.stringify(data)}\n\n`)
+}
+
+// one page of a list endpoint, newest first unless order=asc, walked with the after cursor
+function listPage(items, query) {
+    const limit = Math.min(Number(query.limit) || 20, 100)
+    const ordered = query.order === 'asc' ? items : [...items].reverse()
+    const start = query.after ? ordered.findIndex((item) => item.id === query.after) + 1 : 0
+    const data = ordered.slice(start, start + limit)
+
+    return {
+        object: 'list',
+        data,
+        first_id: data[0]?.id || null,
+        last_id: data[data.length - 1]?.id || null,
+        has_more: start + limit < ordered.length
+    }
+}
+
+function notFound(res, type, id) {
+    return sendError(res, 404, 'invalid_request_error', `No ${type} found with id '${id}'.`)
+}
+
+function sendError(res, status, type, message) {
+    return res.status(status).json({ error: { message, type, param: null, code: null } })
+}
+
+/**
+ * Starts a mock server
+ * @param {number} [port=0] - Port to listen on, 0 picks a free one
+ * @returns {Promise<Object>} { mock, url }
+ */
+export async function startMockOpenAIServer(port = 0) {
+    const mock = new MockOpenAIServer()
+    const url = await mock.listen(port)
+    return { mock, url }
+}
+
+// Run on its own: node src/mock/openaiMockServer.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.OPENAI_MOCK_PORT) || 4010
+    startMockOpenAIServer(port).then(({ url }) => {
+        console.log(`Mock OpenAI server is listening on ${url}`)
+    })
+}
+
+export default MockOpenAIServer
@@ -1,7 +1,7 @@
 // create agent
 export function createAgent(db, data) {
-    if (!db || !data) {
-        return Promise.reject(new Error("Invalid database or data"))
+    if (!db || !data || !data.tenant_id) {
+        return Promise.reject(new Error("Invalid database, data or tenant id"))
     }
 
     return new Promise((resolve, reject) => {
@@ -14,17 +14,33 @@ export function createAgent(db, data) {
     })
 }
 
-// get all agents
-export function getAllAgents(db) {
+// get all agents of a tenant
+export function getAllAgents(db, tenantId) {
 
+    if (!db || !tenantId) {
+        return Promise.reject(new Error("Invalid database or tenant id"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agents WHERE tenant_id = ? AND deleted_at IS NULL ORDER BY id DESC", [tenantId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get the agents of every tenant that have an assistant or a vector store, trashed ones included
+export function getAgentsWithResources(db) {
     if (!db) {
         return Promise.reject(new Error("Invalid database"))
     }
 
     return new Promise((resolve, reject) => {
-        db.query("SELECT * FROM agents ORDER BY id DESC", function (err, result) {
+        db.query("SELECT * FROM agents WHERE assistant_id IS NOT NULL OR vector_store_id IS NOT NULL ORDER BY id ASC", function (err, result) {
             if (err) {
-                reject(err)
+                return reject(err)
             }
             resolve(result)
         })
@@ -32,10 +48,10 @@ export function getAllAgents(db) {
 }
 
 // get agent by id
-export function getAgentById(db, id) {
+export function getAgentById(db, id, tenantId) {
 
-    if (!db || !id) {
-        return Promise.reject(new Error("Invalid database or id"))
+    if (!db || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, id or tenant id"))
     }
 
     // if id is not a number, return error
@@ -44,7 +60,7 @@ export function getAgentById(db, id) {
     }
 
     return new Promise((resolve, reject) => {
-        db.query("SELECT * FROM agents WHERE id = ?", [id], function (err, result) {
+        db.query("SELECT * FROM agents WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL", [id, tenantId], function (err, result) {
             if (err) {
                 reject(err)
             }
@@ -53,11 +69,124 @@ export function getAgentById(db, id) {
     })
 }
 
+// get an agent by id and lock its row until the end of the transaction, trashed agents included
+export function getAgentByIdForUpdate(db, id, tenantId) {
+    if (!db || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agents WHERE id = ? AND tenant_id = ? FOR UPDATE", [id, tenantId], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get an agent in the trash by id
+export function getDeletedAgentById(db, id, tenantId) {
+    if (!db || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agents WHERE id = ? AND tenant_id = ? AND deleted_at IS NOT NULL", [id, tenantId], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get the agents of every tenant trashed before the given date, skipping agents an operation is still working on
+// and agents another purge took after staleBefore
+export function getAgentsToPurge(db, before, staleBefore, limit) {
+    if (!db || !before || !staleBefore) {
+        return Promise.reject(new Error("Invalid database or date"))
+    }
+
+    const query = `SELECT * FROM agents WHERE deleted_at IS NOT NULL AND deleted_at <= ?
+        AND (purging_at IS NULL OR purging_at <= ?)
+        AND id NOT IN (SELECT agent_id FROM agent_operations WHERE agent_id IS NOT NULL AND status IN ('running', 'retrying'))
+        ORDER BY deleted_at ASC, id ASC LIMIT ?`
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [before, staleBefore, limit], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// take a trashed agent for the purge, only succeeds if it is still trashed before the given date
+// and no other purge took it after staleBefore, resolves true when the agent was taken
+export function claimAgentPurge(db, id, before, staleBefore, now) {
+    if (!db || !id || !before || !staleBefore || !now) {
+        return Promise.reject(new Error("Invalid database, id or date"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    const query = `UPDATE agents SET purging_at = ?
+        WHERE id = ? AND deleted_at IS NOT NULL AND deleted_at <= ? AND (purging_at IS NULL OR purging_at <= ?)`
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [now, id, before, staleBefore], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result.affectedRows === 1)
+        })
+    })
+}
+
+// take an agent out of the trash unless the purge took it, resolves true when it was restored
+export function restoreAgentById(db, id, tenantId) {
+    if (!db || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    const query = `UPDATE agents SET deleted_at = NULL
+        WHERE id = ? AND tenant_id = ? AND deleted_at IS NOT NULL AND purging_at IS NULL`
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [id, tenantId], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result.affectedRows === 1)
+        })
+    })
+}
+
 // update agent by id
-export function updateAgentById(db, data, id) {
+export function updateAgentById(db, data, id, tenantId) {
 
-    if (!db || !data || !id) {
-        return Promise.reject(new Error("Invalid database, data or id"))
+    if (!db || !data || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, data, id or tenant id"))
     }
 
     // if id is not a number, return error
@@ -66,7 +195,7 @@ export function updateAgentById(db, data, id) {
     }
 
     return new Promise((resolve, reject) => {
-        db.query("UPDATE agents SET ? WHERE id = ?", [data, id], function (err, result) {
+        db.query("UPDATE agents SET ? WHERE id = ? AND tenant_id = ?", [data, id, tenantId], function (err, result) {
             if (err) {
                 reject(err)
             }
@@ -76,9 +205,9 @@ export function updateAgentById(db, data, id) {
 }
 
 // delete agent by id
-export function deleteAgentById(db, id) {
-    if (!db || !id) {
-        return Promise.reject(new Error("Invalid database or id"))
+export function deleteAgentById(db, id, tenantId) {
+    if (!db || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, id or tenant id"))
     }
 
     // if id is not a number, return error
@@ -87,12 +216,11 @@ export function deleteAgentById(db, id) {
     }
 
     return new Promise((resolve, reject) => {
-        db.query("DELETE FROM agents WHERE id = ?", [id], function (err, result) {
+        db.query("DELETE FROM agents WHERE id = ? AND tenant_id = ?", [id, tenantId], function (err, result) {
             if (err) {
                 reject(err)
             }
             resolve(result)
         })
     })
-}
-
+}
\ No newline at end of file
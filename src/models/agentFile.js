@@ -0,0 +1,99 @@
+// create agent file
+export function createAgentFile(db, data) {
+    if (!db || !data) {
+        return Promise.reject(new Error("Invalid database or data"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("INSERT INTO agent_files SET ?", [data], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get agent files by agent id
+export function getAgentFilesByAgentId(db, agentId) {
+    if (!db || !agentId) {
+        return Promise.reject(new Error("Invalid database or agent id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agent_files WHERE agent_id = ? ORDER BY id DESC", [agentId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get agent file by id, scoped to the agent it belongs to
+export function getAgentFileById(db, agentId, id) {
+    if (!db || !agentId || !id) {
+        return Promise.reject(new Error("Invalid database, agent id or id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId) || isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agent_files WHERE agent_id = ? AND id = ?", [agentId, id], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// delete agent file by id
+export function deleteAgentFileById(db, id) {
+    if (!db || !id) {
+        return Promise.reject(new Error("Invalid database or id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("DELETE FROM agent_files WHERE id = ?", [id], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// delete all files of an agent
+export function deleteAgentFilesByAgentId(db, agentId) {
+    if (!db || !agentId) {
+        return Promise.reject(new Error("Invalid database or agent id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("DELETE FROM agent_files WHERE agent_id = ?", [agentId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
@@ -0,0 +1,129 @@
+// create agent operation
+export function createAgentOperation(db, data) {
+    if (!db || !data || !data.tenant_id) {
+        return Promise.reject(new Error("Invalid database, data or tenant id"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("INSERT INTO agent_operations SET ?", [data], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get agent operation by id
+export function getAgentOperationById(db, id) {
+    if (!db || !id) {
+        return Promise.reject(new Error("Invalid database or id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agent_operations WHERE id = ?", [id], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get operations due for a retry, and running operations nobody has touched since staleBefore (their process died)
+export function getDueAgentOperations(db, now, staleBefore, limit) {
+    if (!db || !now || !staleBefore) {
+        return Promise.reject(new Error("Invalid database or dates"))
+    }
+
+    const query = `SELECT * FROM agent_operations
+        WHERE (status = 'retrying' AND next_attempt_at <= ?) OR (status = 'running' AND updated_at < ?)
+        ORDER BY id ASC LIMIT ?`
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [now, staleBefore, limit], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get operations that are not finished, their resources are still in use
+export function getActiveAgentOperations(db) {
+    if (!db) {
+        return Promise.reject(new Error("Invalid database"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agent_operations WHERE status IN ('running', 'retrying')", function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get the operations of a type for an agent, finished ones included
+export function getAgentOperationsByAgentId(db, agentId, type) {
+    if (!db || !agentId || !type) {
+        return Promise.reject(new Error("Invalid database, agent id or type"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agent_operations WHERE agent_id = ? AND type = ? ORDER BY id ASC", [agentId, type], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// take an operation for this process, only succeeds if nobody changed it since it was read
+// resolves true when the operation was taken
+export function claimAgentOperation(db, operation, data) {
+    if (!db || !operation || !data) {
+        return Promise.reject(new Error("Invalid database, operation or data"))
+    }
+
+    const query = `UPDATE agent_operations SET ?
+        WHERE id = ? AND status = ? AND updated_at = ? AND next_attempt_at <=> ?`
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [data, operation.id, operation.status, operation.updated_at, operation.next_attempt_at], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result.affectedRows === 1)
+        })
+    })
+}
+
+// update agent operation by id
+export function updateAgentOperationById(db, data, id) {
+    if (!db || !data || !id) {
+        return Promise.reject(new Error("Invalid database, data or id"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("UPDATE agent_operations SET ? WHERE id = ?", [data, id], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
\ No newline at end of file
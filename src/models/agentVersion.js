@@ -0,0 +1,73 @@
+// create agent version
+export function createAgentVersion(db, data) {
+    if (!db || !data || !data.tenant_id || !data.agent_id || !data.version) {
+        return Promise.reject(new Error("Invalid database, data, tenant id, agent id or version"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("INSERT INTO agent_versions SET ?", [data], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get versions of an agent, newest first
+export function getAgentVersionsByAgentId(db, agentId, tenantId) {
+    if (!db || !agentId || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agent_versions WHERE agent_id = ? AND tenant_id = ? ORDER BY version DESC", [agentId, tenantId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get agent version by version number
+export function getAgentVersion(db, agentId, version, tenantId) {
+    if (!db || !agentId || !version || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id, version or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId) || isNaN(version)) {
+        return Promise.reject(new Error("Id and version must be numbers"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agent_versions WHERE agent_id = ? AND version = ? AND tenant_id = ?", [agentId, version, tenantId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// delete versions by agent id
+export function deleteAgentVersionsByAgentId(db, agentId) {
+    if (!db || !agentId) {
+        return Promise.reject(new Error("Invalid database or agent id"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("DELETE FROM agent_versions WHERE agent_id = ?", [agentId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
\ No newline at end of file
@@ -0,0 +1,121 @@
+// columns that are safe to return, the key hash never leaves the database
+const PUBLIC_COLUMNS = "id, tenant_id, name, key_prefix, last_used_at, revoked_at, created_at"
+
+// create api key
+export function createApiKey(db, data) {
+    if (!db || !data || !data.tenant_id || !data.key_hash) {
+        return Promise.reject(new Error("Invalid database, data, tenant id or key hash"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("INSERT INTO api_keys SET ?", [data], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get active api key with its tenant by key hash
+export function getActiveApiKeyByHash(db, keyHash) {
+    if (!db || !keyHash) {
+        return Promise.reject(new Error("Invalid database or key hash"))
+    }
+
+    const query = `
+        SELECT api_keys.id, api_keys.tenant_id, api_keys.name, api_keys.key_prefix, tenants.name AS tenant_name
+        FROM api_keys
+        INNER JOIN tenants ON tenants.id = api_keys.tenant_id
+        WHERE api_keys.key_hash = ? AND api_keys.revoked_at IS NULL
+        LIMIT 1
+    `
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [keyHash], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get api keys by tenant id
+export function getApiKeysByTenantId(db, tenantId) {
+    if (!db || !tenantId) {
+        return Promise.reject(new Error("Invalid database or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(tenantId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query(`SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE tenant_id = ? ORDER BY id DESC`, [tenantId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get api key by id
+export function getApiKeyById(db, id) {
+    if (!db || !id) {
+        return Promise.reject(new Error("Invalid database or id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query(`SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE id = ?`, [id], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// revoke api key by id
+export function revokeApiKeyById(db, id) {
+    if (!db || !id) {
+        return Promise.reject(new Error("Invalid database or id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL", [new Date(), id], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// mark api key as used
+export function touchApiKey(db, id) {
+    if (!db || !id) {
+        return Promise.reject(new Error("Invalid database or id"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("UPDATE api_keys SET last_used_at = ? WHERE id = ?", [new Date(), id], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
\ No newline at end of file
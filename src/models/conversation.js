@@ -1,6 +1,6 @@
 export function createConversation(db, data) {
-    if (!db || !data) {
-        return Promise.reject(new Error("Invalid database or data"))
+    if (!db || !data || !data.tenant_id) {
+        return Promise.reject(new Error("Invalid database, data or tenant id"))
     }
 
     return new Promise((resolve, reject) => {
@@ -13,10 +13,31 @@ export function createConversation(db, data) {
     })
 }
 
-// get conversation by id
-export function getConversationByAgentId(db, agentId) {
-    if (!db || !agentId) {
-        return Promise.reject(new Error("Invalid database or id"))
+// get the latest conversation of an end user with an agent
+export function getConversationByAgentIdAndUserId(db, agentId, userId, tenantId) {
+    if (!db || !agentId || !userId || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id, user id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM conversations WHERE agent_id = ? AND user_id = ? AND tenant_id = ? AND deleted_at IS NULL ORDER BY updated_at DESC, id DESC LIMIT 1", [agentId, userId, tenantId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get conversations of an agent, optionally of a single end user, paginated
+export function getConversationsByAgentId(db, agentId, { userId, limit, offset }, tenantId) {
+    if (!db || !agentId || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id or tenant id"))
     }
 
     // if id is not a number, return error
@@ -24,8 +45,69 @@ export function getConversationByAgentId(db, agentId) {
         return Promise.reject(new Error("Id must be a number"))
     }
 
+    let query = "SELECT * FROM conversations WHERE agent_id = ? AND tenant_id = ? AND deleted_at IS NULL"
+    const params = [agentId, tenantId]
+
+    if (userId) {
+        query += " AND user_id = ?"
+        params.push(userId)
+    }
+
+    query += " ORDER BY updated_at DESC, id DESC LIMIT ? OFFSET ?"
+    params.push(limit, offset)
+
     return new Promise((resolve, reject) => {
-        db.query("SELECT * FROM conversations WHERE agent_id = ?", [agentId], function (err, result) {
+        db.query(query, params, function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// count conversations of an agent, optionally of a single end user
+export function countConversationsByAgentId(db, agentId, { userId }, tenantId) {
+    if (!db || !agentId || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    let query = "SELECT COUNT(*) AS total FROM conversations WHERE agent_id = ? AND tenant_id = ? AND deleted_at IS NULL"
+    const params = [agentId, tenantId]
+
+    if (userId) {
+        query += " AND user_id = ?"
+        params.push(userId)
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query(query, params, function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result[0].total)
+        })
+    })
+}
+
+// get conversation by id
+export function getConversationById(db, id, tenantId) {
+    if (!db || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM conversations WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL", [id, tenantId], function (err, result) {
             if (err) {
                 reject(err)
             }
@@ -35,13 +117,13 @@ export function getConversationByAgentId(db, agentId) {
 }
 
 // get conversation by thread id
-export function getConversationByThreadId(db, threadId) {
-    if (!db || !threadId) {
-        return Promise.reject(new Error("Invalid database or thread id"))
+export function getConversationByThreadId(db, threadId, tenantId) {
+    if (!db || !threadId || !tenantId) {
+        return Promise.reject(new Error("Invalid database, thread id or tenant id"))
     }
 
     return new Promise((resolve, reject) => {
-        db.query("SELECT * FROM conversations WHERE thread_id = ?", [threadId], function (err, result) {
+        db.query("SELECT * FROM conversations WHERE thread_id = ? AND tenant_id = ? AND deleted_at IS NULL", [threadId, tenantId], function (err, result) {
             if (err) {
                 reject(err)
             }
@@ -50,10 +132,117 @@ export function getConversationByThreadId(db, threadId) {
     })
 }
 
+// get a conversation in the trash by id
+export function getDeletedConversationById(db, id, tenantId) {
+    if (!db || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM conversations WHERE id = ? AND tenant_id = ? AND deleted_at IS NOT NULL", [id, tenantId], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get the conversations of every tenant trashed before the given date, with the provider of their agent
+// conversations of an agent in the trash are left to the purge of the agent, which claims it first
+export function getConversationsToPurge(db, before, limit) {
+    if (!db || !before) {
+        return Promise.reject(new Error("Invalid database or date"))
+    }
+
+    const query = `SELECT conversations.*, agents.provider AS agent_provider FROM conversations
+        LEFT JOIN agents ON agents.id = conversations.agent_id
+        WHERE conversations.deleted_at IS NOT NULL AND conversations.deleted_at <= ?
+        AND agents.deleted_at IS NULL
+        ORDER BY conversations.deleted_at ASC, conversations.id ASC LIMIT ?`
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [before, limit], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get every conversation of an agent, those in the trash included
+export function getAllConversationsByAgentId(db, agentId, tenantId) {
+    if (!db || !agentId || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM conversations WHERE agent_id = ? AND tenant_id = ? ORDER BY id ASC", [agentId, tenantId], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// move the active conversations of an agent to the trash, with the deleted_at of the agent
+export function trashConversationsByAgentId(db, agentId, deletedAt, tenantId) {
+    if (!db || !agentId || !deletedAt || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id, date or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("UPDATE conversations SET deleted_at = ? WHERE agent_id = ? AND tenant_id = ? AND deleted_at IS NULL", [deletedAt, agentId, tenantId], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// restore the conversations trashed with an agent, those deleted on their own stay in the trash
+export function restoreConversationsByAgentId(db, agentId, deletedAt, tenantId) {
+    if (!db || !agentId || !deletedAt || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id, date or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("UPDATE conversations SET deleted_at = NULL WHERE agent_id = ? AND tenant_id = ? AND deleted_at = ?", [agentId, tenantId, deletedAt], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
 // update conversation by id
-export function updateConversationById(db, data, id) {
-    if (!db || !data || !id) {
-        return Promise.reject(new Error("Invalid database, data or id"))
+export function updateConversationById(db, data, id, tenantId) {
+    if (!db || !data || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, data, id or tenant id"))
     }
 
     // if id is not a number, return error
@@ -62,7 +251,7 @@ export function updateConversationById(db, data, id) {
     }
 
     return new Promise((resolve, reject) => {
-        db.query("UPDATE conversations SET ? WHERE id = ?", [data, id], function (err, result) {
+        db.query("UPDATE conversations SET ? WHERE id = ? AND tenant_id = ?", [data, id, tenantId], function (err, result) {
             if (err) {
                 reject(err)
             }
@@ -72,9 +261,9 @@ export function updateConversationById(db, data, id) {
 }
 
 // delete conversation by id
-export function deleteConversationById(db, id) {
-    if (!db || !id) {
-        return Promise.reject(new Error("Invalid database or id"))
+export function deleteConversationById(db, id, tenantId) {
+    if (!db || !id || !tenantId) {
+        return Promise.reject(new Error("Invalid database, id or tenant id"))
     }
 
     // if id is not a number, return error
@@ -83,7 +272,7 @@ export function deleteConversationById(db, id) {
     }
 
     return new Promise((resolve, reject) => {
-        db.query("DELETE FROM conversations WHERE id = ?", [id], function (err, result) {
+        db.query("DELETE FROM conversations WHERE id = ? AND tenant_id = ?", [id, tenantId], function (err, result) {
             if (err) {
                 reject(err)
             }
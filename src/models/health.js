@@ -0,0 +1,15 @@
+// check the database answers a query
+export function pingDatabase(db) {
+    if (!db) {
+        return Promise.reject(new Error("Invalid database"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query({ sql: "SELECT 1", timeout: 5000 }, function (err) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(true)
+        })
+    })
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+// take a named lock, held by the connection until released or closed
+// resolves true when the lock was taken within timeout seconds
+export function getLock(connection, name, timeout) {
+    if (!connection || !name) {
+        return Promise.reject(new Error("Invalid connection or lock name"))
+    }
+
+    return new Promise((resolve, reject) => {
+        connection.query("SELECT GET_LOCK(?, ?) AS acquired", [name, timeout], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result[0].acquired === 1)
+        })
+    })
+}
+
+// release a named lock held by the connection
+export function releaseLock(connection, name) {
+    if (!connection || !name) {
+        return Promise.reject(new Error("Invalid connection or lock name"))
+    }
+
+    return new Promise((resolve, reject) => {
+        connection.query("SELECT RELEASE_LOCK(?) AS released", [name], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result[0].released === 1)
+        })
+    })
+}
+
+// get a dedicated connection from the pool, a named lock belongs to the connection that took it
+export function getConnection(db) {
+    if (!db) {
+        return Promise.reject(new Error("Invalid database"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.getConnection(function (err, connection) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(connection)
+        })
+    })
+}
+
+// run work(connection) on a dedicated connection holding a named lock, waiting up to timeout seconds for it
+// resolves with onBusy() instead when somebody else holds the lock
+export async function withNamedLock(db, name, timeout, work, onBusy) {
+    const connection = await getConnection(db)
+
+    let acquired
+    try {
+        acquired = await getLock(connection, name, timeout)
+    } catch (error) {
+        connection.release()
+        throw error
+    }
+
+    if (!acquired) {
+        connection.release()
+        return onBusy()
+    }
+
+    try {
+        return await work(connection)
+    } finally {
+        // a lock that cannot be released is freed when its connection closes
+        try {
+            await releaseLock(connection, name)
+            connection.release()
+        } catch {
+            connection.destroy()
+        }
+    }
+}
\ No newline at end of file
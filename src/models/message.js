@@ -0,0 +1,168 @@
+// create message
+export function createMessage(db, data) {
+    if (!db || !data) {
+        return Promise.reject(new Error("Invalid database or data"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("INSERT INTO messages SET ?", [data], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get message by run id and role, used to avoid storing a reply twice
+export function getMessageByRunId(db, runId, role) {
+    if (!db || !runId || !role) {
+        return Promise.reject(new Error("Invalid database, run id or role"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM messages WHERE run_id = ? AND role = ? LIMIT 1", [runId, role], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get a page of messages of a conversation, walked with message id cursors
+// one extra row is fetched so the caller knows if there are more
+export function getMessagesByConversationId(db, conversationId, { limit, order, after, before }) {
+    if (!db || !conversationId) {
+        return Promise.reject(new Error("Invalid database or conversation id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(conversationId) || (after && isNaN(after)) || (before && isNaN(before))) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    let query = "SELECT * FROM messages WHERE conversation_id = ?"
+    const params = [conversationId]
+
+    if (after) {
+        query += order === 'asc' ? " AND id > ?" : " AND id < ?"
+        params.push(after)
+    }
+
+    if (before) {
+        query += order === 'asc' ? " AND id < ?" : " AND id > ?"
+        params.push(before)
+    }
+
+    // walking backwards reads the rows closest to the cursor first, they are put back in order below
+    const reverse = Boolean(before)
+    const direction = (order === 'asc') !== reverse ? 'ASC' : 'DESC'
+
+    query += ` ORDER BY id ${direction} LIMIT ?`
+    params.push(limit + 1)
+
+    return new Promise((resolve, reject) => {
+        db.query(query, params, function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+
+            const hasMore = result.length > limit
+            const rows = result.slice(0, limit)
+
+            resolve({
+                data: reverse ? rows.reverse() : rows,
+                has_more: hasMore
+            })
+        })
+    })
+}
+
+// full-text search over the stored messages of a tenant, filtered by agent and date range
+export function searchMessages(db, { q, agentId, from, to, limit, offset }, tenantId) {
+    if (!db || !q || !tenantId) {
+        return Promise.reject(new Error("Invalid database, search query or tenant id"))
+    }
+
+    const { where, params } = buildSearchFilter({ q, agentId, from, to }, tenantId)
+
+    const query = `SELECT messages.id, messages.agent_id, messages.conversation_id, messages.role, messages.content,
+        messages.run_id, messages.created_at, MATCH(messages.content) AGAINST(? IN NATURAL LANGUAGE MODE) AS score
+        FROM ${SEARCH_FROM} WHERE ${where} ORDER BY score DESC, messages.id DESC LIMIT ? OFFSET ?`
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [q, ...params, limit, offset], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// count the results of searchMessages
+export function countSearchMessages(db, { q, agentId, from, to }, tenantId) {
+    if (!db || !q || !tenantId) {
+        return Promise.reject(new Error("Invalid database, search query or tenant id"))
+    }
+
+    const { where, params } = buildSearchFilter({ q, agentId, from, to }, tenantId)
+
+    return new Promise((resolve, reject) => {
+        db.query(`SELECT COUNT(*) AS total FROM ${SEARCH_FROM} WHERE ${where}`, params, function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result[0].total)
+        })
+    })
+}
+
+// messages of conversations and agents in the trash are not searched
+const SEARCH_FROM = `messages
+    JOIN conversations ON conversations.id = messages.conversation_id AND conversations.deleted_at IS NULL
+    JOIN agents ON agents.id = messages.agent_id AND agents.deleted_at IS NULL`
+
+function buildSearchFilter({ q, agentId, from, to }, tenantId) {
+    let where = "messages.tenant_id = ? AND MATCH(messages.content) AGAINST(? IN NATURAL LANGUAGE MODE)"
+    const params = [tenantId, q]
+
+    if (agentId) {
+        where += " AND messages.agent_id = ?"
+        params.push(agentId)
+    }
+
+    if (from) {
+        where += " AND messages.created_at >= ?"
+        params.push(from)
+    }
+
+    if (to) {
+        where += " AND messages.created_at <= ?"
+        params.push(to)
+    }
+
+    return { where, params }
+}
+
+// get the latest messages of a conversation, oldest first
+export function getRecentMessagesByConversationId(db, conversationId, limit) {
+    if (!db || !conversationId) {
+        return Promise.reject(new Error("Invalid database or conversation id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(conversationId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM messages WHERE conversation_id = ? ORDER BY id DESC LIMIT ?", [conversationId, limit], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result.reverse())
+        })
+    })
+}
\ No newline at end of file
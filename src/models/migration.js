@@ -0,0 +1,86 @@
+// create the table tracking applied migrations
+export function createMigrationsTable(db) {
+    if (!db) {
+        return Promise.reject(new Error("Invalid database"))
+    }
+
+    const query = `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(191) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at DATETIME NOT NULL,
+        PRIMARY KEY (version)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+
+    return new Promise((resolve, reject) => {
+        db.query(query, function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get applied migrations, oldest first
+export function getAppliedMigrations(db) {
+    if (!db) {
+        return Promise.reject(new Error("Invalid database"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM schema_migrations ORDER BY version ASC", function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// record an applied migration
+export function createMigration(db, data) {
+    if (!db || !data) {
+        return Promise.reject(new Error("Invalid database or data"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("INSERT INTO schema_migrations SET ?", [data], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// forget a rolled back migration
+export function deleteMigration(db, version) {
+    if (!db || !version) {
+        return Promise.reject(new Error("Invalid database or version"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("DELETE FROM schema_migrations WHERE version = ?", [version], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// run one statement of a migration file
+export function executeStatement(db, statement) {
+    if (!db || !statement) {
+        return Promise.reject(new Error("Invalid database or statement"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query(statement, function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+// create tenant
+export function createTenant(db, data) {
+    if (!db || !data) {
+        return Promise.reject(new Error("Invalid database or data"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("INSERT INTO tenants SET ?", [data], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get all tenants
+export function getAllTenants(db) {
+    if (!db) {
+        return Promise.reject(new Error("Invalid database"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM tenants ORDER BY id DESC", function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get tenant by id
+export function getTenantById(db, id) {
+    if (!db || !id) {
+        return Promise.reject(new Error("Invalid database or id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(id)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM tenants WHERE id = ?", [id], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
\ No newline at end of file
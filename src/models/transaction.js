@@ -0,0 +1,35 @@
+import { getConnection } from './lock.js'
+
+// run work(connection) in a transaction on a dedicated connection
+// committed when work resolves, rolled back when it throws
+export async function withTransaction(db, work) {
+    const connection = await getConnection(db)
+
+    try {
+        await runOnConnection(connection, 'beginTransaction')
+        const result = await work(connection)
+        await runOnConnection(connection, 'commit')
+        connection.release()
+        return result
+    } catch (error) {
+        try {
+            await runOnConnection(connection, 'rollback')
+            connection.release()
+        } catch {
+            // the transaction is rolled back when its connection closes
+            connection.destroy()
+        }
+        throw error
+    }
+}
+
+function runOnConnection(connection, method) {
+    return new Promise((resolve, reject) => {
+        connection[method](function (err) {
+            if (err) {
+                return reject(err)
+            }
+            resolve()
+        })
+    })
+}
\ No newline at end of file
@@ -0,0 +1,53 @@
+// get the agents and conversations in the trash of a tenant, most recently deleted first
+// type limits the result to 'agent' or 'conversation'
+export function getTrashItems(db, { type, limit, offset }, tenantId) {
+    if (!db || !tenantId) {
+        return Promise.reject(new Error("Invalid database or tenant id"))
+    }
+
+    const { query, params } = buildTrashQuery(type, tenantId)
+
+    return new Promise((resolve, reject) => {
+        db.query(`${query} ORDER BY deleted_at DESC, id DESC LIMIT ? OFFSET ?`, [...params, limit, offset], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// count the results of getTrashItems
+export function countTrashItems(db, { type }, tenantId) {
+    if (!db || !tenantId) {
+        return Promise.reject(new Error("Invalid database or tenant id"))
+    }
+
+    const { query, params } = buildTrashQuery(type, tenantId)
+
+    return new Promise((resolve, reject) => {
+        db.query(`SELECT COUNT(*) AS total FROM (${query}) AS trash`, params, function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result[0].total)
+        })
+    })
+}
+
+function buildTrashQuery(type, tenantId) {
+    const selects = []
+    const params = []
+
+    if (!type || type === 'agent') {
+        selects.push("SELECT 'agent' AS type, id, name, NULL AS agent_id, NULL AS user_id, deleted_at FROM agents WHERE tenant_id = ? AND deleted_at IS NOT NULL")
+        params.push(tenantId)
+    }
+
+    if (!type || type === 'conversation') {
+        selects.push("SELECT 'conversation' AS type, id, NULL AS name, agent_id, user_id, deleted_at FROM conversations WHERE tenant_id = ? AND deleted_at IS NOT NULL")
+        params.push(tenantId)
+    }
+
+    return { query: selects.join(" UNION ALL "), params }
+}
\ No newline at end of file
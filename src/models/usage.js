@@ -0,0 +1,98 @@
+// create usage record
+export function createUsage(db, data) {
+    if (!db || !data || !data.tenant_id) {
+        return Promise.reject(new Error("Invalid database, data or tenant id"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("INSERT INTO agent_usage SET ?", [data], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get usage record by run id, used to avoid counting a run twice
+export function getUsageByRunId(db, runId) {
+    if (!db || !runId) {
+        return Promise.reject(new Error("Invalid database or run id"))
+    }
+
+    return new Promise((resolve, reject) => {
+        db.query("SELECT * FROM agent_usage WHERE run_id = ? LIMIT 1", [runId], function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get daily usage totals of an agent, from and to are optional dates
+export function getDailyUsageByAgentId(db, agentId, { from, to }, tenantId) {
+    if (!db || !agentId || !tenantId) {
+        return Promise.reject(new Error("Invalid database, agent id or tenant id"))
+    }
+
+    // if id is not a number, return error
+    if (isNaN(agentId)) {
+        return Promise.reject(new Error("Id must be a number"))
+    }
+
+    let query = `
+        SELECT DATE(created_at) AS date,
+            COUNT(*) AS runs,
+            SUM(prompt_tokens) AS prompt_tokens,
+            SUM(completion_tokens) AS completion_tokens,
+            SUM(total_tokens) AS total_tokens,
+            SUM(cost) AS cost
+        FROM agent_usage
+        WHERE agent_id = ? AND tenant_id = ?
+    `
+    const params = [agentId, tenantId]
+
+    if (from) {
+        query += " AND created_at >= ?"
+        params.push(from)
+    }
+
+    if (to) {
+        query += " AND created_at <= ?"
+        params.push(to)
+    }
+
+    query += " GROUP BY DATE(created_at) ORDER BY date ASC"
+
+    return new Promise((resolve, reject) => {
+        db.query(query, params, function (err, result) {
+            if (err) {
+                reject(err)
+            }
+            resolve(result)
+        })
+    })
+}
+
+// get total usage of an agent since a date
+export function getUsageTotalsByAgentId(db, agentId, since) {
+    if (!db || !agentId || !since) {
+        return Promise.reject(new Error("Invalid database, agent id or date"))
+    }
+
+    const query = `
+        SELECT COALESCE(SUM(total_tokens), 0) AS total_tokens, COALESCE(SUM(cost), 0) AS cost
+        FROM agent_usage
+        WHERE agent_id = ? AND created_at >= ?
+    `
+
+    return new Promise((resolve, reject) => {
+        db.query(query, [agentId, since], function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+            resolve(result[0])
+        })
+    })
+}
\ No newline at end of file
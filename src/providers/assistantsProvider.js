@@ -0,0 +1,155 @@
+/**
+ * Assistants Provider
+ * Runs agents on the OpenAI Assistants API: every agent is an assistant with its own
+ * vector store, every conversation is an OpenAI thread.
+ */
+
+import Provider from './provider.js'
+import OpenAIService from '../services/openaiService.js'
+
+import { buildAssistantTools } from '../tools/index.js'
+import { CONFIG_DEFAULTS } from '../utils/agentConfig.js'
+import { removeCitations } from '../utils/textFormat.js'
+
+// a thread takes no new message or run while its last run has one of these statuses
+const ACTIVE_RUN_STATUSES = ['queued', 'in_progress', 'requires_action', 'cancelling'];
+
+class AssistantsProvider extends Provider {
+
+    static providerName = 'assistants';
+
+    supportsRuns = true;
+
+    constructor() {
+        super();
+        this.openAIService = new OpenAIService();
+    }
+
+    async createAgent({ name, instructions, description, model, temperature, top_p, response_format, tools }, onCreated = async () => {}) {
+        // Create vector store for document search capabilities
+        const vectorStore = await this.openAIService.createStoreVector(name);
+        await onCreated('vector_store', vectorStore?.id);
+
+        // configure assistant data
+        // name: this is the name of the assistant
+        // instructions: 
+        // model: this is the model that the assistant will use to search for documents
+        // tools: file_search to search for documents, plus the enabled local function tools
+        // tool_resources: this is the vector store id that the assistant will use to search for documents
+        // file_search: this is the vector store id that the assistant will use to search for documents
+        // description, temperature, top_p and response_format are only sent when the agent sets them,
+        // otherwise OpenAI's defaults apply (see CONFIG_DEFAULTS)
+        const assistantDataOpenAI = {
+            name,
+            instructions,
+            model,
+            tools: buildAssistantTools(tools),
+            tool_resources: { "file_search": { "vector_store_ids": [vectorStore?.id] } },
+        };
+
+        const settings = { description, temperature, top_p, response_format };
+        for (const [key, value] of Object.entries(settings)) {
+            if (value !== null && value !== undefined) {
+                assistantDataOpenAI[key] = value;
+            }
+        }
+
+        // Create the OpenAI assistant
+        const openAIAssistant = await this.openAIService.createAssistant(assistantDataOpenAI);
+        await onCreated('assistant', openAIAssistant?.id);
+
+        return {
+            assistant_id: openAIAssistant?.id,
+            vector_store_id: vectorStore?.id
+        };
+    }
+
+    async updateAgent(agent, changes) {
+        const assistantData = { ...changes };
+
+        if (changes.tools) {
+            assistantData.tools = buildAssistantTools(changes.tools);
+        }
+
+        // A setting removed from the agent goes back to OpenAI's default
+        for (const key of Object.keys(CONFIG_DEFAULTS)) {
+            if (key in changes && changes[key] === null) {
+                assistantData[key] = CONFIG_DEFAULTS[key];
+            }
+        }
+
+        await this.openAIService.updateAssistant(agent.assistant_id, assistantData);
+    }
+
+    async createThread() {
+        return this.openAIService.createThread();
+    }
+
+    async deleteThread(threadId) {
+        return this.openAIService.deleteThread(threadId);
+    }
+
+    async sendMessage(agent, conversation, message, { toolRunner } = {}) {
+        return this.openAIService.sendMessage(message, conversation.thread_id, agent.assistant_id, toolRunner);
+    }
+
+    async sendMessageStream(agent, conversation, message, onEvent, options = {}) {
+        return this.openAIService.sendMessageStream(message, conversation.thread_id, agent.assistant_id, onEvent, options);
+    }
+
+    /**
+     * Starts a run without waiting for it
+     * @returns {Promise<Object>} Created run data
+     */
+    async sendMessageAsync(agent, conversation, message) {
+        return this.openAIService.sendMessageAsync(message, conversation.thread_id, agent.assistant_id);
+    }
+
+    async getActiveRun(conversation) {
+        const result = await this.openAIService.listRuns(conversation.thread_id, 1);
+        const run = result.data[0];
+
+        return run && ACTIVE_RUN_STATUSES.includes(run.status) ? run : null;
+    }
+
+    async listMessages(conversation, { limit, order, after, before }) {
+        const result = await this.openAIService.retrieveThreadMessages(conversation.thread_id, { limit, order, after, before });
+
+        const messages = await Promise.all(result.data.map(formatMessage));
+
+        return {
+            messages,
+            has_more: result.has_more,
+            // pass next_cursor as `after` to get the next page in the same order
+            next_cursor: result.has_more ? result.last_id : null,
+            // pass prev_cursor as `before` to get the previous page
+            prev_cursor: result.first_id || null
+        };
+    }
+}
+
+/**
+ * Simplifies an OpenAI thread message for the client
+ * Text parts are joined, citations are removed from assistant replies
+ * @param {Object} message - Message data from OpenAI
+ * @returns {Promise<Object>} Message ID, role, text and timestamp
+ */
+async function formatMessage(message) {
+    let text = (message.content || [])
+        .filter((content) => content.type === 'text')
+        .map((content) => content.text.value)
+        .join('\n');
+
+    if (message.role === 'assistant') {
+        text = await removeCitations(text);
+    }
+
+    return {
+        id: message.id,
+        role: message.role,
+        text,
+        created_at: new Date(message.created_at * 1000).toISOString()
+    };
+}
+
+export default AssistantsProvider;
\ No newline at end of file
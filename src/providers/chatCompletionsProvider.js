@@ -0,0 +1,279 @@
+/**
+ * Chat Completions Provider
+ * Runs agents on the Chat Completions API, against OpenAI or any OpenAI-compatible server
+ * such as llama.cpp, vLLM or Ollama (see CHAT_COMPLETIONS_URL).
+ * The API is stateless, so the agent's configuration lives only in MySQL and a
+ * conversation's history is read back from the local messages table on every request.
+ */
+
+import { randomUUID } from 'crypto'
+
+import Provider from './provider.js'
+import axiosClient from '../services/axiosClient.js'
+import { RunError, fromUpstreamError } from '../utils/errors.js'
+import { logger } from '../services/logger.js'
+import { getRecentMessages, listLocalMessages } from '../services/transcript.js'
+
+import { CHAT_COMPLETIONS_URL, CHAT_COMPLETIONS_KEY, CHAT_HISTORY_LIMIT, DEFAULT_MODEL } from '../configs/constants.js'
+import { buildFunctionTools, parseAgentTools } from '../tools/index.js'
+import { getAgentSettings } from '../utils/agentConfig.js'
+import { readServerSentEvents } from '../utils/sse.js'
+
+// Maximum number of tool call rounds before a reply is given up on
+const MAX_TOOL_ROUNDS = 5
+
+class ChatCompletionsProvider extends Provider {
+
+    static providerName = 'chat_completions';
+
+    constructor() {
+        super();
+        this.url = `${CHAT_COMPLETIONS_URL}/v1/chat/completions`;
+        this.headers = {
+            "Content-Type": "application/json"
+        };
+
+        // local servers usually run without a key
+        if (CHAT_COMPLETIONS_KEY) {
+            this.headers["Authorization"] = `Bearer ${CHAT_COMPLETIONS_KEY}`;
+        }
+    }
+
+    /**
+     * Logs the failed request and rethrows it as a typed error, like OpenAIService.logError
+     */
+    async logError(source, url, error) {
+        logger.error(`${source} failed`, {
+            source,
+            url,
+            status: error.response?.status,
+            error: error.response && !error.response.data?.pipe ? error.response.data : error.message
+        });
+
+        throw fromUpstreamError(error);
+    }
+
+    // Nothing is created remotely, the configuration is kept in the agents table
+    async createAgent() {
+        return {
+            assistant_id: null,
+            vector_store_id: null
+        };
+    }
+
+    async updateAgent() {}
+
+    // The history lives in the messages table, the thread ID only has to be unique
+    async createThread() {
+        return { id: `thread_local_${randomUUID().replace(/-/g, '')}` };
+    }
+
+    async deleteThread() {}
+
+    async sendMessage(agent, conversation, message, { toolRunner } = {}) {
+        const messages = await buildMessages(agent, conversation, message);
+        const tools = buildFunctionTools(parseAgentTools(agent));
+        const usage = emptyUsage();
+
+        let run = null;
+
+        for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+            let completion;
+
+            try {
+                const result = await axiosClient.post(this.url, buildPayload(agent, messages, tools), { headers: this.headers });
+                completion = result.data;
+            } catch (error) {
+                await this.logError("ChatCompletionsProvider/sendMessage", this.url, error);
+            }
+
+            addUsage(usage, completion.usage);
+            run = buildRun(completion.id, conversation, agent, "completed", usage);
+
+            const choice = completion.choices?.[0];
+            const toolCalls = choice?.message?.tool_calls || [];
+
+            if (toolCalls.length === 0 || !toolRunner) {
+                return { message: choice?.message?.content || "", run };
+            }
+
+            // Answer the tool calls and ask again with their outputs
+            messages.push(choice.message);
+            await appendToolOutputs(messages, toolCalls, toolRunner, run);
+        }
+
+        throw new RunError("incomplete", { ...run, status: "incomplete" });
+    }
+
+    async sendMessageStream(agent, conversation, message, onEvent, { signal, toolRunner } = {}) {
+        const messages = await buildMessages(agent, conversation, message);
+        const tools = buildFunctionTools(parseAgentTools(agent));
+        const usage = emptyUsage();
+
+        let resultMessage = "";
+        let run = null;
+
+        for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+            let stream;
+
+            try {
+                const result = await axiosClient.post(this.url, {
+                    ...buildPayload(agent, messages, tools),
+                    stream: true,
+                    stream_options: { include_usage: true }
+                }, { headers: this.headers, responseType: 'stream', signal });
+
+                stream = result.data;
+            } catch (error) {
+                await this.logError("ChatCompletionsProvider/sendMessageStream", this.url, error);
+            }
+
+            let completionId = null;
+            let content = "";
+            const toolCalls = [];
+
+            try {
+                for await (const event of readServerSentEvents(stream)) {
+                    if (event.data === "[DONE]") {
+                        break;
+                    }
+
+                    const chunk = event.data;
+
+                    if (chunk?.error) {
+                        throw new Error(chunk.error.message || "Chat Completions stream error");
+                    }
+
+                    if (chunk?.id && chunk.id !== completionId) {
+                        completionId = chunk.id;
+                        onEvent("status", { run_id: completionId, status: "in_progress" });
+                    }
+
+                    addUsage(usage, chunk?.usage);
+
+                    const delta = chunk?.choices?.[0]?.delta;
+
+                    if (delta?.content) {
+                        content += delta.content;
+                        onEvent("delta", { value: delta.content });
+                    }
+
+                    // tool calls arrive in pieces, the index tells which call a piece belongs to
+                    for (const toolCallDelta of delta?.tool_calls || []) {
+                        const toolCall = toolCalls[toolCallDelta.index] ??= { id: null, type: "function", function: { name: "", arguments: "" } };
+
+                        if (toolCallDelta.id) {
+                            toolCall.id = toolCallDelta.id;
+                        }
+
+                        toolCall.function.name += toolCallDelta.function?.name || "";
+                        toolCall.function.arguments += toolCallDelta.function?.arguments || "";
+                    }
+                }
+            } catch (error) {
+                await this.logError("ChatCompletionsProvider/sendMessageStream", this.url, error);
+            }
+
+            resultMessage += content;
+            run = buildRun(completionId, conversation, agent, "completed", usage);
+
+            if (toolCalls.length === 0 || !toolRunner) {
+                onEvent("status", { run_id: run.id, status: run.status });
+                return { message: resultMessage, run };
+            }
+
+            // Answer the tool calls and ask again with their outputs
+            messages.push({ role: "assistant", content: content || null, tool_calls: toolCalls });
+            await appendToolOutputs(messages, toolCalls, toolRunner, run);
+        }
+
+        throw new RunError("incomplete", { ...run, status: "incomplete" });
+    }
+
+    async listMessages(conversation, cursors) {
+        return listLocalMessages(conversation, cursors);
+    }
+}
+
+/**
+ * Builds the messages sent to the API: the agent's instructions, the latest history and the new message
+ */
+async function buildMessages(agent, conversation, message) {
+    const history = await getRecentMessages(conversation, CHAT_HISTORY_LIMIT);
+
+    return [
+        { role: "system", content: agent.instructions },
+        ...history.map((row) => ({ role: row.role, content: row.content })),
+        { role: "user", content: message }
+    ];
+}
+
+function buildPayload(agent, messages, tools) {
+    const settings = getAgentSettings(agent);
+    const payload = {
+        model: settings.model,
+        messages
+    };
+
+    if (tools.length > 0) {
+        payload.tools = tools;
+    }
+
+    // Settings the agent does not set are left to the server's defaults
+    if (settings.temperature !== null) {
+        payload.temperature = settings.temperature;
+    }
+
+    if (settings.top_p !== null) {
+        payload.top_p = settings.top_p;
+    }
+
+    if (settings.response_format && settings.response_format !== "auto") {
+        payload.response_format = settings.response_format;
+    }
+
+    return payload;
+}
+
+async function appendToolOutputs(messages, toolCalls, toolRunner, run) {
+    const toolOutputs = await toolRunner(toolCalls, run);
+
+    for (const toolOutput of toolOutputs) {
+        messages.push({
+            role: "tool",
+            tool_call_id: toolOutput.tool_call_id,
+            content: toolOutput.output
+        });
+    }
+}
+
+// Run-like summary of a completion, so callers can treat both providers the same
+function buildRun(id, conversation, agent, status, usage) {
+    return {
+        id,
+        thread_id: conversation.thread_id,
+        model: agent.model || DEFAULT_MODEL,
+        status,
+        usage: { ...usage }
+    };
+}
+
+function emptyUsage() {
+    return {
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0
+    };
+}
+
+function addUsage(usage, addition) {
+    if (!addition) {
+        return;
+    }
+
+    usage.prompt_tokens += addition.prompt_tokens || 0;
+    usage.completion_tokens += addition.completion_tokens || 0;
+    usage.total_tokens += addition.total_tokens || 0;
+}
+
+export default ChatCompletionsProvider;
\ No newline at end of file
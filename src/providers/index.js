@@ -0,0 +1,51 @@
+/**
+ * Provider Registry
+ * Maps the provider name stored on an agent to its implementation.
+ * See provider.js for the interface a provider implements.
+ */
+
+import AssistantsProvider from './assistantsProvider.js'
+import ChatCompletionsProvider from './chatCompletionsProvider.js'
+
+import { DEFAULT_PROVIDER } from '../configs/constants.js'
+
+const providers = [
+    AssistantsProvider,
+    ChatCompletionsProvider,
+]
+
+const registry = new Map(providers.map((provider) => [provider.providerName, provider]))
+
+/**
+ * Names of all registered providers
+ * @returns {string[]}
+ */
+export function getProviderNames() {
+    return [...registry.keys()]
+}
+
+/**
+ * Checks whether a provider name is registered
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isProvider(name) {
+    return registry.has(name)
+}
+
+/**
+ * Creates the provider an agent runs on
+ * Agents created before providers existed have none stored and use the default
+ * @param {Object|string} agentOrName - Agent row from the database, or a provider name
+ * @returns {Provider}
+ */
+export function getProvider(agentOrName) {
+    const name = (typeof agentOrName === 'string' ? agentOrName : agentOrName?.provider) || DEFAULT_PROVIDER
+
+    const ProviderClass = registry.get(name)
+    if (!ProviderClass) {
+        throw new Error(`Unknown provider: ${name}`)
+    }
+
+    return new ProviderClass()
+}
\ No newline at end of file
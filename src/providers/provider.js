@@ -0,0 +1,112 @@
+/**
+ * LLM Provider
+ * Base class of the backends an agent can run on.
+ * Each agent stores its provider name and model, see providers/index.js for the list.
+ *
+ * A provider covers the whole life of an agent and its conversations:
+ * - createAgent / updateAgent: remote resources of the agent, if any
+ * - createThread / deleteThread: where a conversation's history lives
+ * - sendMessage / sendMessageStream: answer a user message
+ * - listMessages: read a conversation's history
+ *
+ * Providers that support async runs (sendMessageAsync, retrieveRun, cancelRun) set supportsRuns
+ * and report unfinished runs with getActiveRun.
+ */
+class Provider {
+
+    /**
+     * Name stored in the agents table
+     * @type {string}
+     */
+    static providerName = null;
+
+    /**
+     * Whether the provider supports async runs and the run endpoints
+     * @type {boolean}
+     */
+    supportsRuns = false;
+
+    /**
+     * Creates the remote resources of a new agent
+     * @param {Object} config - { name, instructions, description, model, temperature, top_p, response_format, tools }
+     * @param {Function} [onCreated] - Awaited with (resource, id) as soon as each resource exists,
+     *   resource is vector_store or assistant, so it is removed again if a later step fails
+     * @returns {Promise<Object>} { assistant_id, vector_store_id }, null when not used
+     */
+    async createAgent(config, onCreated) {
+        throw new Error(`${this.constructor.name} does not implement createAgent`);
+    }
+
+    /**
+     * Syncs changed agent configuration to the remote resources
+     * @param {Object} agent - Agent row from the database
+     * @param {Object} changes - Changed fields: name, instructions, description, model,
+     *   temperature, top_p, response_format, tools. null resets a setting to its default
+     */
+    async updateAgent(agent, changes) {
+        throw new Error(`${this.constructor.name} does not implement updateAgent`);
+    }
+
+    /**
+     * Creates a new conversation thread
+     * @returns {Promise<Object>} Thread data with its id
+     */
+    async createThread() {
+        throw new Error(`${this.constructor.name} does not implement createThread`);
+    }
+
+    /**
+     * Deletes a conversation thread
+     * @param {string} threadId - The thread to delete
+     */
+    async deleteThread(threadId) {
+        throw new Error(`${this.constructor.name} does not implement deleteThread`);
+    }
+
+    /**
+     * Answers a user message
+     * @param {Object} agent - Agent row from the database
+     * @param {Object} conversation - Conversation row from the database
+     * @param {string} message - User's message
+     * @param {Object} [options] - { toolRunner }
+     * @returns {Promise<Object>} { message, run }, run holds the id and usage
+     */
+    async sendMessage(agent, conversation, message, options) {
+        throw new Error(`${this.constructor.name} does not implement sendMessage`);
+    }
+
+    /**
+     * Answers a user message, streaming the reply
+     * @param {Object} agent - Agent row from the database
+     * @param {Object} conversation - Conversation row from the database
+     * @param {string} message - User's message
+     * @param {Function} onEvent - Called with (type, data), type is 'status' or 'delta'
+     * @param {Object} [options] - { signal, toolRunner }
+     * @returns {Promise<Object>} { message, run }, run holds the id and usage
+     */
+    async sendMessageStream(agent, conversation, message, onEvent, options) {
+        throw new Error(`${this.constructor.name} does not implement sendMessageStream`);
+    }
+
+    /**
+     * Returns the run that is still going on a conversation's thread, if any
+     * Providers without remote runs have nothing to report
+     * @param {Object} conversation - Conversation row from the database
+     * @returns {Promise<Object|null>} Run data
+     */
+    async getActiveRun(conversation) {
+        return null;
+    }
+
+    /**
+     * Reads a page of a conversation's history
+     * @param {Object} conversation - Conversation row from the database
+     * @param {Object} cursors - { limit, order, after, before }
+     * @returns {Promise<Object>} { messages, has_more, next_cursor, prev_cursor }
+     */
+    async listMessages(conversation, cursors) {
+        throw new Error(`${this.constructor.name} does not implement listMessages`);
+    }
+}
+
+export default Provider;
\ No newline at end of file
@@ -0,0 +1,14 @@
+import express from 'express'
+
+import * as controller from '../controllers/adminController.js'
+
+const router = express.Router()
+
+router.post('/tenants', controller.createTenant)
+router.get('/tenants', controller.getAllTenants)
+router.post('/tenants/:id/keys', controller.createApiKey)
+router.get('/tenants/:id/keys', controller.getApiKeys)
+router.post('/keys/:keyId/revoke', controller.revokeApiKey)
+router.post('/reconcile', controller.reconcileAgents)
+
+export default router
\ No newline at end of file
@@ -1,13 +1,38 @@
 import express from 'express'
 
 import * as controller from '../controllers/agentController.js'
+import * as fileController from '../controllers/agentFileController.js'
+import * as versionController from '../controllers/agentVersionController.js'
+import * as bundleController from '../controllers/agentBundleController.js'
+import * as trashController from '../controllers/trashController.js'
+
+import { uploadSingle } from '../middlewares/upload.js'
+import { validateRequest } from '../middlewares/validate.js'
+
+import * as schemas from '../schemas/agentSchemas.js'
 
 const router = express.Router()
 
-router.post('/', controller.createAgent)
-router.get('/', controller.getAllAgents)
-router.get('/:id', controller.getAgentById)
-router.patch('/:id', controller.updateAgentById)
-router.delete('/:id', controller.deleteAgentById)
+router.post('/', validateRequest(schemas.createAgent), controller.createAgent)
+router.post('/import', validateRequest(schemas.importAgent), bundleController.importAgent)
+router.get('/', validateRequest(schemas.getAllAgents), controller.getAllAgents)
+router.get('/:id', validateRequest(schemas.getAgentById), controller.getAgentById)
+router.patch('/:id', validateRequest(schemas.updateAgentById), controller.updateAgentById)
+router.delete('/:id', validateRequest(schemas.deleteAgentById), controller.deleteAgentById)
+router.post('/:id/restore', validateRequest(schemas.restoreAgent), trashController.restoreAgent)
+router.get('/:id/usage', validateRequest(schemas.getAgentUsage), controller.getAgentUsage)
+router.get('/:id/export', validateRequest(schemas.exportAgent), bundleController.exportAgent)
+router.post('/:id/clone', validateRequest(schemas.cloneAgent), bundleController.cloneAgent)
+
+// knowledge-base files
+router.post('/:id/files', validateRequest(schemas.uploadAgentFile), uploadSingle('file'), fileController.uploadAgentFile)
+router.get('/:id/files', validateRequest(schemas.getAgentFiles), fileController.getAgentFiles)
+router.delete('/:id/files/:fileId', validateRequest(schemas.deleteAgentFile), fileController.deleteAgentFile)
+
+// configuration history
+router.get('/:id/versions', validateRequest(schemas.getAgentVersions), versionController.getAgentVersions)
+router.get('/:id/versions/diff', validateRequest(schemas.diffAgentVersions), versionController.diffAgentVersions)
+router.get('/:id/versions/:version', validateRequest(schemas.getAgentVersion), versionController.getAgentVersion)
+router.post('/:id/versions/:version/rollback', validateRequest(schemas.rollbackAgentVersion), versionController.rollbackAgentVersion)
 
 export default router
\ No newline at end of file
@@ -1,14 +1,23 @@
 import express from 'express'
 
 import * as controller from '../controllers/conversationController.js'
+import * as trashController from '../controllers/trashController.js'
+
+import { validateRequest } from '../middlewares/validate.js'
+
+import * as schemas from '../schemas/conversationSchemas.js'
 
 const router = express.Router()
 
-router.post('/', controller.sendMessageToAgent)
-router.get('/agent/:id', controller.getConversationByAgentId)
-router.get('/thread/:id/history', controller.getMessageHistoryByThreadId)
-// router.get('/:id', controller.getConversationById)
-// router.put('/:id', controller.updateConversationById)
-// router.delete('/:id', controller.deleteConversationById)
+router.post('/', validateRequest(schemas.sendMessageToAgent), controller.sendMessageToAgent)
+router.get('/', validateRequest(schemas.getConversations), controller.getConversations)
+router.get('/agent/:id', validateRequest(schemas.getConversationByAgentId), controller.getConversationByAgentId)
+router.post('/agent/:id', validateRequest(schemas.createConversation), controller.createConversation)
+router.get('/thread/:id/history', validateRequest(schemas.getMessageHistoryByThreadId), controller.getMessageHistoryByThreadId)
+router.get('/thread/:id/runs/:runId', validateRequest(schemas.getRunByThreadId), controller.getRunByThreadId)
+router.post('/thread/:id/runs/:runId/cancel', validateRequest(schemas.cancelRunByThreadId), controller.cancelRunByThreadId)
+router.get('/:id', validateRequest(schemas.getConversationById), controller.getConversationById)
+router.delete('/:id', validateRequest(schemas.deleteConversationById), controller.deleteConversationById)
+router.post('/:id/restore', validateRequest(schemas.restoreConversation), trashController.restoreConversation)
 
 export default router
\ No newline at end of file
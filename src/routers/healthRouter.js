@@ -0,0 +1,10 @@
+import express from 'express'
+
+import * as controller from '../controllers/healthController.js'
+
+const router = express.Router()
+
+router.get('/healthz', controller.getHealth)
+router.get('/readyz', controller.getReadiness)
+
+export default router
\ No newline at end of file
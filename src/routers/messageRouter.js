@@ -0,0 +1,13 @@
+import express from 'express'
+
+import * as controller from '../controllers/messageController.js'
+
+import { validateRequest } from '../middlewares/validate.js'
+
+import * as schemas from '../schemas/messageSchemas.js'
+
+const router = express.Router()
+
+router.get('/search', validateRequest(schemas.searchMessages), controller.searchMessages)
+
+export default router
\ No newline at end of file
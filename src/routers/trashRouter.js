@@ -0,0 +1,13 @@
+import express from 'express'
+
+import * as controller from '../controllers/trashController.js'
+
+import { validateRequest } from '../middlewares/validate.js'
+
+import * as schemas from '../schemas/trashSchemas.js'
+
+const router = express.Router()
+
+router.get('/', validateRequest(schemas.getTrash), controller.getTrash)
+
+export default router
\ No newline at end of file
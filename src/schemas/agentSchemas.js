@@ -0,0 +1,134 @@
+/**
+ * Agent Schemas
+ * Request schemas of the agent routes, applied with validateRequest (middlewares/validate.js).
+ * They check the shape of a request, rules that need the database or the provider stay in the controllers.
+ */
+
+import { id, date, paramsSchema, querySchema, strictObject } from './common.js'
+
+import { getProviderNames } from '../providers/index.js'
+import { getToolNames } from '../tools/index.js'
+
+// names are stored as "[TEST] <name>" in a VARCHAR(50)
+const name = { type: 'string', minLength: 1, maxLength: 40, pattern: '\\S', errorMessage: { pattern: 'must not be blank' } }
+
+const responseFormat = {
+    oneOf: [
+        { type: 'string', enum: ['auto'] },
+        strictObject({ type: { type: 'string', enum: ['text', 'json_object'] } }, ['type']),
+        strictObject({
+            type: { type: 'string', enum: ['json_schema'] },
+            json_schema: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1, maxLength: 64 },
+                    schema: { type: 'object' },
+                    strict: { type: 'boolean' },
+                    description: { type: 'string' }
+                },
+                required: ['name', 'schema']
+            }
+        }, ['type', 'json_schema'])
+    ],
+    errorMessage: 'must be "auto", { type: "text" }, { type: "json_object" } or { type: "json_schema", json_schema: { name, schema } }'
+}
+
+const agentFields = {
+    name,
+    instructions: { type: 'string', minLength: 1, maxLength: 256000 },
+    provider: { type: 'string', enum: getProviderNames() },
+    tools: { type: 'array', items: { type: 'string', enum: getToolNames() }, maxItems: 128 },
+    model: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: ['string', 'null'], maxLength: 512 },
+    temperature: { type: ['number', 'null'], minimum: 0, maximum: 2 },
+    top_p: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+    response_format: { anyOf: [{ type: 'null' }, responseFormat], errorMessage: responseFormat.errorMessage },
+    monthly_token_budget: { type: ['integer', 'null'], minimum: 0 },
+    monthly_cost_budget: { type: ['number', 'null'], minimum: 0 }
+}
+
+const agentParams = paramsSchema({ id })
+
+export const createAgent = {
+    body: strictObject(agentFields, ['name', 'instructions'])
+}
+
+export const getAllAgents = {}
+
+export const getAgentById = {
+    params: agentParams
+}
+
+export const updateAgentById = {
+    params: agentParams,
+    body: strictObject(agentFields, ['name', 'instructions'])
+}
+
+export const deleteAgentById = {
+    params: agentParams
+}
+
+export const restoreAgent = {
+    params: agentParams
+}
+
+export const getAgentUsage = {
+    params: agentParams,
+    query: querySchema({ from: date, to: date })
+}
+
+// bundles are checked by validateAgentBundle, only the envelope is checked here
+export const importAgent = {
+    query: querySchema({ name }),
+    body: {
+        type: 'object',
+        properties: {
+            format: { type: 'string' },
+            version: { type: 'integer' },
+            agent: { type: 'object' },
+            files: { type: 'array', items: { type: 'object' } }
+        },
+        required: ['format', 'version', 'agent']
+    }
+}
+
+export const exportAgent = {
+    params: agentParams,
+    query: querySchema({ files: { type: 'string', enum: ['true', 'false'] } })
+}
+
+export const cloneAgent = {
+    params: agentParams,
+    body: strictObject({ name })
+}
+
+// knowledge-base files, the upload itself is checked by the upload middleware
+export const uploadAgentFile = {
+    params: agentParams
+}
+
+export const getAgentFiles = {
+    params: agentParams
+}
+
+export const deleteAgentFile = {
+    params: paramsSchema({ id, fileId: id })
+}
+
+// configuration history
+export const getAgentVersions = {
+    params: agentParams
+}
+
+export const diffAgentVersions = {
+    params: agentParams,
+    query: querySchema({ from: id, to: id }, ['from'])
+}
+
+export const getAgentVersion = {
+    params: paramsSchema({ id, version: id })
+}
+
+export const rollbackAgentVersion = {
+    params: paramsSchema({ id, version: id })
+}
\ No newline at end of file
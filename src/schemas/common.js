@@ -0,0 +1,80 @@
+/**
+ * Common Schemas
+ * Building blocks of the route schemas, see middlewares/validate.js
+ */
+
+// database IDs, sent as numbers in a body or as strings in params and query
+export const id = {
+    type: ['integer', 'string'],
+    minimum: 1,
+    pattern: '^[1-9][0-9]{0,18}$',
+    errorMessage: 'must be a numeric ID'
+}
+
+// OpenAI object IDs such as thread_abc, run_abc or msg_abc, and local thread IDs
+export const objectId = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9_-]{1,100}$',
+    errorMessage: 'must be an ID of letters, numbers, _ and -'
+}
+
+// external end user or session IDs
+export const userId = {
+    type: ['string', 'integer'],
+    minLength: 1,
+    maxLength: 100,
+    pattern: '\\S',
+    errorMessage: { pattern: 'must not be blank' }
+}
+
+export const page = { type: 'integer', minimum: 1 }
+export const limit = { type: 'integer', minimum: 1, maximum: 100 }
+
+// YYYY-MM-DD or a full ISO 8601 timestamp
+export const date = {
+    type: 'string',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}([T ][0-9:.]+(Z|[+-]\\d{2}:?\\d{2})?)?$',
+    errorMessage: 'must be a date (YYYY-MM-DD) or an ISO 8601 timestamp'
+}
+
+/**
+ * Schema of the params of a route, every param is an ID unless given
+ * @param {Object} properties - Param names and their schemas
+ * @returns {Object}
+ */
+export function paramsSchema(properties) {
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties)
+    }
+}
+
+/**
+ * Schema of a query string, unknown parameters are ignored
+ * @param {Object} properties - Parameter names and their schemas
+ * @param {string[]} [required] - Required parameter names
+ * @returns {Object}
+ */
+export function querySchema(properties, required = []) {
+    return {
+        type: 'object',
+        properties,
+        required
+    }
+}
+
+/**
+ * Schema of an object that only allows the listed properties
+ * @param {Object} properties - Property names and their schemas
+ * @param {string[]} [required] - Required property names
+ * @returns {Object}
+ */
+export function strictObject(properties, required = []) {
+    return {
+        type: 'object',
+        properties,
+        required,
+        additionalProperties: false
+    }
+}
\ No newline at end of file
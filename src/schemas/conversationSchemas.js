@@ -0,0 +1,65 @@
+/**
+ * Conversation Schemas
+ * Request schemas of the conversation routes, applied with validateRequest (middlewares/validate.js).
+ */
+
+import { id, objectId, userId, page, limit, paramsSchema, querySchema, strictObject } from './common.js'
+
+// OpenAI accepts messages of up to 256,000 characters
+const message = { type: 'string', minLength: 1, maxLength: 256000, pattern: '\\S', errorMessage: { pattern: 'must not be blank' } }
+
+export const sendMessageToAgent = {
+    body: strictObject({
+        agent_id: id,
+        thread_id: objectId,
+        message,
+        stream: { type: 'boolean' },
+        async: { type: 'boolean' },
+        on_conflict: { type: 'string', enum: ['reject', 'wait'] }
+    }, ['agent_id', 'thread_id', 'message'])
+}
+
+export const getConversations = {
+    query: querySchema({ agent_id: id, user_id: userId, page, limit }, ['agent_id'])
+}
+
+export const getConversationByAgentId = {
+    params: paramsSchema({ id }),
+    query: querySchema({ user_id: userId }, ['user_id'])
+}
+
+export const createConversation = {
+    params: paramsSchema({ id }),
+    body: strictObject({ user_id: userId }, ['user_id'])
+}
+
+export const getMessageHistoryByThreadId = {
+    params: paramsSchema({ id: objectId }),
+    query: querySchema({
+        limit,
+        order: { type: 'string', enum: ['asc', 'desc'] },
+        after: objectId,
+        before: objectId,
+        source: { type: 'string', enum: ['openai', 'local'] }
+    })
+}
+
+export const getRunByThreadId = {
+    params: paramsSchema({ id: objectId, runId: objectId })
+}
+
+export const cancelRunByThreadId = {
+    params: paramsSchema({ id: objectId, runId: objectId })
+}
+
+export const getConversationById = {
+    params: paramsSchema({ id })
+}
+
+export const deleteConversationById = {
+    params: paramsSchema({ id })
+}
+
+export const restoreConversation = {
+    params: paramsSchema({ id })
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Message Schemas
+ * Request schemas of the message routes, applied with validateRequest (middlewares/validate.js).
+ */
+
+import { id, date, page, limit, querySchema } from './common.js'
+
+export const searchMessages = {
+    query: querySchema({
+        q: { type: 'string', minLength: 1, maxLength: 200, pattern: '\\S', errorMessage: { pattern: 'must not be blank' } },
+        agent_id: id,
+        from: date,
+        to: date,
+        page,
+        limit
+    }, ['q'])
+}
\ No newline at end of file
@@ -0,0 +1,14 @@
+/**
+ * Trash Schemas
+ * Request schemas of the trash routes, applied with validateRequest (middlewares/validate.js).
+ */
+
+import { page, limit, querySchema } from './common.js'
+
+export const getTrash = {
+    query: querySchema({
+        type: { type: 'string', enum: ['agent', 'conversation'] },
+        page,
+        limit
+    })
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Agent Bundles
+ * Portable copies of an agent, used to move a tuned agent between environments and to clone it.
+ * A bundle is a JSON manifest with the agent's name, instructions and model settings,
+ * plus the content of its knowledge-base files (base64), pulled from its vector store.
+ */
+
+import db from '../configs/db.js'
+
+import * as modelAgentFile from '../models/agentFile.js'
+
+import OpenAIService from './openaiService.js'
+import { buildAgentSnapshot } from './agentVersions.js'
+import { provisionAgent, addAgentFile } from './agents.js'
+import { logError } from './logError.js'
+
+import { DEFAULT_PROVIDER } from '../configs/constants.js'
+import { getProviderNames, isProvider } from '../providers/index.js'
+import { validateToolNames } from '../tools/index.js'
+import { validateAgentConfig } from '../utils/agentConfig.js'
+
+export const BUNDLE_FORMAT = 'simple-chat-ai.agent'
+export const BUNDLE_VERSION = 1
+
+/**
+ * Builds the bundle of an agent
+ * Files that cannot be downloaded (OpenAI refuses files uploaded for assistants) are listed
+ * in skipped_files instead of failing the export
+ * @param {Object} agent - Agent row from the database
+ * @param {Object} [options] - { includeFiles }, defaults to true
+ * @returns {Promise<Object>} The bundle
+ */
+export async function exportAgentBundle(agent, { includeFiles = true } = {}) {
+    const snapshot = buildAgentSnapshot(agent)
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported_at: new Date().toISOString(),
+        agent: {
+            name: snapshot.name,
+            instructions: snapshot.instructions,
+            provider: agent.provider || DEFAULT_PROVIDER,
+            ...snapshot.config
+        },
+        files: [],
+        skipped_files: []
+    }
+
+    if (!includeFiles || !agent.vector_store_id) {
+        return bundle
+    }
+
+    const openAIService = new OpenAIService()
+
+    // The vector store is the source of truth, the local rows only add the original names
+    const [vectorStoreFiles, agentFiles] = await Promise.all([
+        openAIService.listVectorStoreFiles(agent.vector_store_id),
+        modelAgentFile.getAgentFilesByAgentId(db, agent.id)
+    ])
+    const names = new Map(agentFiles.map((agentFile) => [agentFile.file_id, agentFile.filename]))
+
+    for (const vectorStoreFile of vectorStoreFiles) {
+        let filename = names.get(vectorStoreFile.id) || null
+
+        try {
+            if (!filename) {
+                filename = (await openAIService.retrieveFile(vectorStoreFile.id))?.filename || vectorStoreFile.id
+            }
+
+            const content = await openAIService.downloadFileContent(vectorStoreFile.id)
+
+            bundle.files.push({
+                filename,
+                bytes: content.length,
+                content: content.toString('base64')
+            })
+        } catch (error) {
+            bundle.skipped_files.push({
+                file_id: vectorStoreFile.id,
+                filename,
+                reason: error.message
+            })
+        }
+    }
+
+    return bundle
+}
+
+/**
+ * Validates a bundle sent by the client
+ * @param {Object} bundle - Request body
+ * @returns {string|null} Error message, or null if the bundle can be imported
+ */
+export function validateAgentBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+        return `Body must be an agent bundle with format ${BUNDLE_FORMAT}`
+    }
+
+    if (bundle.version !== BUNDLE_VERSION) {
+        return `Unsupported bundle version: ${bundle.version}`
+    }
+
+    const agent = bundle.agent
+    if (!agent || typeof agent.name !== 'string' || !agent.name || typeof agent.instructions !== 'string' || !agent.instructions) {
+        return "Bundle agent must have a name and instructions"
+    }
+
+    if (!isProvider(agent.provider)) {
+        return `Unknown provider: ${agent.provider}. Available providers: ${getProviderNames().join(', ')}`
+    }
+
+    const configError = validateAgentConfig(agent) || validateToolNames(agent.tools ?? [])
+    if (configError) {
+        return configError
+    }
+
+    if (bundle.files !== undefined) {
+        if (!Array.isArray(bundle.files)) {
+            return "Bundle files must be an array"
+        }
+
+        const invalidFile = bundle.files.find((file) => typeof file?.filename !== 'string' || !file.filename || typeof file.content !== 'string')
+        if (invalidFile) {
+            return "Each bundle file must have a filename and base64 content"
+        }
+    }
+
+    return null
+}
+
+/**
+ * Creates a new agent from a validated bundle, with its own assistant, vector store and files
+ * Files that fail to upload are listed in skipped_files, the agent is kept
+ * @param {number} tenantId - Tenant that owns the new agent
+ * @param {Object} bundle - Validated bundle, name and instructions already sanitized
+ * @param {Object} [options] - { changedBy }
+ * @returns {Promise<Object>} { agent, files, skipped_files }
+ */
+export async function createAgentFromBundle(tenantId, bundle, { changedBy = null } = {}) {
+    const source = bundle.agent
+
+    const agent = await provisionAgent(tenantId, {
+        name: source.name,
+        instructions: source.instructions,
+        provider: source.provider,
+        description: source.description,
+        model: source.model,
+        temperature: source.temperature,
+        top_p: source.top_p,
+        response_format: source.response_format,
+        tools: [...new Set(source.tools ?? [])]
+    }, { changedBy })
+
+    const files = []
+    const skippedFiles = []
+
+    for (const file of bundle.files ?? []) {
+        if (!agent.vector_store_id) {
+            skippedFiles.push({ filename: file.filename, reason: "The agent's provider does not support knowledge-base files" })
+            continue
+        }
+
+        try {
+            const content = Buffer.from(file.content, 'base64')
+            files.push(await addAgentFile(agent, content, file.filename, content.length))
+        } catch (error) {
+            logError(error, 'agentBundles', 'createAgentFromBundle')
+            skippedFiles.push({ filename: file.filename, reason: error.message })
+        }
+    }
+
+    return { agent, files, skipped_files: skippedFiles }
+}
\ No newline at end of file
@@ -0,0 +1,305 @@
+/**
+ * Agent Operations
+ * Creating or deleting an agent takes several steps: a vector store, an assistant, knowledge-base
+ * files and the MySQL rows. Each resource is recorded in agent_operations as soon as it exists,
+ * so a failure part way never leaves a resource nobody knows about:
+ * - a failed creation removes what it created, newest first
+ * - a deletion removes the resources in order and clears the agent's reference to each one on the way,
+ *   the agent row goes last
+ * - removing a knowledge-base file (delete_file) detaches and deletes it, its agent_files row goes last
+ *
+ * Removals that fail are retried in the background, the delay doubling from OPERATION_RETRY_INTERVAL.
+ * After OPERATION_MAX_ATTEMPTS the operation is marked failed and left for a reconciliation.
+ * Operations still running after OPERATION_STALE_AFTER belong to a process that stopped, they are picked up too.
+ */
+
+import db from '../configs/db.js'
+import { OPERATION_RETRY_INTERVAL, OPERATION_MAX_ATTEMPTS, OPERATION_STALE_AFTER } from '../configs/constants.js'
+
+// models
+import * as model from '../models/agentOperation.js'
+import * as modelAgent from '../models/agent.js'
+import * as modelAgentFile from '../models/agentFile.js'
+import * as modelAgentVersion from '../models/agentVersion.js'
+
+import OpenAIService from './openaiService.js'
+import { isShuttingDown, trackInFlight } from './lifecycle.js'
+import { logger } from './logger.js'
+import { logError } from './logError.js'
+
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000 // 6 hours
+const BATCH_SIZE = 20
+
+/**
+ * How each recorded resource is removed, together with the database reference to it
+ * A resource already gone at OpenAI counts as removed
+ */
+const REMOVERS = {
+    // knowledge-base file, record_id is its agent_files row
+    // vector_store_id is set when the file is removed on its own, the vector store stays
+    async file(step) {
+        if (step.vector_store_id) {
+            await ignoreNotFound(() => new OpenAIService().deleteVectorStoreFiles(step.vector_store_id, step.id))
+        }
+        await ignoreNotFound(() => new OpenAIService().deleteFile(step.id))
+        if (step.record_id) {
+            await modelAgentFile.deleteAgentFileById(db, step.record_id)
+        }
+    },
+
+    async vector_store(step, operation) {
+        await ignoreNotFound(() => new OpenAIService().deleteStoreVector(step.id))
+        if (operation.agent_id) {
+            await modelAgent.updateAgentById(db, { vector_store_id: null }, operation.agent_id, operation.tenant_id)
+        }
+    },
+
+    async assistant(step, operation) {
+        await ignoreNotFound(() => new OpenAIService().deleteAssistant(step.id))
+        if (operation.agent_id) {
+            await modelAgent.updateAgentById(db, { assistant_id: null }, operation.agent_id, operation.tenant_id)
+        }
+    },
+
+    // the agent row with its versions and file rows
+    async agent(step, operation) {
+        await modelAgentFile.deleteAgentFilesByAgentId(db, step.id)
+        await modelAgentVersion.deleteAgentVersionsByAgentId(db, step.id)
+        await modelAgent.deleteAgentById(db, step.id, operation.tenant_id)
+    }
+}
+
+/**
+ * Records the start of an operation
+ * @param {string} type - create_agent, delete_agent or delete_file
+ * @param {number} tenantId - Tenant of the agent
+ * @param {Object} [options] - { agentId, steps }, steps are the resources a deletion removes, in order
+ * @returns {Promise<Object>} Operation, pass it to the other functions of this module
+ */
+export async function startAgentOperation(type, tenantId, { agentId = null, steps = [] } = {}) {
+    const now = new Date()
+    const operation = {
+        tenant_id: tenantId,
+        agent_id: agentId,
+        type,
+        status: 'running',
+        steps: steps.map((step) => ({ ...step, removed: false })),
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: null,
+        created_at: now,
+        updated_at: now
+    }
+
+    const result = await model.createAgentOperation(db, { ...operation, steps: JSON.stringify(operation.steps) })
+    operation.id = result.insertId
+
+    return operation
+}
+
+/**
+ * Records a resource created by an operation
+ * The step is kept in memory first, so it is rolled back even if it cannot be saved
+ * @param {Object} operation - Operation from startAgentOperation
+ * @param {string} resource - file, vector_store, assistant or agent
+ * @param {string|number} id - ID of the resource
+ */
+export async function recordStep(operation, resource, id) {
+    if (!id) {
+        return
+    }
+
+    operation.steps.push({ resource, id, removed: false })
+    if (resource === 'agent') {
+        operation.agent_id = id
+    }
+
+    await saveOperation(operation, { agent_id: operation.agent_id })
+}
+
+/**
+ * Marks an operation as done
+ * @param {Object} operation - Operation from startAgentOperation
+ */
+export async function completeAgentOperation(operation) {
+    operation.status = 'completed'
+    await saveOperation(operation)
+}
+
+/**
+ * Removes the resources of an operation that are not removed yet
+ * A creation removes them newest first, a deletion in the order they were given
+ * Stops at the first failure and queues the rest for a retry
+ * @param {Object} operation - Operation from startAgentOperation, or a row of the queue
+ * @param {Error} [cause] - Why a creation is rolled back
+ * @returns {Promise<Object>} The operation, its status is completed, rolled_back, retrying or failed
+ */
+export async function removeResources(operation, cause) {
+    if (cause) {
+        operation.last_error = describeError(cause)
+    }
+
+    const pending = operation.steps.filter((step) => !step.removed)
+    if (operation.type === 'create_agent') {
+        pending.reverse()
+    }
+
+    for (const step of pending) {
+        try {
+            await REMOVERS[step.resource](step, operation)
+        } catch (error) {
+            logError(error, 'agentOperations', 'removeResources')
+            return scheduleRetry(operation, error)
+        }
+
+        step.removed = true
+        await saveOperation(operation)
+    }
+
+    operation.status = operation.type === 'create_agent' ? 'rolled_back' : 'completed'
+    operation.next_attempt_at = null
+    await saveOperation(operation)
+
+    logger.info('agent operation finished', { operation_id: operation.id, type: operation.type, status: operation.status })
+    return operation
+}
+
+/**
+ * Undoes a failed creation, never throws so the caller reports the original error
+ * What cannot be removed now is retried in the background
+ * @param {Object} operation - Operation from startAgentOperation
+ * @param {Error} cause - Why the creation failed
+ */
+export async function rollBackAgentCreation(operation, cause) {
+    try {
+        await removeResources(operation, cause)
+    } catch (error) {
+        logError(error, 'agentOperations', 'rollBackAgentCreation')
+    }
+}
+
+/**
+ * Lists the resources an operation still has to remove
+ * @param {Object} operation - Operation
+ * @returns {Array<Object>} { resource, id }
+ */
+export function getPendingResources(operation) {
+    return operation.steps.filter((step) => !step.removed).map(({ resource, id }) => ({ resource, id }))
+}
+
+/**
+ * Retries due operations and takes over the ones abandoned by a stopped process
+ * Each operation is claimed first, so several processes can share the queue
+ * @returns {Promise<number>} Number of operations processed
+ */
+export async function processAgentOperations() {
+    const now = new Date()
+    const rows = await model.getDueAgentOperations(db, now, new Date(now.getTime() - OPERATION_STALE_AFTER), BATCH_SIZE)
+    let processed = 0
+
+    for (const row of rows) {
+        if (isShuttingDown()) {
+            break
+        }
+
+        // nobody else takes it while it is processed, if this process stops it is due again later
+        const lease = new Date(Date.now() + OPERATION_STALE_AFTER)
+        const claimed = await model.claimAgentOperation(db, row, { status: 'retrying', next_attempt_at: lease, updated_at: new Date() })
+        if (!claimed) {
+            continue
+        }
+
+        const operation = { ...row, status: 'retrying', next_attempt_at: lease, steps: JSON.parse(row.steps) }
+        const done = trackInFlight('agentOperation')
+        try {
+            await removeResources(operation)
+            processed++
+        } catch (error) {
+            logError(error, 'agentOperations', 'processAgentOperations')
+        } finally {
+            done()
+        }
+    }
+
+    return processed
+}
+
+/**
+ * Runs processAgentOperations every OPERATION_RETRY_INTERVAL ms
+ * @returns {NodeJS.Timeout} Interval, it does not keep the process alive
+ */
+export function scheduleAgentOperationRetries() {
+    let running = false
+
+    return setInterval(async () => {
+        if (running || isShuttingDown()) {
+            return
+        }
+
+        running = true
+        try {
+            await processAgentOperations()
+        } catch (error) {
+            logError(error, 'agentOperations', 'scheduleAgentOperationRetries')
+        } finally {
+            running = false
+        }
+    }, OPERATION_RETRY_INTERVAL).unref()
+}
+
+async function scheduleRetry(operation, error) {
+    operation.attempts += 1
+    operation.last_error = describeError(error)
+
+    if (operation.attempts >= OPERATION_MAX_ATTEMPTS) {
+        operation.status = 'failed'
+        operation.next_attempt_at = null
+        logger.error('agent operation failed', {
+            operation_id: operation.id,
+            type: operation.type,
+            agent_id: operation.agent_id,
+            pending: getPendingResources(operation)
+        })
+    } else {
+        const delay = Math.min(OPERATION_RETRY_INTERVAL * 2 ** (operation.attempts - 1), MAX_RETRY_DELAY)
+        operation.status = 'retrying'
+        operation.next_attempt_at = new Date(Date.now() + delay)
+        logger.warn('agent operation queued for retry', {
+            operation_id: operation.id,
+            type: operation.type,
+            attempts: operation.attempts,
+            retry_in_ms: delay
+        })
+    }
+
+    await saveOperation(operation)
+    return operation
+}
+
+function saveOperation(operation, fields = {}) {
+    operation.updated_at = new Date()
+
+    return model.updateAgentOperationById(db, {
+        status: operation.status,
+        steps: JSON.stringify(operation.steps),
+        attempts: operation.attempts,
+        last_error: operation.last_error,
+        next_attempt_at: operation.next_attempt_at,
+        updated_at: operation.updated_at,
+        ...fields
+    }, operation.id)
+}
+
+async function ignoreNotFound(remove) {
+    try {
+        await remove()
+    } catch (error) {
+        if (error.code !== 'UPSTREAM_NOT_FOUND') {
+            throw error
+        }
+    }
+}
+
+function describeError(error) {
+    return `${error.code ? `${error.code}: ` : ''}${error.message}`.slice(0, 1000)
+}
\ No newline at end of file
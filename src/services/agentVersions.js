@@ -0,0 +1,176 @@
+/**
+ * Agent Versions
+ * Every change to an agent's name, instructions or model settings is kept as a numbered
+ * snapshot in the agent_versions table, so a change can be compared and rolled back.
+ * The agents table holds the current version number, messages and runs record it too.
+ */
+
+import db from '../configs/db.js'
+
+import * as model from '../models/agentVersion.js'
+import * as modelAgent from '../models/agent.js'
+import { withTransaction } from '../models/transaction.js'
+
+import { getAgentSettings, serializeResponseFormat } from '../utils/agentConfig.js'
+
+/**
+ * Builds the snapshot of an agent that is stored with each version
+ * @param {Object} agent - Agent row from the database
+ * @returns {Object} { name, instructions, config }
+ */
+export function buildAgentSnapshot(agent) {
+    const settings = getAgentSettings(agent)
+
+    return {
+        name: agent.name,
+        instructions: agent.instructions,
+        config: {
+            description: settings.description,
+            model: settings.model,
+            temperature: settings.temperature,
+            top_p: settings.top_p,
+            response_format: settings.response_format,
+            tools: settings.tools
+        }
+    }
+}
+
+/**
+ * Reads a stored version back into a snapshot
+ * @param {Object} version - Row of the agent_versions table
+ * @returns {Object} { version, name, instructions, config, changed_by, restored_from, created_at }
+ */
+export function formatAgentVersion(version) {
+    let config = {}
+    try {
+        config = JSON.parse(version.config) || {}
+    } catch {
+        config = {}
+    }
+
+    return {
+        version: version.version,
+        name: version.name,
+        instructions: version.instructions,
+        config,
+        changed_by: version.changed_by,
+        restored_from: version.restored_from,
+        created_at: version.created_at
+    }
+}
+
+/**
+ * Applies changes to an agent and stores its new state as the next version, in one transaction
+ * The agent row stays locked until the version is stored, so concurrent changes get consecutive versions
+ * @param {Object} agent - Agent row, its id and tenant_id are used
+ * @param {Object} [options] - { changes, changedBy, restoredFrom }, changes are columns of the agents table
+ * @returns {Promise<number>} The new version number
+ */
+export function createAgentVersion(agent, { changes = {}, changedBy = null, restoredFrom = null } = {}) {
+    return withTransaction(db, async (connection) => {
+        const current = await getLockedAgent(connection, agent)
+        const version = (current.version || 0) + 1
+
+        await storeVersion(connection, { ...current, ...changes }, version, { changedBy, restoredFrom })
+        await modelAgent.updateAgentById(connection, { ...changes, version }, agent.id, agent.tenant_id)
+
+        return version
+    })
+}
+
+/**
+ * Agents created before versioning have no version yet, their current state becomes version 1
+ * @param {Object} agent - Agent row from the database, its version is set in place
+ */
+export async function ensureAgentVersion(agent) {
+    if (agent.version) {
+        return
+    }
+
+    agent.version = await withTransaction(db, async (connection) => {
+        const current = await getLockedAgent(connection, agent)
+
+        // versioned by a concurrent request in the meantime
+        if (current.version) {
+            return current.version
+        }
+
+        await storeVersion(connection, current, 1, {})
+        await modelAgent.updateAgentById(connection, { version: 1 }, agent.id, agent.tenant_id)
+
+        return 1
+    })
+}
+
+/**
+ * Whether a change touches anything that is versioned
+ * @param {Object} before - Agent row before the change
+ * @param {Object} after - Agent row with the change applied
+ * @returns {boolean}
+ */
+export function hasVersionedChanges(before, after) {
+    return JSON.stringify(buildAgentSnapshot(before)) !== JSON.stringify(buildAgentSnapshot(after))
+}
+
+async function getLockedAgent(connection, agent) {
+    const result = await modelAgent.getAgentByIdForUpdate(connection, agent.id, agent.tenant_id)
+    if (result.length === 0) {
+        throw new Error(`Agent ${agent.id} not found`)
+    }
+
+    return result[0]
+}
+
+function storeVersion(connection, agent, version, { changedBy = null, restoredFrom = null }) {
+    const snapshot = buildAgentSnapshot(agent)
+
+    return model.createAgentVersion(connection, {
+        tenant_id: agent.tenant_id,
+        agent_id: agent.id,
+        version,
+        name: snapshot.name,
+        instructions: snapshot.instructions,
+        config: JSON.stringify(snapshot.config),
+        changed_by: changedBy,
+        restored_from: restoredFrom,
+        created_at: new Date()
+    })
+}
+
+/**
+ * Builds the agent fields a version restores, in the format of the agents table
+ * @param {Object} snapshot - Formatted version, see formatAgentVersion
+ * @returns {Object} { name, instructions, description, model, temperature, top_p, response_format, tools }
+ */
+export function snapshotToAgentFields(snapshot) {
+    const config = snapshot.config
+
+    return {
+        name: snapshot.name,
+        instructions: snapshot.instructions,
+        description: config.description ?? null,
+        model: config.model,
+        temperature: config.temperature ?? null,
+        top_p: config.top_p ?? null,
+        response_format: serializeResponseFormat(config.response_format),
+        tools: JSON.stringify(config.tools || [])
+    }
+}
+
+/**
+ * Lists the fields that differ between two snapshots
+ * @param {Object} from - Formatted version
+ * @param {Object} to - Formatted version
+ * @returns {Object[]} { field, from, to } for each changed field
+ */
+export function diffSnapshots(from, to) {
+    const fields = [
+        ['name', from.name, to.name],
+        ['instructions', from.instructions, to.instructions],
+        ...Object.keys({ ...from.config, ...to.config }).map((key) => [key, from.config[key] ?? null, to.config[key] ?? null])
+    ]
+
+    return fields
+        .filter(([, before, after]) => JSON.stringify(before) !== JSON.stringify(after))
+        .map(([field, before, after]) => ({ field, from: before, to: after }))
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Agents
+ * Creates and deletes agents and their knowledge-base files on the agent's provider and in MySQL.
+ * Shared by the agents API, bundle import and cloning so every agent is set up the same way.
+ * Creation and deletion, of an agent or one of its files, are tracked as agent operations, see agentOperations.js.
+ */
+
+import db from '../configs/db.js'
+
+import * as model from '../models/agent.js'
+import * as modelAgentFile from '../models/agentFile.js'
+
+import OpenAIService from './openaiService.js'
+import { createAgentVersion } from './agentVersions.js'
+import { startAgentOperation, recordStep, completeAgentOperation, rollBackAgentCreation, removeResources } from './agentOperations.js'
+import { logError } from './logError.js'
+
+import { getProvider } from '../providers/index.js'
+import { serializeResponseFormat } from '../utils/agentConfig.js'
+
+/**
+ * Creates an agent on its provider, stores it and its initial version
+ * Fields are expected to be validated and sanitized by the caller
+ * If a step fails, the resources created before it are removed again
+ * @param {number} tenantId - Tenant that owns the agent
+ * @param {Object} fields - { name, instructions, provider, description, model, temperature, top_p,
+ *   response_format, tools, monthly_token_budget, monthly_cost_budget }
+ * @param {Object} [options] - { changedBy }
+ * @returns {Promise<Object>} Created agent row, with its id and version
+ */
+export async function provisionAgent(tenantId, fields, { changedBy = null } = {}) {
+    const provider = getProvider(fields.provider)
+    const operation = await startAgentOperation('create_agent', tenantId)
+
+    try {
+        const resources = await provider.createAgent({
+            name: fields.name,
+            instructions: fields.instructions,
+            description: fields.description ?? null,
+            model: fields.model,
+            temperature: fields.temperature ?? null,
+            top_p: fields.top_p ?? null,
+            response_format: fields.response_format ?? null,
+            tools: fields.tools
+        }, (resource, id) => recordStep(operation, resource, id))
+
+        const insertData = {
+            tenant_id: tenantId,
+            name: fields.name,
+            instructions: fields.instructions,
+            assistant_id: resources.assistant_id,
+            vector_store_id: resources.vector_store_id,
+            provider: fields.provider,
+            description: fields.description ?? null,
+            model: fields.model,
+            temperature: fields.temperature ?? null,
+            top_p: fields.top_p ?? null,
+            response_format: serializeResponseFormat(fields.response_format),
+            tools: JSON.stringify(fields.tools),
+            monthly_token_budget: fields.monthly_token_budget ?? null,
+            monthly_cost_budget: fields.monthly_cost_budget ?? null,
+            created_at: new Date(),
+            updated_at: new Date(),
+        }
+
+        const result = await model.createAgent(db, insertData)
+        await recordStep(operation, 'agent', result.insertId)
+        const agent = { id: result.insertId, ...insertData }
+
+        // Keep the initial configuration so later changes can be rolled back to it
+        agent.version = await createAgentVersion(agent, { changedBy })
+
+        await completeAgentOperation(operation)
+        return agent
+    } catch (error) {
+        // Remove what was created so far, newest first
+        await rollBackAgentCreation(operation, error)
+        throw error
+    }
+}
+
+/**
+ * Deletes an agent with its knowledge-base files, vector store and assistant, the agent row last
+ * Each resource is removed together with the database reference to it, what cannot be removed now
+ * is retried in the background
+ * @param {Object} agent - Agent row
+ * @returns {Promise<Object>} The operation, status completed, or retrying when resources are left
+ */
+export async function deleteAgent(agent) {
+    // removing the vector store does not delete its files
+    const agentFiles = await modelAgentFile.getAgentFilesByAgentId(db, agent.id)
+
+    const steps = agentFiles.map((agentFile) => ({ resource: 'file', id: agentFile.file_id, record_id: agentFile.id }))
+    if (agent.vector_store_id) {
+        steps.push({ resource: 'vector_store', id: agent.vector_store_id })
+    }
+    if (agent.assistant_id) {
+        steps.push({ resource: 'assistant', id: agent.assistant_id })
+    }
+    steps.push({ resource: 'agent', id: agent.id })
+
+    const operation = await startAgentOperation('delete_agent', agent.tenant_id, { agentId: agent.id, steps })
+    return removeResources(operation)
+}
+
+/**
+ * Uploads a document and attaches it to the agent's vector store
+ * The upload is removed again if it cannot be attached
+ * @param {Object} agent - Agent row with a vector store
+ * @param {string|Buffer} file - Path of the file on disk, or its content
+ * @param {string} filename - Name of the document
+ * @param {number} bytes - Size of the document
+ * @returns {Promise<Object>} Stored agent file { id, file_id, filename, bytes, status }
+ */
+export async function addAgentFile(agent, file, filename, bytes) {
+    const openAIService = new OpenAIService()
+
+    // Upload file to OpenAI storage
+    const uploadedFile = await openAIService.uploadFile(file, filename)
+
+    // Attach file to the agent's vector store, remove the upload again if it fails
+    let vectorStoreFile
+    try {
+        vectorStoreFile = await openAIService.createVectorStoreFiles(agent.vector_store_id, uploadedFile?.id)
+    } catch (error) {
+        try {
+            await openAIService.deleteFile(uploadedFile?.id)
+        } catch (deleteError) {
+            logError(deleteError, 'agents', 'addAgentFile')
+        }
+        throw error
+    }
+
+    // Store file data in database
+    const insertData = {
+        agent_id: agent.id,
+        file_id: uploadedFile?.id,
+        filename,
+        bytes,
+        status: vectorStoreFile?.status || null,
+        created_at: new Date(),
+        updated_at: new Date(),
+    }
+
+    const result = await modelAgentFile.createAgentFile(db, insertData)
+
+    return {
+        id: result.insertId,
+        file_id: insertData.file_id,
+        filename: insertData.filename,
+        bytes: insertData.bytes,
+        status: insertData.status,
+    }
+}
+
+/**
+ * Detaches a document from the agent's vector store and deletes it from OpenAI storage, then its row
+ * The row is kept until OpenAI has deleted the file, what cannot be removed now is retried in the background
+ * @param {Object} agent - Agent row
+ * @param {Object} agentFile - agent_files row of the document
+ * @returns {Promise<Object>} The operation, status completed, or retrying when the file is left
+ */
+export async function removeAgentFile(agent, agentFile) {
+    const step = { resource: 'file', id: agentFile.file_id, record_id: agentFile.id }
+    if (agent.vector_store_id) {
+        step.vector_store_id = agent.vector_store_id
+    }
+
+    const operation = await startAgentOperation('delete_file', agent.tenant_id, { agentId: agent.id, steps: [step] })
+    return removeResources(operation)
+}
\ No newline at end of file
@@ -1,12 +1,36 @@
 /**
  * Axios Client Configuration
  * This file sets up a pre-configured axios instance for making HTTP requests to the OpenAI API.
- * It includes default settings and error handling interceptors.
+ * It includes default settings and error handling interceptors:
+ * - Retries: transient failures are retried with exponential backoff and jitter, see shouldRetry
+ * - Circuit breaker: after OPENAI_CIRCUIT_THRESHOLD consecutive failures of a host, requests to it
+ *   fail fast with code ECIRCUITOPEN for OPENAI_CIRCUIT_COOLDOWN ms
+ * - Logging: every call is logged with its duration and the ID of the request that made it,
+ *   which is also sent to OpenAI as X-Client-Request-Id
  */
 
 import axios from 'axios'
 import https from 'https'
 
+import {
+    OPENAI_RETRY_MAX,
+    OPENAI_RETRY_BASE_DELAY,
+    OPENAI_RETRY_MAX_DELAY,
+    OPENAI_CIRCUIT_THRESHOLD,
+    OPENAI_CIRCUIT_COOLDOWN
+} from '../configs/constants.js'
+import { CircuitBreaker } from '../utils/circuitBreaker.js'
+import { logger, getRequestId } from './logger.js'
+
+// methods that can be sent again without side effects
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'delete']
+
+// statuses worth another try, 408 and 409 are returned by OpenAI when a request can be replayed
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504]
+
+// network errors where the request never reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']
+
 /**
  * Create an axios instance with default configuration
  * - timeout: Maximum time to wait for a response before failing
@@ -18,4 +42,181 @@ const axiosClient = axios.create({
     httpsAgent: new https.Agent({ keepAlive: true })
 })
 
+// one circuit per host, so a failing local model server does not stop requests to OpenAI
+const breakers = new Map()
+
+function getBreaker(config) {
+    const host = new URL(config.url, config.baseURL).host
+
+    if (!breakers.has(host)) {
+        breakers.set(host, new CircuitBreaker({
+            name: host,
+            threshold: OPENAI_CIRCUIT_THRESHOLD,
+            cooldown: OPENAI_CIRCUIT_COOLDOWN,
+            onStateChange: (name, state, previousState) => {
+                const log = state === 'open' ? logger.error : logger.warn
+                log('upstream circuit changed', { host: name, state, previous_state: previousState })
+            }
+        }))
+    }
+
+    return breakers.get(host)
+}
+
+/**
+ * Decides whether a failed request is sent again
+ * Idempotent requests are retried on network errors and retryable statuses.
+ * Other requests are only retried when the server cannot have acted on them: a 429 answer or
+ * a connection that was never made. `retry: false` in the request config disables retries,
+ * `retry: true` allows them for any retryable failure.
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function shouldRetry(error) {
+    const config = error.config
+
+    if (!config || config.retry === false || axios.isCancel(error) || config.signal?.aborted) {
+        return false
+    }
+
+    if ((config.retryCount || 0) >= OPENAI_RETRY_MAX) {
+        return false
+    }
+
+    const status = error.response?.status
+    const retryable = status ? RETRYABLE_STATUSES.includes(status) : true
+
+    if (!retryable) {
+        return false
+    }
+
+    if (config.retry === true || IDEMPOTENT_METHODS.includes(config.method)) {
+        return true
+    }
+
+    return status === 429 || NOT_SENT_CODES.includes(error.code)
+}
+
+/**
+ * Time (ms) to wait before the next attempt
+ * Uses the Retry-After (or retry-after-ms) header when present, otherwise exponential backoff
+ * with jitter. Returns null when the server asks to wait longer than OPENAI_RETRY_MAX_DELAY.
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Number of the retry, starting at 1
+ * @returns {number|null}
+ */
+export function getRetryDelay(error, attempt) {
+    const headers = error.response?.headers || {}
+
+    let retryAfter = null
+    if (headers['retry-after-ms'] !== undefined) {
+        retryAfter = Number(headers['retry-after-ms'])
+    } else if (headers['retry-after'] !== undefined) {
+        const seconds = Number(headers['retry-after'])
+        retryAfter = isNaN(seconds) ? Date.parse(headers['retry-after']) - Date.now() : seconds * 1000
+    }
+
+    if (retryAfter !== null && !isNaN(retryAfter)) {
+        return retryAfter > OPENAI_RETRY_MAX_DELAY ? null : Math.max(0, retryAfter)
+    }
+
+    return getBackoffDelay(attempt)
+}
+
+/**
+ * Exponential backoff with jitter: OPENAI_RETRY_BASE_DELAY doubled on every attempt,
+ * capped at OPENAI_RETRY_MAX_DELAY, half of it random so clients do not retry in step
+ * @param {number} attempt - Number of the retry, starting at 1
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt) {
+    const delay = Math.min(OPENAI_RETRY_MAX_DELAY, OPENAI_RETRY_BASE_DELAY * 2 ** (attempt - 1))
+    return delay / 2 + Math.random() * delay / 2
+}
+
+/**
+ * Fields describing an upstream call in the logs, the query string is left out
+ * @param {Object} config - Axios request config
+ * @returns {Object}
+ */
+function describeCall(config) {
+    const url = new URL(config.url, config.baseURL)
+
+    return {
+        method: config.method?.toUpperCase(),
+        url: `${url.origin}${url.pathname}`,
+        duration_ms: config.startedAt ? Date.now() - config.startedAt : undefined
+    }
+}
+
+// refuse requests to a host whose circuit is open
+axiosClient.interceptors.request.use((config) => {
+    const breaker = getBreaker(config)
+    const requestId = getRequestId()
+
+    config.startedAt = Date.now()
+    if (requestId) {
+        config.headers.set('X-Client-Request-Id', requestId)
+    }
+
+    if (!breaker.allowRequest()) {
+        const error = new axios.AxiosError(`Circuit for ${breaker.name} is open`, 'ECIRCUITOPEN', config)
+        error.retryAfterMs = breaker.remainingCooldown() || OPENAI_CIRCUIT_COOLDOWN
+        throw error
+    }
+
+    return config
+})
+
+axiosClient.interceptors.response.use(
+    (response) => {
+        getBreaker(response.config).recordSuccess()
+        logger.info('upstream call', { ...describeCall(response.config), status: response.status, attempt: response.config.retryCount })
+        return response
+    },
+    async (error) => {
+        if (!error.config || error.code === 'ECIRCUITOPEN') {
+            throw error
+        }
+
+        const breaker = getBreaker(error.config)
+        const status = error.response?.status
+
+        logger.warn('upstream call failed', { ...describeCall(error.config), status, code: error.code, attempt: error.config.retryCount })
+
+        // any answer but a 5xx shows the service is up, 429 and cancelled requests say nothing about it
+        if (axios.isCancel(error) || status === 429) {
+            breaker.recordIgnored()
+        } else if (status && status < 500) {
+            breaker.recordSuccess()
+        } else {
+            breaker.recordFailure()
+        }
+
+        // no point in trying again once the failure opened the circuit
+        if (breaker.state === 'open' || !shouldRetry(error)) {
+            throw error
+        }
+
+        const attempt = (error.config.retryCount || 0) + 1
+        const delay = getRetryDelay(error, attempt)
+        if (delay === null) {
+            throw error
+        }
+
+        logger.warn('upstream call retried', {
+            ...describeCall(error.config),
+            status,
+            code: error.code,
+            attempt,
+            max_attempts: OPENAI_RETRY_MAX,
+            delay_ms: Math.round(delay)
+        })
+
+        await new Promise((resolve) => setTimeout(resolve, delay))
+
+        return axiosClient({ ...error.config, retryCount: attempt })
+    }
+)
+
 export default axiosClient
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Lifecycle
+ * Graceful shutdown of the HTTP server, so deploys do not drop chats.
+ *
+ * On SIGTERM or SIGINT:
+ * 1. /readyz answers 503 while the server keeps serving for SHUTDOWN_DRAIN_DELAY ms,
+ *    long enough for the orchestrator to see it and route new traffic elsewhere
+ * 2. The server stops accepting connections
+ * 3. Requests in flight, sendMessage runs included, get until SHUTDOWN_TIMEOUT ms after the signal to finish
+ * 4. Connections still open after that are closed
+ * 5. The database pool is closed and the process exits
+ */
+
+import db from '../configs/db.js'
+import { SHUTDOWN_TIMEOUT, SHUTDOWN_DRAIN_DELAY } from '../configs/constants.js'
+
+import { logger } from './logger.js'
+
+let shuttingDown = false
+
+// work that must finish before the process exits, e.g. sendMessage runs
+const inFlight = new Map()
+let nextId = 1
+
+/**
+ * Whether a shutdown has started
+ * @returns {boolean}
+ */
+export function isShuttingDown() {
+    return shuttingDown
+}
+
+/**
+ * Registers work that a shutdown waits for
+ * @param {string} name - What the work is, reported when the deadline is reached
+ * @returns {Function} Call when the work is done
+ */
+export function trackInFlight(name) {
+    const id = nextId++
+    inFlight.set(id, name)
+    return () => inFlight.delete(id)
+}
+
+/**
+ * Closes keep-alive connections after their current response once a shutdown started,
+ * so clients open new connections to another instance
+ */
+export function drainConnections(req, res, next) {
+    if (shuttingDown) {
+        res.set('Connection', 'close')
+    }
+    next()
+}
+
+/**
+ * Stops the server on SIGTERM and SIGINT
+ * @param {http.Server} server - HTTP server to stop
+ * @param {Function[]} [onClose] - Called once the server is stopped, before the database pool is closed
+ */
+export function handleShutdownSignals(server, onClose = []) {
+    const shutdown = (signal) => {
+        // a second signal stops at once
+        if (shuttingDown) {
+            logger.warn('forced shutdown', { signal })
+            process.exit(1)
+        }
+
+        gracefulShutdown(server, signal, onClose)
+            .then(() => process.exit(0))
+            .catch((error) => {
+                logger.error('shutdown failed', { error })
+                process.exit(1)
+            })
+    }
+
+    process.on('SIGTERM', shutdown)
+    process.on('SIGINT', shutdown)
+}
+
+/**
+ * Stops the server, waits for requests in flight and closes the database pool
+ * @param {http.Server} server - HTTP server to stop
+ * @param {string} signal - Signal that started the shutdown
+ * @param {Function[]} onClose - Called once the server is stopped
+ */
+export async function gracefulShutdown(server, signal, onClose) {
+    shuttingDown = true
+    logger.info('shutdown started', { signal, in_flight: inFlight.size, timeout_ms: SHUTDOWN_TIMEOUT, drain_delay_ms: SHUTDOWN_DRAIN_DELAY })
+
+    let timer
+    const deadline = new Promise((resolve) => {
+        timer = setTimeout(() => resolve('timeout'), SHUTDOWN_TIMEOUT)
+    })
+
+    // /readyz answers 503 from now on, keep listening until the orchestrator has noticed
+    await Promise.race([new Promise((resolve) => setTimeout(resolve, SHUTDOWN_DRAIN_DELAY)), deadline])
+
+    // stops accepting connections, idle keep-alive connections are closed, open requests go on.
+    // A run goes on when its client disconnects, so tracked work is waited for as well
+    const closed = Promise.all([
+        new Promise((resolve) => server.close(resolve)),
+        waitForInFlight()
+    ])
+
+    // connections busy when the shutdown started would otherwise stay open until their keep-alive timeout
+    const idleSweep = setInterval(() => server.closeIdleConnections(), 100)
+
+    const result = await Promise.race([closed, deadline])
+    clearTimeout(timer)
+    clearInterval(idleSweep)
+
+    if (result === 'timeout') {
+        logger.warn('shutdown deadline reached, closing open connections', { in_flight: [...inFlight.values()] })
+        server.closeAllConnections()
+    }
+
+    for (const close of onClose) {
+        await close()
+    }
+
+    await new Promise((resolve, reject) => db.end((err) => err ? reject(err) : resolve()))
+    logger.info('shutdown completed')
+}
+
+/**
+ * Resolves once no tracked work is left
+ */
+async function waitForInFlight() {
+    while (inFlight.size > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 100))
+    }
+}
\ No newline at end of file
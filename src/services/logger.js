@@ -0,0 +1,169 @@
+/**
+ * Logger
+ * Writes JSON lines with a level, a timestamp, the ID of the current request and the given fields:
+ * {"time":"...","level":"info","msg":"request completed","request_id":"...","status":200,...}
+ *
+ * LOG_OUTPUT picks the destination: stdout (default) or file, one LOG_DIR/YYYY-MM-DD.log per day.
+ * Files older than LOG_RETENTION_DAYS are removed by scheduleLogRetention.
+ *
+ * Message content and secrets never reach the logs: fields named like content are replaced by
+ * their length and API keys or bearer tokens are masked, see redact.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { AsyncLocalStorage } from 'async_hooks'
+
+import { LOG_LEVEL, LOG_OUTPUT, LOG_DIR, LOG_RETENTION_DAYS } from '../configs/constants.js'
+import { redactSecrets } from '../utils/errors.js'
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+// fields holding what users and agents wrote
+const CONTENT_FIELDS = ['content', 'text', 'message_content', 'instructions', 'reply', 'prompt', 'messages', 'input', 'output']
+
+// fields holding credentials
+const SECRET_FIELDS = ['authorization', 'api_key', 'apikey', 'key', 'password', 'token', 'secret']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// holds { requestId } for the request being handled, see middlewares/requestContext.js
+export const requestContext = new AsyncLocalStorage()
+
+/**
+ * ID of the request being handled, undefined outside of a request
+ * @returns {string|undefined}
+ */
+export function getRequestId() {
+    return requestContext.getStore()?.requestId
+}
+
+let fileStream = null
+let fileDate = null
+
+function write(line) {
+    if (LOG_OUTPUT !== 'file') {
+        process.stdout.write(line + '\n')
+        return
+    }
+
+    // one file per day, the stream is replaced when the date changes
+    const date = new Date().toISOString().slice(0, 10)
+    if (date !== fileDate) {
+        fs.mkdirSync(LOG_DIR, { recursive: true })
+        fileStream?.end()
+        fileStream = fs.createWriteStream(path.join(LOG_DIR, `${date}.log`), { flags: 'a' })
+        fileStream.on('error', (error) => process.stderr.write(`Cannot write log file: ${error.message}\n`))
+        fileDate = date
+    }
+
+    fileStream.write(line + '\n')
+}
+
+function log(level, msg, fields = {}) {
+    if (LEVELS[level] < (LEVELS[LOG_LEVEL] ?? LEVELS.info)) {
+        return
+    }
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        request_id: getRequestId(),
+        ...redact(fields)
+    }
+
+    try {
+        write(JSON.stringify(entry))
+    } catch (error) {
+        process.stderr.write(`Cannot write log entry: ${error.message}\n`)
+    }
+}
+
+export const logger = {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+}
+
+/**
+ * Copies a value with message content and secrets removed
+ * Errors are turned into { name, message, code, status, stack }
+ * @param {*} value - Value to log
+ * @param {number} [depth=0] - Current nesting, deeper values are dropped
+ * @returns {*}
+ */
+export function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return redact({
+            name: value.name,
+            message: value.message,
+            code: value.code,
+            status: value.response?.status ?? value.statusCode,
+            stack: value.stack
+        }, depth)
+    }
+
+    if (typeof value === 'string') {
+        return redactSecrets(value)
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value
+    }
+
+    if (depth >= 5) {
+        return '[truncated]'
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1))
+    }
+
+    const result = {}
+    for (const [key, item] of Object.entries(value)) {
+        const name = key.toLowerCase()
+
+        if (SECRET_FIELDS.includes(name)) {
+            result[key] = '[redacted]'
+        } else if (CONTENT_FIELDS.includes(name) && item !== null && item !== undefined) {
+            result[key] = `[redacted ${typeof item === 'string' ? item.length : JSON.stringify(item).length} chars]`
+        } else if (item !== undefined) {
+            result[key] = redact(item, depth + 1)
+        }
+    }
+
+    return result
+}
+
+/**
+ * Removes log files older than LOG_RETENTION_DAYS, files are named YYYY-MM-DD.log
+ */
+export async function cleanupLogs() {
+    try {
+        const files = await fs.promises.readdir(LOG_DIR).catch(() => [])
+        const oldest = Date.now() - LOG_RETENTION_DAYS * DAY_MS
+
+        for (const file of files) {
+            const match = /^(\d{4}-\d{2}-\d{2})\.log$/.exec(file)
+            if (!match || new Date(match[1]).getTime() >= oldest) {
+                continue
+            }
+
+            await fs.promises.unlink(path.join(LOG_DIR, file))
+            logger.info('log file removed', { file })
+        }
+    } catch (error) {
+        logger.error('log cleanup failed', { error })
+    }
+}
+
+/**
+ * Runs cleanupLogs now and once a day
+ * @returns {NodeJS.Timeout} Interval, it does not keep the process alive
+ */
+export function scheduleLogRetention() {
+    cleanupLogs()
+    return setInterval(cleanupLogs, DAY_MS).unref()
+}
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * Migrations
+ * Versioned schema changes, applied in order and tracked in the schema_migrations table.
+ *
+ * Every migration is a pair of files in the migrations directory, `<version>_<name>.up.sql`
+ * and `<version>_<name>.down.sql`, run statement by statement on a connection of the pool.
+ * MySQL commits schema changes at once, so a migration failing halfway is not undone nor recorded:
+ * fix the file and run it again. Runs hold a named lock, two deploys never migrate at the same time.
+ */
+
+import fs from 'fs'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+
+import db from '../configs/db.js'
+
+import * as model from '../models/migration.js'
+import * as modelLock from '../models/lock.js'
+
+export const MIGRATIONS_DIR = fileURLToPath(new URL('../../migrations/', import.meta.url))
+
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/
+const LOCK_NAME = 'schema_migrations'
+
+/**
+ * Reads the migrations directory
+ * @returns {Array<Object>} Migrations ordered by version, { version, up, down, checksum }
+ */
+export function loadMigrations() {
+    const migrations = new Map()
+
+    for (const filename of fs.readdirSync(MIGRATIONS_DIR)) {
+        const match = filename.match(FILE_PATTERN)
+        if (!match) {
+            continue
+        }
+
+        const [, number, name, direction] = match
+        const version = `${number}_${name}`
+        const migration = migrations.get(version) || { version, number: Number(number) }
+        migration[direction] = fs.readFileSync(MIGRATIONS_DIR + filename, 'utf8')
+        migrations.set(version, migration)
+    }
+
+    const sorted = [...migrations.values()].sort((a, b) => a.number - b.number)
+
+    for (let i = 0; i < sorted.length; i++) {
+        if (!sorted[i].up) {
+            throw new Error(`Migration ${sorted[i].version} has no up file`)
+        }
+        if (i > 0 && sorted[i].number === sorted[i - 1].number) {
+            throw new Error(`Migrations ${sorted[i - 1].version} and ${sorted[i].version} share a version number`)
+        }
+        sorted[i].checksum = checksum(sorted[i].up)
+    }
+
+    return sorted
+}
+
+/**
+ * Applies every pending migration, oldest first
+ * Stops at the first failure, the migrations applied before it stay applied
+ * @returns {Promise<Array<string>>} Versions applied
+ */
+export function migrate() {
+    return withMigrationLock(async (connection) => {
+        const applied = await getAppliedVersions(connection)
+        const pending = loadMigrations().filter((migration) => !applied.has(migration.version))
+        const done = []
+
+        for (const migration of pending) {
+            await runStatements(connection, migration.up, migration.version)
+            await model.createMigration(connection, {
+                version: migration.version,
+                checksum: migration.checksum,
+                applied_at: new Date()
+            })
+            done.push(migration.version)
+        }
+
+        return done
+    })
+}
+
+/**
+ * Rolls back the latest applied migrations, newest first
+ * @param {number} [steps=1] - Number of migrations to roll back
+ * @returns {Promise<Array<string>>} Versions rolled back
+ */
+export function rollback(steps = 1) {
+    return withMigrationLock(async (connection) => {
+        const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]))
+        const applied = [...(await getAppliedVersions(connection)).keys()].reverse().slice(0, steps)
+        const done = []
+
+        for (const version of applied) {
+            const migration = migrations.get(version)
+            if (!migration?.down) {
+                throw new Error(`Migration ${version} has no down file, it cannot be rolled back`)
+            }
+
+            await runStatements(connection, migration.down, version)
+            await model.deleteMigration(connection, version)
+            done.push(version)
+        }
+
+        return done
+    })
+}
+
+/**
+ * Lists every migration with its state
+ * - applied: applied and unchanged since
+ * - modified: applied, but its up file changed since
+ * - pending: not applied yet
+ * - missing: applied, but its files are gone
+ * @returns {Promise<Array<Object>>} { version, status, applied_at }
+ */
+export function getMigrationStatus() {
+    return withMigrationLock(async (connection) => {
+        const applied = await getAppliedVersions(connection)
+        const migrations = loadMigrations()
+        const known = new Set(migrations.map((migration) => migration.version))
+
+        const status = migrations.map((migration) => {
+            const row = applied.get(migration.version)
+            if (!row) {
+                return { version: migration.version, status: 'pending', applied_at: null }
+            }
+            return {
+                version: migration.version,
+                status: row.checksum === migration.checksum ? 'applied' : 'modified',
+                applied_at: row.applied_at
+            }
+        })
+
+        for (const [version, row] of applied) {
+            if (!known.has(version)) {
+                status.push({ version, status: 'missing', applied_at: row.applied_at })
+            }
+        }
+
+        return status
+    })
+}
+
+/**
+ * Splits a migration file into statements ending with `;`
+ * Semicolons inside quotes and comments do not end a statement, comments are kept
+ * @param {string} sql - Content of a migration file
+ * @returns {Array<string>} Statements without their `;`
+ */
+export function splitStatements(sql) {
+    const statements = []
+    let current = ''
+    let quote = null
+
+    for (let i = 0; i < sql.length; i++) {
+        const char = sql[i]
+
+        if (quote) {
+            current += char
+            if (char === '\\' && quote !== '`') {
+                current += sql[++i] ?? ''
+            } else if (char === quote) {
+                quote = null
+            }
+            continue
+        }
+
+        // comments are copied as they are, up to the end of the line or to */
+        const commentEnd = findCommentEnd(sql, i)
+        if (commentEnd !== null) {
+            current += sql.slice(i, commentEnd)
+            i = commentEnd - 1
+            continue
+        }
+
+        if (char === "'" || char === '"' || char === '`') {
+            quote = char
+        }
+
+        if (char === ';') {
+            statements.push(current)
+            current = ''
+            continue
+        }
+
+        current += char
+    }
+
+    statements.push(current)
+
+    // a statement made only of comments and whitespace is nothing to run
+    return statements.filter((statement) => stripComments(statement).trim() !== '').map((statement) => statement.trim())
+}
+
+/**
+ * Finds where a comment starting at `index` ends, null when no comment starts there
+ */
+function findCommentEnd(sql, index) {
+    let end = null
+
+    if (sql.startsWith('/*', index)) {
+        end = sql.indexOf('*/', index + 2)
+        end = end === -1 ? sql.length : end + 2
+    } else if (sql[index] === '#' || /^--(\s|$)/.test(sql.slice(index, index + 3))) {
+        end = sql.indexOf('\n', index)
+        end = end === -1 ? sql.length : end
+    }
+
+    return end
+}
+
+function stripComments(statement) {
+    let result = ''
+    for (let i = 0; i < statement.length; i++) {
+        const commentEnd = findCommentEnd(statement, i)
+        if (commentEnd !== null) {
+            i = commentEnd - 1
+            continue
+        }
+        result += statement[i]
+    }
+    return result
+}
+
+async function runStatements(connection, sql, version) {
+    for (const statement of splitStatements(sql)) {
+        try {
+            await model.executeStatement(connection, statement)
+        } catch (error) {
+            error.message = `Migration ${version} failed: ${error.message}`
+            throw error
+        }
+    }
+}
+
+async function getAppliedVersions(connection) {
+    const rows = await model.getAppliedMigrations(connection)
+    return new Map(rows.map((row) => [row.version, row]))
+}
+
+/**
+ * Runs work on a dedicated connection holding the migration lock
+ * Creates the schema_migrations table on first use
+ */
+function withMigrationLock(work) {
+    return modelLock.withNamedLock(db, LOCK_NAME, 0, async (connection) => {
+        await model.createMigrationsTable(connection)
+        return work(connection)
+    }, () => {
+        throw new Error("Another migration is running")
+    })
+}
+
+function checksum(content) {
+    return crypto.createHash('sha256').update(content).digest('hex')
+}
\ No newline at end of file
@@ -7,10 +7,12 @@
 import dotenv from 'dotenv'
 import FormData from 'form-data'
 import fs from 'fs'
-import axiosClient from './axiosClient.js'
+import axiosClient, { getBackoffDelay } from './axiosClient.js'
 
-import { OPENAI_KEY, OPENAI_URL } from '../configs/constants.js'
-import { logError } from './logError.js'
+import { OPENAI_KEY, OPENAI_URL, OPENAI_RUN_TIMEOUT, OPENAI_RUN_POLL_INTERVAL, RESOURCE_TAG } from '../configs/constants.js'
+import { logger } from './logger.js'
+import { RunError, fromUpstreamError } from '../utils/errors.js'
+import { readServerSentEvents } from '../utils/sse.js'
 
 dotenv.config()
 
@@ -36,18 +38,40 @@ class OpenAIService {
 
     /**
      * Error Logging System
-     * Creates daily log files in the /errors directory with detailed error information
+     * Logs the failed call with the answer of OpenAI, then rethrows it as a typed error
+     * (see utils/errors.js) so the axios error, which holds our Authorization header, never travels further
      * @param {string} source - The source/location of the error
      * @param {string} url - The API endpoint that failed
      * @param {Error} error - The error object
      */
     async logError(source, url, error) {
 
-        const errorMessage = error.response ? error.response.data : error.message;
+        logger.error(`${source} failed`, {
+            source,
+            url,
+            status: error.response?.status,
+            error: error.response && !error.response.data?.pipe ? error.response.data : error.message
+        });
 
-        logError(errorMessage, source, url)
-        
-        throw error;
+        throw fromUpstreamError(error);
+    }
+
+    /**
+     * Checks that OpenAI can be reached, any answer below 500 counts
+     * Not retried, a readiness check must answer quickly
+     * @returns {Promise<number>} HTTP status of the answer
+     */
+    async ping() {
+        const url = `${OPENAI_URL}/v1/models`;
+
+        const result = await axiosClient.get(url, {
+            headers: this.headers,
+            timeout: 5000,
+            retry: false,
+            validateStatus: (status) => status < 500
+        });
+
+        return result.status;
     }
 
     //===============================================
@@ -59,14 +83,14 @@ class OpenAIService {
      * @returns {Promise<Object>} Assistant details
      */
     async getAssistant(assistantId) {
-        let url = `${OPENAI_URL}/v1/assistants/${assistantId}`;
-        return axiosClient.get(url, { headers: this.headers })
-            .then(result => {
-                return result.data;
-            })
-            .catch(error => {
-                console.log("🚀 ~ getAssistant " + url + " ~ error:", error)
-            });
+        const url = `${OPENAI_URL}/v1/assistants/${assistantId}`;
+
+        try {
+            const response = await axiosClient.get(url, { headers: this.headers });
+            return response.data;
+        } catch (error) {
+            await this.logError("OpenAIService/getAssistant", url, error);
+        }
     }
 
     /**
@@ -88,8 +112,11 @@ class OpenAIService {
             throw new Error("Invalid 'model' in the assistant payload.");
         }
 
+        // tagged so a reconciliation knows the assistant belongs to this deployment
+        const payload = { ...data, metadata: { ...data.metadata, ...RESOURCE_TAG } };
+
         try {
-            const response = await axiosClient.post(url, data, { headers: this.headers });
+            const response = await axiosClient.post(url, payload, { headers: this.headers });
             // console.log("Assistant created successfully:", response.data);
             return response.data;
         } catch (error) {
@@ -97,6 +124,14 @@ class OpenAIService {
         }
     }
 
+    /**
+     * Lists every assistant of the organisation, all pages
+     * @returns {Promise<Array>} Assistants, newest first
+     */
+    async listAssistants() {
+        return this.listAllPages(`${OPENAI_URL}/v1/assistants`, "OpenAIService/listAssistants");
+    }
+
     /**
      * Updates an existing assistant's configuration
      * Only allows modification of specific fields to prevent invalid updates
@@ -162,18 +197,33 @@ class OpenAIService {
     }
 
     /**
-     * Retrieves messages from a thread
-     * Limited to 10 most recent messages, ordered ascending
+     * Retrieves a page of messages from a thread
+     * Pages are walked with the message ID cursors returned by OpenAI
      * @param {string} threadId - The thread to fetch messages from
-     * @returns {Promise<Array>} List of messages
+     * @param {Object} [options]
+     * @param {number} [options.limit=10] - Number of messages, 1 to 100
+     * @param {string} [options.order="asc"] - "asc" or "desc" by creation time
+     * @param {string} [options.after] - Message ID to start after
+     * @param {string} [options.before] - Message ID to end before
+     * @returns {Promise<Object>} List of messages with has_more, first_id and last_id
      */
-    async retrieveThreadMessages(threadId) {
-        let url = `${OPENAI_URL}/v1/threads/${threadId}/messages?limit=10&order=asc`;
+    async retrieveThreadMessages(threadId, { limit = 10, order = "asc", after, before } = {}) {
+        const params = new URLSearchParams({ limit: String(limit), order });
+
+        if (after) {
+            params.set("after", after);
+        }
+
+        if (before) {
+            params.set("before", before);
+        }
+
+        let url = `${OPENAI_URL}/v1/threads/${threadId}/messages?${params.toString()}`;
 
         try {
 
             const result = await axiosClient.get(url, { headers: this.headers });
-            return result.data.data;
+            return result.data;
 
         }
         catch (error) {
@@ -198,105 +248,171 @@ class OpenAIService {
     }
 
     //===============================================
-    /* Speech to Text API */
+    /* Message and Run API */
     //===============================================
 
     /**
-     * Sends a message and gets the assistant's response
-     * Complex process involving:
-     * 1. Adding user message to thread
-     * 2. Creating a run (assistant's processing session)
-     * 3. Polling run status until complete
-     * 4. Retrieving assistant's response
-     * 
+     * Adds a user message to a thread
+     * @param {string} threadId - Thread to add the message to
      * @param {string} message - User's message
-     * @param {string} threadId - Thread to send message to
-     * @param {string} assistantId - Assistant to process the message
-     * @returns {Promise<string>} Assistant's response
+     * @returns {Promise<Object>} Created message data
      */
-    async sendMessage(message, threadId, assistantId) {
-
-        if (!message || !threadId || !assistantId) {
-            throw new Error("Invalid 'message, threadId, assistantId' in the assistant payload.");
-        }
+    async createMessage(threadId, message) {
+        const url = `${OPENAI_URL}/v1/threads/${threadId}/messages`;
 
-        let url = `${OPENAI_URL}/v1/threads/${threadId}/messages`;
-
-        let data = {
+        const data = {
             role: "user",
             content: message
         };
 
         try {
-            // console.log("🚀 ~ sendMessage ~ data", data);
-            await axiosClient.post(url, data, { headers: this.headers });
+            const result = await axiosClient.post(url, data, { headers: this.headers });
+            return result.data;
         } catch (error) {
-            await this.logError("OpenAIService/sendMessage 1", url, error);
+            await this.logError("OpenAIService/createMessage", url, error);
         }
+    }
+
+    /**
+     * Creates a run (assistant's processing session) on a thread
+     * @param {string} threadId - Thread to run
+     * @param {string} assistantId - Assistant to process the thread
+     * @returns {Promise<Object>} Created run data
+     */
+    async createRun(threadId, assistantId) {
+        const url = `${OPENAI_URL}/v1/threads/${threadId}/runs`;
 
         try {
-            const runResponse = await axiosClient.post(`${OPENAI_URL}/v1/threads/${threadId}/runs`, {
-                assistant_id: assistantId,
-            }, { headers: this.headers });
+            const result = await axiosClient.post(url, { assistant_id: assistantId }, { headers: this.headers });
+            return result.data;
+        } catch (error) {
+            await this.logError("OpenAIService/createRun", url, error);
+        }
+    }
 
-            // console.log("🚀 ~ sendMessage ~ runResponse", runResponse.data);
-            let run = runResponse.data;
+    /**
+     * Lists the runs of a thread, newest first
+     * @param {string} threadId - Thread the runs belong to
+     * @param {number} [limit=1] - Number of runs, 1 to 100
+     * @returns {Promise<Object>} List of runs
+     */
+    async listRuns(threadId, limit = 1) {
+        const url = `${OPENAI_URL}/v1/threads/${threadId}/runs?limit=${limit}&order=desc`;
 
-            let response;
+        try {
+            const result = await axiosClient.get(url, { headers: this.headers });
+            return result.data;
+        } catch (error) {
+            await this.logError("OpenAIService/listRuns", url, error);
+        }
+    }
 
-            try {
-                response = await axiosClient.get(`${OPENAI_URL}/v1/threads/${threadId}/runs/${run.id}`, {
-                    headers: this.headers
-                });
-            } catch (error) {
-                await this.logError("OpenAIService/sendMessage 2", url, error);
-            }
+    /**
+     * Retrieves the current state of a run
+     * @param {string} threadId - Thread the run belongs to
+     * @param {string} runId - The run to retrieve
+     * @returns {Promise<Object>} Run data
+     */
+    async retrieveRun(threadId, runId) {
+        const url = `${OPENAI_URL}/v1/threads/${threadId}/runs/${runId}`;
 
-            // console.log("🚀 ~ sendMessage ~ response", response.data);
+        try {
+            const result = await axiosClient.get(url, { headers: this.headers });
+            return result.data;
+        } catch (error) {
+            await this.logError("OpenAIService/retrieveRun", url, error);
+        }
+    }
 
-            while (response.data.status === "in_progress" || response.data.status === "queued") {
+    /**
+     * Cancels a run that is queued or in progress
+     * The run moves to "cancelling" and then to "cancelled"
+     * @param {string} threadId - Thread the run belongs to
+     * @param {string} runId - The run to cancel
+     * @returns {Promise<Object>} Run data
+     */
+    async cancelRun(threadId, runId) {
+        const url = `${OPENAI_URL}/v1/threads/${threadId}/runs/${runId}/cancel`;
 
-                // console.log("Waiting for OpenAI response...");
-                await new Promise((resolve) => setTimeout(resolve, 5000));
+        try {
+            const result = await axiosClient.post(url, {}, { headers: this.headers });
+            return result.data;
+        } catch (error) {
+            await this.logError("OpenAIService/cancelRun", url, error);
+        }
+    }
 
-                try {
-                    response = await axiosClient.get(`${OPENAI_URL}/v1/threads/${threadId}/runs/${run.id}`, {
-                        headers: this.headers
-                    });
-                } catch (error) {
-                    await this.logError("OpenAIService/sendMessage 3", url, error);
-                }
+    /**
+     * Submits the outputs of the tool calls a run is waiting for
+     * @param {string} threadId - Thread the run belongs to
+     * @param {string} runId - The run in requires_action status
+     * @param {Array} toolOutputs - List of { tool_call_id, output }
+     * @returns {Promise<Object>} Run data
+     */
+    async submitToolOutputs(threadId, runId, toolOutputs) {
+        const url = `${OPENAI_URL}/v1/threads/${threadId}/runs/${runId}/submit_tool_outputs`;
 
-            }
+        try {
+            const result = await axiosClient.post(url, { tool_outputs: toolOutputs }, { headers: this.headers });
+            return result.data;
+        } catch (error) {
+            await this.logError("OpenAIService/submitToolOutputs", url, error);
+        }
+    }
 
-            let messageListResponse;
-            let retries = 5; // Number of retries
-            let delay = 5000; // Delay in ms between retries
-            let lastMessage;
+    /**
+     * Polls a run until it leaves the queued/in_progress states
+     * When the run requires action and a toolRunner is given, the tool calls are answered
+     * with its outputs and the run continues.
+     * Throws a RunError if the run does not finish within OPENAI_RUN_TIMEOUT
+     * @param {string} threadId - Thread the run belongs to
+     * @param {string} runId - The run to wait for
+     * @param {Function} [toolRunner] - async (toolCalls, run) => toolOutputs
+     * @returns {Promise<Object>} Run data with its final status
+     */
+    async waitForRun(threadId, runId, toolRunner) {
+        const deadline = Date.now() + OPENAI_RUN_TIMEOUT;
 
-            for (let attempt = 0; attempt < retries; attempt++) {
-                try {
-                    messageListResponse = await axiosClient.get(`${OPENAI_URL}/v1/threads/${threadId}/messages`, {
-                        headers: this.headers
-                    });
+        let run = await this.retrieveRun(threadId, runId);
 
-                    const messageList = messageListResponse.data;
+        while (true) {
 
-                    lastMessage = messageList.data.filter((message) => message.run_id === run.id && message.role === "assistant").pop();
+            if (run.status === "requires_action" && toolRunner && run.required_action?.type === "submit_tool_outputs") {
+                const toolOutputs = await toolRunner(run.required_action.submit_tool_outputs.tool_calls, run);
+                run = await this.submitToolOutputs(threadId, runId, toolOutputs);
+                continue;
+            }
 
-                    if (lastMessage && lastMessage.content && lastMessage.content[0]["text"].value) {
-                        break; // Exit loop if the message is found
-                    }
+            if (run.status !== "in_progress" && run.status !== "queued" && run.status !== "cancelling") {
+                return run;
+            }
 
-                    console.log(`Retrying to fetch messages... Attempt ${attempt + 1}`);
-                    await new Promise((resolve) => setTimeout(resolve, delay));
-                } catch (error) {
-                    await this.logError(`OpenAIService/sendMessage retry ${attempt + 1}`, url, error);
-                }
+            if (Date.now() >= deadline) {
+                throw new RunError("timeout", run);
             }
 
-            if (!lastMessage || !lastMessage.content || !lastMessage.content[0]["text"].value) {
-                throw new Error("Failed to retrieve assistant message after retries.");
+            await new Promise((resolve) => setTimeout(resolve, OPENAI_RUN_POLL_INTERVAL));
+
+            run = await this.retrieveRun(threadId, runId);
+        }
+    }
+
+    /**
+     * Retrieves the assistant's reply produced by a run
+     * @param {string} threadId - Thread the run belongs to
+     * @param {string} runId - The run that produced the reply
+     * @returns {Promise<string|null>} Assistant's reply, or null if none was found
+     */
+    async retrieveRunMessage(threadId, runId) {
+        const url = `${OPENAI_URL}/v1/threads/${threadId}/messages?run_id=${runId}`;
+
+        try {
+            const result = await axiosClient.get(url, { headers: this.headers });
+
+            const lastMessage = result.data.data.filter((message) => message.role === "assistant").shift();
+
+            if (!lastMessage || !lastMessage.content || !lastMessage.content[0]?.["text"]?.value) {
+                return null;
             }
 
             let resultMessage = lastMessage.content[0]["text"].value;
@@ -307,10 +423,154 @@ class OpenAIService {
             }
 
             return resultMessage;
-
         } catch (error) {
-            await this.logError("OpenAIService/sendMessage 5", url, error);
+            await this.logError("OpenAIService/retrieveRunMessage", url, error);
+        }
+    }
+
+    /**
+     * Sends a message and starts a run without waiting for it
+     * The run can be followed with retrieveRun and retrieveRunMessage
+     * @param {string} message - User's message
+     * @param {string} threadId - Thread to send message to
+     * @param {string} assistantId - Assistant to process the message
+     * @returns {Promise<Object>} Created run data
+     */
+    async sendMessageAsync(message, threadId, assistantId) {
+
+        if (!message || !threadId || !assistantId) {
+            throw new Error("Invalid 'message, threadId, assistantId' in the assistant payload.");
         }
+
+        await this.createMessage(threadId, message);
+
+        return this.createRun(threadId, assistantId);
+    }
+
+    /**
+     * Sends a message and gets the assistant's response
+     * Complex process involving:
+     * 1. Adding user message to thread
+     * 2. Creating a run (assistant's processing session)
+     * 3. Polling run status until complete, up to OPENAI_RUN_TIMEOUT,
+     *    answering function tool calls on the way
+     * 4. Retrieving assistant's response
+     * 
+     * Throws a RunError when the run fails, expires, is cancelled or times out
+     * 
+     * @param {string} message - User's message
+     * @param {string} threadId - Thread to send message to
+     * @param {string} assistantId - Assistant to process the message
+     * @param {Function} [toolRunner] - Answers function tool calls, see waitForRun
+     * @returns {Promise<Object>} Assistant's response as { message, run }, run holds the id and usage
+     */
+    async sendMessage(message, threadId, assistantId, toolRunner) {
+
+        const run = await this.sendMessageAsync(message, threadId, assistantId);
+
+        const finishedRun = await this.waitForRun(threadId, run.id, toolRunner);
+
+        if (finishedRun.status !== "completed") {
+            throw new RunError(finishedRun.status, finishedRun);
+        }
+
+        // The reply can show up a moment after the run completes, ask again with growing delays
+        const attempts = 5;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const resultMessage = await this.retrieveRunMessage(threadId, run.id);
+
+            if (resultMessage) {
+                return { message: resultMessage, run: finishedRun };
+            }
+
+            if (attempt < attempts) {
+                await new Promise((resolve) => setTimeout(resolve, getBackoffDelay(attempt)));
+            }
+        }
+
+        throw new Error("Failed to retrieve assistant message after retries.");
+    }
+
+    /**
+     * Sends a message and streams the assistant's response
+     * Uses the streaming run API instead of polling:
+     * 1. Adding user message to thread
+     * 2. Creating a run with stream enabled
+     * 3. Forwarding run status changes and text deltas to the callback,
+     *    answering function tool calls on the way
+     * 4. Returning the full response once the run is done
+     *
+     * @param {string} message - User's message
+     * @param {string} threadId - Thread to send message to
+     * @param {string} assistantId - Assistant to process the message
+     * @param {Function} onEvent - Called with (type, data), type is 'status' or 'delta'
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the stream, e.g. when the client disconnects
+     * @param {Function} [options.toolRunner] - Answers function tool calls, see waitForRun
+     * @returns {Promise<Object>} Assistant's response as { message, run }, run holds the id and usage
+     */
+    async sendMessageStream(message, threadId, assistantId, onEvent, { signal, toolRunner } = {}) {
+
+        if (!message || !threadId || !assistantId) {
+            throw new Error("Invalid 'message, threadId, assistantId' in the assistant payload.");
+        }
+
+        await this.createMessage(threadId, message);
+
+        let url = `${OPENAI_URL}/v1/threads/${threadId}/runs`;
+        let data = {
+            assistant_id: assistantId,
+            stream: true
+        };
+
+        let resultMessage = "";
+        let run = null;
+
+        while (true) {
+            let stream;
+
+            try {
+                const runResponse = await axiosClient.post(url, data, { headers: this.headers, responseType: 'stream', signal });
+                stream = runResponse.data;
+            } catch (error) {
+                const step = run ? "submitToolOutputs" : "createRun";
+                await this.logError(`OpenAIService/sendMessageStream/${step}`, url, error);
+            }
+
+            try {
+                const streamResult = await readRunStream(stream, onEvent);
+                resultMessage += streamResult.text;
+                run = streamResult.run || run;
+            } catch (error) {
+                await this.logError("OpenAIService/sendMessageStream/readStream", url, error);
+            }
+
+            // The stream ends when the run needs tool outputs, submitting them opens a new stream
+            if (run?.status === "requires_action" && toolRunner && run.required_action?.type === "submit_tool_outputs") {
+                const toolOutputs = await toolRunner(run.required_action.submit_tool_outputs.tool_calls, run);
+
+                url = `${OPENAI_URL}/v1/threads/${threadId}/runs/${run.id}/submit_tool_outputs`;
+                data = {
+                    tool_outputs: toolOutputs,
+                    stream: true
+                };
+                continue;
+            }
+
+            break;
+        }
+
+        if (!run || run.status !== "completed") {
+            throw new RunError(run?.status || "unknown", run);
+        }
+
+        // Remove "Assistant:" if present
+        if (resultMessage.includes("Assistant:")) {
+            resultMessage = resultMessage.replace("Assistant:", "");
+        }
+
+        return { message: resultMessage, run };
     }
 
     //===============================================
@@ -330,7 +590,8 @@ class OpenAIService {
         const url = `${OPENAI_URL}/v1/vector_stores`;
 
         const data = {
-            name: name
+            name: name,
+            metadata: { ...RESOURCE_TAG }
         }
 
         try {
@@ -342,6 +603,14 @@ class OpenAIService {
         }
     }
 
+    /**
+     * Lists every vector store of the organisation, all pages
+     * @returns {Promise<Array>} Vector stores, newest first
+     */
+    async listVectorStores() {
+        return this.listAllPages(`${OPENAI_URL}/v1/vector_stores`, "OpenAIService/listVectorStores");
+    }
+
     /**
      * Deletes a vector store
      * @param {string} store_id - ID of the vector store to delete
@@ -390,6 +659,38 @@ class OpenAIService {
         }
     }
 
+    /**
+     * Lists all files of a vector store, following the pagination cursors
+     * @param {string} vector_store_id - ID of the vector store
+     * @returns {Promise<Array>} Vector store files
+     */
+    async listVectorStoreFiles(vector_store_id) {
+        if (!vector_store_id) {
+            return [];
+        }
+
+        const url = `${OPENAI_URL}/v1/vector_stores/${vector_store_id}/files`;
+        const files = [];
+        let after = null;
+
+        try {
+            do {
+                const params = { limit: 100 };
+                if (after) {
+                    params.after = after;
+                }
+
+                const response = await axiosClient.get(url, { headers: this.headers, params });
+                files.push(...response.data.data);
+                after = response.data.has_more ? response.data.last_id : null;
+            } while (after);
+
+            return files;
+        } catch (error) {
+            await this.logError("OpenAIService/listVectorStoreFiles", url, error);
+        }
+    }
+
     /**
      * Deletes files from a vector store
      * @param {string} vector_store_id - ID of the vector store
@@ -411,10 +712,12 @@ class OpenAIService {
 
     /**
      * Uploads a file to OpenAI for use with assistants
-     * @param {string} dirFile - Path to the file to upload
+     * @param {string|Buffer} dirFile - Path to the file to upload, or its content
+     * @param {string} [fileName] - Name shown in OpenAI, defaults to the name on disk,
+     *   required when uploading content
      * @returns {Promise<Object>} Uploaded file data
      */
-    async uploadFile(dirFile) {
+    async uploadFile(dirFile, fileName) {
         if (!dirFile) {
             return;
         }
@@ -423,17 +726,76 @@ class OpenAIService {
 
         // Create a FormData instance to handle file upload
         const form = new FormData();
-        form.append('file', fs.createReadStream(dirFile)); // Add the file stream
+        form.append('file', Buffer.isBuffer(dirFile) ? dirFile : fs.createReadStream(dirFile), fileName); // Add the file stream
         form.append('purpose', 'assistants'); // Add the purpose field
 
         try {
-            const response = await axiosClient.post(url, form, { headers: this.headersMultipart });
+            // the form is a stream, it cannot be sent twice
+            const response = await axiosClient.post(url, form, { headers: this.headersMultipart, retry: false });
             return response.data;
         } catch (error) {
             await this.logError("OpenAIService/uploadFile", url, error);
         }
     }
 
+    /**
+     * Retrieves the details of a file, e.g. its name
+     * @param {string} file_id - ID of the file
+     * @returns {Promise<Object>} File data
+     */
+    async retrieveFile(file_id) {
+        const url = `${OPENAI_URL}/v1/files/${file_id}`;
+
+        try {
+            const response = await axiosClient.get(url, { headers: this.headers });
+            return response.data;
+        } catch (error) {
+            await this.logError("OpenAIService/retrieveFile", url, error);
+        }
+    }
+
+    /**
+     * Downloads the content of a file
+     * OpenAI refuses to return files uploaded with purpose `assistants`, callers should expect a 400
+     * @param {string} file_id - ID of the file
+     * @returns {Promise<Buffer>} File content
+     */
+    async downloadFileContent(file_id) {
+        const url = `${OPENAI_URL}/v1/files/${file_id}/content`;
+
+        try {
+            const response = await axiosClient.get(url, { headers: this.headers, responseType: 'arraybuffer' });
+            return Buffer.from(response.data);
+        } catch (error) {
+            await this.logError("OpenAIService/downloadFileContent", url, error);
+        }
+    }
+
+    /**
+     * Walks a list endpoint page by page with the after cursor
+     * @param {string} url - List endpoint
+     * @param {string} source - Reported when a page fails
+     * @returns {Promise<Array>} Items of every page
+     */
+    async listAllPages(url, source) {
+        const items = [];
+        let after = null;
+
+        do {
+            const pageUrl = `${url}?limit=100&order=desc${after ? `&after=${after}` : ""}`;
+
+            try {
+                const result = await axiosClient.get(pageUrl, { headers: this.headers });
+                items.push(...result.data.data);
+                after = result.data.has_more ? result.data.last_id : null;
+            } catch (error) {
+                await this.logError(source, pageUrl, error);
+            }
+        } while (after);
+
+        return items;
+    }
+
     /**
      * Deletes a file from OpenAI storage
      * @param {string} file_id - ID of the file to delete
@@ -455,4 +817,41 @@ class OpenAIService {
 
 }
 
+/**
+ * Reads a run stream until it ends
+ * @param {Readable} stream - Response stream of a streaming run request
+ * @param {Function} onEvent - Called with (type, data), type is 'status' or 'delta'
+ * @returns {Promise<Object>} Last run data and the text received
+ */
+async function readRunStream(stream, onEvent) {
+    let text = "";
+    let run = null;
+
+    for await (const event of readServerSentEvents(stream)) {
+        if (event.event === "done") {
+            break;
+        }
+
+        if (event.event === "error") {
+            throw new Error(event.data?.message || "OpenAI stream error");
+        }
+
+        if (event.event.startsWith("thread.run.") && !event.event.startsWith("thread.run.step")) {
+            run = event.data;
+            onEvent("status", { run_id: run.id, status: run.status });
+        }
+
+        if (event.event === "thread.message.delta") {
+            for (const content of event.data?.delta?.content || []) {
+                if (content.type === "text" && content.text?.value) {
+                    text += content.text.value;
+                    onEvent("delta", { value: content.text.value });
+                }
+            }
+        }
+    }
+
+    return { run, text };
+}
+
 export default OpenAIService;
\ No newline at end of file
@@ -0,0 +1,350 @@
+/**
+ * Reconciliation
+ * Compares the agents table with the assistants and vector stores of the OpenAI organisation:
+ * - missing: an agent points at an assistant or vector store that no longer exists
+ * - orphaned: an assistant or vector store no agent points at, e.g. leftover [TEST] assistants
+ * - drifted: an assistant whose configuration differs from its agent, e.g. instructions edited in the dashboard
+ *
+ * A dry run only reports. A fix run makes OpenAI match MySQL, which is the source of truth:
+ * missing resources are created again from the agent, orphans older than RECONCILE_ORPHAN_MIN_AGE
+ * are deleted and drifted assistants get the agent's configuration back. Only orphans tagged with
+ * RESOURCE_TAG are deleted, the organisation may hold resources of other deployments and tools.
+ *
+ * Agents with an unfinished agent operation are left to agentOperations.js, agents in the trash to
+ * the purge (trash.js), their resources still count as used.
+ */
+
+import db from '../configs/db.js'
+import { RECONCILE_ORPHAN_MIN_AGE, RESOURCE_TAG } from '../configs/constants.js'
+
+// models
+import * as modelAgent from '../models/agent.js'
+import * as modelAgentFile from '../models/agentFile.js'
+import * as modelAgentOperation from '../models/agentOperation.js'
+import * as modelLock from '../models/lock.js'
+
+import OpenAIService from './openaiService.js'
+import { logger } from './logger.js'
+import { logError } from './logError.js'
+
+import { buildAssistantTools } from '../tools/index.js'
+import { getAgentConfig, CONFIG_DEFAULTS } from '../utils/agentConfig.js'
+import { AppError } from '../utils/errors.js'
+
+const LOCK_NAME = 'reconciliation'
+
+/**
+ * Compares MySQL with OpenAI and, in fix mode, repairs the differences
+ *
+ * Process:
+ * 1. Reads the agents with an assistant or vector store, then lists the assistants and vector stores of OpenAI.
+ *    Resources created in between look orphaned and are protected by their age, never missing
+ * 2. Checks every agent for missing resources and configuration drift
+ * 3. Lists the assistants and vector stores no agent or unfinished operation points at
+ * 4. In fix mode, repairs each finding, an agent changed since step 1 is skipped
+ *
+ * @param {Object} [options] - { fix }, false reports only
+ * @returns {Promise<Object>} Report { mode, started_at, finished_at, checked, missing, orphaned, drifted },
+ *   in fix mode every finding has fixed and, when it failed, error
+ */
+export function reconcile({ fix = false } = {}) {
+    return withReconciliationLock(async () => {
+        const openAIService = new OpenAIService()
+        const report = {
+            mode: fix ? 'fix' : 'dry_run',
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            checked: null,
+            missing: [],
+            orphaned: [],
+            drifted: []
+        }
+
+        const agents = await modelAgent.getAgentsWithResources(db)
+        const [assistants, vectorStores] = await Promise.all([
+            openAIService.listAssistants(),
+            openAIService.listVectorStores()
+        ])
+        const inUse = await getResourcesInUse()
+
+        report.checked = { agents: agents.length, assistants: assistants.length, vector_stores: vectorStores.length }
+
+        const assistantsById = new Map(assistants.map((assistant) => [assistant.id, assistant]))
+        const vectorStoreIds = new Set(vectorStores.map((vectorStore) => vectorStore.id))
+
+        // agents in the trash keep their resources as they are until the purge
+        for (const agent of agents) {
+            if (!agent.deleted_at && !inUse.agents.has(String(agent.id))) {
+                await reconcileAgent(agent, { assistantsById, vectorStoreIds, report, fix, openAIService })
+            }
+        }
+
+        const referenced = new Set([...inUse.resources, ...agents.flatMap((agent) => [agent.assistant_id, agent.vector_store_id])])
+
+        for (const assistant of assistants.filter((assistant) => !referenced.has(assistant.id))) {
+            await reconcileOrphan('assistant', assistant, { report, fix, remove: (id) => openAIService.deleteAssistant(id) })
+        }
+
+        for (const vectorStore of vectorStores.filter((vectorStore) => !referenced.has(vectorStore.id))) {
+            await reconcileOrphan('vector_store', vectorStore, { report, fix, remove: (id) => openAIService.deleteStoreVector(id) })
+        }
+
+        report.finished_at = new Date().toISOString()
+        logger.info('reconciliation finished', {
+            mode: report.mode,
+            missing: report.missing.length,
+            orphaned: report.orphaned.length,
+            drifted: report.drifted.length
+        })
+
+        return report
+    })
+}
+
+/**
+ * Checks one agent, the vector store first so a recreated assistant gets the new store
+ */
+async function reconcileAgent(agent, { assistantsById, vectorStoreIds, report, fix, openAIService }) {
+    // the agent as OpenAI should see it, with the resources recreated in fix mode
+    const expected = { ...agent }
+    const findings = []
+
+    if (agent.vector_store_id && !vectorStoreIds.has(agent.vector_store_id)) {
+        findings.push({
+            finding: { agent_id: agent.id, tenant_id: agent.tenant_id, resource: 'vector_store', id: agent.vector_store_id, action: 'recreate' },
+            repair: async (finding) => {
+                expected.vector_store_id = await recreateVectorStore(agent, openAIService)
+                finding.new_id = expected.vector_store_id
+            }
+        })
+    }
+
+    const assistant = assistantsById.get(agent.assistant_id)
+
+    if (agent.assistant_id && !assistant) {
+        findings.push({
+            finding: { agent_id: agent.id, tenant_id: agent.tenant_id, resource: 'assistant', id: agent.assistant_id, action: 'recreate' },
+            repair: async (finding) => {
+                const created = await openAIService.createAssistant(buildAssistantPayload(expected))
+                await modelAgent.updateAgentById(db, { assistant_id: created.id, updated_at: new Date() }, agent.id, agent.tenant_id)
+                finding.new_id = created.id
+            }
+        })
+    }
+
+    report.missing.push(...findings.map(({ finding }) => finding))
+
+    // drift is checked against the new vector store, a store recreated in fix mode is attached this way
+    const drift = () => assistant ? diffAssistant(expected, assistant) : []
+    if (!fix) {
+        const fields = drift()
+        if (fields.length > 0) {
+            report.drifted.push({ agent_id: agent.id, tenant_id: agent.tenant_id, assistant_id: agent.assistant_id, fields, action: 'update' })
+        }
+        return
+    }
+
+    if (findings.length === 0 && drift().length === 0) {
+        return
+    }
+
+    // the agent may have been updated or deleted since it was read
+    if (!(await isUnchanged(agent))) {
+        for (const { finding } of findings) {
+            skipFinding(finding, "The agent changed during the reconciliation")
+        }
+        return
+    }
+
+    for (const { finding, repair } of findings) {
+        await applyFix(finding, () => repair(finding))
+    }
+
+    const fields = drift()
+    if (fields.length > 0) {
+        const finding = { agent_id: agent.id, tenant_id: agent.tenant_id, assistant_id: agent.assistant_id, fields, action: 'update' }
+        report.drifted.push(finding)
+        await applyFix(finding, () => openAIService.updateAssistant(agent.assistant_id, buildAssistantPayload(expected)))
+    }
+}
+
+/**
+ * Reports a resource no agent points at, deleted in fix mode once it is old enough
+ * and only when this deployment created it
+ */
+async function reconcileOrphan(resource, item, { report, fix, remove }) {
+    const createdAt = item.created_at * 1000
+    const finding = {
+        resource,
+        id: item.id,
+        name: item.name ?? null,
+        created_at: new Date(createdAt).toISOString(),
+        action: 'delete'
+    }
+
+    report.orphaned.push(finding)
+
+    if (!isTagged(item)) {
+        finding.action = 'skip'
+        finding.reason = "Not tagged by this deployment, it may belong to another environment or tool"
+        return
+    }
+
+    if (Date.now() - createdAt < RECONCILE_ORPHAN_MIN_AGE) {
+        finding.action = 'skip'
+        finding.reason = "Created too recently, it may belong to an agent being created"
+        return
+    }
+
+    if (fix) {
+        await applyFix(finding, async () => {
+            try {
+                await remove(item.id)
+            } catch (error) {
+                // already gone
+                if (error.code !== 'UPSTREAM_NOT_FOUND') {
+                    throw error
+                }
+            }
+        })
+    }
+}
+
+/**
+ * Creates a new vector store for an agent and attaches the agent's files that still exist
+ * The agent points at the new store before the files are attached, so it is never left unreferenced
+ * @returns {Promise<string>} ID of the new vector store
+ */
+async function recreateVectorStore(agent, openAIService) {
+    const vectorStore = await openAIService.createStoreVector(agent.name)
+    await modelAgent.updateAgentById(db, { vector_store_id: vectorStore.id, updated_at: new Date() }, agent.id, agent.tenant_id)
+
+    const agentFiles = await modelAgentFile.getAgentFilesByAgentId(db, agent.id)
+    for (const agentFile of agentFiles) {
+        try {
+            await openAIService.createVectorStoreFiles(vectorStore.id, agentFile.file_id)
+        } catch (error) {
+            // the file is gone from OpenAI storage as well, its record goes with it
+            if (error.code !== 'UPSTREAM_NOT_FOUND') {
+                throw error
+            }
+            await modelAgentFile.deleteAgentFileById(db, agentFile.id)
+        }
+    }
+
+    return vectorStore.id
+}
+
+/**
+ * Builds the assistant an agent describes, settings the agent does not set get OpenAI's defaults
+ * @param {Object} agent - Agent row
+ * @returns {Object} Assistant payload for createAssistant and updateAssistant
+ */
+function buildAssistantPayload(agent) {
+    const config = getAgentConfig(agent)
+
+    return {
+        name: agent.name,
+        instructions: agent.instructions,
+        model: config.model,
+        description: config.description,
+        temperature: config.temperature,
+        top_p: config.top_p,
+        response_format: config.response_format,
+        tools: buildAssistantTools(config.tools),
+        tool_resources: { file_search: { vector_store_ids: agent.vector_store_id ? [agent.vector_store_id] : [] } }
+    }
+}
+
+/**
+ * Lists the fields of an assistant that differ from its agent
+ * @returns {Object[]} { field, db, openai } for each drifted field
+ */
+function diffAssistant(agent, assistant) {
+    const expected = describeAssistant(buildAssistantPayload(agent))
+    const actual = describeAssistant(assistant)
+
+    return Object.keys(expected)
+        .filter((field) => JSON.stringify(expected[field]) !== JSON.stringify(actual[field]))
+        .map((field) => ({ field, db: expected[field], openai: actual[field] }))
+}
+
+// the comparable parts of an assistant, function tools by name
+function describeAssistant(assistant) {
+    const responseFormat = assistant.response_format ?? CONFIG_DEFAULTS.response_format
+
+    return {
+        name: assistant.name ?? null,
+        instructions: assistant.instructions ?? null,
+        model: assistant.model ?? null,
+        description: assistant.description || null,
+        temperature: assistant.temperature ?? CONFIG_DEFAULTS.temperature,
+        top_p: assistant.top_p ?? CONFIG_DEFAULTS.top_p,
+        response_format: typeof responseFormat === 'string'
+            ? responseFormat
+            : { type: responseFormat.type, name: responseFormat.json_schema?.name ?? null, schema: responseFormat.json_schema?.schema ?? null },
+        tools: (assistant.tools || []).map((tool) => tool.type === 'function' ? tool.function?.name : tool.type).sort(),
+        vector_store_ids: [...(assistant.tool_resources?.file_search?.vector_store_ids || [])].sort()
+    }
+}
+
+async function applyFix(finding, repair) {
+    try {
+        await repair()
+        finding.fixed = true
+    } catch (error) {
+        logError(error, 'reconciliation', 'applyFix')
+        finding.fixed = false
+        finding.error = error.message
+    }
+}
+
+// created by this deployment, see RESOURCE_TAG
+function isTagged(item) {
+    return Object.entries(RESOURCE_TAG).every(([key, value]) => item.metadata?.[key] === value)
+}
+
+function skipFinding(finding, reason) {
+    finding.fixed = false
+    finding.reason = reason
+}
+
+async function isUnchanged(agent) {
+    const current = await modelAgent.getAgentById(db, agent.id, agent.tenant_id)
+
+    return current.length > 0
+        && current[0].assistant_id === agent.assistant_id
+        && current[0].vector_store_id === agent.vector_store_id
+        && String(current[0].updated_at) === String(agent.updated_at)
+}
+
+/**
+ * Agents and resources of unfinished agent operations
+ */
+async function getResourcesInUse() {
+    const operations = await modelAgentOperation.getActiveAgentOperations(db)
+    const agents = new Set()
+    const resources = new Set()
+
+    for (const operation of operations) {
+        if (operation.agent_id) {
+            agents.add(String(operation.agent_id))
+        }
+        for (const step of JSON.parse(operation.steps)) {
+            if (!step.removed) {
+                resources.add(step.id)
+            }
+        }
+    }
+
+    return { agents, resources }
+}
+
+/**
+ * Runs work holding a named lock, so two reconciliations never fix the same resources
+ */
+function withReconciliationLock(work) {
+    return modelLock.withNamedLock(db, LOCK_NAME, 0, () => work(), () => {
+        throw new AppError('RECONCILIATION_RUNNING')
+    })
+}
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Thread Lock
+ * A thread answers one message at a time: OpenAI refuses a message or run on a thread whose
+ * last run is still going, and Chat Completions history would interleave.
+ *
+ * Sends to a conversation hold a MySQL named lock (GET_LOCK) on its thread for the whole exchange,
+ * so every Node process sharing the database queues on the same lock. The lock lives on a
+ * dedicated pool connection and is released with it if the process dies. Runs started outside
+ * the lock, e.g. async runs still going, are found through the provider.
+ */
+
+import db from '../configs/db.js'
+import { OPENAI_RUN_POLL_INTERVAL } from '../configs/constants.js'
+
+import * as model from '../models/lock.js'
+import { logError } from './logError.js'
+
+/**
+ * Takes the lock of a conversation's thread
+ *
+ * Process:
+ * 1. Waits up to `wait` ms for the lock, 0 returns at once
+ * 2. Once locked, waits for a run still going on the thread to end, within the same time
+ * 3. On conflict, reports the active run so the client knows what it waits on
+ *
+ * @param {Object} conversation - Conversation row
+ * @param {Provider} provider - Provider of the conversation's agent
+ * @param {number} wait - Maximum time (ms) to wait for the thread
+ * @returns {Promise<Object>} { acquired: true, release } or { acquired: false, activeRun }
+ */
+export async function lockThread(conversation, provider, wait) {
+    const deadline = Date.now() + wait
+    const name = getLockName(conversation.thread_id)
+    const connection = await model.getConnection(db)
+
+    let acquired
+    try {
+        acquired = await model.getLock(connection, name, Math.ceil(wait / 1000))
+    } catch (error) {
+        connection.release()
+        throw error
+    }
+
+    if (!acquired) {
+        connection.release()
+        return { acquired: false, activeRun: await findActiveRun(conversation, provider) }
+    }
+
+    const release = () => releaseThread(connection, name)
+
+    try {
+        let activeRun = await provider.getActiveRun(conversation)
+        while (activeRun && Date.now() + OPENAI_RUN_POLL_INTERVAL <= deadline) {
+            await new Promise((resolve) => setTimeout(resolve, OPENAI_RUN_POLL_INTERVAL))
+            activeRun = await provider.getActiveRun(conversation)
+        }
+
+        if (activeRun) {
+            await release()
+            return { acquired: false, activeRun }
+        }
+
+        return { acquired: true, release }
+    } catch (error) {
+        await release()
+        throw error
+    }
+}
+
+/**
+ * Runs work holding the lock of a thread, without waiting for the lock or for a run on the thread
+ * For short changes to a run that must not be made twice, e.g. answering its tool calls
+ * @param {string} threadId - Thread ID
+ * @param {Function} work - Called once the lock is taken
+ * @param {Function} onBusy - Called instead when the thread is locked
+ * @returns {Promise<*>} Result of work or onBusy
+ */
+export function withThreadLock(threadId, work, onBusy) {
+    return model.withNamedLock(db, getLockName(threadId), 0, work, onBusy)
+}
+
+/**
+ * Releases the lock of a thread and returns its connection to the pool
+ * Never throws, a lock that cannot be released is freed when its connection closes
+ */
+async function releaseThread(connection, name) {
+    try {
+        await model.releaseLock(connection, name)
+        connection.release()
+    } catch (error) {
+        logError(error, 'threadLock', 'releaseThread')
+        connection.destroy()
+    }
+}
+
+function getLockName(threadId) {
+    return `thread:${threadId}`
+}
+
+/**
+ * The run of another request may not be created yet, so no run is not an error
+ */
+async function findActiveRun(conversation, provider) {
+    try {
+        return await provider.getActiveRun(conversation)
+    } catch (error) {
+        logError(error, 'threadLock', 'findActiveRun')
+        return null
+    }
+}
\ No newline at end of file
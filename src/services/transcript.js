@@ -0,0 +1,113 @@
+/**
+ * Transcript
+ * Keeps a local copy of every message exchanged with an agent in the messages table,
+ * so chats can be searched, reported on and read back without OpenAI.
+ * Failures to save are logged and never fail the chat request itself.
+ */
+
+import db from '../configs/db.js'
+
+import * as model from '../models/message.js'
+import { logError } from './logError.js'
+
+/**
+ * Stores the message sent by the user
+ * @param {Object} conversation - Conversation row the message belongs to
+ * @param {string} message - User's message
+ * @param {string} [runId] - Run started for the message
+ * @param {Date} [sentAt] - When the message was received, defaults to now
+ * @param {number} [agentVersion] - Version of the agent the message was sent to
+ */
+export async function saveUserMessage(conversation, message, runId, sentAt, agentVersion) {
+    try {
+        await model.createMessage(db, {
+            tenant_id: conversation.tenant_id,
+            agent_id: conversation.agent_id,
+            conversation_id: conversation.id,
+            role: 'user',
+            content: message,
+            run_id: runId || null,
+            agent_version: agentVersion ?? null,
+            created_at: sentAt || new Date(),
+        })
+    } catch (error) {
+        logError(error, 'transcript', 'saveUserMessage')
+    }
+}
+
+/**
+ * Stores the reply of the assistant with the usage of the run that produced it
+ * Replies are stored once per run, polling a completed async run again does not duplicate it
+ * @param {Object} conversation - Conversation row the message belongs to
+ * @param {string} message - Assistant's reply, citations removed
+ * @param {Object} run - Completed run data from OpenAI
+ * @param {number} [latencyMs] - Time taken to answer, defaults to the run's own timestamps
+ * @param {number} [agentVersion] - Version of the agent that produced the reply
+ */
+export async function saveAssistantMessage(conversation, message, run, latencyMs, agentVersion) {
+    try {
+        if (run?.id) {
+            const existing = await model.getMessageByRunId(db, run.id, 'assistant')
+            if (existing.length > 0) {
+                return
+            }
+        }
+
+        if (latencyMs === undefined && run?.created_at && run?.completed_at) {
+            latencyMs = (run.completed_at - run.created_at) * 1000
+        }
+
+        await model.createMessage(db, {
+            tenant_id: conversation.tenant_id,
+            agent_id: conversation.agent_id,
+            conversation_id: conversation.id,
+            role: 'assistant',
+            content: message,
+            run_id: run?.id || null,
+            agent_version: agentVersion ?? null,
+            prompt_tokens: run?.usage?.prompt_tokens ?? null,
+            completion_tokens: run?.usage?.completion_tokens ?? null,
+            total_tokens: run?.usage?.total_tokens ?? null,
+            latency_ms: latencyMs ?? null,
+            created_at: new Date(),
+        })
+    } catch (error) {
+        logError(error, 'transcript', 'saveAssistantMessage')
+    }
+}
+
+
+/**
+ * Reads a page of the local transcript of a conversation
+ * Cursors are local message IDs
+ * @param {Object} conversation - Conversation row
+ * @param {Object} cursors - { limit, order, after, before }
+ * @returns {Promise<Object>} Simplified messages with has_more, next_cursor and prev_cursor
+ */
+export async function listLocalMessages(conversation, { limit, order, after, before }) {
+    const result = await model.getMessagesByConversationId(db, conversation.id, { limit, order, after, before })
+
+    const messages = result.data.map((message) => ({
+        id: String(message.id),
+        role: message.role,
+        text: message.content,
+        created_at: new Date(message.created_at).toISOString()
+    }))
+
+    return {
+        messages,
+        has_more: result.has_more,
+        next_cursor: result.has_more ? messages[messages.length - 1].id : null,
+        prev_cursor: messages[0]?.id || null
+    }
+}
+
+/**
+ * Reads the latest messages of a conversation, oldest first
+ * @param {Object} conversation - Conversation row
+ * @param {number} limit - Maximum number of messages
+ * @returns {Promise<Array>} Message rows
+ */
+export function getRecentMessages(conversation, limit) {
+    return model.getRecentMessagesByConversationId(db, conversation.id, limit)
+}
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * Trash
+ * Deleting an agent or a conversation only sets its deleted_at, it leaves every lookup but keeps
+ * its OpenAI resources, so it can be restored for TRASH_RETENTION_DAYS. An agent takes its active
+ * conversations along, with the same deleted_at, and brings them back when it is restored.
+ * After that the purge deletes it for good:
+ * - a conversation loses its thread on the provider, then its row. One whose agent is in the trash
+ *   is left to the purge of the agent, so it is not lost while the agent can still be restored
+ * - an agent is first taken by setting its purging_at, from then on it can no longer be restored.
+ *   It loses the threads and rows of its conversations, then is removed by a delete_agent operation
+ *   (services/agentOperations.js), which retries the resources it cannot remove yet. An agent taken by a
+ *   purge that stopped halfway is taken again after OPERATION_STALE_AFTER
+ * Messages and usage are kept, as they were when agents and conversations were deleted right away.
+ */
+
+import db from '../configs/db.js'
+import { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL, OPERATION_STALE_AFTER } from '../configs/constants.js'
+
+// models
+import * as modelAgent from '../models/agent.js'
+import * as modelConversation from '../models/conversation.js'
+import { withTransaction } from '../models/transaction.js'
+
+import { deleteAgent } from './agents.js'
+import { isShuttingDown, trackInFlight } from './lifecycle.js'
+import { logger } from './logger.js'
+import { logError } from './logError.js'
+
+import { getProvider } from '../providers/index.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const BATCH_SIZE = 50
+
+/**
+ * Date an item deleted at the given date is purged
+ * @param {Date|string} deletedAt - deleted_at of the agent or conversation
+ * @returns {Date}
+ */
+export function getPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+}
+
+/**
+ * Moves an agent and its active conversations to the trash
+ * @param {Object} agent - Agent row
+ * @returns {Promise<Date>} deleted_at of the agent and its conversations
+ */
+export async function moveAgentToTrash(agent) {
+    const deletedAt = new Date()
+
+    await withTransaction(db, async (connection) => {
+        await modelAgent.updateAgentById(connection, { deleted_at: deletedAt }, agent.id, agent.tenant_id)
+        await modelConversation.trashConversationsByAgentId(connection, agent.id, deletedAt, agent.tenant_id)
+    })
+
+    return deletedAt
+}
+
+/**
+ * Restores an agent from the trash with the conversations trashed along with it
+ * @param {Object} agent - Agent row from the trash
+ * @returns {Promise<boolean>} false when the purge took the agent first
+ */
+export function restoreAgentFromTrash(agent) {
+    return withTransaction(db, async (connection) => {
+        if (!(await modelAgent.restoreAgentById(connection, agent.id, agent.tenant_id))) {
+            return false
+        }
+
+        await modelConversation.restoreConversationsByAgentId(connection, agent.id, agent.deleted_at, agent.tenant_id)
+        return true
+    })
+}
+
+/**
+ * Deletes the conversations and agents that have been in the trash longer than TRASH_RETENTION_DAYS
+ * Conversations of active agents go first, so their threads are deleted with the provider of their agent.
+ * Those of an agent in the trash are only deleted once the agent is claimed, it may still be restored until then
+ * Items that fail are logged and tried again by the next purge
+ * @returns {Promise<Object>} Number of purged items { conversations, agents }
+ */
+export async function purgeTrash() {
+    const before = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS)
+    const purged = { conversations: 0, agents: 0 }
+
+    const conversations = await modelConversation.getConversationsToPurge(db, before, BATCH_SIZE)
+    for (const conversation of conversations) {
+        if (isShuttingDown()) {
+            return purged
+        }
+
+        try {
+            if (await purgeConversation(conversation, before)) {
+                purged.conversations++
+            }
+        } catch (error) {
+            logError(error, 'trash', 'purgeTrash')
+        }
+    }
+
+    const agents = await modelAgent.getAgentsToPurge(db, before, getStaleBefore(), BATCH_SIZE)
+    for (const agent of agents) {
+        if (isShuttingDown()) {
+            return purged
+        }
+
+        try {
+            if (await purgeAgent(agent, before)) {
+                purged.agents++
+            }
+        } catch (error) {
+            logError(error, 'trash', 'purgeTrash')
+        }
+    }
+
+    if (purged.conversations > 0 || purged.agents > 0) {
+        logger.info('trash purged', purged)
+    }
+
+    return purged
+}
+
+/**
+ * Runs purgeTrash every TRASH_PURGE_INTERVAL ms
+ * @returns {NodeJS.Timeout} Interval, it does not keep the process alive
+ */
+export function scheduleTrashPurge() {
+    let running = false
+
+    return setInterval(async () => {
+        if (running || isShuttingDown()) {
+            return
+        }
+
+        running = true
+        const done = trackInFlight('trashPurge')
+        try {
+            await purgeTrash()
+        } catch (error) {
+            logError(error, 'trash', 'scheduleTrashPurge')
+        } finally {
+            done()
+            running = false
+        }
+    }, TRASH_PURGE_INTERVAL).unref()
+}
+
+async function purgeConversation(conversation, before) {
+    // it may have been restored since the trash was read
+    if (!(await isStillTrashed(modelConversation.getDeletedConversationById, conversation, before))) {
+        return false
+    }
+
+    await deleteConversation(conversation, conversation.agent_provider)
+    return true
+}
+
+async function purgeAgent(agent, before) {
+    // taken atomically, a restore or another purge may have come first
+    if (!(await modelAgent.claimAgentPurge(db, agent.id, before, getStaleBefore(), new Date()))) {
+        return false
+    }
+
+    // the threads go first, they need the agent's provider
+    const conversations = await modelConversation.getAllConversationsByAgentId(db, agent.id, agent.tenant_id)
+    for (const conversation of conversations) {
+        await deleteConversation(conversation, agent.provider)
+    }
+
+    const operation = await deleteAgent(agent)
+    if (operation.status !== 'completed') {
+        logger.warn('agent purge queued for retry', { agent_id: agent.id, operation_id: operation.id })
+    }
+
+    return true
+}
+
+// deletes the thread of a conversation on the provider, then its row
+async function deleteConversation(conversation, providerName) {
+    if (conversation.thread_id) {
+        try {
+            await getProvider(providerName).deleteThread(conversation.thread_id)
+        } catch (error) {
+            if (error.code !== 'UPSTREAM_NOT_FOUND') {
+                throw error
+            }
+        }
+    }
+
+    await modelConversation.deleteConversationById(db, conversation.id, conversation.tenant_id)
+}
+
+function getStaleBefore() {
+    return new Date(Date.now() - OPERATION_STALE_AFTER)
+}
+
+async function isStillTrashed(getDeletedById, item, before) {
+    const current = await getDeletedById(db, item.id, item.tenant_id)
+    return current.length > 0 && new Date(current[0].deleted_at) <= before
+}
\ No newline at end of file
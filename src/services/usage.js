@@ -0,0 +1,83 @@
+/**
+ * Usage
+ * Records the token usage and cost of every run against its agent and conversation,
+ * and checks the monthly budgets of an agent before a message is sent.
+ * Failures to record usage are logged and never fail the chat request itself.
+ */
+
+import db from '../configs/db.js'
+import { DEFAULT_MODEL } from '../configs/constants.js'
+import { calculateCost } from '../configs/pricing.js'
+
+import * as model from '../models/usage.js'
+import { logError } from './logError.js'
+
+/**
+ * Stores the usage of a run, runs without usage (e.g. still in progress) are skipped
+ * A run is recorded once, polling a completed async run again does not count it twice
+ * @param {Object} conversation - Conversation row the run belongs to
+ * @param {Object} run - Run data from the provider, with usage and model
+ * @param {Object} [agent] - Agent row, its model is used when the run does not include one
+ *   and its version is recorded with the run
+ */
+export async function recordRunUsage(conversation, run, agent) {
+    try {
+        if (!run?.id || !run.usage) {
+            return
+        }
+
+        const existing = await model.getUsageByRunId(db, run.id)
+        if (existing.length > 0) {
+            return
+        }
+
+        const modelName = run.model || agent?.model || DEFAULT_MODEL
+
+        await model.createUsage(db, {
+            tenant_id: conversation.tenant_id,
+            agent_id: conversation.agent_id,
+            conversation_id: conversation.id,
+            run_id: run.id,
+            agent_version: agent?.version ?? null,
+            model: modelName,
+            prompt_tokens: run.usage.prompt_tokens || 0,
+            completion_tokens: run.usage.completion_tokens || 0,
+            total_tokens: run.usage.total_tokens || 0,
+            cost: calculateCost(modelName, run.usage),
+            created_at: new Date(),
+        })
+    } catch (error) {
+        logError(error, 'usage', 'recordRunUsage')
+    }
+}
+
+/**
+ * Checks the monthly token and cost budgets of an agent
+ * Budgets reset on the first day of each month
+ * @param {Object} agent - Agent row with monthly_token_budget and monthly_cost_budget
+ * @returns {Promise<Object|null>} The exceeded budget ({ type, budget, used, resets_at }) or null
+ */
+export async function getExceededBudget(agent) {
+    const tokenBudget = agent.monthly_token_budget
+    const costBudget = agent.monthly_cost_budget
+
+    if (tokenBudget == null && costBudget == null) {
+        return null
+    }
+
+    const now = new Date()
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1)
+    const resetsAt = new Date(now.getFullYear(), now.getMonth() + 1, 1)
+
+    const totals = await model.getUsageTotalsByAgentId(db, agent.id, monthStart)
+
+    if (tokenBudget != null && Number(totals.total_tokens) >= Number(tokenBudget)) {
+        return { type: 'token', budget: Number(tokenBudget), used: Number(totals.total_tokens), resets_at: resetsAt }
+    }
+
+    if (costBudget != null && Number(totals.cost) >= Number(costBudget)) {
+        return { type: 'cost', budget: Number(costBudget), used: Number(totals.cost), resets_at: resetsAt }
+    }
+
+    return null
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Returns the current server date and time
+ * Assistants have no clock, this lets them answer "what day is it" style questions
+ */
+export default {
+    name: 'get_current_datetime',
+    description: 'Get the current date and time of the server, optionally in a given IANA time zone.',
+    parameters: {
+        type: 'object',
+        properties: {
+            time_zone: {
+                type: 'string',
+                description: 'IANA time zone, e.g. Asia/Jakarta. Defaults to UTC.'
+            }
+        },
+        required: []
+    },
+    async handler(args) {
+        const timeZone = args.time_zone || 'UTC'
+        const now = new Date()
+
+        return {
+            iso: now.toISOString(),
+            time_zone: timeZone,
+            local: now.toLocaleString('en-US', { timeZone })
+        }
+    }
+}
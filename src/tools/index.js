@@ -0,0 +1,139 @@
+/**
+ * Tool Registry
+ *
+ * Local tools the assistants can call through OpenAI function calling.
+ * Each tool module exports { name, description, parameters, handler }:
+ * - parameters: JSON schema of the arguments the assistant has to send
+ * - handler(args, context): returns a JSON-serializable result, context holds { db, agent, threadId, runId }
+ *
+ * An agent only gets the tools listed in its `tools` column.
+ * To add a tool, create a module in this directory and add it to the list below.
+ */
+
+import db from '../configs/db.js'
+import { logError } from '../services/logError.js'
+
+import getCurrentDatetime from './getCurrentDatetime.js'
+import lookupOrder from './lookupOrder.js'
+
+const tools = [
+    getCurrentDatetime,
+    lookupOrder,
+]
+
+const registry = new Map(tools.map((tool) => [tool.name, tool]))
+
+/**
+ * Names of all registered tools
+ * @returns {string[]}
+ */
+export function getToolNames() {
+    return [...registry.keys()]
+}
+
+/**
+ * Validates a list of tool names sent by the client
+ * @param {*} toolNames - Value of the `tools` field
+ * @returns {string|null} Error message, or null if the list is valid
+ */
+export function validateToolNames(toolNames) {
+    if (!Array.isArray(toolNames)) {
+        return "Field tools must be an array of tool names"
+    }
+
+    const unknown = toolNames.filter((name) => !registry.has(name))
+    if (unknown.length > 0) {
+        return `Unknown tools: ${unknown.join(', ')}. Available tools: ${getToolNames().join(', ')}`
+    }
+
+    return null
+}
+
+/**
+ * Reads the enabled tool names stored on an agent
+ * @param {Object} agent - Agent row from the database
+ * @returns {string[]}
+ */
+export function parseAgentTools(agent) {
+    if (!agent?.tools) {
+        return []
+    }
+
+    try {
+        const toolNames = JSON.parse(agent.tools)
+        return Array.isArray(toolNames) ? toolNames.filter((name) => registry.has(name)) : []
+    } catch {
+        return []
+    }
+}
+
+/**
+ * Builds the function definitions of the enabled tools
+ * @param {string[]} toolNames - Enabled tool names
+ * @returns {Object[]}
+ */
+export function buildFunctionTools(toolNames = []) {
+    return toolNames
+        .filter((name) => registry.has(name))
+        .map((name) => {
+            const tool = registry.get(name)
+            return {
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }
+        })
+}
+
+/**
+ * Builds the `tools` payload of an assistant
+ * file_search is always enabled, the registered tools are added as functions
+ * @param {string[]} toolNames - Enabled tool names
+ * @returns {Object[]}
+ */
+export function buildAssistantTools(toolNames = []) {
+    return [{ type: 'file_search' }, ...buildFunctionTools(toolNames)]
+}
+
+/**
+ * Creates the function that answers a run's tool calls for an agent
+ * Tools that are not enabled for the agent, or whose handler throws, get an error output
+ * so the assistant can recover instead of the run getting stuck.
+ * @param {Object} agent - Agent row from the database
+ * @returns {Function} async (toolCalls, run) => toolOutputs
+ */
+export function createToolRunner(agent) {
+    const enabledTools = parseAgentTools(agent)
+
+    return async (toolCalls, run) => {
+        return Promise.all(toolCalls.map(async (toolCall) => {
+            const name = toolCall.function?.name
+            let output
+
+            if (!enabledTools.includes(name)) {
+                output = { error: `Tool ${name} is not available` }
+            } else {
+                try {
+                    const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {}
+                    output = await registry.get(name).handler(args, {
+                        db,
+                        agent,
+                        threadId: run?.thread_id,
+                        runId: run?.id
+                    })
+                } catch (error) {
+                    logError(error, 'tools', name)
+                    output = { error: error.message }
+                }
+            }
+
+            return {
+                tool_call_id: toolCall.id,
+                output: typeof output === 'string' ? output : JSON.stringify(output ?? null)
+            }
+        }))
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Looks up an order in our own `orders` table
+ * Only a few non-sensitive columns are returned to the assistant, and only orders of the agent's tenant
+ */
+export default {
+    name: 'lookup_order',
+    description: 'Look up an order by its ID and return its status, total and dates.',
+    parameters: {
+        type: 'object',
+        properties: {
+            order_id: {
+                type: 'integer',
+                description: 'The ID of the order.'
+            }
+        },
+        required: ['order_id']
+    },
+    async handler(args, { db, agent }) {
+        if (!args.order_id || isNaN(args.order_id)) {
+            throw new Error('order_id must be a number')
+        }
+
+        if (!agent?.tenant_id) {
+            throw new Error('Orders can only be looked up by an agent of a tenant')
+        }
+
+        const result = await new Promise((resolve, reject) => {
+            db.query("SELECT id, status, total, created_at, updated_at FROM orders WHERE id = ? AND tenant_id = ?", [args.order_id, agent.tenant_id], function (err, result) {
+                if (err) {
+                    reject(err)
+                }
+                resolve(result)
+            })
+        })
+
+        if (result.length === 0) {
+            return { found: false }
+        }
+
+        return { found: true, order: result[0] }
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * Agent Configuration
+ * Validates the model settings of an agent sent by the client and reads them back
+ * from the agents table, filling in the defaults of the settings an agent does not set.
+ */
+
+import { DEFAULT_MODEL, DEFAULT_PROVIDER } from '../configs/constants.js'
+import { parseAgentTools } from '../tools/index.js'
+import { checkSchema } from './structuredOutput.js'
+
+// defaults applied by the OpenAI API when a setting is not sent
+export const CONFIG_DEFAULTS = {
+    temperature: 1,
+    top_p: 1,
+    response_format: 'auto'
+}
+
+const DESCRIPTION_MAX_LENGTH = 512
+const RESPONSE_FORMAT_TYPES = ['text', 'json_object', 'json_schema']
+
+/**
+ * Validates the model settings sent by the client, missing fields are not checked
+ * Fields: model, description, temperature (0-2), top_p (0-1), response_format,
+ * null resets a setting to its default
+ * @param {Object} data - Request body
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+export function validateAgentConfig(data) {
+    if (data.model !== undefined && (typeof data.model !== 'string' || !data.model.trim())) {
+        return "Field model must be a non-empty string"
+    }
+
+    if (data.description !== undefined && data.description !== null) {
+        if (typeof data.description !== 'string') {
+            return "Field description must be a string"
+        }
+        if (data.description.length > DESCRIPTION_MAX_LENGTH) {
+            return `Field description must be at most ${DESCRIPTION_MAX_LENGTH} characters`
+        }
+    }
+
+    const rangeError = validateRange(data, 'temperature', 0, 2) || validateRange(data, 'top_p', 0, 1)
+    if (rangeError) {
+        return rangeError
+    }
+
+    if (data.response_format !== undefined && data.response_format !== null) {
+        return validateResponseFormat(data.response_format)
+    }
+
+    return null
+}
+
+/**
+ * Reads the response format stored on an agent
+ * @param {Object} agent - Agent row from the database
+ * @returns {string|Object|null} 'auto', { type, json_schema } or null if not set
+ */
+export function parseResponseFormat(agent) {
+    if (!agent?.response_format) {
+        return null
+    }
+
+    try {
+        return JSON.parse(agent.response_format)
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Reads the JSON schema the replies of an agent must match
+ * @param {Object} agent - Agent row from the database
+ * @returns {Object|null} The schema, or null if the agent replies with text
+ */
+export function getOutputSchema(agent) {
+    const responseFormat = parseResponseFormat(agent)
+
+    return responseFormat?.type === 'json_schema' ? responseFormat.json_schema.schema : null
+}
+
+/**
+ * Serializes a response format for the agents table
+ * @param {string|Object|null} responseFormat
+ * @returns {string|null}
+ */
+export function serializeResponseFormat(responseFormat) {
+    return responseFormat === null || responseFormat === undefined ? null : JSON.stringify(responseFormat)
+}
+
+/**
+ * Reads the model settings of an agent
+ * Settings the agent does not set are null, so the provider's own default applies
+ * @param {Object} agent - Agent row from the database
+ * @returns {Object} { model, description, temperature, top_p, response_format, tools }
+ */
+export function getAgentSettings(agent) {
+    return {
+        model: agent.model || DEFAULT_MODEL,
+        description: agent.description ?? null,
+        temperature: agent.temperature === null || agent.temperature === undefined ? null : Number(agent.temperature),
+        top_p: agent.top_p === null || agent.top_p === undefined ? null : Number(agent.top_p),
+        response_format: parseResponseFormat(agent),
+        tools: parseAgentTools(agent)
+    }
+}
+
+/**
+ * Builds the effective configuration of an agent, its own settings merged over the defaults
+ * @param {Object} agent - Agent row from the database
+ * @returns {Object} { provider, model, description, temperature, top_p, response_format, tools }
+ */
+export function getAgentConfig(agent) {
+    const settings = getAgentSettings(agent)
+
+    return {
+        provider: agent.provider || DEFAULT_PROVIDER,
+        model: settings.model,
+        description: settings.description,
+        temperature: settings.temperature ?? CONFIG_DEFAULTS.temperature,
+        top_p: settings.top_p ?? CONFIG_DEFAULTS.top_p,
+        response_format: settings.response_format ?? CONFIG_DEFAULTS.response_format,
+        tools: settings.tools
+    }
+}
+
+function validateRange(data, field, min, max) {
+    const value = data[field]
+    if (value === undefined || value === null) {
+        return null
+    }
+
+    if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+        return `Field ${field} must be a number between ${min} and ${max}`
+    }
+
+    return null
+}
+
+function validateResponseFormat(responseFormat) {
+    if (responseFormat === 'auto') {
+        return null
+    }
+
+    if (typeof responseFormat !== 'object' || Array.isArray(responseFormat) || !RESPONSE_FORMAT_TYPES.includes(responseFormat.type)) {
+        return `Field response_format must be "auto" or an object with type ${RESPONSE_FORMAT_TYPES.join(', ')}`
+    }
+
+    if (responseFormat.type === 'json_schema') {
+        const jsonSchema = responseFormat.json_schema
+        if (!jsonSchema || typeof jsonSchema.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(jsonSchema.name)) {
+            return "Field response_format.json_schema.name is required and may only contain letters, numbers, _ and -"
+        }
+        if (!jsonSchema.schema || typeof jsonSchema.schema !== 'object' || Array.isArray(jsonSchema.schema)) {
+            return "Field response_format.json_schema.schema must be a JSON schema object"
+        }
+        return checkSchema(jsonSchema.schema)
+    }
+
+    return null
+}
\ No newline at end of file
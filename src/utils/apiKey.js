@@ -0,0 +1,44 @@
+import crypto from 'crypto'
+
+const KEY_PREFIX = 'sk_'
+
+/**
+ * Generates a new API key, only its hash is stored
+ * @returns {Object} { key, prefix, hash }
+ */
+export function generateApiKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`
+
+    return {
+        key,
+        // shown in listings so a key can be recognised without storing it
+        prefix: key.slice(0, KEY_PREFIX.length + 8),
+        hash: hashApiKey(key)
+    }
+}
+
+/**
+ * Hashes an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * Compares two secrets in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a))
+    const bufferB = Buffer.from(String(b))
+
+    if (bufferA.length !== bufferB.length) {
+        return false
+    }
+
+    return crypto.timingSafeEqual(bufferA, bufferB)
+}
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Circuit Breaker
+ * Stops calling a service that keeps failing, so requests fail fast instead of waiting on timeouts.
+ *
+ * closed: requests go through, consecutive failures are counted
+ * open: requests are refused until the cooldown is over
+ * half_open: one trial request goes through, its result closes or opens the circuit again
+ */
+
+export class CircuitBreaker {
+
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Name used in state change events, e.g. the host
+     * @param {number} options.threshold - Consecutive failures that open the circuit
+     * @param {number} options.cooldown - Time (ms) the circuit stays open
+     * @param {Function} [options.onStateChange] - Called with (name, state, previousState)
+     */
+    constructor({ name, threshold, cooldown, onStateChange }) {
+        this.name = name;
+        this.threshold = threshold;
+        this.cooldown = cooldown;
+        this.onStateChange = onStateChange;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Checks whether a request may be sent now
+     * @returns {boolean}
+     */
+    allowRequest() {
+        if (this.state === 'closed') {
+            return true;
+        }
+
+        if (this.state === 'open') {
+            if (this.remainingCooldown() > 0) {
+                return false;
+            }
+            this.setState('half_open');
+        }
+
+        // half open, only one trial request at a time
+        if (this.trialInFlight) {
+            return false;
+        }
+
+        this.trialInFlight = true;
+        return true;
+    }
+
+    /**
+     * Time (ms) left before a trial request is let through
+     * @returns {number}
+     */
+    remainingCooldown() {
+        return Math.max(0, this.openedAt + this.cooldown - Date.now());
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.trialInFlight = false;
+
+        if (this.state !== 'closed') {
+            this.setState('closed');
+        }
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+            this.openedAt = Date.now();
+            this.setState('open');
+        }
+    }
+
+    /**
+     * Frees the trial slot of a request that ended without telling anything about the service,
+     * e.g. a 4xx answer or a cancelled request
+     */
+    recordIgnored() {
+        this.trialInFlight = false;
+    }
+
+    setState(state) {
+        const previousState = this.state;
+        this.state = state;
+        this.onStateChange?.(this.name, state, previousState);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+// Line diffs of agent instructions, big prompts are compared as a whole instead
+const MAX_DIFF_CELLS = 4000000
+
+/**
+ * Compares two texts line by line (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Object[]} Lines in order, each { type: 'equal' | 'removed' | 'added', line }
+ */
+export function diffLines(before, after) {
+    const a = String(before ?? '').split('\n')
+    const b = String(after ?? '').split('\n')
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [
+            ...a.map((line) => ({ type: 'removed', line })),
+            ...b.map((line) => ({ type: 'added', line }))
+        ]
+    }
+
+    // lengths[i][j] is the length of the common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+        }
+    }
+
+    const result = []
+    let i = 0
+    let j = 0
+
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'equal', line: a[i] })
+            i++
+            j++
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ type: 'removed', line: a[i++] })
+        } else {
+            result.push({ type: 'added', line: b[j++] })
+        }
+    }
+
+    while (i < a.length) {
+        result.push({ type: 'removed', line: a[i++] })
+    }
+
+    while (j < b.length) {
+        result.push({ type: 'added', line: b[j++] })
+    }
+
+    return result
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * Errors
+ * Typed errors of the application and the catalogue of error codes returned to clients.
+ * Anything thrown in a request ends up in the error middleware (middlewares/errorHandler.js),
+ * which turns it into one of these with toAppError, so clients only ever see the code, a safe
+ * message and safe details, never raw axios or database errors.
+ */
+
+// every error code a client can receive, with its HTTP status and default message
+export const ERROR_CODES = {
+    INVALID_PARAMETERS: { status: 400, message: 'Invalid request parameters' },
+    VALIDATION_FAILED: { status: 422, message: 'Validation failed' },
+    INVALID_JSON: { status: 400, message: 'Request body is not valid JSON' },
+    PAYLOAD_TOO_LARGE: { status: 413, message: 'Request body is too large' },
+    NOT_FOUND: { status: 404, message: 'Resource not found' },
+    ROUTE_NOT_FOUND: { status: 404, message: 'Route not found' },
+    UPSTREAM_NOT_FOUND: { status: 404, message: 'Resource not found on the AI provider' },
+    UPSTREAM_INVALID_REQUEST: { status: 400, message: 'The AI provider rejected the request' },
+    UPSTREAM_RATE_LIMITED: { status: 429, message: 'The AI provider is rate limiting requests, try again later' },
+    UPSTREAM_AUTH_FAILED: { status: 502, message: 'The AI provider rejected the server credentials' },
+    UPSTREAM_UNAVAILABLE: { status: 502, message: 'The AI provider is unavailable' },
+    UPSTREAM_TIMEOUT: { status: 504, message: 'The AI provider did not answer in time' },
+    UPSTREAM_CIRCUIT_OPEN: { status: 503, message: 'The AI provider is failing, requests are paused, try again later' },
+    RUN_FAILED: { status: 502, message: 'Run ended without a reply' },
+    RECONCILIATION_RUNNING: { status: 409, message: 'A reconciliation is already running' },
+    DATABASE_ERROR: { status: 500, message: 'Database error' },
+    DATABASE_UNAVAILABLE: { status: 503, message: 'Database is unavailable' },
+    INTERNAL_ERROR: { status: 500, message: 'Internal server error' },
+}
+
+// HTTP status returned for each way a run can end without a reply
+const RUN_ERROR_STATUS = {
+    timeout: 202,
+    failed: 502,
+    incomplete: 502,
+    expired: 504,
+    cancelled: 409,
+}
+
+// mysql error codes meaning the database cannot be reached, anything else is a query error
+const DATABASE_CONNECTION_CODES = [
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'PROTOCOL_CONNECTION_LOST',
+    'ER_CON_COUNT_ERROR', 'ER_ACCESS_DENIED_ERROR', 'ER_BAD_DB_ERROR', 'POOL_CLOSED'
+]
+
+/**
+ * Base class of the typed errors
+ * statusCode is the HTTP status, code the entry of ERROR_CODES, details extra data safe to return
+ */
+export class AppError extends Error {
+    constructor(code, message, details, options) {
+        const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR
+        super(message || entry.message, options)
+        this.name = 'AppError'
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR'
+        this.statusCode = entry.status
+        this.details = details
+    }
+}
+
+/**
+ * A resource does not exist, locally or on the AI provider
+ */
+export class NotFoundError extends AppError {
+    constructor(message, code = 'NOT_FOUND', options) {
+        super(code, message, undefined, options)
+        this.name = 'NotFoundError'
+    }
+}
+
+/**
+ * The AI provider answered 429, retryAfter is in seconds when the provider sent it
+ */
+export class UpstreamRateLimitError extends AppError {
+    constructor(retryAfter, options) {
+        super('UPSTREAM_RATE_LIMITED', undefined, retryAfter ? { retry_after: retryAfter } : undefined, options)
+        this.name = 'UpstreamRateLimitError'
+        this.retryAfter = retryAfter
+    }
+}
+
+/**
+ * The AI provider answered 400, its reason is kept with secrets removed
+ */
+export class UpstreamInvalidRequestError extends AppError {
+    constructor(reason, options) {
+        const message = reason
+            ? `${ERROR_CODES.UPSTREAM_INVALID_REQUEST.message}: ${redactSecrets(reason)}`
+            : undefined
+        super('UPSTREAM_INVALID_REQUEST', message, undefined, options)
+        this.name = 'UpstreamInvalidRequestError'
+    }
+}
+
+/**
+ * The AI provider could not be used: bad credentials, server errors, network errors or timeouts
+ */
+export class UpstreamError extends AppError {
+    constructor(code = 'UPSTREAM_UNAVAILABLE', options) {
+        super(code, undefined, undefined, options)
+        this.name = 'UpstreamError'
+    }
+}
+
+/**
+ * A database query failed or the database cannot be reached
+ */
+export class DatabaseError extends AppError {
+    constructor(code = 'DATABASE_ERROR', options) {
+        super(code, undefined, undefined, options)
+        this.name = 'DatabaseError'
+    }
+}
+
+/**
+ * Raised when a run ends without a reply
+ * status is the final run status (failed, expired, cancelled, incomplete, requires_action)
+ * or "timeout" when the run was still going after OPENAI_RUN_TIMEOUT
+ */
+export class RunError extends AppError {
+    constructor(status, run) {
+        super('RUN_FAILED', `Run ${run?.id} ended with status: ${status}`)
+        this.name = 'RunError'
+        this.statusCode = RUN_ERROR_STATUS[status] || ERROR_CODES.RUN_FAILED.status
+        this.status = status
+        this.run = run
+    }
+}
+
+/**
+ * Turns a failed request to an AI provider into a typed error
+ * @param {Error} error - Axios error
+ * @returns {AppError}
+ */
+export function fromUpstreamError(error) {
+    if (error instanceof AppError) {
+        return error
+    }
+
+    const status = error.response?.status
+    const options = { cause: error }
+
+    // the client stopped sending requests to a failing provider, see services/axiosClient.js
+    if (error.code === 'ECIRCUITOPEN') {
+        const retryAfter = Math.ceil(error.retryAfterMs / 1000)
+        return new AppError('UPSTREAM_CIRCUIT_OPEN', undefined, { retry_after: retryAfter }, options)
+    }
+
+    if (!status) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT'
+        return new UpstreamError(timedOut ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNAVAILABLE', options)
+    }
+
+    if (status === 404) {
+        return new NotFoundError(undefined, 'UPSTREAM_NOT_FOUND', options)
+    }
+
+    if (status === 429) {
+        const retryAfter = parseInt(error.response.headers?.['retry-after'], 10)
+        return new UpstreamRateLimitError(isNaN(retryAfter) ? undefined : retryAfter, options)
+    }
+
+    if (status === 400 || status === 422) {
+        return new UpstreamInvalidRequestError(error.response.data?.error?.message, options)
+    }
+
+    if (status === 401 || status === 403) {
+        return new UpstreamError('UPSTREAM_AUTH_FAILED', options)
+    }
+
+    return new UpstreamError(status === 504 || status === 408 ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNAVAILABLE', options)
+}
+
+/**
+ * Turns anything thrown while handling a request into a typed error
+ * @param {*} error - Thrown value
+ * @returns {AppError}
+ */
+export function toAppError(error) {
+    if (error instanceof AppError) {
+        return error
+    }
+
+    const options = { cause: error }
+
+    // body-parser errors
+    if (error?.type === 'entity.parse.failed') {
+        return new AppError('INVALID_JSON', undefined, undefined, options)
+    }
+    if (error?.type === 'entity.too.large') {
+        return new AppError('PAYLOAD_TOO_LARGE', undefined, undefined, options)
+    }
+
+    if (error?.isAxiosError) {
+        return fromUpstreamError(error)
+    }
+
+    // mysql errors carry the failed query or a fatal flag
+    if (error?.sqlMessage !== undefined || error?.fatal !== undefined || error?.code === 'POOL_CLOSED') {
+        return new DatabaseError(DATABASE_CONNECTION_CODES.includes(error.code) ? 'DATABASE_UNAVAILABLE' : 'DATABASE_ERROR', options)
+    }
+
+    return new AppError('INTERNAL_ERROR', undefined, undefined, options)
+}
+
+/**
+ * Removes API keys and bearer tokens from a text
+ * @param {string} text - Text that may contain secrets
+ * @returns {string}
+ */
+export function redactSecrets(text) {
+    return String(text)
+        .replace(/Bearer\s+[^\s"']+/gi, 'Bearer [redacted]')
+        .replace(/\bsk-[A-Za-z0-9_*\-]{4,}/g, 'sk-[redacted]')
+}
\ No newline at end of file
@@ -0,0 +1,34 @@
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+// reads page and limit from the query string, falling back to defaults for missing or invalid values
+export function parsePagination(query) {
+    let page = parseInt(query?.page, 10)
+    let limit = parseInt(query?.limit, 10)
+
+    if (isNaN(page) || page < 1) {
+        page = 1
+    }
+
+    if (isNaN(limit) || limit < 1) {
+        limit = DEFAULT_LIMIT
+    }
+
+    limit = Math.min(limit, MAX_LIMIT)
+
+    return {
+        page,
+        limit,
+        offset: (page - 1) * limit
+    }
+}
+
+// pagination details returned next to a list
+export function paginationMeta(page, limit, total) {
+    return {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+    }
+}
\ No newline at end of file
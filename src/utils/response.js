@@ -13,4 +13,14 @@ export function responseWithoutData(status, message) {
         status,
         message
     }
+}
+
+// This is global response pattern for invalid requests, errors lists each failing field
+export function responseWithErrors(status, code, message, errors) {
+    return {
+        status,
+        code,
+        message,
+        errors
+    }
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+// parses one Server-Sent Event block, without the trailing blank line.
+// data is parsed as JSON when possible, e.g. "[DONE]" stays a string.
+export function parseServerSentEvent(rawEvent) {
+    let event = "message"
+    const dataLines = []
+
+    for (const line of rawEvent.split("\n")) {
+        if (line.startsWith("event:")) {
+            event = line.slice(6).trim()
+        } else if (line.startsWith("data:")) {
+            dataLines.push(line.slice(5).trim())
+        }
+    }
+
+    if (dataLines.length === 0) {
+        return null
+    }
+
+    const rawData = dataLines.join("\n")
+
+    try {
+        return { event, data: JSON.parse(rawData) }
+    } catch {
+        return { event, data: rawData }
+    }
+}
+
+// reads a Server-Sent Events response stream and yields its events one by one
+export async function* readServerSentEvents(stream) {
+    let buffer = ""
+
+    stream.setEncoding('utf8')
+
+    for await (const chunk of stream) {
+        buffer += chunk.replace(/\r\n/g, "\n")
+
+        // events are separated by a blank line
+        let boundary
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+            const event = parseServerSentEvent(buffer.slice(0, boundary))
+            buffer = buffer.slice(boundary + 2)
+
+            if (event) {
+                yield event
+            }
+        }
+    }
+
+    // the last event may not be followed by a blank line
+    const event = parseServerSentEvent(buffer.trim())
+    if (event) {
+        yield event
+    }
+}
\ No newline at end of file
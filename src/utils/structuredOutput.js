@@ -0,0 +1,93 @@
+/**
+ * Structured Output
+ * Checks the replies of agents that run with `response_format: json_schema` against their schema.
+ * Validators are compiled once per schema, the MAX_VALIDATORS most recently used are kept.
+ */
+
+import Ajv from 'ajv'
+
+const MAX_VALIDATORS = 200
+
+const ajv = new Ajv({ allErrors: true, strict: false })
+
+// least recently used first, a Map keeps insertion order
+const validators = new Map()
+
+/**
+ * Compiles a JSON schema, reusing the validator of a schema seen before
+ * @param {Object} schema - JSON schema
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(schema) {
+    const key = JSON.stringify(schema)
+
+    let entry = validators.get(key)
+    if (entry) {
+        validators.delete(key)
+    } else {
+        entry = { schema, validate: ajv.compile(schema) }
+    }
+    validators.set(key, entry)
+
+    if (validators.size > MAX_VALIDATORS) {
+        const [oldestKey, oldest] = validators.entries().next().value
+        validators.delete(oldestKey)
+        // Ajv keeps every compiled schema too
+        ajv.removeSchema(oldest.schema)
+    }
+
+    return entry.validate
+}
+
+/**
+ * Checks that a JSON schema can be compiled
+ * @param {Object} schema - JSON schema
+ * @returns {string|null} Error message, or null if the schema is valid
+ */
+export function checkSchema(schema) {
+    try {
+        getValidator(schema)
+        return null
+    } catch (error) {
+        return `Invalid JSON schema: ${error.message}`
+    }
+}
+
+/**
+ * Parses a reply and validates it against a schema
+ * Code fences around the JSON are tolerated, some models add them even when asked not to
+ * @param {string} text - Reply of the assistant
+ * @param {Object} schema - JSON schema the reply must match
+ * @returns {Object} { valid, data, errors }, errors is a list of messages
+ */
+export function validateStructuredReply(text, schema) {
+    const json = String(text ?? '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1')
+
+    let data
+    try {
+        data = JSON.parse(json)
+    } catch (error) {
+        return { valid: false, data: null, errors: [`Reply is not valid JSON: ${error.message}`] }
+    }
+
+    const validate = getValidator(schema)
+    if (!validate(data)) {
+        const errors = validate.errors.map((error) => `${error.instancePath || '/'} ${error.message}`)
+        return { valid: false, data, errors }
+    }
+
+    return { valid: true, data, errors: [] }
+}
+
+/**
+ * Builds the message sent back to the assistant when its reply does not match the schema
+ * @param {string[]} errors - Validation errors of the last reply
+ * @returns {string}
+ */
+export function buildRepairPrompt(errors) {
+    return [
+        'Your previous reply does not match the required JSON schema:',
+        ...errors.map((error) => `- ${error}`),
+        'Reply again with only the corrected JSON, without any other text.'
+    ].join('\n')
+}
\ No newline at end of file
@@ -8,4 +8,41 @@ export async function removeCitations(text) {
     }
 
     return text.replace(/【.*?】|\[.*?\]/g, "").trim() // Removes [1], [2], etc.
+}
+
+// when streaming, a citation can be split across several deltas, e.g. "【114:0" and "†file.txt】".
+// this keeps back the text from an unclosed bracket until it is closed, so the same citations
+// removed by removeCitations never reach the client.
+const MAX_PENDING_CITATION_LENGTH = 200
+
+export function createCitationStripper() {
+    let pending = ""
+
+    return {
+        // returns the part of the text that is safe to send
+        push(chunk) {
+            if (!chunk) {
+                return ""
+            }
+
+            const text = (pending + chunk).replace(/【.*?】|\[.*?\]/g, "")
+            const openIndex = Math.max(text.lastIndexOf("【"), text.lastIndexOf("["))
+
+            // nothing unclosed, or it is too long to be a citation
+            if (openIndex === -1 || text.length - openIndex > MAX_PENDING_CITATION_LENGTH) {
+                pending = ""
+                return text
+            }
+
+            pending = text.slice(openIndex)
+            return text.slice(0, openIndex)
+        },
+
+        // returns whatever is still held back once the stream has ended
+        flush() {
+            const text = pending.replace(/【.*?】|\[.*?\]/g, "")
+            pending = ""
+            return text
+        }
+    }
 }
\ No newline at end of file
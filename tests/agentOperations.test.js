@@ -0,0 +1,307 @@
+import { processAgentOperations } from '../src/services/agentOperations.js'
+import { deleteAgent } from '../src/services/agents.js'
+
+import { startTestApp, createTestAgent } from './helpers/testApp.js'
+
+describe('agent operations', () => {
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    beforeEach(() => {
+        app.mock.failures = []
+    })
+
+    function findRow(table, id) {
+        return app.fakeDb.rows(table).find((row) => row.id === id)
+    }
+
+    function operationsOf(agentId, type) {
+        return app.fakeDb.rows('agent_operations').filter((operation) => operation.agent_id === agentId && operation.type === type)
+    }
+
+    // makes the operations waiting for a retry due now
+    function makeRetriesDue() {
+        for (const operation of app.fakeDb.rows('agent_operations')) {
+            if (operation.status === 'retrying') {
+                operation.next_attempt_at = new Date(Date.now() - 1000)
+            }
+        }
+    }
+
+    async function uploadFile(agent) {
+        const form = new FormData()
+        form.append('file', new Blob(['Orders ship within 2 days']), 'shipping.txt')
+
+        const { body } = await app.request(`/v1/agents/${agent.id}/files`, { method: 'POST', body: form })
+        return findRow('agent_files', body.data.id)
+    }
+
+    function lastOperation(type) {
+        return app.fakeDb.rows('agent_operations').filter((operation) => operation.type === type).pop()
+    }
+
+    function stepsOf(operation) {
+        return JSON.parse(operation.steps).map(({ resource, removed }) => [resource, removed])
+    }
+
+    describe('creating an agent', () => {
+        test('records every resource it creates', async () => {
+            const agent = await createTestAgent(app.request)
+
+            const operation = lastOperation('create_agent')
+            expect(operation).toMatchObject({ agent_id: agent.id, status: 'completed' })
+            expect(JSON.parse(operation.steps)).toEqual([
+                { resource: 'vector_store', id: agent.vector_store_id, removed: false },
+                { resource: 'assistant', id: agent.assistant_id, removed: false },
+                { resource: 'agent', id: agent.id, removed: false }
+            ])
+        })
+
+        test('removes the vector store when the assistant cannot be created', async () => {
+            app.mock.failNext('POST', '/v1/assistants')
+            const vectorStores = app.mock.vectorStores.size
+
+            const { status } = await app.request('/v1/agents', { method: 'POST', body: { name: 'Support', instructions: 'Answer' } })
+
+            expect(status).toBe(502)
+            const operation = lastOperation('create_agent')
+            expect(operation.status).toBe('rolled_back')
+            expect(operation.last_error).toMatch(/^UPSTREAM_UNAVAILABLE/)
+            expect(stepsOf(operation)).toEqual([['vector_store', true]])
+            expect(app.mock.vectorStores.size).toBe(vectorStores)
+        })
+
+        test('removes the assistant and the vector store when the agent cannot be stored', async () => {
+            const off = app.fakeDb.on('INSERT INTO agents SET ?', () => {
+                throw Object.assign(new Error('ER_LOCK_WAIT_TIMEOUT: Lock wait timeout exceeded'), { code: 'ER_LOCK_WAIT_TIMEOUT' })
+            })
+
+            const { status } = await app.request('/v1/agents', { method: 'POST', body: { name: 'Support', instructions: 'Answer' } })
+            off()
+
+            expect(status).toBe(500)
+            const operation = lastOperation('create_agent')
+            expect(operation.status).toBe('rolled_back')
+            expect(stepsOf(operation)).toEqual([['vector_store', true], ['assistant', true]])
+
+            const [vectorStore, assistant] = JSON.parse(operation.steps)
+            expect(app.mock.vectorStores.has(vectorStore.id)).toBe(false)
+            expect(app.mock.assistants.has(assistant.id)).toBe(false)
+        })
+
+        test('retries a rollback that fails, newest resource first', async () => {
+            const off = app.fakeDb.on('INSERT INTO agents SET ?', () => {
+                throw new Error('ER_LOCK_WAIT_TIMEOUT: Lock wait timeout exceeded')
+            })
+            app.mock.failNext('DELETE', /^\/v1\/assistants\//)
+
+            await app.request('/v1/agents', { method: 'POST', body: { name: 'Support', instructions: 'Answer' } })
+            off()
+
+            const operation = lastOperation('create_agent')
+            expect(operation).toMatchObject({ status: 'retrying', attempts: 1 })
+            expect(stepsOf(operation)).toEqual([['vector_store', false], ['assistant', false]])
+            const [vectorStore, assistant] = JSON.parse(operation.steps)
+            expect(app.mock.assistants.has(assistant.id)).toBe(true)
+
+            makeRetriesDue()
+            expect(await processAgentOperations()).toBe(1)
+
+            expect(findRow('agent_operations', operation.id).status).toBe('rolled_back')
+            expect(app.mock.vectorStores.has(vectorStore.id)).toBe(false)
+            expect(app.mock.assistants.has(assistant.id)).toBe(false)
+        })
+    })
+
+    describe('deleting an agent', () => {
+        async function createAgentWithFile() {
+            const agent = await createTestAgent(app.request)
+            const agentFile = await uploadFile(agent)
+            return { agent: findRow('agents', agent.id), agentFile }
+        }
+
+        test('removes the files, vector store, assistant and agent in order', async () => {
+            const { agent, agentFile } = await createAgentWithFile()
+
+            const operation = await deleteAgent(agent)
+
+            expect(operation.status).toBe('completed')
+            expect(stepsOf(findRow('agent_operations', operation.id))).toEqual([
+                ['file', true], ['vector_store', true], ['assistant', true], ['agent', true]
+            ])
+            expect(app.mock.files.has(agentFile.file_id)).toBe(false)
+            expect(app.mock.vectorStores.has(agent.vector_store_id)).toBe(false)
+            expect(app.mock.assistants.has(agent.assistant_id)).toBe(false)
+            expect(findRow('agents', agent.id)).toBeUndefined()
+            expect(findRow('agent_files', agentFile.id)).toBeUndefined()
+        })
+
+        // makes the removal of one resource fail once, the database failure returns a function undoing it
+        const failures = {
+            file: ({ agentFile }) => app.mock.failNext('DELETE', `/v1/files/${agentFile.file_id}`),
+            vector_store: ({ agent }) => app.mock.failNext('DELETE', `/v1/vector_stores/${agent.vector_store_id}`),
+            assistant: ({ agent }) => app.mock.failNext('DELETE', `/v1/assistants/${agent.assistant_id}`),
+            agent: () => app.fakeDb.on('DELETE FROM agents WHERE', () => {
+                throw new Error('ER_LOCK_WAIT_TIMEOUT: Lock wait timeout exceeded')
+            })
+        }
+
+        test.each(Object.keys(failures))('records a failure to remove the %s and finishes on the retry', async (resource) => {
+            const created = await createAgentWithFile()
+            const { agent, agentFile } = created
+            const off = failures[resource](created)
+
+            const operation = await deleteAgent(agent)
+            off?.()
+
+            // stopped at the failed step, the steps before it are done
+            const resources = ['file', 'vector_store', 'assistant', 'agent']
+            const failedAt = resources.indexOf(resource)
+            const row = findRow('agent_operations', operation.id)
+            expect(row).toMatchObject({ status: 'retrying', attempts: 1, last_error: expect.any(String) })
+            expect(row.next_attempt_at.getTime()).toBeGreaterThan(Date.now())
+            expect(stepsOf(row)).toEqual(resources.map((name, index) => [name, index < failedAt]))
+            expect(findRow('agents', agent.id)).toBeDefined()
+
+            // not before it is due
+            expect(await processAgentOperations()).toBe(0)
+
+            makeRetriesDue()
+            expect(await processAgentOperations()).toBe(1)
+
+            expect(findRow('agent_operations', operation.id)).toMatchObject({ status: 'completed', next_attempt_at: null })
+            expect(app.mock.files.has(agentFile.file_id)).toBe(false)
+            expect(app.mock.vectorStores.has(agent.vector_store_id)).toBe(false)
+            expect(app.mock.assistants.has(agent.assistant_id)).toBe(false)
+            expect(findRow('agents', agent.id)).toBeUndefined()
+        })
+
+        test('marks an operation failed after the last attempt', async () => {
+            const { agent } = await createAgentWithFile()
+            app.mock.failNext('DELETE', `/v1/assistants/${agent.assistant_id}`, { times: 2 })
+            const operation = await deleteAgent(agent)
+            findRow('agent_operations', operation.id).attempts = 7
+
+            makeRetriesDue()
+            await processAgentOperations()
+
+            expect(findRow('agent_operations', operation.id)).toMatchObject({ status: 'failed', attempts: 8, next_attempt_at: null })
+            expect(app.mock.assistants.has(agent.assistant_id)).toBe(true)
+
+            makeRetriesDue()
+            expect(await processAgentOperations()).toBe(0)
+        })
+    })
+
+    describe('the retry queue', () => {
+        function insertOperation(agent, fields) {
+            const now = new Date()
+            return app.fakeDb.insert('agent_operations', {
+                tenant_id: agent.tenant_id,
+                agent_id: agent.id,
+                type: 'delete_agent',
+                steps: JSON.stringify([
+                    { resource: 'assistant', id: agent.assistant_id, removed: false },
+                    { resource: 'agent', id: agent.id, removed: false }
+                ]),
+                attempts: 0,
+                last_error: null,
+                next_attempt_at: null,
+                created_at: now,
+                updated_at: now,
+                ...fields
+            })
+        }
+
+        test('leaves a running operation to its process, and takes it over once it is stale', async () => {
+            const agent = findRow('agents', (await createTestAgent(app.request)).id)
+            const operation = insertOperation(agent, { status: 'running' })
+
+            expect(await processAgentOperations()).toBe(0)
+            expect(app.mock.assistants.has(agent.assistant_id)).toBe(true)
+
+            operation.updated_at = new Date('2020-01-01T00:00:00Z')
+            expect(await processAgentOperations()).toBe(1)
+
+            expect(findRow('agent_operations', operation.id).status).toBe('completed')
+            expect(app.mock.assistants.has(agent.assistant_id)).toBe(false)
+            expect(findRow('agents', agent.id)).toBeUndefined()
+        })
+
+        test('holds a lease on the operation it works on', async () => {
+            const agent = findRow('agents', (await createTestAgent(app.request)).id)
+            const operation = insertOperation(agent, { status: 'retrying', next_attempt_at: new Date(Date.now() - 1000) })
+            let leased
+            const off = app.fakeDb.on(`DELETE FROM agents WHERE`, () => {
+                leased = { ...findRow('agent_operations', operation.id) }
+                throw new Error('ER_LOCK_WAIT_TIMEOUT: Lock wait timeout exceeded')
+            })
+
+            await processAgentOperations()
+            off()
+
+            // while it ran nobody else could take it, until the lease ran out
+            expect(leased.status).toBe('retrying')
+            expect(leased.next_attempt_at.getTime()).toBeGreaterThan(Date.now() + 60 * 1000)
+            expect(findRow('agent_operations', operation.id)).toMatchObject({ status: 'retrying', attempts: 1 })
+        })
+
+        test('skips an operation another process has claimed first', async () => {
+            const agent = findRow('agents', (await createTestAgent(app.request)).id)
+            const operation = insertOperation(agent, { status: 'retrying', next_attempt_at: new Date(Date.now() - 1000) })
+            const off = app.fakeDb.on('UPDATE agent_operations SET ? WHERE id = ? AND status = ?', () => ({ affectedRows: 0 }))
+
+            expect(await processAgentOperations()).toBe(0)
+            off()
+
+            expect(findRow('agent_operations', operation.id).status).toBe('retrying')
+            expect(app.mock.assistants.has(agent.assistant_id)).toBe(true)
+        })
+    })
+
+    describe('removing a document', () => {
+        test('detaches and deletes the file, then its record', async () => {
+            const agent = await createTestAgent(app.request)
+            const agentFile = await uploadFile(agent)
+
+            const { status } = await app.request(`/v1/agents/${agent.id}/files/${agentFile.id}`, { method: 'DELETE' })
+
+            expect(status).toBe(200)
+            expect(app.mock.vectorStores.get(agent.vector_store_id).file_ids).not.toContain(agentFile.file_id)
+            expect(app.mock.files.has(agentFile.file_id)).toBe(false)
+            expect(findRow('agent_files', agentFile.id)).toBeUndefined()
+            expect(operationsOf(agent.id, 'delete_file').map((operation) => operation.status)).toEqual(['completed'])
+        })
+
+        test('keeps the record while OpenAI cannot delete the file and retries', async () => {
+            const agent = await createTestAgent(app.request)
+            const agentFile = await uploadFile(agent)
+            app.mock.failNext('DELETE', `/v1/files/${agentFile.file_id}`)
+
+            const { status, body } = await app.request(`/v1/agents/${agent.id}/files/${agentFile.id}`, { method: 'DELETE' })
+
+            expect(status).toBe(202)
+            expect(body.data.status).toBe('retrying')
+            expect(app.mock.files.has(agentFile.file_id)).toBe(true)
+            expect(findRow('agent_files', agentFile.id)).toBeDefined()
+
+            const [operation] = operationsOf(agent.id, 'delete_file')
+            expect(operation).toMatchObject({ id: body.data.operation_id, attempts: 1, last_error: expect.stringMatching(/^UPSTREAM_UNAVAILABLE/) })
+            expect(operation.next_attempt_at.getTime()).toBeGreaterThan(Date.now())
+
+            makeRetriesDue()
+            await processAgentOperations()
+
+            expect(findRow('agent_operations', operation.id).status).toBe('completed')
+            expect(app.mock.files.has(agentFile.file_id)).toBe(false)
+            expect(findRow('agent_files', agentFile.id)).toBeUndefined()
+        })
+    })
+})
\ No newline at end of file
@@ -0,0 +1,158 @@
+import { diffLines } from '../src/utils/diff.js'
+import { diffSnapshots } from '../src/services/agentVersions.js'
+
+import { startTestApp, createTestAgent } from './helpers/testApp.js'
+
+describe('diffLines', () => {
+    test('keeps the common lines and marks the removed and added ones in order', () => {
+        expect(diffLines('Be polite\nAnswer in English\nSign with Acme', 'Be polite\nAnswer in French\nSign with Acme\nBe brief')).toEqual([
+            { type: 'equal', line: 'Be polite' },
+            { type: 'removed', line: 'Answer in English' },
+            { type: 'added', line: 'Answer in French' },
+            { type: 'equal', line: 'Sign with Acme' },
+            { type: 'added', line: 'Be brief' }
+        ])
+    })
+
+    test('takes a missing text for an empty one', () => {
+        expect(diffLines(null, 'Be polite')).toEqual([
+            { type: 'removed', line: '' },
+            { type: 'added', line: 'Be polite' }
+        ])
+    })
+})
+
+describe('diffSnapshots', () => {
+    const snapshot = {
+        name: 'support',
+        instructions: 'Be polite',
+        config: { model: 'gpt-4o-mini', temperature: 0.2, tools: [] }
+    }
+
+    test('lists only the fields that changed', () => {
+        const changed = { ...snapshot, instructions: 'Be brief', config: { ...snapshot.config, temperature: 0.8, tools: ['get_weather'] } }
+
+        expect(diffSnapshots(snapshot, changed)).toEqual([
+            { field: 'instructions', from: 'Be polite', to: 'Be brief' },
+            { field: 'temperature', from: 0.2, to: 0.8 },
+            { field: 'tools', from: [], to: ['get_weather'] }
+        ])
+    })
+
+    test('takes a setting missing from one snapshot for null', () => {
+        const changed = { ...snapshot, config: { ...snapshot.config, top_p: 0.5 } }
+
+        expect(diffSnapshots(snapshot, changed)).toEqual([{ field: 'top_p', from: null, to: 0.5 }])
+        expect(diffSnapshots(snapshot, { ...snapshot })).toEqual([])
+    })
+})
+
+describe('agent versions', () => {
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    function findRow(table, id) {
+        return app.fakeDb.rows(table).find((row) => row.id === id)
+    }
+
+    async function createVersionedAgent() {
+        const agent = await createTestAgent(app.request, { instructions: 'Be polite\nAnswer in English', temperature: 0.2 })
+        const { status } = await app.request(`/v1/agents/${agent.id}`, {
+            method: 'PATCH',
+            body: { name: agent.name, instructions: 'Be polite\nAnswer in French', temperature: 0.8 }
+        })
+        expect(status).toBe(200)
+
+        return agent
+    }
+
+    test('a change bumps the version of the agent and stores it', async () => {
+        const agent = await createVersionedAgent()
+
+        const { status, body } = await app.request(`/v1/agents/${agent.id}/versions`)
+
+        expect(status).toBe(200)
+        expect(findRow('agents', agent.id).version).toBe(2)
+        expect(body.data.current_version).toBe(2)
+        expect(body.data.versions.map((version) => version.version)).toEqual([2, 1])
+        expect(body.data.versions[0]).toMatchObject({ instructions: 'Be polite\nAnswer in French', config: { temperature: 0.8 }, restored_from: null })
+        expect(body.data.versions[1]).toMatchObject({ instructions: 'Be polite\nAnswer in English', config: { temperature: 0.2 } })
+    })
+
+    test('an update that changes nothing keeps the version', async () => {
+        const agent = await createVersionedAgent()
+        const current = findRow('agents', agent.id)
+
+        const { status } = await app.request(`/v1/agents/${agent.id}`, {
+            method: 'PATCH',
+            body: { name: current.name, instructions: current.instructions, temperature: 0.8 }
+        })
+
+        expect(status).toBe(200)
+        expect(findRow('agents', agent.id).version).toBe(2)
+        expect(app.fakeDb.rows('agent_versions').filter((version) => version.agent_id === agent.id)).toHaveLength(2)
+    })
+
+    test('compares a version with the current one', async () => {
+        const agent = await createVersionedAgent()
+
+        const { status, body } = await app.request(`/v1/agents/${agent.id}/versions/diff?from=1`)
+
+        expect(status).toBe(200)
+        expect(body.data).toEqual({
+            from: 1,
+            to: 2,
+            changes: [
+                { field: 'instructions', from: 'Be polite\nAnswer in English', to: 'Be polite\nAnswer in French' },
+                { field: 'temperature', from: 0.2, to: 0.8 }
+            ],
+            instructions_diff: [
+                { type: 'equal', line: 'Be polite' },
+                { type: 'removed', line: 'Answer in English' },
+                { type: 'added', line: 'Answer in French' }
+            ]
+        })
+    })
+
+    test('answers an unknown version with 404', async () => {
+        const agent = await createVersionedAgent()
+
+        expect((await app.request(`/v1/agents/${agent.id}/versions/diff?from=9`)).status).toBe(404)
+        expect((await app.request(`/v1/agents/${agent.id}/versions/9/rollback`, { method: 'POST' })).status).toBe(404)
+    })
+
+    test('a rollback restores the earlier settings as a new version', async () => {
+        const agent = await createVersionedAgent()
+
+        const { status, body } = await app.request(`/v1/agents/${agent.id}/versions/1/rollback`, { method: 'POST' })
+
+        expect(status).toBe(200)
+        expect(body.data).toEqual({ version: 3, restored_from: 1 })
+        expect(findRow('agents', agent.id)).toMatchObject({ version: 3, instructions: 'Be polite\nAnswer in English', temperature: 0.2 })
+
+        // the history is kept, the restored state is added to it
+        const versions = (await app.request(`/v1/agents/${agent.id}/versions`)).body.data.versions
+        expect(versions.map((version) => version.version)).toEqual([3, 2, 1])
+        expect(versions[0]).toMatchObject({ instructions: 'Be polite\nAnswer in English', config: { temperature: 0.2 }, restored_from: 1 })
+        expect(versions[0].changed_by).toContain('test')
+
+        // the assistant gets the restored settings
+        expect(app.mock.assistants.get(agent.assistant_id)).toMatchObject({ instructions: 'Be polite\nAnswer in English', temperature: 0.2 })
+    })
+
+    test('refuses to roll back to the current version', async () => {
+        const agent = await createVersionedAgent()
+
+        const { status } = await app.request(`/v1/agents/${agent.id}/versions/2/rollback`, { method: 'POST' })
+
+        expect(status).toBe(409)
+        expect(findRow('agents', agent.id).version).toBe(2)
+    })
+})
\ No newline at end of file
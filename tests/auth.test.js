@@ -0,0 +1,146 @@
+import { startTestApp, createTestAgent, createTestConversation } from './helpers/testApp.js'
+
+const adminHeaders = { authorization: 'Bearer test-admin-key' }
+
+// calls the app with another API key than the one of the tenant of startTestApp
+function requestWith(app, key) {
+    return (path, options = {}) => app.request(path, { ...options, headers: { authorization: `Bearer ${key}`, ...options.headers } })
+}
+
+/**
+ * Creates a tenant and its API key through the admin API
+ * @returns {Promise<Object>} { tenant, apiKey, request }, request calls the app as that tenant
+ */
+async function createTenant(app, name) {
+    const tenant = await app.request('/v1/admin/tenants', { method: 'POST', body: { name }, headers: adminHeaders })
+    expect(tenant.status).toBe(200)
+
+    const apiKey = await app.request(`/v1/admin/tenants/${tenant.body.data.id}/keys`, { method: 'POST', body: { name: 'test' }, headers: adminHeaders })
+    expect(apiKey.status).toBe(200)
+
+    return { tenant: tenant.body.data, apiKey: apiKey.body.data, request: requestWith(app, apiKey.body.data.key) }
+}
+
+describe('authentication', () => {
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+
+        // the admin reads API keys without their hash
+        app.fakeDb.on('SELECT id, tenant_id, name, key_prefix, last_used_at, revoked_at, created_at FROM api_keys WHERE id = ?', ([id]) => {
+            return app.fakeDb.rows('api_keys')
+                .filter((row) => String(row.id) === String(id))
+                .map(({ key_hash, ...row }) => row)
+        })
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    function findRow(table, id) {
+        return app.fakeDb.rows(table).find((row) => row.id === id)
+    }
+
+    test('refuses a request without an API key', async () => {
+        const { status, body } = await app.request('/v1/agents', { headers: { authorization: '' } })
+
+        expect(status).toBe(401)
+        expect(body.message).toBe("Missing API key")
+        expect((await app.request('/v1/agents', { headers: { authorization: 'Basic dXNlcjpwYXNz' } })).status).toBe(401)
+    })
+
+    test('refuses an unknown API key', async () => {
+        const { status, body } = await requestWith(app, 'sk_unknown')('/v1/conversations')
+
+        expect(status).toBe(401)
+        expect(body.message).toBe("Invalid API key")
+    })
+
+    test('refuses an API key once it is revoked', async () => {
+        const { apiKey, request } = await createTenant(app, 'Globex')
+        expect((await request('/v1/agents')).status).toBe(200)
+
+        const revoked = await app.request(`/v1/admin/keys/${apiKey.id}/revoke`, { method: 'POST', headers: adminHeaders })
+
+        expect(revoked.status).toBe(200)
+        expect(findRow('api_keys', apiKey.id).revoked_at).toBeInstanceOf(Date)
+        expect((await request('/v1/agents')).status).toBe(401)
+        expect((await app.request(`/v1/admin/keys/${apiKey.id}/revoke`, { method: 'POST', headers: adminHeaders })).status).toBe(409)
+    })
+
+    test('keeps the admin API to the admin key', async () => {
+        expect((await app.request('/v1/admin/tenants')).status).toBe(401)
+        expect((await app.request('/v1/admin/tenants', { headers: { authorization: 'Bearer wrong-key' } })).status).toBe(401)
+        expect((await app.request('/v1/admin/tenants', { headers: adminHeaders })).status).toBe(200)
+    })
+})
+
+describe('tenant isolation', () => {
+    let app
+    let other
+
+    beforeAll(async () => {
+        app = await startTestApp()
+
+        other = await createTenant(app, 'Globex')
+        other.agent = await createTestAgent(other.request)
+        other.conversation = await createTestConversation(other.request, other.agent.id)
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    function findRow(table, id) {
+        return app.fakeDb.rows(table).find((row) => row.id === id)
+    }
+
+    test('does not list the agents of another tenant', async () => {
+        const own = await createTestAgent(app.request)
+
+        const { status, body } = await app.request('/v1/agents')
+
+        expect(status).toBe(200)
+        expect(JSON.stringify(body.data)).toContain(`"id":${own.id},`)
+        expect(JSON.stringify(body.data)).not.toContain(`"id":${other.agent.id},`)
+    })
+
+    test.each([
+        { method: 'GET', target: 'agent' },
+        { method: 'PATCH', target: 'agent', body: { name: 'Taken', instructions: 'Taken over' } },
+        { method: 'DELETE', target: 'agent' },
+        { method: 'GET', target: 'agent/versions' },
+        { method: 'GET', target: 'agent/files' },
+        { method: 'POST', target: 'agent/restore' },
+        { method: 'GET', target: 'agent conversations' },
+        { method: 'POST', target: 'agent conversations', body: { user_id: 'user-1' } },
+        { method: 'GET', target: 'conversation' },
+        { method: 'DELETE', target: 'conversation' },
+        { method: 'GET', target: 'thread/history' }
+    ])('answers $method of the $target of another tenant with 404', async ({ method, target, body }) => {
+        const paths = {
+            'agent': `/v1/agents/${other.agent.id}`,
+            'agent/versions': `/v1/agents/${other.agent.id}/versions`,
+            'agent/files': `/v1/agents/${other.agent.id}/files`,
+            'agent/restore': `/v1/agents/${other.agent.id}/restore`,
+            'agent conversations': method === 'GET' ? `/v1/conversations?agent_id=${other.agent.id}` : `/v1/conversations/agent/${other.agent.id}`,
+            'conversation': `/v1/conversations/${other.conversation.id}`,
+            'thread/history': `/v1/conversations/thread/${other.conversation.thread_id}/history`
+        }
+
+        const { status } = await app.request(paths[target], { method, body })
+
+        expect(status).toBe(404)
+    })
+
+    test('leaves the agent and conversation of the other tenant as they were', async () => {
+        const agent = findRow('agents', other.agent.id)
+        expect(agent).toMatchObject({ name: other.agent.name, instructions: other.agent.instructions })
+        expect(agent.deleted_at ?? null).toBeNull()
+        expect(findRow('conversations', other.conversation.id).deleted_at ?? null).toBeNull()
+        expect((await other.request(`/v1/agents/${other.agent.id}`)).body.data.id).toBe(other.agent.id)
+        expect((await other.request(`/v1/conversations/${other.conversation.id}`)).status).toBe(200)
+    })
+})
\ No newline at end of file
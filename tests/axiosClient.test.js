@@ -0,0 +1,209 @@
+import http from 'http'
+
+import { CircuitBreaker } from '../src/utils/circuitBreaker.js'
+
+// settings are read when constants.js is imported, the client is imported once they are set
+process.env.OPENAI_RETRY_MAX = '2'
+process.env.OPENAI_RETRY_BASE_DELAY = '1'
+process.env.OPENAI_RETRY_MAX_DELAY = '50'
+process.env.OPENAI_CIRCUIT_THRESHOLD = '3'
+process.env.OPENAI_CIRCUIT_COOLDOWN = '100'
+
+const { default: axiosClient, getRetryDelay, getBackoffDelay } = await import('../src/services/axiosClient.js')
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Starts a server answering with the given responses in turn, the last one is repeated
+ * Every test gets its own port, so its own circuit
+ */
+async function startUpstream(...responses) {
+    const upstream = { hits: 0 }
+
+    const server = http.createServer((req, res) => {
+        const { status, headers = {} } = responses[Math.min(upstream.hits, responses.length - 1)]
+        upstream.hits++
+        res.writeHead(status, { 'content-type': 'application/json', ...headers })
+        res.end(JSON.stringify({ status }))
+    })
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    upstream.url = `http://127.0.0.1:${server.address().port}/v1/test`
+    upstream.close = () => new Promise((resolve) => server.close(resolve))
+
+    return upstream
+}
+
+describe('CircuitBreaker', () => {
+    function createBreaker() {
+        const changes = []
+        const breaker = new CircuitBreaker({
+            name: 'api.test',
+            threshold: 2,
+            cooldown: 30,
+            onStateChange: (name, state, previousState) => changes.push([name, state, previousState])
+        })
+        return { breaker, changes }
+    }
+
+    test('opens after consecutive failures and refuses requests during the cooldown', () => {
+        const { breaker, changes } = createBreaker()
+
+        breaker.recordFailure()
+        expect(breaker.allowRequest()).toBe(true)
+        breaker.recordFailure()
+
+        expect(breaker.state).toBe('open')
+        expect(breaker.allowRequest()).toBe(false)
+        expect(breaker.remainingCooldown()).toBeGreaterThan(0)
+        expect(changes).toEqual([['api.test', 'open', 'closed']])
+    })
+
+    test('a success resets the count of failures', () => {
+        const { breaker } = createBreaker()
+
+        breaker.recordFailure()
+        breaker.recordSuccess()
+        breaker.recordFailure()
+
+        expect(breaker.state).toBe('closed')
+    })
+
+    test('lets one trial request through after the cooldown', async () => {
+        const { breaker } = createBreaker()
+        breaker.recordFailure()
+        breaker.recordFailure()
+
+        await sleep(40)
+
+        expect(breaker.allowRequest()).toBe(true)
+        expect(breaker.state).toBe('half_open')
+        expect(breaker.allowRequest()).toBe(false)
+    })
+
+    test('closes when the trial succeeds and opens again when it fails', async () => {
+        const { breaker, changes } = createBreaker()
+        breaker.recordFailure()
+        breaker.recordFailure()
+        await sleep(40)
+
+        breaker.allowRequest()
+        breaker.recordFailure()
+        expect(breaker.state).toBe('open')
+
+        await sleep(40)
+        breaker.allowRequest()
+        breaker.recordSuccess()
+
+        expect(breaker.state).toBe('closed')
+        expect(changes.map(([, state]) => state)).toEqual(['open', 'half_open', 'open', 'half_open', 'closed'])
+    })
+
+    test('frees the trial slot of a request that tells nothing about the service', async () => {
+        const { breaker } = createBreaker()
+        breaker.recordFailure()
+        breaker.recordFailure()
+        await sleep(40)
+
+        breaker.allowRequest()
+        breaker.recordIgnored()
+
+        expect(breaker.state).toBe('half_open')
+        expect(breaker.allowRequest()).toBe(true)
+    })
+})
+
+describe('getRetryDelay', () => {
+    const withHeaders = (headers) => ({ response: { headers } })
+
+    test('follows Retry-After in seconds, milliseconds or as a date', () => {
+        expect(getRetryDelay(withHeaders({ 'retry-after': '0.02' }), 1)).toBe(20)
+        expect(getRetryDelay(withHeaders({ 'retry-after-ms': '30' }), 1)).toBe(30)
+        expect(getRetryDelay(withHeaders({ 'retry-after': new Date(Date.now() - 1000).toUTCString() }), 1)).toBe(0)
+    })
+
+    test('does not wait longer than OPENAI_RETRY_MAX_DELAY', () => {
+        expect(getRetryDelay(withHeaders({ 'retry-after': '60' }), 1)).toBeNull()
+    })
+
+    test('backs off exponentially with jitter, up to OPENAI_RETRY_MAX_DELAY', () => {
+        for (let attempt = 1; attempt <= 10; attempt++) {
+            const delay = Math.min(50, 2 ** (attempt - 1))
+            expect(getBackoffDelay(attempt)).toBeGreaterThanOrEqual(delay / 2)
+            expect(getBackoffDelay(attempt)).toBeLessThanOrEqual(delay)
+        }
+        expect(getRetryDelay(withHeaders({}), 1)).toBeLessThanOrEqual(1)
+    })
+})
+
+describe('axiosClient', () => {
+    let upstream
+
+    afterEach(async () => {
+        await upstream?.close()
+    })
+
+    test('retries an idempotent request until it succeeds', async () => {
+        upstream = await startUpstream({ status: 503 }, { status: 502 }, { status: 200 })
+
+        const response = await axiosClient.get(upstream.url)
+
+        expect(response.status).toBe(200)
+        expect(upstream.hits).toBe(3)
+    })
+
+    test('gives up after OPENAI_RETRY_MAX retries', async () => {
+        upstream = await startUpstream({ status: 500 })
+
+        await expect(axiosClient.get(upstream.url)).rejects.toMatchObject({ response: { status: 500 } })
+        expect(upstream.hits).toBe(3)
+    })
+
+    test('does not retry a request the server may have acted on', async () => {
+        upstream = await startUpstream({ status: 500 }, { status: 200 })
+
+        await expect(axiosClient.post(upstream.url, {})).rejects.toMatchObject({ response: { status: 500 } })
+        expect(upstream.hits).toBe(1)
+    })
+
+    test('retries any request answered with 429', async () => {
+        upstream = await startUpstream({ status: 429, headers: { 'retry-after-ms': '5' } }, { status: 200 })
+
+        const response = await axiosClient.post(upstream.url, {})
+
+        expect(response.status).toBe(200)
+        expect(upstream.hits).toBe(2)
+    })
+
+    test('does not retry when asked to wait longer than OPENAI_RETRY_MAX_DELAY', async () => {
+        upstream = await startUpstream({ status: 429, headers: { 'retry-after': '60' } }, { status: 200 })
+
+        await expect(axiosClient.get(upstream.url)).rejects.toMatchObject({ response: { status: 429 } })
+        expect(upstream.hits).toBe(1)
+    })
+
+    test('does not retry client errors or requests with retry: false', async () => {
+        upstream = await startUpstream({ status: 404 }, { status: 503 }, { status: 200 })
+
+        await expect(axiosClient.get(upstream.url)).rejects.toMatchObject({ response: { status: 404 } })
+        await expect(axiosClient.get(upstream.url, { retry: false })).rejects.toMatchObject({ response: { status: 503 } })
+        expect(upstream.hits).toBe(2)
+    })
+
+    test('fails fast once the circuit of a host is open, and closes it after a successful trial', async () => {
+        upstream = await startUpstream({ status: 500 }, { status: 500 }, { status: 500 }, { status: 200 })
+
+        for (let i = 0; i < 3; i++) {
+            await expect(axiosClient.post(upstream.url, {})).rejects.toMatchObject({ response: { status: 500 } })
+        }
+
+        await expect(axiosClient.post(upstream.url, {})).rejects.toMatchObject({ code: 'ECIRCUITOPEN' })
+        expect(upstream.hits).toBe(3)
+
+        await sleep(120)
+
+        const response = await axiosClient.post(upstream.url, {})
+        expect(response.status).toBe(200)
+        expect(upstream.hits).toBe(4)
+    })
+})
\ No newline at end of file
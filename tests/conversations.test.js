@@ -0,0 +1,179 @@
+import { startTestApp, createTestAgent, createTestConversation } from './helpers/testApp.js'
+
+describe('conversations against the mock OpenAI server', () => {
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    beforeEach(() => {
+        app.mock.replies = []
+    })
+
+    async function sendMessage(agent, conversation, message, extra = {}) {
+        return app.request('/v1/conversations', {
+            method: 'POST',
+            body: { agent_id: agent.id, thread_id: conversation.thread_id, message, ...extra }
+        })
+    }
+
+    test('sends a message and stores the exchange', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.queueReply({ reply: 'Your order has shipped', usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 } })
+
+        const { status, body } = await sendMessage(agent, conversation, 'Where is my order?')
+
+        expect(status).toBe(200)
+        expect(body.data.message).toBe('Your order has shipped')
+
+        const messages = app.fakeDb.rows('messages').filter((message) => message.conversation_id === conversation.id)
+        expect(messages.map(({ role, content }) => [role, content])).toEqual([
+            ['user', 'Where is my order?'],
+            ['assistant', 'Your order has shipped']
+        ])
+        expect(app.fakeDb.rows('agent_usage').find((usage) => usage.run_id === messages[1].run_id).total_tokens).toBe(17)
+        expect(app.fakeDb.locks.size).toBe(0)
+    })
+
+    // events of a Server-Sent Events answer as [event, data]
+    function parseEvents(text) {
+        return text.split('\n\n').filter(Boolean).map((block) => {
+            const [event, data] = block.split('\n').map((line) => line.slice(line.indexOf(': ') + 2))
+            return [event, JSON.parse(data)]
+        })
+    }
+
+    test('streams a reply and stores the exchange before it completes', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.queueReply({ reply: 'Your order has shipped' })
+
+        const { status, body } = await sendMessage(agent, conversation, 'Where is my order?', { stream: true })
+
+        expect(status).toBe(200)
+        const events = parseEvents(body)
+        expect(events.filter(([event]) => event === 'delta').map(([, data]) => data.value).join('')).toBe('Your order has shipped')
+        expect(events[events.length - 1]).toEqual(['completed', { message: 'Your order has shipped' }])
+
+        const messages = app.fakeDb.rows('messages').filter((message) => message.conversation_id === conversation.id)
+        expect(messages.map(({ role, content }) => [role, content])).toEqual([
+            ['user', 'Where is my order?'],
+            ['assistant', 'Your order has shipped']
+        ])
+    })
+
+    test('streams the error of a failed run and stores the question once', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.queueReply({ status: 'failed', last_error: { code: 'server_error', message: 'Something broke' } })
+
+        const { status, body } = await sendMessage(agent, conversation, 'Hello', { stream: true })
+
+        expect(status).toBe(200)
+        const events = parseEvents(body)
+        expect(events.map(([event]) => event)).not.toContain('completed')
+        expect(events[events.length - 1]).toEqual(['error', expect.objectContaining({ message: 'Run ended with status: failed' })])
+
+        const messages = app.fakeDb.rows('messages').filter((message) => message.conversation_id === conversation.id)
+        expect(messages.map(({ role, content }) => [role, content])).toEqual([['user', 'Hello']])
+    })
+
+    test('answers the tool calls of a run that requires action', async () => {
+        const agent = await createTestAgent(app.request, { tools: ['get_current_datetime'] })
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.queueReply({
+            reply: 'It is Monday',
+            tool_calls: [{ name: 'get_current_datetime', arguments: { time_zone: 'Europe/Paris' } }]
+        })
+
+        const { status, body } = await sendMessage(agent, conversation, 'What day is it?')
+
+        expect(status).toBe(200)
+        expect(body.data.message).toBe('It is Monday')
+
+        const [run] = [...app.mock.runs.values()].filter((run) => run.thread_id === conversation.thread_id)
+        expect(run.status).toBe('completed')
+        expect(run.toolOutputs).toHaveLength(1)
+        expect(JSON.parse(run.toolOutputs[0].output)).toHaveProperty('time_zone', 'Europe/Paris')
+    })
+
+    test('answers the tool calls of an async run once when it is polled', async () => {
+        const agent = await createTestAgent(app.request, { tools: ['get_current_datetime'] })
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.queueReply({ reply: 'Done', tool_calls: [{ name: 'get_current_datetime', arguments: {} }] })
+
+        const started = await sendMessage(agent, conversation, 'What time is it?', { async: true })
+        expect(started.status).toBe(202)
+
+        const runId = started.body.data.run_id
+        const path = `/v1/conversations/thread/${conversation.thread_id}/runs/${runId}`
+
+        let polled = await app.request(path)
+        for (let i = 0; i < 20 && polled.body.data.status !== 'completed'; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 20))
+            polled = await app.request(path)
+        }
+
+        expect(polled.status).toBe(200)
+        expect(polled.body.data.status).toBe('completed')
+        expect(polled.body.data.message).toBe('Done')
+        expect(app.mock.runs.get(runId).toolOutputs).toHaveLength(1)
+    })
+
+    test('reports a failed run with its error', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.queueReply({ status: 'failed', last_error: { code: 'rate_limit_exceeded', message: 'Slow down' } })
+
+        const { status, body } = await sendMessage(agent, conversation, 'Hello')
+
+        expect(status).toBe(502)
+        expect(body.message).toBe('Run ended with status: failed')
+        expect(body.data.status).toBe('failed')
+        expect(body.data.error).toEqual({ code: 'rate_limit_exceeded', message: 'Slow down' })
+
+        // the question is kept, there is no reply to keep
+        const messages = app.fakeDb.rows('messages').filter((message) => message.conversation_id === conversation.id)
+        expect(messages.map((message) => message.role)).toEqual(['user'])
+        expect(app.fakeDb.locks.size).toBe(0)
+    })
+
+    test('refuses a message to a conversation of another agent', async () => {
+        const agent = await createTestAgent(app.request)
+        const other = await createTestAgent(app.request, { name: 'Sales' })
+        const conversation = await createTestConversation(app.request, other.id)
+
+        const { status } = await sendMessage(agent, conversation, 'Hello')
+
+        expect(status).toBe(400)
+    })
+
+    test('uploads a file to the vector store of the agent', async () => {
+        const agent = await createTestAgent(app.request)
+        const form = new FormData()
+        form.append('file', new Blob(['Orders ship within 2 days']), 'shipping.txt')
+
+        const { status, body } = await app.request(`/v1/agents/${agent.id}/files`, { method: 'POST', body: form })
+
+        expect(status).toBe(200)
+        expect(body.data).toMatchObject({ filename: 'shipping.txt', file_id: expect.stringMatching(/^file/) })
+        expect(app.mock.vectorStores.get(agent.vector_store_id).file_ids).toContain(body.data.file_id)
+        expect(app.mock.fileContents.get(body.data.file_id).toString()).toBe('Orders ship within 2 days')
+        expect(app.fakeDb.rows('agent_files')).toContainEqual(expect.objectContaining({ agent_id: agent.id, file_id: body.data.file_id }))
+    })
+
+    test('refuses an upload without a file', async () => {
+        const agent = await createTestAgent(app.request)
+
+        const { status, body } = await app.request(`/v1/agents/${agent.id}/files`, { method: 'POST', body: new FormData() })
+
+        expect(status).toBe(400)
+        expect(body.message).toBe('Missing required field: file')
+    })
+})
\ No newline at end of file
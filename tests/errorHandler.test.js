@@ -0,0 +1,171 @@
+import { AppError, RunError, fromUpstreamError, toAppError, redactSecrets } from '../src/utils/errors.js'
+import OpenAIService from '../src/services/openaiService.js'
+
+import { startTestApp, createTestAgent, createTestConversation } from './helpers/testApp.js'
+
+function axiosError(status, { data, headers, code } = {}) {
+    return {
+        isAxiosError: true,
+        code,
+        message: `Request failed with status code ${status}`,
+        response: status ? { status, data, headers: headers || {} } : undefined
+    }
+}
+
+describe('fromUpstreamError', () => {
+    test.each([
+        [400, 'UPSTREAM_INVALID_REQUEST', 400],
+        [401, 'UPSTREAM_AUTH_FAILED', 502],
+        [403, 'UPSTREAM_AUTH_FAILED', 502],
+        [404, 'UPSTREAM_NOT_FOUND', 404],
+        [408, 'UPSTREAM_TIMEOUT', 504],
+        [429, 'UPSTREAM_RATE_LIMITED', 429],
+        [500, 'UPSTREAM_UNAVAILABLE', 502],
+        [504, 'UPSTREAM_TIMEOUT', 504]
+    ])('maps status %i to %s', (status, code, statusCode) => {
+        const error = fromUpstreamError(axiosError(status))
+
+        expect(error).toBeInstanceOf(AppError)
+        expect(error.code).toBe(code)
+        expect(error.statusCode).toBe(statusCode)
+    })
+
+    test('maps network errors and timeouts', () => {
+        expect(fromUpstreamError(axiosError(undefined, { code: 'ECONNREFUSED' })).code).toBe('UPSTREAM_UNAVAILABLE')
+        expect(fromUpstreamError(axiosError(undefined, { code: 'ECONNABORTED' })).code).toBe('UPSTREAM_TIMEOUT')
+    })
+
+    test('keeps the Retry-After of a rate limit', () => {
+        const error = fromUpstreamError(axiosError(429, { headers: { 'retry-after': '12' } }))
+
+        expect(error.details).toEqual({ retry_after: 12 })
+    })
+
+    test('maps an open circuit with the time left', () => {
+        const error = fromUpstreamError({ code: 'ECIRCUITOPEN', retryAfterMs: 1500 })
+
+        expect(error.code).toBe('UPSTREAM_CIRCUIT_OPEN')
+        expect(error.details).toEqual({ retry_after: 2 })
+    })
+
+    test('keeps the reason of a rejected request without secrets', () => {
+        const error = fromUpstreamError(axiosError(400, {
+            data: { error: { message: 'Incorrect API key provided: sk-abcdef123456, header Bearer sk-abcdef123456' } }
+        }))
+
+        expect(error.message).toBe('The AI provider rejected the request: Incorrect API key provided: sk-[redacted], header Bearer [redacted]')
+    })
+})
+
+describe('toAppError', () => {
+    test('keeps typed errors', () => {
+        const error = new RunError('expired', { id: 'run_1' })
+
+        expect(toAppError(error)).toBe(error)
+        expect(error.statusCode).toBe(504)
+    })
+
+    test('maps database errors', () => {
+        expect(toAppError({ code: 'ER_PARSE_ERROR', sqlMessage: 'syntax error', fatal: false }).code).toBe('DATABASE_ERROR')
+        expect(toAppError({ code: 'ECONNREFUSED', fatal: true }).code).toBe('DATABASE_UNAVAILABLE')
+        expect(toAppError({ code: 'POOL_CLOSED' }).code).toBe('DATABASE_UNAVAILABLE')
+    })
+
+    test('maps anything else to an internal error', () => {
+        const error = toAppError(new TypeError("Cannot read properties of undefined (reading 'id')"))
+
+        expect(error.code).toBe('INTERNAL_ERROR')
+        expect(error.statusCode).toBe(500)
+        expect(error.message).toBe('Internal server error')
+    })
+
+    test('redacts keys and bearer tokens', () => {
+        expect(redactSecrets('key sk-proj-abcd1234 sent as Bearer abc.def')).toBe('key sk-[redacted] sent as Bearer [redacted]')
+    })
+})
+
+describe('error middleware', () => {
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    test('answers unknown routes with ROUTE_NOT_FOUND', async () => {
+        const { status, body } = await app.request('/v1/unknown')
+
+        expect(status).toBe(404)
+        expect(body).toEqual({ status: 404, code: 'ROUTE_NOT_FOUND', message: 'Route not found: GET /v1/unknown' })
+    })
+
+    test('answers a malformed body with INVALID_JSON', async () => {
+        const { status, body } = await app.request('/v1/agents', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: '{"name": '
+        })
+
+        expect(status).toBe(400)
+        expect(body.code).toBe('INVALID_JSON')
+    })
+
+    test('answers a failed query without the query', async () => {
+        const off = app.fakeDb.on('SELECT * FROM agents WHERE tenant_id = ?', () => {
+            throw Object.assign(new Error("ER_NO_SUCH_TABLE: Table 'test.agents' doesn't exist"), {
+                code: 'ER_NO_SUCH_TABLE',
+                sqlMessage: "Table 'test.agents' doesn't exist",
+                sql: 'SELECT * FROM agents WHERE tenant_id = 1',
+                fatal: false
+            })
+        })
+
+        const { status, body } = await app.request('/v1/agents')
+
+        expect(status).toBe(500)
+        expect(body).toEqual({ status: 500, code: 'DATABASE_ERROR', message: 'Database error' })
+        off()
+    })
+
+    test('answers an unreachable database with 503', async () => {
+        const off = app.fakeDb.on('SELECT * FROM agents WHERE tenant_id = ?', () => {
+            throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:3306'), { code: 'ECONNREFUSED', fatal: true })
+        })
+
+        const { status, body } = await app.request('/v1/agents')
+
+        expect(status).toBe(503)
+        expect(body.code).toBe('DATABASE_UNAVAILABLE')
+        off()
+    })
+
+    test('answers an upstream error with its code, without the upstream URL', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.assistants.delete(agent.assistant_id)
+
+        const { status, body } = await app.request('/v1/conversations', {
+            method: 'POST',
+            body: { agent_id: agent.id, thread_id: conversation.thread_id, message: 'Hello' }
+        })
+
+        expect(status).toBe(404)
+        expect(body.code).toBe('UPSTREAM_NOT_FOUND')
+        expect(JSON.stringify(body)).not.toMatch(/127\.0\.0\.1|mock-key/)
+        expect(app.fakeDb.locks.size).toBe(0)
+    })
+
+    test('rejects the lookup of a deleted assistant with a typed error', async () => {
+        const openAIService = new OpenAIService()
+        const agent = await createTestAgent(app.request)
+
+        expect((await openAIService.getAssistant(agent.assistant_id)).id).toBe(agent.assistant_id)
+
+        app.mock.assistants.delete(agent.assistant_id)
+
+        await expect(openAIService.getAssistant(agent.assistant_id)).rejects.toMatchObject({ code: 'UPSTREAM_NOT_FOUND', statusCode: 404 })
+    })
+})
\ No newline at end of file
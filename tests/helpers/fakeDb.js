@@ -0,0 +1,424 @@
+/**
+ * Fake Database
+ * Replaces query and getConnection of the mysql pool (src/configs/db.js) with an in-memory store,
+ * so the app and its services run in tests without MySQL.
+ *
+ * It understands the statements of src/models on a single table: INSERT ... SET ?, UPDATE ... SET,
+ * SELECT * / COUNT(*) and DELETE with a WHERE of =, <=>, <, <=, >, >=, IS [NOT] NULL, IN (...) and
+ * NOT IN (SELECT ...) joined by AND and OR, plus ORDER BY, LIMIT and OFFSET. Named locks (GET_LOCK,
+ * RELEASE_LOCK) belong to the connection that took them, like in MySQL.
+ * Joins and aggregates are answered by handlers added with on(), any other statement fails with
+ * "Unhandled query". Transactions are not isolated, other connections see their writes at once, but a
+ * rollback, or closing the connection, undoes the INSERT, UPDATE and DELETE statements run in them.
+ * Writes of handlers are not undone.
+ */
+
+const LOCK_POLL_INTERVAL = 10
+
+/**
+ * Installs a fake database on the pool
+ * @param {Object} db - mysql pool to replace the queries of
+ * @returns {Object} { tables, rows, insert, on, locks, reset }
+ */
+export function installFakeDb(db) {
+    const fake = {
+        tables: {},
+        handlers: [],
+        locks: new Map(),
+        nextId: 1,
+        nextConnectionId: 1,
+
+        // rows of a table, in insertion order
+        rows(table) {
+            return [...getTable(fake, table).values()]
+        },
+
+        // stores a row as INSERT would, the id is assigned unless given
+        insert(table, row) {
+            const stored = { id: fake.nextId++, ...row }
+            getTable(fake, table).set(String(stored.id), stored)
+            return stored
+        },
+
+        // answers the statements matching pattern with handler(params, sql), before the built-in ones
+        // returns a function removing the handler again
+        on(pattern, handler) {
+            const entry = { pattern, handler }
+            fake.handlers.unshift(entry)
+            return () => {
+                fake.handlers = fake.handlers.filter((other) => other !== entry)
+            }
+        },
+
+        reset() {
+            fake.tables = {}
+            fake.handlers = []
+            fake.locks.clear()
+            fake.nextId = 1
+        }
+    }
+
+    db.query = (sql, params, callback) => runQuery(fake, null, sql, params, callback)
+
+    db.getConnection = (callback) => {
+        const connection = {
+            id: fake.nextConnectionId++,
+            query: (sql, params, queryCallback) => runQuery(fake, connection, sql, params, queryCallback),
+            // undo functions of the writes of the open transaction, newest last
+            undoLog: null,
+            beginTransaction: (transactionCallback) => {
+                connection.undoLog = []
+                setImmediate(transactionCallback)
+            },
+            commit: (transactionCallback) => {
+                connection.undoLog = null
+                setImmediate(transactionCallback)
+            },
+            rollback: (transactionCallback) => {
+                rollBack(connection)
+                setImmediate(transactionCallback)
+            },
+            // the session, and the named locks it holds, stays open in the pool
+            release: () => { },
+            destroy: () => {
+                rollBack(connection)
+                releaseLocks(fake, connection)
+            }
+        }
+        setImmediate(() => callback(null, connection))
+    }
+
+    return fake
+}
+
+function getTable(fake, table) {
+    if (!fake.tables[table]) {
+        fake.tables[table] = new Map()
+    }
+    return fake.tables[table]
+}
+
+function runQuery(fake, connection, sql, params, callback) {
+    if (typeof params === 'function') {
+        callback = params
+        params = []
+    }
+
+    const statement = (typeof sql === 'object' ? sql.sql : sql).replace(/\s+/g, ' ').trim()
+
+    Promise.resolve()
+        .then(() => execute(fake, connection, statement, params || []))
+        .then((result) => callback(null, result), (error) => callback(error))
+}
+
+async function execute(fake, connection, sql, params) {
+    for (const { pattern, handler } of fake.handlers) {
+        if (typeof pattern === 'string' ? sql.startsWith(pattern) : pattern.test(sql)) {
+            return handler(params, sql)
+        }
+    }
+
+    let match
+
+    if (sql === 'SELECT 1') {
+        return [{ 1: 1 }]
+    }
+
+    if (sql === 'SELECT GET_LOCK(?, ?) AS acquired') {
+        return [{ acquired: await getLock(fake, connection, params[0], params[1]) }]
+    }
+
+    if (sql === 'SELECT RELEASE_LOCK(?) AS released') {
+        const owner = fake.locks.get(params[0])
+        if (owner !== connection) {
+            return [{ released: owner ? 0 : null }]
+        }
+        fake.locks.delete(params[0])
+        return [{ released: 1 }]
+    }
+
+    if (sql.startsWith('SELECT api_keys.id, api_keys.tenant_id')) {
+        return findApiKey(fake, params[0])
+    }
+
+    if ((match = sql.match(/^INSERT INTO (\w+) SET \?$/))) {
+        const table = getTable(fake, match[1])
+        const row = fake.insert(match[1], params[0])
+        remember(connection, () => table.delete(String(row.id)))
+        return { insertId: row.id, affectedRows: 1 }
+    }
+
+    if ((match = sql.match(/^UPDATE (\w+) SET (.+?) WHERE (.+)$/))) {
+        const values = [...params]
+        const assign = parseAssignments(match[2], values)
+        const rows = filterRows(fake, match[1], match[3], values)
+        rows.forEach((row) => {
+            const before = { ...row }
+            remember(connection, () => {
+                Object.keys(row).forEach((column) => delete row[column])
+                Object.assign(row, before)
+            })
+            Object.assign(row, assign)
+        })
+        return { affectedRows: rows.length, changedRows: rows.length }
+    }
+
+    if ((match = sql.match(/^DELETE FROM (\w+) WHERE (.+)$/))) {
+        const table = getTable(fake, match[1])
+        const rows = filterRows(fake, match[1], match[2], [...params])
+        rows.forEach((row) => {
+            table.delete(String(row.id))
+            remember(connection, () => table.set(String(row.id), row))
+        })
+        return { affectedRows: rows.length }
+    }
+
+    if ((match = sql.match(/^SELECT COUNT\(\*\) AS total FROM (\w+)(?: WHERE (.+))?$/))) {
+        return [{ total: filterRows(fake, match[1], match[2], [...params]).length }]
+    }
+
+    if ((match = sql.match(/^SELECT \* FROM (\w+)(?: WHERE (.+?))?(?: ORDER BY (.+?))?(?: LIMIT (\?|\d+)(?: OFFSET (\?|\d+))?)?(?: FOR UPDATE)?$/))) {
+        const values = [...params]
+        let rows = filterRows(fake, match[1], match[2], values)
+
+        if (match[3]) {
+            rows = sortRows(rows, match[3])
+        }
+
+        const limit = match[4] === '?' ? values.shift() : match[4]
+        const offset = match[5] === '?' ? values.shift() : match[5]
+        if (limit !== undefined) {
+            rows = rows.slice(Number(offset) || 0, (Number(offset) || 0) + Number(limit))
+        }
+
+        return rows.map((row) => ({ ...row }))
+    }
+
+    throw new Error(`Unhandled query: ${sql}`)
+}
+
+async function getLock(fake, connection, name, timeout) {
+    const deadline = Date.now() + Number(timeout) * 1000
+
+    while (fake.locks.has(name) && fake.locks.get(name) !== connection) {
+        if (Date.now() >= deadline) {
+            return 0
+        }
+        await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_INTERVAL))
+    }
+
+    fake.locks.set(name, connection)
+    return 1
+}
+
+// keeps how to undo a write made in a transaction
+function remember(connection, undo) {
+    if (connection?.undoLog) {
+        connection.undoLog.push(undo)
+    }
+}
+
+function rollBack(connection) {
+    const undoLog = connection.undoLog || []
+    connection.undoLog = null
+    undoLog.reverse().forEach((undo) => undo())
+}
+
+function releaseLocks(fake, connection) {
+    for (const [name, owner] of fake.locks) {
+        if (owner === connection) {
+            fake.locks.delete(name)
+        }
+    }
+}
+
+function findApiKey(fake, keyHash) {
+    const apiKey = fake.rows('api_keys').find((row) => row.key_hash === keyHash && !row.revoked_at)
+    const tenant = apiKey && getTable(fake, 'tenants').get(String(apiKey.tenant_id))
+    if (!tenant) {
+        return []
+    }
+
+    return [{
+        id: apiKey.id,
+        tenant_id: apiKey.tenant_id,
+        name: apiKey.name,
+        key_prefix: apiKey.key_prefix,
+        tenant_name: tenant.name
+    }]
+}
+
+// "?" takes the next value, SET ? takes an object
+function parseAssignments(clause, values) {
+    if (clause === '?') {
+        return { ...values.shift() }
+    }
+
+    const assign = {}
+    for (const part of clause.split(/, (?=\w+ =)/)) {
+        const [column, value] = part.split(' = ')
+        assign[column] = value === '?' ? values.shift() : parseLiteral(value)
+    }
+    return assign
+}
+
+function filterRows(fake, table, where, values) {
+    const rows = fake.rows(table)
+    if (!where) {
+        return rows
+    }
+
+    const predicate = parseCondition(fake, where, values)
+    return rows.filter(predicate)
+}
+
+function sortRows(rows, orderBy) {
+    const keys = orderBy.split(', ').map((part) => {
+        const [column, direction] = part.split(' ')
+        return { column: stripTable(column), sign: direction === 'DESC' ? -1 : 1 }
+    })
+
+    return [...rows].sort((a, b) => {
+        for (const { column, sign } of keys) {
+            const order = compare(a[column], b[column])
+            if (order !== 0) {
+                return order * sign
+            }
+        }
+        return 0
+    })
+}
+
+// builds the predicate of a WHERE clause, taking its values in order
+function parseCondition(fake, condition, values) {
+    condition = condition.trim()
+
+    const orParts = splitTopLevel(condition, ' OR ')
+    if (orParts.length > 1) {
+        const predicates = orParts.map((part) => parseCondition(fake, part, values))
+        return (row) => predicates.some((predicate) => predicate(row))
+    }
+
+    const andParts = splitTopLevel(condition, ' AND ')
+    if (andParts.length > 1) {
+        const predicates = andParts.map((part) => parseCondition(fake, part, values))
+        return (row) => predicates.every((predicate) => predicate(row))
+    }
+
+    if (condition.startsWith('(') && condition.endsWith(')')) {
+        return parseCondition(fake, condition.slice(1, -1), values)
+    }
+
+    let match
+
+    if ((match = condition.match(/^([\w.]+) IS (NOT )?NULL$/))) {
+        const column = stripTable(match[1])
+        return match[2]
+            ? (row) => row[column] !== null && row[column] !== undefined
+            : (row) => row[column] === null || row[column] === undefined
+    }
+
+    if ((match = condition.match(/^([\w.]+) NOT IN \(SELECT (\w+) FROM (\w+) WHERE (.+)\)$/))) {
+        const column = stripTable(match[1])
+        const subquery = parseCondition(fake, match[4], values)
+        const [selected, table] = [match[2], match[3]]
+        return (row) => !fake.rows(table).filter(subquery).some((other) => equals(other[selected], row[column]))
+    }
+
+    if ((match = condition.match(/^([\w.]+) (NOT )?IN \((.+)\)$/))) {
+        const column = stripTable(match[1])
+        const list = match[3].split(', ').map((item) => item === '?' ? values.shift() : parseLiteral(item))
+        const negate = Boolean(match[2])
+        return (row) => list.some((item) => equals(item, row[column])) !== negate
+    }
+
+    if ((match = condition.match(/^([\w.]+) (<=>|=|<=|>=|<|>) (\?|.+)$/))) {
+        const column = stripTable(match[1])
+        const value = match[3] === '?' ? values.shift() : parseLiteral(match[3])
+        const operator = match[2]
+
+        return (row) => {
+            const current = row[column]
+            if (operator === '<=>') {
+                return (current ?? null) === null ? (value ?? null) === null : equals(current, value)
+            }
+            if (current === null || current === undefined || value === null || value === undefined) {
+                return false
+            }
+            if (operator === '=') {
+                return equals(current, value)
+            }
+
+            const order = compare(current, value)
+            return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[operator]
+        }
+    }
+
+    throw new Error(`Unhandled condition: ${condition}`)
+}
+
+function splitTopLevel(condition, separator) {
+    const parts = []
+    let depth = 0
+    let start = 0
+
+    for (let i = 0; i < condition.length; i++) {
+        if (condition[i] === '(') {
+            depth++
+        } else if (condition[i] === ')') {
+            depth--
+        } else if (depth === 0 && condition.startsWith(separator, i)) {
+            parts.push(condition.slice(start, i))
+            start = i + separator.length
+            i += separator.length - 1
+        }
+    }
+
+    parts.push(condition.slice(start))
+    return parts
+}
+
+function stripTable(column) {
+    return column.includes('.') ? column.split('.').pop() : column
+}
+
+function parseLiteral(value) {
+    if (value === 'NULL') {
+        return null
+    }
+    if (/^'.*'$/.test(value)) {
+        return value.slice(1, -1)
+    }
+    return Number(value)
+}
+
+function toComparable(value) {
+    if (value instanceof Date) {
+        return value.getTime()
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(value)) {
+        return new Date(value).getTime()
+    }
+    if (typeof value === 'string' && value !== '' && !isNaN(value)) {
+        return Number(value)
+    }
+    return value
+}
+
+function equals(a, b) {
+    return toComparable(a) === toComparable(b)
+}
+
+function compare(a, b) {
+    const [x, y] = [toComparable(a), toComparable(b)]
+    if (x === y) {
+        return 0
+    }
+    if (x === null || x === undefined) {
+        return -1
+    }
+    if (y === null || y === undefined) {
+        return 1
+    }
+    return x < y ? -1 : 1
+}
\ No newline at end of file
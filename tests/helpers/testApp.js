@@ -0,0 +1,102 @@
+/**
+ * Test App
+ * Starts the app on a free port against the mock OpenAI server and the fake database,
+ * with one tenant and its API key, for end-to-end tests over HTTP.
+ */
+
+import db from '../../src/configs/db.js'
+import { OPENAI_MOCK_PORT } from '../../src/configs/constants.js'
+import { startMockOpenAIServer } from '../../src/mock/openaiMockServer.js'
+import { generateApiKey } from '../../src/utils/apiKey.js'
+
+import { installFakeDb } from './fakeDb.js'
+
+/**
+ * Starts the mock server and the app
+ * @returns {Promise<Object>} { request, mock, fakeDb, tenant, close }
+ */
+export async function startTestApp() {
+    const { mock } = await startMockOpenAIServer(OPENAI_MOCK_PORT)
+    const fakeDb = installFakeDb(db)
+
+    // the app is imported once the database is replaced
+    const { default: app } = await import('../../src/app.js')
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+    })
+    const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+    const tenant = fakeDb.insert('tenants', { name: 'Acme', created_at: new Date() })
+    const apiKey = generateApiKey()
+    fakeDb.insert('api_keys', { tenant_id: tenant.id, name: 'test', key_prefix: apiKey.prefix, key_hash: apiKey.hash, revoked_at: null })
+
+    /**
+     * Calls the app with the tenant's API key
+     * @param {string} path - Path, e.g. /v1/agents
+     * @param {Object} [options] - { method, body, headers }, a plain object body is sent as JSON
+     * @returns {Promise<Object>} { status, body }, body is the text of answers that are not JSON, e.g. event streams
+     */
+    async function request(path, { method = 'GET', body, headers = {} } = {}) {
+        const isJson = body !== undefined && !(body instanceof FormData)
+
+        const res = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                authorization: `Bearer ${apiKey.key}`,
+                ...(isJson ? { 'content-type': 'application/json' } : {}),
+                ...headers
+            },
+            body: isJson ? JSON.stringify(body) : body
+        })
+
+        const text = await res.text()
+        if (!res.headers.get('content-type')?.includes('json')) {
+            return { status: res.status, body: text }
+        }
+        return { status: res.status, body: text ? JSON.parse(text) : null }
+    }
+
+    async function close() {
+        await new Promise((resolve) => server.close(resolve))
+        await mock.close()
+    }
+
+    return { request, mock, fakeDb, tenant, close }
+}
+
+/**
+ * Creates an agent through the API
+ * @param {Function} request - request of startTestApp
+ * @param {Object} [data] - Agent fields, name and instructions have defaults
+ * @returns {Promise<Object>} The created agent as GET /v1/agents/:id returns it
+ */
+export async function createTestAgent(request, data = {}) {
+    const created = await request('/v1/agents', {
+        method: 'POST',
+        body: { name: 'Support', instructions: 'Answer questions about orders', ...data }
+    })
+
+    if (created.status !== 200) {
+        throw new Error(`Agent not created (${created.status}): ${created.body?.message}`)
+    }
+
+    const { body } = await request(`/v1/agents/${created.body.data.id}`)
+    return body.data
+}
+
+/**
+ * Starts a conversation with an agent through the API
+ * @returns {Promise<Object>} The conversation, with its thread_id
+ */
+export async function createTestConversation(request, agentId, userId = 'user-1') {
+    const { status, body } = await request(`/v1/conversations/agent/${agentId}`, {
+        method: 'POST',
+        body: { user_id: userId }
+    })
+
+    if (status !== 200) {
+        throw new Error(`Conversation not created (${status}): ${body?.message}`)
+    }
+
+    return body.data
+}
\ No newline at end of file
@@ -0,0 +1,127 @@
+import db from '../src/configs/db.js'
+import { splitStatements, loadMigrations, migrate, rollback, getMigrationStatus } from '../src/services/migrations.js'
+
+import { installFakeDb } from './helpers/fakeDb.js'
+
+describe('splitStatements', () => {
+    test('splits on semicolons and trims the statements', () => {
+        expect(splitStatements('CREATE TABLE a (id INT);\n\n  DROP TABLE b ;\n')).toEqual([
+            'CREATE TABLE a (id INT)',
+            'DROP TABLE b'
+        ])
+    })
+
+    test('keeps a last statement without a semicolon', () => {
+        expect(splitStatements('DROP TABLE a;\nDROP TABLE b')).toEqual(['DROP TABLE a', 'DROP TABLE b'])
+    })
+
+    test('ignores semicolons inside quotes', () => {
+        const sql = `INSERT INTO a VALUES ('x;y', "it\\'s; fine", 'don''t;');\nALTER TABLE \`odd;name\` ADD COLUMN b INT;`
+
+        expect(splitStatements(sql)).toEqual([
+            `INSERT INTO a VALUES ('x;y', "it\\'s; fine", 'don''t;')`,
+            'ALTER TABLE `odd;name` ADD COLUMN b INT'
+        ])
+    })
+
+    test('ignores semicolons inside comments and keeps the comments', () => {
+        const sql = '-- first; table\nCREATE TABLE a (id INT); # second; table\n/* third;\n table */ CREATE TABLE b (id INT);'
+
+        expect(splitStatements(sql)).toEqual([
+            '-- first; table\nCREATE TABLE a (id INT)',
+            '# second; table\n/* third;\n table */ CREATE TABLE b (id INT)'
+        ])
+    })
+
+    test('does not take a double dash without a space for a comment', () => {
+        expect(splitStatements('UPDATE a SET b = b--1; DROP TABLE c;')).toEqual(['UPDATE a SET b = b--1', 'DROP TABLE c'])
+    })
+
+    test('drops statements made only of comments and whitespace', () => {
+        expect(splitStatements('DROP TABLE a;\n-- nothing left to run;\n/* really */ ;\n')).toEqual(['DROP TABLE a'])
+    })
+})
+
+describe('loadMigrations', () => {
+    test('reads every migration in order, each with both files', () => {
+        const migrations = loadMigrations()
+
+        expect(migrations.length).toBeGreaterThan(0)
+        migrations.forEach((migration, index) => {
+            expect(migration.number).toBe(index + 1)
+            expect(migration.down).toBeDefined()
+            expect(splitStatements(migration.up).length).toBeGreaterThan(0)
+            expect(migration.checksum).toMatch(/^[0-9a-f]{64}$/)
+        })
+    })
+})
+
+describe('migration runner', () => {
+    let fakeDb
+    let executed
+
+    beforeEach(() => {
+        fakeDb = installFakeDb(db)
+        executed = []
+        // the statements of the migration files, which may start with a comment
+        fakeDb.on(/^(-- .*? )?(CREATE|ALTER|DROP) TABLE /, (params, sql) => {
+            executed.push(sql)
+            return {}
+        })
+        fakeDb.on('CREATE TABLE IF NOT EXISTS schema_migrations ', () => ({}))
+    })
+
+    test('applies the pending migrations once', async () => {
+        const migrations = loadMigrations()
+
+        expect(await migrate()).toEqual(migrations.map((migration) => migration.version))
+        expect(executed).toHaveLength(migrations.reduce((total, migration) => total + splitStatements(migration.up).length, 0))
+        expect(fakeDb.rows('schema_migrations').map((row) => row.version)).toEqual(migrations.map((migration) => migration.version))
+
+        expect(await migrate()).toEqual([])
+        expect(fakeDb.locks.size).toBe(0)
+    })
+
+    test('rolls back the latest migrations, newest first', async () => {
+        await migrate()
+        const migrations = loadMigrations()
+        const versions = migrations.map((migration) => migration.version)
+        executed = []
+
+        expect(await rollback(2)).toEqual(versions.slice(-2).reverse())
+        expect(executed[0]).toBe(splitStatements(migrations[migrations.length - 1].down)[0].replace(/\s+/g, ' '))
+        expect(fakeDb.rows('schema_migrations').map((row) => row.version)).toEqual(versions.slice(0, -2))
+    })
+
+    test('stops at a failing statement without recording its migration', async () => {
+        const [first, second] = loadMigrations()
+        fakeDb.on(/^CREATE TABLE IF NOT EXISTS api_keys /, () => {
+            throw new Error("ER_PARSE_ERROR: You have an error in your SQL syntax")
+        })
+
+        await expect(migrate()).rejects.toThrow(`Migration ${second.version} failed: ER_PARSE_ERROR`)
+        expect(fakeDb.rows('schema_migrations').map((row) => row.version)).toEqual([first.version])
+        expect(fakeDb.locks.size).toBe(0)
+    })
+
+    test('reports pending, modified and missing migrations', async () => {
+        const [first, second] = loadMigrations()
+        fakeDb.insert('schema_migrations', { version: first.version, checksum: first.checksum, applied_at: new Date() })
+        fakeDb.insert('schema_migrations', { version: second.version, checksum: 'changed', applied_at: new Date() })
+        fakeDb.insert('schema_migrations', { version: '999_removed', checksum: 'gone', applied_at: new Date() })
+
+        const status = await getMigrationStatus()
+
+        expect(status[0]).toMatchObject({ version: first.version, status: 'applied' })
+        expect(status[1]).toMatchObject({ version: second.version, status: 'modified' })
+        expect(status[2]).toMatchObject({ status: 'pending', applied_at: null })
+        expect(status[status.length - 1]).toMatchObject({ version: '999_removed', status: 'missing' })
+    })
+
+    test('refuses to run while another migration holds the lock', async () => {
+        fakeDb.locks.set('schema_migrations', {})
+
+        await expect(migrate()).rejects.toThrow('Another migration is running')
+        expect(executed).toEqual([])
+    })
+})
\ No newline at end of file
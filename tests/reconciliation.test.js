@@ -0,0 +1,185 @@
+import { RECONCILE_ORPHAN_MIN_AGE, RESOURCE_TAG } from '../src/configs/constants.js'
+import { reconcile } from '../src/services/reconciliation.js'
+
+import { startTestApp, createTestAgent } from './helpers/testApp.js'
+
+describe('reconciliation', () => {
+    const adminHeaders = { authorization: 'Bearer test-admin-key' }
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    function findRow(table, id) {
+        return app.fakeDb.rows(table).find((row) => row.id === id)
+    }
+
+    function findingOf(findings, id) {
+        return findings.find((finding) => finding.id === id || finding.assistant_id === id)
+    }
+
+    /**
+     * Stores an assistant no agent points at, as another tool or an aborted creation leaves it
+     * @param {Object} [options] - { age } in ms, older than RECONCILE_ORPHAN_MIN_AGE by default, and { tagged }
+     */
+    function addOrphanAssistant({ age = RECONCILE_ORPHAN_MIN_AGE + 60000, tagged = true } = {}) {
+        const assistant = {
+            id: `asst_orphan${app.mock.assistants.size}`,
+            object: 'assistant',
+            created_at: Math.floor((Date.now() - age) / 1000),
+            name: '[TEST] Leftover',
+            model: 'gpt-4o-mini',
+            metadata: tagged ? { ...RESOURCE_TAG } : {}
+        }
+        app.mock.assistants.set(assistant.id, assistant)
+        return assistant
+    }
+
+    function addOrphanVectorStore({ age = RECONCILE_ORPHAN_MIN_AGE + 60000, tagged = true } = {}) {
+        const vectorStore = {
+            id: `vs_orphan${app.mock.vectorStores.size}`,
+            object: 'vector_store',
+            created_at: Math.floor((Date.now() - age) / 1000),
+            name: 'Leftover',
+            metadata: tagged ? { ...RESOURCE_TAG } : {},
+            status: 'completed',
+            file_ids: []
+        }
+        app.mock.vectorStores.set(vectorStore.id, vectorStore)
+        return vectorStore
+    }
+
+    test('finds nothing to repair on agents created through the API', async () => {
+        const agent = await createTestAgent(app.request)
+
+        const report = await reconcile()
+
+        expect(findingOf(report.missing, agent.assistant_id)).toBeUndefined()
+        expect(findingOf(report.drifted, agent.assistant_id)).toBeUndefined()
+        expect(findingOf(report.orphaned, agent.assistant_id)).toBeUndefined()
+    })
+
+    test('a dry run reports missing, drifted and orphaned resources without changing them', async () => {
+        const missing = await createTestAgent(app.request)
+        const drifted = await createTestAgent(app.request)
+        const orphan = addOrphanAssistant()
+        app.mock.assistants.delete(missing.assistant_id)
+        app.mock.assistants.get(drifted.assistant_id).instructions = 'Edited in the dashboard'
+
+        const { status, body } = await app.request('/v1/admin/reconcile', { method: 'POST', body: {}, headers: adminHeaders })
+
+        expect(status).toBe(200)
+        expect(body.data.mode).toBe('dry_run')
+        expect(findingOf(body.data.missing, missing.assistant_id)).toMatchObject({ agent_id: missing.id, resource: 'assistant', action: 'recreate' })
+        expect(findingOf(body.data.drifted, drifted.assistant_id)).toMatchObject({
+            agent_id: drifted.id,
+            fields: [{ field: 'instructions', openai: 'Edited in the dashboard' }],
+            action: 'update'
+        })
+        expect(findingOf(body.data.orphaned, orphan.id)).toMatchObject({ resource: 'assistant', action: 'delete' })
+        expect(findingOf(body.data.orphaned, orphan.id).fixed).toBeUndefined()
+
+        expect(findRow('agents', missing.id).assistant_id).toBe(missing.assistant_id)
+        expect(app.mock.assistants.get(drifted.assistant_id).instructions).toBe('Edited in the dashboard')
+        expect(app.mock.assistants.has(orphan.id)).toBe(true)
+    })
+
+    test('refuses a fix flag that is not a boolean', async () => {
+        const { status } = await app.request('/v1/admin/reconcile', { method: 'POST', body: { fix: 'yes' }, headers: adminHeaders })
+
+        expect(status).toBe(400)
+    })
+
+    test('a fix run recreates missing resources and puts back drifted configuration', async () => {
+        const missing = await createTestAgent(app.request)
+        const drifted = await createTestAgent(app.request)
+        app.mock.assistants.delete(missing.assistant_id)
+        app.mock.vectorStores.delete(missing.vector_store_id)
+        const instructions = app.mock.assistants.get(drifted.assistant_id).instructions
+        app.mock.assistants.get(drifted.assistant_id).instructions = 'Edited in the dashboard'
+
+        const report = await reconcile({ fix: true })
+
+        expect(report.mode).toBe('fix')
+        const agent = findRow('agents', missing.id)
+        expect(findingOf(report.missing, missing.vector_store_id)).toMatchObject({ resource: 'vector_store', fixed: true, new_id: agent.vector_store_id })
+        expect(findingOf(report.missing, missing.assistant_id)).toMatchObject({ resource: 'assistant', fixed: true, new_id: agent.assistant_id })
+        expect(app.mock.vectorStores.has(agent.vector_store_id)).toBe(true)
+        // the new assistant searches the new vector store
+        expect(app.mock.assistants.get(agent.assistant_id).tool_resources.file_search.vector_store_ids).toEqual([agent.vector_store_id])
+
+        expect(findingOf(report.drifted, drifted.assistant_id)).toMatchObject({ fields: [{ field: 'instructions' }], fixed: true })
+        expect(app.mock.assistants.get(drifted.assistant_id).instructions).toBe(instructions)
+
+        // nothing is left to repair
+        const again = await reconcile()
+        expect(findingOf(again.missing, agent.assistant_id)).toBeUndefined()
+        expect(findingOf(again.drifted, drifted.assistant_id)).toBeUndefined()
+    })
+
+    test('deletes only tagged orphans older than RECONCILE_ORPHAN_MIN_AGE', async () => {
+        const old = addOrphanAssistant()
+        const oldVectorStore = addOrphanVectorStore()
+        const untagged = addOrphanAssistant({ tagged: false })
+        const untaggedVectorStore = addOrphanVectorStore({ tagged: false })
+        const recent = addOrphanAssistant({ age: 60000 })
+        const recentVectorStore = addOrphanVectorStore({ age: 60000 })
+
+        const report = await reconcile({ fix: true })
+
+        expect(findingOf(report.orphaned, old.id)).toMatchObject({ resource: 'assistant', action: 'delete', fixed: true })
+        expect(findingOf(report.orphaned, oldVectorStore.id)).toMatchObject({ resource: 'vector_store', action: 'delete', fixed: true })
+        expect(app.mock.assistants.has(old.id)).toBe(false)
+        expect(app.mock.vectorStores.has(oldVectorStore.id)).toBe(false)
+
+        for (const item of [untagged, untaggedVectorStore]) {
+            expect(findingOf(report.orphaned, item.id)).toMatchObject({ action: 'skip', reason: expect.stringContaining('Not tagged') })
+        }
+        for (const item of [recent, recentVectorStore]) {
+            expect(findingOf(report.orphaned, item.id)).toMatchObject({ action: 'skip', reason: expect.stringContaining('too recently') })
+        }
+        expect(app.mock.assistants.has(untagged.id)).toBe(true)
+        expect(app.mock.vectorStores.has(untaggedVectorStore.id)).toBe(true)
+        expect(app.mock.assistants.has(recent.id)).toBe(true)
+        expect(app.mock.vectorStores.has(recentVectorStore.id)).toBe(true)
+    })
+
+    test('skips an agent updated since it was read', async () => {
+        const agent = await createTestAgent(app.request)
+        app.mock.assistants.delete(agent.assistant_id)
+        const assistants = app.mock.assistants.size
+        // the agent is updated between the listing and the fix
+        const off = app.fakeDb.on('SELECT * FROM agents WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL', ([id]) => {
+            const row = findRow('agents', Number(id))
+            row.updated_at = new Date(Date.now() + 1000)
+            return [{ ...row }]
+        })
+
+        const report = await reconcile({ fix: true })
+        off()
+
+        expect(findingOf(report.missing, agent.assistant_id)).toMatchObject({
+            fixed: false,
+            reason: "The agent changed during the reconciliation"
+        })
+        expect(findRow('agents', agent.id).assistant_id).toBe(agent.assistant_id)
+        expect(app.mock.assistants.size).toBe(assistants)
+    })
+
+    test('leaves the resources of agents in the trash to the purge', async () => {
+        const agent = await createTestAgent(app.request)
+        await app.request(`/v1/agents/${agent.id}`, { method: 'DELETE' })
+        app.mock.assistants.get(agent.assistant_id).instructions = 'Edited in the dashboard'
+
+        const report = await reconcile({ fix: true })
+
+        expect(findingOf(report.drifted, agent.assistant_id)).toBeUndefined()
+        expect(findingOf(report.orphaned, agent.assistant_id)).toBeUndefined()
+        expect(app.mock.assistants.has(agent.assistant_id)).toBe(true)
+    })
+})
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Test Environment
+ * Runs before every test file. Settings are read once, when constants.js is first imported,
+ * so they are set here: OpenAI is the mock server (one port per Jest worker) and MySQL is
+ * never reached, see helpers/fakeDb.js.
+ */
+
+process.env.NODE_ENV = 'test'
+process.env.OPENAI_MOCK = 'true'
+process.env.OPENAI_MOCK_PORT = String(4600 + Number(process.env.JEST_WORKER_ID || 0))
+process.env.OPENAI_RUN_POLL_INTERVAL = '10'
+process.env.OPENAI_RETRY_MAX = '0'
+process.env.DB_HOST = 'localhost'
+process.env.DB_USER = 'test'
+process.env.DB_NAME = 'test'
+process.env.ADMIN_API_KEY = 'test-admin-key'
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'
\ No newline at end of file
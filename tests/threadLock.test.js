@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals'
+
+import db from '../src/configs/db.js'
+import { lockThread, withThreadLock } from '../src/services/threadLock.js'
+
+import { installFakeDb } from './helpers/fakeDb.js'
+import { startTestApp, createTestAgent, createTestConversation } from './helpers/testApp.js'
+
+describe('lockThread', () => {
+    const conversation = { id: 1, thread_id: 'thread_lock' }
+    let fakeDb
+
+    beforeEach(() => {
+        fakeDb = installFakeDb(db)
+    })
+
+    function providerWithRuns(...runs) {
+        return { getActiveRun: async () => runs.length > 1 ? runs.shift() : runs[0] }
+    }
+
+    test('takes a free thread and frees it on release', async () => {
+        const lock = await lockThread(conversation, providerWithRuns(null), 0)
+
+        expect(lock.acquired).toBe(true)
+        expect(fakeDb.locks.has('thread:thread_lock')).toBe(true)
+
+        await lock.release()
+
+        expect(fakeDb.locks.size).toBe(0)
+    })
+
+    test('refuses a locked thread and reports its active run', async () => {
+        const first = await lockThread(conversation, providerWithRuns(null), 0)
+        const activeRun = { id: 'run_1', status: 'in_progress' }
+
+        const second = await lockThread(conversation, providerWithRuns(activeRun), 0)
+
+        expect(second).toEqual({ acquired: false, activeRun })
+        await first.release()
+    })
+
+    test('reports no active run when it cannot be read', async () => {
+        const first = await lockThread(conversation, providerWithRuns(null), 0)
+        const provider = { getActiveRun: async () => { throw new Error('upstream down') } }
+
+        const second = await lockThread(conversation, provider, 0)
+
+        expect(second).toEqual({ acquired: false, activeRun: null })
+        await first.release()
+    })
+
+    test('waits for the lock when given time', async () => {
+        const first = await lockThread(conversation, providerWithRuns(null), 0)
+        setTimeout(() => first.release(), 50)
+
+        const second = await lockThread(conversation, providerWithRuns(null), 1000)
+
+        expect(second.acquired).toBe(true)
+        await second.release()
+        expect(fakeDb.locks.size).toBe(0)
+    })
+
+    test('waits for a run started outside the lock to end', async () => {
+        const activeRun = { id: 'run_1', status: 'in_progress' }
+
+        const lock = await lockThread(conversation, providerWithRuns(activeRun, activeRun, null), 1000)
+
+        expect(lock.acquired).toBe(true)
+        await lock.release()
+    })
+
+    test('gives the lock back when the run is still going after the wait', async () => {
+        const activeRun = { id: 'run_1', status: 'in_progress' }
+
+        const lock = await lockThread(conversation, providerWithRuns(activeRun), 0)
+
+        expect(lock).toEqual({ acquired: false, activeRun })
+        expect(fakeDb.locks.size).toBe(0)
+    })
+})
+
+describe('withThreadLock', () => {
+    let fakeDb
+
+    beforeEach(() => {
+        fakeDb = installFakeDb(db)
+    })
+
+    test('runs work holding the lock, then releases it', async () => {
+        const result = await withThreadLock('thread_1', async () => {
+            expect(fakeDb.locks.has('thread:thread_1')).toBe(true)
+            return 'done'
+        }, () => 'busy')
+
+        expect(result).toBe('done')
+        expect(fakeDb.locks.size).toBe(0)
+    })
+
+    test('calls onBusy when the thread is locked', async () => {
+        const lock = await lockThread({ thread_id: 'thread_1' }, { getActiveRun: async () => null }, 0)
+        const work = jest.fn()
+
+        const result = await withThreadLock('thread_1', work, () => 'busy')
+
+        expect(result).toBe('busy')
+        expect(work).not.toHaveBeenCalled()
+        await lock.release()
+    })
+
+    test('releases the lock when work throws', async () => {
+        await expect(withThreadLock('thread_1', async () => { throw new Error('failed') }, () => 'busy')).rejects.toThrow('failed')
+
+        expect(fakeDb.locks.size).toBe(0)
+    })
+})
+
+describe('sending to a busy thread', () => {
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    beforeEach(() => {
+        app.mock.replies = []
+    })
+
+    test('answers one message and refuses the other with 409', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.queueReply({ reply: 'First', polls: 5 })
+
+        const send = (message) => app.request('/v1/conversations', {
+            method: 'POST',
+            body: { agent_id: agent.id, thread_id: conversation.thread_id, message }
+        })
+
+        const first = send('One')
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        const second = await send('Two')
+        const answered = await first
+
+        expect(answered.status).toBe(200)
+        expect(answered.body.data.message).toBe('First')
+        expect(second.status).toBe(409)
+        expect(second.body.data.thread_id).toBe(conversation.thread_id)
+    })
+
+    test('queues a message with on_conflict wait', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        app.mock.queueReply({ reply: 'First', polls: 3 })
+        app.mock.queueReply({ reply: 'Second' })
+
+        const send = (message, extra = {}) => app.request('/v1/conversations', {
+            method: 'POST',
+            body: { agent_id: agent.id, thread_id: conversation.thread_id, message, ...extra }
+        })
+
+        const first = send('One')
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        const second = await send('Two', { on_conflict: 'wait' })
+
+        expect((await first).body.data.message).toBe('First')
+        expect(second.status).toBe(200)
+        expect(second.body.data.message).toBe('Second')
+    })
+})
\ No newline at end of file
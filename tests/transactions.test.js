@@ -0,0 +1,111 @@
+import db from '../src/configs/db.js'
+import { withTransaction } from '../src/models/transaction.js'
+
+import { installFakeDb } from './helpers/fakeDb.js'
+import { startTestApp, createTestAgent, createTestConversation } from './helpers/testApp.js'
+
+function queryFailure() {
+    throw Object.assign(new Error('ER_LOCK_WAIT_TIMEOUT: Lock wait timeout exceeded'), { code: 'ER_LOCK_WAIT_TIMEOUT' })
+}
+
+describe('withTransaction', () => {
+    let fakeDb
+
+    beforeEach(() => {
+        fakeDb = installFakeDb(db)
+    })
+
+    function query(connection, sql, params) {
+        return new Promise((resolve, reject) => {
+            connection.query(sql, params, (err, result) => err ? reject(err) : resolve(result))
+        })
+    }
+
+    test('keeps the writes of work that resolves', async () => {
+        const agent = fakeDb.insert('agents', { name: 'Support', version: 1 })
+
+        await withTransaction(db, async (connection) => {
+            await query(connection, 'UPDATE agents SET ? WHERE id = ?', [{ version: 2 }, agent.id])
+            await query(connection, 'INSERT INTO agent_versions SET ?', [{ agent_id: agent.id, version: 2 }])
+        })
+
+        expect(fakeDb.rows('agents')).toEqual([{ id: agent.id, name: 'Support', version: 2 }])
+        expect(fakeDb.rows('agent_versions')).toHaveLength(1)
+    })
+
+    test('undoes every write of work that throws', async () => {
+        const agent = fakeDb.insert('agents', { name: 'Support', version: 1 })
+        const file = fakeDb.insert('agent_files', { agent_id: agent.id })
+
+        await expect(withTransaction(db, async (connection) => {
+            await query(connection, 'INSERT INTO agent_versions SET ?', [{ agent_id: agent.id, version: 2 }])
+            await query(connection, 'UPDATE agents SET ? WHERE id = ?', [{ version: 2, name: 'Sales' }, agent.id])
+            await query(connection, 'DELETE FROM agent_files WHERE id = ?', [file.id])
+            throw new Error('failed')
+        })).rejects.toThrow('failed')
+
+        expect(fakeDb.rows('agents')).toEqual([{ id: agent.id, name: 'Support', version: 1 }])
+        expect(fakeDb.rows('agent_versions')).toEqual([])
+        expect(fakeDb.rows('agent_files')).toEqual([file])
+    })
+})
+
+describe('transactions of the API', () => {
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    function findRow(table, id) {
+        return app.fakeDb.rows(table).find((row) => row.id === id)
+    }
+
+    test('a failed move to the trash leaves the agent and its conversations active', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        const off = app.fakeDb.on('UPDATE conversations SET deleted_at = ? WHERE agent_id = ?', queryFailure)
+
+        const { status } = await app.request(`/v1/agents/${agent.id}`, { method: 'DELETE' })
+        off()
+
+        expect(status).toBe(500)
+        expect(findRow('agents', agent.id).deleted_at ?? null).toBeNull()
+        expect(findRow('conversations', conversation.id).deleted_at ?? null).toBeNull()
+    })
+
+    test('a failed restore leaves the agent and its conversations in the trash', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        await app.request(`/v1/agents/${agent.id}`, { method: 'DELETE' })
+        const deletedAt = findRow('agents', agent.id).deleted_at
+        const off = app.fakeDb.on('UPDATE conversations SET deleted_at = NULL WHERE agent_id = ?', queryFailure)
+
+        const { status } = await app.request(`/v1/agents/${agent.id}/restore`, { method: 'POST' })
+        off()
+
+        expect(status).toBe(500)
+        expect(findRow('agents', agent.id).deleted_at).toBe(deletedAt)
+        expect(findRow('conversations', conversation.id).deleted_at).toBe(deletedAt)
+        expect((await app.request(`/v1/agents/${agent.id}`)).status).toBe(404)
+    })
+
+    test('a failed version rollback stores no version and leaves the agent as it was', async () => {
+        const agent = await createTestAgent(app.request, { instructions: 'First instructions' })
+        const updated = await app.request(`/v1/agents/${agent.id}`, { method: 'PATCH', body: { name: agent.name, instructions: 'Second instructions' } })
+        expect(updated.status).toBe(200)
+        const versions = app.fakeDb.rows('agent_versions').filter((version) => version.agent_id === agent.id)
+        const off = app.fakeDb.on('UPDATE agents SET ? WHERE id = ?', queryFailure)
+
+        const { status } = await app.request(`/v1/agents/${agent.id}/versions/1/rollback`, { method: 'POST' })
+        off()
+
+        expect(status).toBe(500)
+        expect(app.fakeDb.rows('agent_versions').filter((version) => version.agent_id === agent.id)).toEqual(versions)
+        expect(findRow('agents', agent.id)).toMatchObject({ version: 2, instructions: 'Second instructions' })
+    })
+})
\ No newline at end of file
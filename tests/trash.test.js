@@ -0,0 +1,212 @@
+import { purgeTrash } from '../src/services/trash.js'
+
+import { startTestApp, createTestAgent, createTestConversation } from './helpers/testApp.js'
+
+describe('trash', () => {
+    const longAgo = new Date('2020-01-01T00:00:00Z')
+    let app
+
+    beforeAll(async () => {
+        app = await startTestApp()
+
+        // the purge reads conversations with the provider of their agent, leaving those of agents in the trash
+        app.fakeDb.on('SELECT conversations.*, agents.provider AS agent_provider FROM conversations', ([before, limit]) => {
+            const agents = app.fakeDb.rows('agents')
+            return app.fakeDb.rows('conversations')
+                .map((conversation) => [conversation, agents.find((agent) => agent.id === conversation.agent_id)])
+                .filter(([conversation, agent]) => conversation.deleted_at && conversation.deleted_at <= before && !agent?.deleted_at)
+                .slice(0, limit)
+                .map(([conversation, agent]) => ({ ...conversation, agent_provider: agent?.provider ?? null }))
+        })
+    })
+
+    afterAll(async () => {
+        await app.close()
+    })
+
+    function findRow(table, id) {
+        return app.fakeDb.rows(table).find((row) => row.id === id)
+    }
+
+    async function createTrashedAgent() {
+        const agent = await createTestAgent(app.request)
+        const conversations = [
+            await createTestConversation(app.request, agent.id, 'user-1'),
+            await createTestConversation(app.request, agent.id, 'user-2')
+        ]
+
+        const { status } = await app.request(`/v1/agents/${agent.id}`, { method: 'DELETE' })
+        expect(status).toBe(200)
+
+        return { agent, conversations }
+    }
+
+    test('deleting an agent moves it to the trash with its conversations', async () => {
+        const agent = await createTestAgent(app.request)
+        const kept = await createTestConversation(app.request, agent.id, 'user-1')
+        const deletedBefore = await createTestConversation(app.request, agent.id, 'user-2')
+        await app.request(`/v1/conversations/${deletedBefore.id}`, { method: 'DELETE' })
+        const deletedBeforeAt = findRow('conversations', deletedBefore.id).deleted_at
+
+        const { status } = await app.request(`/v1/agents/${agent.id}`, { method: 'DELETE' })
+
+        expect(status).toBe(200)
+        expect((await app.request(`/v1/agents/${agent.id}`)).status).toBe(404)
+        expect(findRow('conversations', kept.id).deleted_at).toEqual(findRow('agents', agent.id).deleted_at)
+        expect(findRow('conversations', deletedBefore.id).deleted_at).toBe(deletedBeforeAt)
+
+        // its resources are kept until the purge
+        expect(app.mock.assistants.has(agent.assistant_id)).toBe(true)
+        expect(app.mock.threads.has(kept.thread_id)).toBe(true)
+    })
+
+    test('restoring an agent brings back the conversations trashed with it', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        const deletedBefore = await createTestConversation(app.request, agent.id, 'user-2')
+        await app.request(`/v1/conversations/${deletedBefore.id}`, { method: 'DELETE' })
+        // a second later, as a separate delete would be
+        findRow('conversations', deletedBefore.id).deleted_at = new Date(Date.now() - 1000)
+        await app.request(`/v1/agents/${agent.id}`, { method: 'DELETE' })
+
+        const { status, body } = await app.request(`/v1/agents/${agent.id}/restore`, { method: 'POST' })
+
+        expect(status).toBe(200)
+        expect(body.data.id).toBe(agent.id)
+        expect(findRow('conversations', conversation.id).deleted_at).toBeNull()
+        expect(findRow('conversations', deletedBefore.id).deleted_at).not.toBeNull()
+        expect((await app.request(`/v1/conversations/${conversation.id}`)).status).toBe(200)
+    })
+
+    test('refuses to restore an agent the purge has taken', async () => {
+        const { agent, conversations } = await createTrashedAgent()
+        findRow('agents', agent.id).purging_at = new Date()
+
+        const { status } = await app.request(`/v1/agents/${agent.id}/restore`, { method: 'POST' })
+
+        expect(status).toBe(409)
+        expect(findRow('agents', agent.id).deleted_at).not.toBeNull()
+        expect(findRow('conversations', conversations[0].id).deleted_at).not.toBeNull()
+    })
+
+    test('refuses to restore an agent a delete operation has worked on', async () => {
+        const { agent } = await createTrashedAgent()
+        app.fakeDb.insert('agent_operations', {
+            tenant_id: app.tenant.id,
+            agent_id: agent.id,
+            type: 'delete_agent',
+            status: 'failed',
+            steps: '[]'
+        })
+
+        const { status } = await app.request(`/v1/agents/${agent.id}/restore`, { method: 'POST' })
+
+        expect(status).toBe(409)
+    })
+
+    test('refuses to restore an agent the purge takes while it is restored', async () => {
+        const { agent } = await createTrashedAgent()
+        const off = app.fakeDb.on('SELECT * FROM agent_operations WHERE agent_id = ?', () => {
+            findRow('agents', agent.id).purging_at = new Date()
+            return []
+        })
+
+        const { status } = await app.request(`/v1/agents/${agent.id}/restore`, { method: 'POST' })
+        off()
+
+        expect(status).toBe(409)
+        expect(findRow('agents', agent.id).deleted_at).not.toBeNull()
+    })
+
+    test('refuses to restore a conversation of a deleted agent', async () => {
+        const { conversations } = await createTrashedAgent()
+
+        const { status } = await app.request(`/v1/conversations/${conversations[0].id}/restore`, { method: 'POST' })
+
+        expect(status).toBe(409)
+    })
+
+    test('answers the runs of a deleted agent with 404', async () => {
+        const { conversations } = await createTrashedAgent()
+
+        const { status } = await app.request(`/v1/conversations/thread/${conversations[0].thread_id}/runs/run_1`)
+
+        expect(status).toBe(404)
+    })
+
+    test('purges the agents and conversations past the retention', async () => {
+        const { agent, conversations } = await createTrashedAgent()
+        const other = await createTestAgent(app.request)
+        const single = await createTestConversation(app.request, other.id)
+        await app.request(`/v1/conversations/${single.id}`, { method: 'DELETE' })
+        const recent = await createTrashedAgent()
+
+        for (const row of [findRow('agents', agent.id), ...conversations.map(({ id }) => findRow('conversations', id)), findRow('conversations', single.id)]) {
+            row.deleted_at = longAgo
+        }
+
+        const purged = await purgeTrash()
+
+        expect(purged.agents).toBeGreaterThanOrEqual(1)
+        expect(purged.conversations).toBeGreaterThanOrEqual(1)
+        expect(findRow('agents', agent.id)).toBeUndefined()
+        expect(app.mock.assistants.has(agent.assistant_id)).toBe(false)
+        for (const conversation of [...conversations, single]) {
+            expect(findRow('conversations', conversation.id)).toBeUndefined()
+            expect(app.mock.threads.has(conversation.thread_id)).toBe(false)
+        }
+
+        // the other agent and the recent trash stay
+        expect((await app.request(`/v1/agents/${other.id}`)).body.data.id).toBe(other.id)
+        expect(findRow('agents', recent.agent.id)).toBeDefined()
+        expect(app.mock.threads.has(recent.conversations[0].thread_id)).toBe(true)
+    })
+
+    test('skips an agent another purge has just taken, and takes it again once that purge is stale', async () => {
+        const { agent } = await createTrashedAgent()
+        const row = findRow('agents', agent.id)
+        row.deleted_at = longAgo
+        row.purging_at = new Date()
+
+        await purgeTrash()
+        expect(findRow('agents', agent.id)).toBeDefined()
+        expect(app.mock.assistants.has(agent.assistant_id)).toBe(true)
+
+        row.purging_at = longAgo
+        await purgeTrash()
+        expect(findRow('agents', agent.id)).toBeUndefined()
+    })
+
+    test('keeps the conversations of an agent it cannot claim, so the agent can still be restored with them', async () => {
+        const { agent, conversations } = await createTrashedAgent()
+        findRow('agents', agent.id).deleted_at = longAgo
+        for (const conversation of conversations) {
+            findRow('conversations', conversation.id).deleted_at = longAgo
+        }
+        const off = app.fakeDb.on('UPDATE agents SET purging_at = ?', () => ({ affectedRows: 0, changedRows: 0 }))
+
+        await purgeTrash()
+        off()
+
+        for (const conversation of conversations) {
+            expect(findRow('conversations', conversation.id)).toBeDefined()
+            expect(app.mock.threads.has(conversation.thread_id)).toBe(true)
+        }
+        expect((await app.request(`/v1/agents/${agent.id}/restore`, { method: 'POST' })).status).toBe(200)
+        expect(findRow('conversations', conversations[0].id).deleted_at).toBeNull()
+    })
+
+    test('does not purge a conversation restored since the trash was read', async () => {
+        const agent = await createTestAgent(app.request)
+        const conversation = await createTestConversation(app.request, agent.id)
+        await app.request(`/v1/conversations/${conversation.id}`, { method: 'DELETE' })
+        findRow('conversations', conversation.id).deleted_at = longAgo
+
+        const off = app.fakeDb.on('SELECT * FROM conversations WHERE id = ? AND tenant_id = ? AND deleted_at IS NOT NULL', () => [])
+        await purgeTrash()
+        off()
+
+        expect(findRow('conversations', conversation.id)).toBeDefined()
+        expect(app.mock.threads.has(conversation.thread_id)).toBe(true)
+    })
+})
\ No newline at end of file